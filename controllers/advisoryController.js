@@ -0,0 +1,348 @@
+const Advisory = require("../models/Advisory");
+const { Division } = require("../models/Division");
+const mongoose = require("mongoose");
+const { getLanguageOptions } = require("../utils/language");
+const { deliverAdvisory } = require("../services/advisories");
+
+/**
+ * Find a division by id or code
+ * @param {string} value - Division id or code
+ * @returns {Promise<Object|null>} - Division document
+ */
+const findDivision = (value) =>
+  mongoose.Types.ObjectId.isValid(value)
+    ? Division.findById(value)
+    : Division.findOne({ code: value });
+
+/**
+ * Check the area of an advisory, given as a GeoJSON polygon or as its list
+ * of [longitude, latitude] points
+ * @param {Object|Array} area - Area from the request
+ * @returns {Array|null} - Closed ring of points, or null when invalid
+ */
+const parseArea = (area) => {
+  const ring = Array.isArray(area) ? area : area && area.coordinates && area.coordinates[0];
+  if (!Array.isArray(ring) || ring.length < 3) {
+    return null;
+  }
+
+  const points = ring.map((point) => (Array.isArray(point) ? point.map(Number) : []));
+  const valid = points.every((point) =>
+    point.length === 2 &&
+    point[0] >= -180 && point[0] <= 180 &&
+    point[1] >= -90 && point[1] <= 90);
+  if (!valid) {
+    return null;
+  }
+
+  const [first, last] = [points[0], points[points.length - 1]];
+  if (first[0] !== last[0] || first[1] !== last[1]) {
+    points.push([...first]);
+  }
+  return points;
+};
+
+/**
+ * Check the text of an advisory: one message per installed language code
+ * @param {Object} text - e.g. { en: '...', mr: '...' }
+ * @returns {Object|null} - Cleaned text, or null when invalid
+ */
+const parseText = (text) => {
+  if (!text || typeof text !== "object" || Array.isArray(text)) {
+    return null;
+  }
+
+  const codes = getLanguageOptions().map((option) => option.code);
+  const cleaned = {};
+  for (const [code, message] of Object.entries(text)) {
+    if (!codes.includes(code)) {
+      return null;
+    }
+    if (typeof message === "string" && message.trim()) {
+      cleaned[code] = message.trim();
+    }
+  }
+  return Object.keys(cleaned).length > 0 ? cleaned : null;
+};
+
+/**
+ * Check whether the logged in user may see or change an advisory
+ * @param {Object} req - Express request
+ * @param {Object} advisory - Advisory document
+ * @returns {boolean}
+ */
+const canAccessAdvisory = (req, advisory) =>
+  !(req.user && req.user.role === "division_admin") ||
+  (advisory.division && advisory.division.toString() === req.user.divisionId);
+
+// Get advisories, newest first, optionally only those active, upcoming,
+// expired or cancelled
+exports.getAdvisories = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, division } = req.query;
+    const skip = (page - 1) * limit;
+    const now = new Date();
+
+    let filter = {};
+
+    if (status === "active") {
+      filter = { cancelled_at: null, valid_from: { $lte: now }, valid_until: { $gt: now } };
+    } else if (status === "upcoming") {
+      filter = { cancelled_at: null, valid_from: { $gt: now } };
+    } else if (status === "expired") {
+      filter = { cancelled_at: null, valid_until: { $lte: now } };
+    } else if (status === "cancelled") {
+      filter = { cancelled_at: { $ne: null } };
+    }
+
+    if (division) {
+      const divisionDoc = await findDivision(division);
+      if (divisionDoc) {
+        filter.division = divisionDoc._id;
+      }
+    }
+
+    // Division admins can only see their own division's advisories
+    if (req.user && req.user.role === "division_admin" && req.user.divisionId) {
+      filter.division = new mongoose.Types.ObjectId(req.user.divisionId);
+    }
+
+    const total = await Advisory.countDocuments(filter);
+    const advisories = await Advisory.find(filter)
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    return res.status(200).json({
+      success: true,
+      count: advisories.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: advisories,
+    });
+  } catch (error) {
+    console.error("Error fetching advisories:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Get one advisory
+exports.getAdvisoryById = async (req, res) => {
+  try {
+    const advisory = await Advisory.findById(req.params.id);
+
+    if (!advisory || !canAccessAdvisory(req, advisory)) {
+      return res.status(404).json({
+        success: false,
+        message: "Advisory not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: advisory,
+    });
+  } catch (error) {
+    console.error("Error fetching advisory:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Create an advisory for an area, a division or both. It is sent to the
+// citizens following the area as soon as it becomes valid.
+exports.createAdvisory = async (req, res) => {
+  try {
+    const { title, text, area, valid_from, valid_until, created_by } = req.body;
+    let { division } = req.body;
+
+    // Division admins can only publish advisories for their own division
+    if (req.user && req.user.role === "division_admin") {
+      division = req.user.divisionId;
+    }
+
+    if (!title || !valid_until || (!area && !division)) {
+      return res.status(400).json({
+        success: false,
+        message: "title, text, valid_until and an area or division are required",
+      });
+    }
+
+    const cleanedText = parseText(text);
+    if (!cleanedText) {
+      return res.status(400).json({
+        success: false,
+        message: `text must have a message for at least one of: ${getLanguageOptions().map((option) => option.code).join(", ")}`,
+      });
+    }
+
+    const ring = area ? parseArea(area) : null;
+    if (area && !ring) {
+      return res.status(400).json({
+        success: false,
+        message: "area must be a polygon of at least 3 [longitude, latitude] points",
+      });
+    }
+
+    const divisionDoc = division ? await findDivision(division) : null;
+    if (division && !divisionDoc) {
+      return res.status(400).json({
+        success: false,
+        message: "Division not found",
+      });
+    }
+
+    const validFrom = valid_from ? new Date(valid_from) : new Date();
+    const validUntil = new Date(valid_until);
+    if (isNaN(validFrom.getTime()) || isNaN(validUntil.getTime()) ||
+        validUntil <= validFrom || validUntil <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: "valid_until must be a date in the future, after valid_from",
+      });
+    }
+
+    const advisory = await Advisory.create({
+      title: title.trim(),
+      text: cleanedText,
+      area: ring ? { type: "Polygon", coordinates: [ring] } : undefined,
+      division: divisionDoc ? divisionDoc._id : undefined,
+      divisionName: divisionDoc ? divisionDoc.name : undefined,
+      valid_from: validFrom,
+      valid_until: validUntil,
+      created_by: created_by || req.user.divisionName || req.user.role,
+      role: req.user.role,
+    });
+
+    // Advisories valid from now on go out right away, later ones are sent
+    // by the delivery worker
+    const sendNow = validFrom <= new Date();
+    const delivered = sendNow ? await deliverAdvisory(advisory) : 0;
+
+    return res.status(201).json({
+      success: true,
+      message: sendNow
+        ? `Advisory published and sent to ${delivered} followers`
+        : "Advisory scheduled",
+      data: await Advisory.findById(advisory._id),
+    });
+  } catch (error) {
+    console.error("Error creating advisory:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Correct the title or text of an advisory, or change how long it is valid.
+// Followers who already got it are not sent it again.
+exports.updateAdvisory = async (req, res) => {
+  try {
+    const advisory = await Advisory.findById(req.params.id);
+
+    if (!advisory || !canAccessAdvisory(req, advisory)) {
+      return res.status(404).json({
+        success: false,
+        message: "Advisory not found",
+      });
+    }
+
+    if (advisory.cancelled_at) {
+      return res.status(409).json({
+        success: false,
+        message: "This advisory has been cancelled",
+      });
+    }
+
+    const { title, text, valid_until } = req.body;
+
+    if (title) {
+      advisory.title = title.trim();
+    }
+
+    if (text !== undefined) {
+      const cleanedText = parseText(text);
+      if (!cleanedText) {
+        return res.status(400).json({
+          success: false,
+          message: `text must have a message for at least one of: ${getLanguageOptions().map((option) => option.code).join(", ")}`,
+        });
+      }
+      advisory.text = cleanedText;
+    }
+
+    if (valid_until) {
+      const validUntil = new Date(valid_until);
+      if (isNaN(validUntil.getTime()) || validUntil <= advisory.valid_from) {
+        return res.status(400).json({
+          success: false,
+          message: "valid_until must be a date after valid_from",
+        });
+      }
+      advisory.valid_until = validUntil;
+    }
+
+    await advisory.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Advisory updated",
+      data: advisory,
+    });
+  } catch (error) {
+    console.error("Error updating advisory:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Withdraw an advisory, e.g. when a closure is called off. It stops being
+// listed to citizens and is not sent if it hasn't been yet.
+exports.cancelAdvisory = async (req, res) => {
+  try {
+    const advisory = await Advisory.findById(req.params.id);
+
+    if (!advisory || !canAccessAdvisory(req, advisory)) {
+      return res.status(404).json({
+        success: false,
+        message: "Advisory not found",
+      });
+    }
+
+    if (advisory.cancelled_at) {
+      return res.status(409).json({
+        success: false,
+        message: "This advisory has already been cancelled",
+      });
+    }
+
+    advisory.cancelled_at = new Date();
+    await advisory.save();
+
+    return res.status(200).json({
+      success: true,
+      message: "Advisory cancelled",
+      data: advisory,
+    });
+  } catch (error) {
+    console.error("Error cancelling advisory:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
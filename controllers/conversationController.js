@@ -0,0 +1,144 @@
+const Conversation = require("../models/Conversation");
+const Query = require("../models/Query");
+const mongoose = require("mongoose");
+const { normalizeUserId } = require("../utils/userHelper");
+
+// Minutes either side of a report shown as the conversation around it
+const DEFAULT_WINDOW_MINUTES = 60;
+
+/**
+ * Filter matching the reports the logged in user may see
+ * @param {Object} req - Express request
+ * @returns {Object} - Mongo filter, empty for main admins
+ */
+const accessibleReportsFilter = (req) => {
+  if (req.user && req.user.role === "division_admin") {
+    return {
+      division: new mongoose.Types.ObjectId(req.user.divisionId),
+      query_type: { $nin: ["Road Damage", "Suggestion"] },
+    };
+  }
+  return {};
+};
+
+// Page through a citizen's transcript, newest messages first
+exports.getUserTranscript = async (req, res) => {
+  try {
+    const { page = 1, limit = 50 } = req.query;
+    const skip = (page - 1) * limit;
+    const userId = normalizeUserId(req.params.userId);
+
+    const filter = { user_id: userId };
+
+    // Division admins only see messages about their division's reports
+    if (req.user && req.user.role === "division_admin") {
+      // Anonymous reports would tie the number to the report
+      const reportIds = await Query.find({
+        user_id: { $in: [...new Set([req.params.userId, userId])] },
+        anonymous: { $ne: true },
+        ...accessibleReportsFilter(req),
+      }).distinct("_id");
+      filter.query = { $in: reportIds };
+    }
+
+    const total = await Conversation.countDocuments(filter);
+    const messages = await Conversation.find(filter)
+      .sort({ created_at: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    return res.status(200).json({
+      success: true,
+      count: messages.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: messages,
+    });
+  } catch (error) {
+    console.error("Error fetching transcript:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Get the messages about a report and the rest of the conversation around
+// the time it was submitted, oldest first
+exports.getReportConversation = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const windowMinutes = parseInt(req.query.window_minutes) || DEFAULT_WINDOW_MINUTES;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid query ID",
+      });
+    }
+
+    const query = await Query.findOne({ _id: id, ...accessibleReportsFilter(req) });
+
+    if (!query) {
+      return res.status(404).json({
+        success: false,
+        message: "Query not found",
+      });
+    }
+
+    // What an anonymous reporter wrote could identify them
+    if (query.anonymous && req.user && req.user.role !== "main_admin") {
+      return res.status(403).json({
+        success: false,
+        message: "Only the main admin can read the conversation of an anonymous report",
+      });
+    }
+
+    const submittedAt = query.timestamp.getTime();
+    const windowMs = windowMinutes * 60 * 1000;
+
+    const messages = await Conversation.find({
+      $or: [
+        { query: query._id },
+        {
+          // Nearby messages that aren't about some other report
+          user_id: normalizeUserId(query.user_id),
+          query: null,
+          created_at: {
+            $gte: new Date(submittedAt - windowMs),
+            $lte: new Date(submittedAt + windowMs),
+          },
+        },
+      ],
+    }).sort({ created_at: 1 });
+
+    // Same as the report itself, the number of an anonymous reporter is hidden
+    const report = query.toJSON();
+
+    return res.status(200).json({
+      success: true,
+      count: messages.length,
+      query: {
+        _id: report._id,
+        user_id: report.user_id,
+        user_name: report.user_name,
+        anonymous: report.anonymous,
+        query_type: report.query_type,
+        status: report.status,
+        timestamp: report.timestamp,
+      },
+      data: query.anonymous
+        ? messages.map((message) => ({ ...message.toObject(), user_id: undefined }))
+        : messages,
+    });
+  } catch (error) {
+    console.error("Error fetching report conversation:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
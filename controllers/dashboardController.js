@@ -2,6 +2,19 @@ const Query = require("../models/Query");
 const Session = require("../models/Session");
 const { Division } = require("../models/Division");
 const mongoose = require("mongoose");
+const { getSlaCountsByDivision } = require("../services/sla");
+const { getOpenWorkByDivision } = require("../services/assignments");
+
+// SLA counts of a division without reports that have deadlines
+const EMPTY_SLA_COUNTS = {
+  total: 0,
+  met: 0,
+  breached: 0,
+  atRisk: 0,
+  onTrack: 0,
+  acknowledgeBreached: 0,
+  escalated: 0,
+};
 
 // Get dashboard summary statistics
 exports.getDashboardSummary = async (req, res) => {
@@ -76,9 +89,9 @@ exports.getDashboardSummary = async (req, res) => {
       .sort({ timestamp: -1 })
       .limit(5);
 
-    // Get most active users with division filter
+    // Get most active users with division filter, leaving out anonymous reports
     const activeUsers = await Query.aggregate([
-      { $match: divisionFilter },
+      { $match: { ...divisionFilter, anonymous: { $ne: true } } },
       {
         $group: {
           _id: "$user_id",
@@ -218,7 +231,7 @@ exports.getMapData = async (req, res) => {
       ...divisionFilter,
       "location.latitude": { $ne: null },
       "location.longitude": { $ne: null },
-    }).select("query_type location status timestamp description photo_url");
+    }).select("reference query_type location status timestamp description photo_url");
 
     return res.status(200).json({
       success: true,
@@ -257,6 +270,9 @@ exports.getDivisionPerformance = async (req, res) => {
     // Get all divisions
     const divisions = await Division.find().select("name code");
 
+    // SLA results of every division at once
+    const slaCounts = await getSlaCountsByDivision();
+
     // For each division, calculate performance metrics
     const performanceData = await Promise.all(
       divisions.map(async (division) => {
@@ -293,6 +309,24 @@ exports.getDivisionPerformance = async (req, res) => {
             ? ((recentResolved / recentQueries) * 100).toFixed(1)
             : 0;
 
+        // Citizen satisfaction with resolved queries
+        const [satisfaction] = await Query.aggregate([
+          {
+            $match: {
+              division: division._id,
+              "satisfaction.rating": { $ne: null },
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              averageRating: { $avg: "$satisfaction.rating" },
+              ratedQueries: { $sum: 1 },
+              lowRatings: { $sum: { $cond: ["$satisfaction.flagged", 1, 0] } },
+            },
+          },
+        ]);
+
         return {
           division: {
             id: division._id,
@@ -306,6 +340,12 @@ exports.getDivisionPerformance = async (req, res) => {
           recentQueries,
           recentResolved,
           recentResolutionRate,
+          averageSatisfaction: satisfaction
+            ? parseFloat(satisfaction.averageRating.toFixed(2))
+            : null,
+          ratedQueries: satisfaction ? satisfaction.ratedQueries : 0,
+          lowRatings: satisfaction ? satisfaction.lowRatings : 0,
+          sla: slaCounts.get(division._id.toString()) || EMPTY_SLA_COUNTS,
         };
       })
     );
@@ -457,3 +497,238 @@ exports.getAverageResolutionTimeByDivisionAndType = async (req, res) => {
     });
   }
 };
+
+// Resolution and citizen satisfaction metrics for every officer who resolved queries
+exports.getOfficerPerformance = async (req, res) => {
+  try {
+    // Check if we should filter by division
+    let divisionFilter = {};
+    if (req.user && req.user.role === "division_admin" && req.user.divisionId) {
+      divisionFilter = {
+        division: new mongoose.Types.ObjectId(req.user.divisionId),
+        query_type: { $nin: ["Road Damage", "Suggestion"] },
+      };
+    } else if (req.query.division) {
+      // Allow filtering by division for main admin
+      if (mongoose.Types.ObjectId.isValid(req.query.division)) {
+        divisionFilter = {
+          division: new mongoose.Types.ObjectId(req.query.division),
+        };
+      } else {
+        // If a division code is provided instead of an ID
+        const divisionDoc = await Division.findOne({
+          code: req.query.division,
+        });
+        if (divisionDoc) {
+          divisionFilter = { division: divisionDoc._id };
+        }
+      }
+    }
+
+    const officerPerformance = await Query.aggregate([
+      // 1. Queries an officer has resolved, including ones reopened after a low rating
+      {
+        $match: {
+          ...divisionFilter,
+          $or: [
+            { "resolved_by.name": { $nin: [null, ""] } },
+            { "satisfaction.officer_name": { $nin: [null, ""] } },
+          ],
+        },
+      },
+      // 2. Credit a rating to the officer who had resolved the query when it was rated
+      {
+        $addFields: {
+          officerName: {
+            $ifNull: ["$satisfaction.officer_name", "$resolved_by.name"],
+          },
+          resolutionTimeMillis: {
+            $cond: [
+              { $and: [{ $eq: ["$status", "Resolved"] }, "$resolved_at"] },
+              { $subtract: ["$resolved_at", "$timestamp"] },
+              null,
+            ],
+          },
+        },
+      },
+      // 3. Group by officer and division
+      {
+        $group: {
+          _id: { officer: "$officerName", division: "$divisionName" },
+          resolvedQueries: {
+            $sum: { $cond: [{ $eq: ["$status", "Resolved"] }, 1, 0] },
+          },
+          averageResolutionTimeMillis: { $avg: "$resolutionTimeMillis" },
+          averageRating: { $avg: "$satisfaction.rating" },
+          ratedQueries: {
+            $sum: { $cond: [{ $isNumber: "$satisfaction.rating" }, 1, 0] },
+          },
+          lowRatings: { $sum: { $cond: ["$satisfaction.flagged", 1, 0] } },
+        },
+      },
+      // 4. Project the final shape and convert milliseconds to hours
+      {
+        $project: {
+          _id: 0,
+          officerName: "$_id.officer",
+          divisionName: { $ifNull: ["$_id.division", "Unknown Division"] },
+          resolvedQueries: 1,
+          averageResolutionTimeHours: {
+            $divide: ["$averageResolutionTimeMillis", 1000 * 60 * 60],
+          },
+          averageSatisfaction: "$averageRating",
+          ratedQueries: 1,
+          lowRatings: 1,
+        },
+      },
+      { $sort: { divisionName: 1, officerName: 1 } },
+    ]);
+
+    // Format the averages to a fixed number of decimal places
+    const formattedPerformance = officerPerformance.map((item) => ({
+      ...item,
+      averageResolutionTimeHours:
+        item.averageResolutionTimeHours !== null
+          ? parseFloat(item.averageResolutionTimeHours.toFixed(2))
+          : null,
+      averageSatisfaction:
+        item.averageSatisfaction !== null
+          ? parseFloat(item.averageSatisfaction.toFixed(2))
+          : null,
+    }));
+
+    return res.status(200).json({
+      success: true,
+      data: formattedPerformance,
+    });
+  } catch (error) {
+    console.error("Error fetching officer performance:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Get how many reports met, breached or are at risk of breaching their SLA
+// deadlines in each division, optionally for one report type or period
+exports.getSlaPerformance = async (req, res) => {
+  try {
+    const { queryType, startDate, endDate } = req.query;
+    const match = {};
+    const divisionFilter = {};
+
+    if (queryType) {
+      match.query_type = queryType;
+    }
+
+    if (startDate || endDate) {
+      match.timestamp = {};
+      if (startDate) match.timestamp.$gte = new Date(startDate);
+      if (endDate) match.timestamp.$lte = new Date(endDate);
+    }
+
+    // Division admins can only see their own division
+    if (req.user && req.user.role === "division_admin" && req.user.divisionId) {
+      divisionFilter._id = new mongoose.Types.ObjectId(req.user.divisionId);
+      match.division = divisionFilter._id;
+    } else if (req.query.division && mongoose.Types.ObjectId.isValid(req.query.division)) {
+      divisionFilter._id = new mongoose.Types.ObjectId(req.query.division);
+      match.division = divisionFilter._id;
+    }
+
+    const divisions = await Division.find(divisionFilter).select("name code");
+    const slaCounts = await getSlaCountsByDivision(match);
+
+    const data = divisions.map((division) => {
+      const counts = slaCounts.get(division._id.toString()) || EMPTY_SLA_COUNTS;
+      return {
+        division: {
+          id: division._id,
+          name: division.name,
+          code: division.code,
+        },
+        ...counts,
+        complianceRate:
+          counts.met + counts.breached > 0
+            ? ((counts.met / (counts.met + counts.breached)) * 100).toFixed(1)
+            : null,
+      };
+    });
+
+    const totals = data.reduce((sum, division) => {
+      for (const key of Object.keys(EMPTY_SLA_COUNTS)) {
+        sum[key] += division[key];
+      }
+      return sum;
+    }, { ...EMPTY_SLA_COUNTS });
+
+    return res.status(200).json({
+      success: true,
+      data,
+      totals,
+    });
+  } catch (error) {
+    console.error("Error fetching SLA performance:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Get each division's officers with how many open queries they have, and
+// how many open queries nobody is assigned to
+exports.getWorkQueues = async (req, res) => {
+  try {
+    const divisionFilter = {};
+
+    // Division admins can only see their own division
+    if (req.user && req.user.role === "division_admin" && req.user.divisionId) {
+      divisionFilter._id = new mongoose.Types.ObjectId(req.user.divisionId);
+    } else if (req.query.division && mongoose.Types.ObjectId.isValid(req.query.division)) {
+      divisionFilter._id = new mongoose.Types.ObjectId(req.query.division);
+    }
+
+    const divisions = await Division.find(divisionFilter).select("name code officers");
+    const work = await getOpenWorkByDivision(
+      divisionFilter._id ? { division: divisionFilter._id } : {}
+    );
+
+    const data = divisions.map((division) => {
+      const divisionWork = work.get(division._id.toString()) || { unassigned: 0, officers: new Map() };
+      return {
+        division: {
+          id: division._id,
+          name: division.name,
+          code: division.code,
+        },
+        unassigned: divisionWork.unassigned,
+        // Relieved officers are listed while they still have open queries
+        officers: division.officers
+          .filter((officer) => officer.isActive || divisionWork.officers.has(officer._id.toString()))
+          .map((officer) => ({
+            id: officer._id,
+            name: officer.name,
+            post: officer.post,
+            isActive: officer.isActive,
+            openQueries: divisionWork.officers.get(officer._id.toString()) || 0,
+          })),
+      };
+    });
+
+    return res.status(200).json({
+      success: true,
+      data,
+    });
+  } catch (error) {
+    console.error("Error fetching work queues:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
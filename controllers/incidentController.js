@@ -0,0 +1,181 @@
+const Incident = require("../models/Incident");
+const { Division } = require("../models/Division");
+const mongoose = require("mongoose");
+const { INCIDENT_STATUSES, updateIncidentStatus } = require("../services/incidents");
+
+/**
+ * Check whether the logged in user may see an incident
+ * @param {Object} req - Express request
+ * @param {Object} incident - Incident document
+ * @returns {boolean}
+ */
+const canAccessIncident = (req, incident) =>
+  !(req.user && req.user.role === "division_admin") ||
+  (incident.division && incident.division.toString() === req.user.divisionId);
+
+// Get incidents with their report counts (with pagination and filtering)
+exports.getAllIncidents = async (req, res) => {
+  try {
+    const {
+      page = 1,
+      limit = 10,
+      status,
+      query_type,
+      division,
+      min_reports,
+      sort = "last_reported_at",
+      order = "desc",
+    } = req.query;
+
+    const skip = (page - 1) * limit;
+
+    // Build filter object
+    let filter = {};
+
+    if (status) {
+      filter.status = status;
+    }
+
+    if (query_type) {
+      filter.query_type = query_type;
+    }
+
+    // Only incidents that grouped at least this many reports
+    if (min_reports) {
+      filter.report_count = { $gte: parseInt(min_reports) };
+    }
+
+    // Filter by division if specified
+    if (division && division !== "NOT_SPECIFIED") {
+      if (mongoose.Types.ObjectId.isValid(division)) {
+        filter.division = new mongoose.Types.ObjectId(division);
+      } else {
+        // If a division code is provided instead of an ID
+        const divisionDoc = await Division.findOne({ code: division });
+        if (divisionDoc) {
+          filter.division = divisionDoc._id;
+        }
+      }
+    }
+
+    // Division admins can only see their own division's incidents
+    if (req.user && req.user.role === "division_admin" && req.user.divisionId) {
+      filter.division = new mongoose.Types.ObjectId(req.user.divisionId);
+      if (filter.query_type !== "Road Damage" && filter.query_type !== "Suggestion") {
+        filter.query_type = query_type || { $nin: ["Road Damage", "Suggestion"] };
+      } else {
+        filter.query_type = "UNDEFINED";
+      }
+    }
+
+    const sortOptions = {};
+    sortOptions[sort] = order.toLowerCase() === "asc" ? 1 : -1;
+
+    const total = await Incident.countDocuments(filter);
+    const incidents = await Incident.find(filter)
+      .select("-reports")
+      .populate("division", "name code")
+      .sort(sortOptions)
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    return res.status(200).json({
+      success: true,
+      count: incidents.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: incidents,
+    });
+  } catch (error) {
+    console.error("Error fetching incidents:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Get one incident with its reports
+exports.getIncidentById = async (req, res) => {
+  try {
+    const incident = await Incident.findById(req.params.id)
+      .populate("division", "name code")
+      .populate(
+        "reports",
+        "user_name anonymous description photo_url location status timestamp resolution_note"
+      );
+
+    if (!incident || !canAccessIncident(req, { division: incident.division?._id })) {
+      return res.status(404).json({
+        success: false,
+        message: "Incident not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: incident,
+    });
+  } catch (error) {
+    console.error("Error fetching incident:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Update the status of an incident and every open report linked to it
+exports.updateIncidentStatus = async (req, res) => {
+  try {
+    const { status, resolution_note, resolver_name } = req.body;
+
+    if (!INCIDENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid status value",
+      });
+    }
+
+    // If status is 'Resolved' or 'Rejected', resolver name is required
+    if ((status === "Resolved" || status === "Rejected") && !resolver_name) {
+      return res.status(400).json({
+        success: false,
+        message: "Resolver name is required for resolving or rejecting an incident",
+      });
+    }
+
+    const incident = await Incident.findById(req.params.id);
+
+    if (!incident || !canAccessIncident(req, incident)) {
+      return res.status(404).json({
+        success: false,
+        message: "Incident not found",
+      });
+    }
+
+    const updatedReports = await updateIncidentStatus(incident, {
+      status,
+      note: resolution_note,
+      resolverName: resolver_name,
+      role: req.user.role,
+      source: "dashboard",
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: `Incident status updated to ${status}, ${updatedReports.length} reports updated`,
+      data: incident,
+    });
+  } catch (error) {
+    console.error("Error updating incident status:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
@@ -0,0 +1,210 @@
+const mongoose = require("mongoose");
+const {
+  LIMITS,
+  getActiveBlock,
+  blockUser,
+  liftBlock,
+  getBlockedUsers,
+  getThrottledUsers,
+} = require("../services/rateLimiter");
+const { getConsentRecords } = require("../services/consent");
+const { getReporterReveals } = require("../services/reporterIdentity");
+
+// Get the numbers currently blocked from using the bot
+exports.getBlockedUsers = async (req, res) => {
+  try {
+    const blockedUsers = await getBlockedUsers();
+
+    return res.status(200).json({
+      success: true,
+      count: blockedUsers.length,
+      data: blockedUsers,
+    });
+  } catch (error) {
+    console.error("Error fetching blocked users:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Block a number, either permanently or until expires_at
+exports.blockUser = async (req, res) => {
+  try {
+    const { user_id, reason, expires_at, blocked_by } = req.body;
+
+    if (!user_id || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: "user_id and reason are required",
+      });
+    }
+
+    let expiresAt = null;
+    if (expires_at) {
+      expiresAt = new Date(expires_at);
+      if (isNaN(expiresAt.getTime()) || expiresAt <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: "expires_at must be a date in the future",
+        });
+      }
+    }
+
+    if (await getActiveBlock(user_id)) {
+      return res.status(409).json({
+        success: false,
+        message: "This number is already blocked",
+      });
+    }
+
+    const block = await blockUser(user_id, {
+      reason,
+      expiresAt,
+      blockedBy: blocked_by || req.user.role,
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: "Number blocked",
+      data: block,
+    });
+  } catch (error) {
+    console.error("Error blocking user:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Lift a block before it expires
+exports.liftBlock = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid block ID",
+      });
+    }
+
+    const block = await liftBlock(id, req.body.lifted_by || req.user.role);
+
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        message: "Block not found or already lifted",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Block lifted",
+      data: block,
+    });
+  } catch (error) {
+    console.error("Error lifting block:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Get the numbers that are over one of their limits right now
+exports.getThrottledUsers = async (req, res) => {
+  try {
+    const counters = await getThrottledUsers();
+
+    return res.status(200).json({
+      success: true,
+      count: counters.length,
+      data: counters.map((counter) => ({
+        user_id: counter.user_id,
+        kind: counter.kind,
+        count: counter.count,
+        limit: LIMITS[counter.kind].limit,
+        throttled_at: counter.throttled_at,
+        resets_at: counter.expires_at,
+      })),
+      limits: Object.fromEntries(
+        Object.entries(LIMITS).map(([kind, { limit, windowMs }]) => [
+          kind,
+          { limit, window_minutes: windowMs / 60000 },
+        ])
+      ),
+    });
+  } catch (error) {
+    console.error("Error fetching throttled users:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Audit broadcast consent, optionally for one number or one state
+exports.getConsentRecords = async (req, res) => {
+  try {
+    const { status, user_id } = req.query;
+
+    if (status && !["opted_in", "opted_out"].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "status must be opted_in or opted_out",
+      });
+    }
+
+    const records = await getConsentRecords({ status, userId: user_id });
+
+    return res.status(200).json({
+      success: true,
+      count: records.length,
+      data: records,
+    });
+  } catch (error) {
+    console.error("Error fetching consent records:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Audit the reporters of anonymous reports revealed by the main admin,
+// optionally for one report
+exports.getReporterReveals = async (req, res) => {
+  try {
+    const { query_id } = req.query;
+
+    if (query_id && !mongoose.Types.ObjectId.isValid(query_id)) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid query_id",
+      });
+    }
+
+    const reveals = await getReporterReveals({ queryId: query_id });
+
+    return res.status(200).json({
+      success: true,
+      count: reveals.length,
+      data: reveals,
+    });
+  } catch (error) {
+    console.error("Error fetching reporter reveals:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
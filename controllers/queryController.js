@@ -1,12 +1,42 @@
 const Query = require("../models/Query");
 const { Division } = require("../models/Division");
 const TeamApplication = require("../models/TeamApplication");
-const { sendWhatsAppMessage } = require("../utils/whatsapp");
-const { getText } = require("../utils/language");
+const { queueMessage } = require("../services/outbox");
 const Session = require("../models/Session");
 const { sendQueryEmail } = require("../utils/email");
 const mongoose = require("mongoose");
 const EmailRecord = require("../models/EmailRecords");
+const {
+  APPEAL_WINDOW_DAYS,
+  APPEAL_OUTCOMES,
+  canAppeal,
+  submitAppeal,
+  decideAppeal,
+} = require("../services/appeals");
+const { uploadImageToR2, uploadReportPhoto } = require("../utils/imageupload");
+const { notifyStatusChange } = require("../services/incidents");
+const {
+  STATUSES,
+  StatusTransitionError,
+  applyStatusChange,
+  getReportTimeline,
+} = require("../services/reportStatus");
+const { getOptedOutNumbers, filterBroadcastRecipients } = require("../services/consent");
+const { normalizeUserId } = require("../utils/userHelper");
+const { MEDIA_MAX_PER_REPORT, getReportAttachments, toReportListItem } = require("../utils/media");
+const { revealReporter } = require("../services/reporterIdentity");
+const { normalizeVehicleNumber, formatVehicleNumber } = require("../utils/vehicleNumber");
+const {
+  AssignmentError,
+  applyAssignment,
+  notifyAssignedOfficer,
+  getOfficerQueue,
+} = require("../services/assignments");
+const { getReportReference } = require("../services/citizenReports");
+const { parseReportReference, findReportByIdOrReference } = require("../services/reportReferences");
+
+// Vehicles reported at least this many times are flagged as repeat offenders
+const REPEAT_OFFENDER_MIN_REPORTS = parseInt(process.env.REPEAT_OFFENDER_MIN_REPORTS || "3", 10);
 
 // Get all queries (with pagination and filtering)
 exports.getAllQueries = async (req, res) => {
@@ -21,6 +51,7 @@ exports.getAllQueries = async (req, res) => {
       aggregate = false,
       search,
       division,
+      assigned_to,
     } = req.query;
 
     const skip = (page - 1) * limit;
@@ -36,6 +67,18 @@ exports.getAllQueries = async (req, res) => {
       filter.query_type = query_type;
     }
 
+    // Reports the citizen rated poorly after they were resolved
+    if (req.query.flagged === "true") {
+      filter["satisfaction.flagged"] = true;
+    }
+
+    // Reports of one officer, or those nobody owns yet
+    if (assigned_to === "unassigned") {
+      filter["assigned_to.officer_id"] = null;
+    } else if (assigned_to) {
+      filter["assigned_to.officer_id"] = assigned_to;
+    }
+
     // Filter by division if specified (for division dashboards)
     if (division && division !== "NOT_SPECIFIED") {
       // Handle both ObjectId and string representations
@@ -59,6 +102,12 @@ exports.getAllQueries = async (req, res) => {
       } else {
         filter.query_type = "UNDEFINED";
       }
+      // Appeals are reviewed by the main admin, not the division that rejected the report
+      if (filter.status === "Appealed") {
+        filter.status = "UNDEFINED";
+      } else if (!filter.status) {
+        filter.status = { $ne: "Appealed" };
+      }
     }
 
     // Search functionality - searches across multiple fields:
@@ -67,15 +116,29 @@ exports.getAllQueries = async (req, res) => {
     // - vehicle_number: Vehicle number if applicable
     // - location.address: Location address
     // - resolution_note: Response/resolution given to the query
+    // - reference: Report reference, e.g. TB-2026-004512
     if (search) {
       filter.$or = [
         { description: { $regex: search, $options: "i" } },
-        { user_name: { $regex: search, $options: "i" } },
+        // Anonymous reports can't be found by their reporter's name
+        { user_name: { $regex: search, $options: "i" }, anonymous: { $ne: true } },
         { vehicle_number: { $regex: search, $options: "i" } },
         { "location.address": { $regex: search, $options: "i" } },
         { resolution_note: { $regex: search, $options: "i" } },
-
+        { reference: { $regex: search, $options: "i" } },
       ];
+
+      // Registration numbers are stored normalized, e.g. "mh 14 ab 1234" finds MH14AB1234
+      const searchedVehicle = normalizeVehicleNumber(search);
+      if (searchedVehicle) {
+        filter.$or.push({ vehicle_number: searchedVehicle });
+      }
+
+      // References are found however they are typed, e.g. "tb 2026 4512"
+      const searchedReference = parseReportReference(search);
+      if (searchedReference) {
+        filter.$or.push({ reference: searchedReference });
+      }
     }
 
     // Set up sorting
@@ -99,43 +162,23 @@ exports.getAllQueries = async (req, res) => {
         total: totalQueries,
         totalPages: Math.ceil(totalQueries / limit),
         currentPage: parseInt(page),
-        data: queries,
+        data: queries.map(toReportListItem),
       });
     } else {
+      // A page of each status, so none is crowded out of the list. Appeals
+      // are left out for division admins, who don't review them.
+      const bucketStatuses = STATUSES.filter(
+        (bucketStatus) => bucketStatus !== "Appealed" || !(req.user && req.user.role === "division_admin")
+      );
       const all_queries = [];
-      const pending_queries = await Query.find({ ...filter, status: "Pending" })
-        .populate("division", "name code")
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(parseInt(limit));
-      all_queries.push(...pending_queries);
-      const in_progress_queries = await Query.find({
-        ...filter,
-        status: "In Progress",
-      })
-        .populate("division", "name code")
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(parseInt(limit));
-      all_queries.push(...in_progress_queries);
-      const resolved_queries = await Query.find({
-        ...filter,
-        status: "Resolved",
-      })
-        .populate("division", "name code")
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(parseInt(limit));
-      all_queries.push(...resolved_queries);
-      const rejected_queries = await Query.find({
-        ...filter,
-        status: "Rejected",
-      })
-        .populate("division", "name code")
-        .sort(sortOptions)
-        .skip(skip)
-        .limit(parseInt(limit));
-      all_queries.push(...rejected_queries);
+      for (const bucketStatus of bucketStatuses) {
+        const bucket = await Query.find({ ...filter, status: bucketStatus })
+          .populate("division", "name code")
+          .sort(sortOptions)
+          .skip(skip)
+          .limit(parseInt(limit));
+        all_queries.push(...bucket);
+      }
       const queries = all_queries.filter(
         (query, index, self) =>
           index ===
@@ -147,7 +190,7 @@ exports.getAllQueries = async (req, res) => {
         total: totalQueries,
         totalPages: Math.ceil(totalQueries / limit),
         currentPage: parseInt(page),
-        data: queries,
+        data: queries.map(toReportListItem),
       });
     }
   } catch (error) {
@@ -165,7 +208,8 @@ exports.getQueryById = async (req, res) => {
   try {
     const { id } = req.params;
 
-    const query = await Query.findById(id);
+    // Signed-in users can look a query up by its reference too
+    const query = await findReportByIdOrReference(id);
 
     if (!query) {
       return res.status(404).json({
@@ -177,6 +221,8 @@ exports.getQueryById = async (req, res) => {
     return res.status(200).json({
       success: true,
       data: query,
+      // Photo, voice note and video links, including the photo of older reports
+      attachments: getReportAttachments(query),
     });
   } catch (error) {
     console.error("Error fetching query:", error);
@@ -188,6 +234,42 @@ exports.getQueryById = async (req, res) => {
   }
 };
 
+// Get what happened to a query: its submission, every status change and
+// the citizen's rating
+exports.getQueryTimeline = async (req, res) => {
+  try {
+    const query = await Query.findById(req.params.id);
+
+    // Division admins can only see their own division's queries
+    const otherDivision =
+      req.user && req.user.role === "division_admin" &&
+      (!query || !query.division || query.division.toString() !== req.user.divisionId);
+
+    if (!query || otherDivision) {
+      return res.status(404).json({
+        success: false,
+        message: "Query not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: {
+        query_id: query._id,
+        status: query.status,
+        timeline: getReportTimeline(query),
+      },
+    });
+  } catch (error) {
+    console.error("Error fetching query timeline:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
 // Update query status
 // Update the updateQueryStatus function
 
@@ -233,117 +315,293 @@ exports.updateQueryStatus = async (req, res) => {
       });
     }
 
-    // Update status and add resolution note if provided
-    query.status = status;
-    if (resolution_note) {
-      query.resolution_note = resolution_note;
+    // Get client IP address (if available)
+    const ipAddress = req.headers['x-forwarded-for'] || 
+                       req.connection.remoteAddress || 
+                       'Unknown';
+
+    // Only the changes the status lifecycle allows, each added to the history
+    try {
+      applyStatusChange(query, status, {
+        actor: resolver_name || req.user.divisionName || "Main admin",
+        role: req.user.role,
+        source: "dashboard",
+        note: resolution_note,
+        ipAddress,
+      });
+    } catch (transitionError) {
+      if (transitionError instanceof StatusTransitionError) {
+        return res.status(409).json({
+          success: false,
+          message: transitionError.message,
+        });
+      }
+      throw transitionError;
     }
 
-    // If status is being changed to Resolved or Rejected, add resolution details
-    if (status === "Resolved" || status === "Rejected") {
-      query.resolved_at = new Date();
-      
-      // Get client IP address (if available)
-      const ipAddress = req.headers['x-forwarded-for'] || 
-                         req.connection.remoteAddress || 
-                         'Unknown';
-      
-      // Save resolver information
-      query.resolved_by = {
-        name: resolver_name,
-        timestamp: new Date(),
-        ip_address: ipAddress
-      };
-      
-      // If an image was uploaded, handle it here
-      if (req.file) {
-        try {
-          // Note: uploadImageToR2 is not defined in this snippet. Assuming it exists.
-          // const uploadedUrl = await uploadImageToR2(req.file); 
-          // query.resolution_image_url = uploadedUrl;
-          console.warn("Image upload in updateQueryStatus is referenced but uploadImageToR2 is not defined in this controller snippet.");
-        } catch (uploadError) {
-          console.error("Error uploading resolution image:", uploadError);
-          // Continue without the image if upload fails
+    // Resolution photos, as the resolve page sends them, the first one being
+    // the main one
+    const photos = [...((req.files && req.files.image) || []), ...((req.files && req.files.images) || [])]
+      .slice(0, MEDIA_MAX_PER_REPORT);
+    if ((status === "Resolved" || status === "Rejected") && photos.length > 0) {
+      try {
+        const attachments = [];
+        for (const photo of photos) {
+          attachments.push(await uploadReportPhoto(photo));
         }
+        query.resolution_attachments = attachments;
+        query.resolution_image_url = attachments[0].url;
+      } catch (uploadError) {
+        console.error("Error uploading resolution image:", uploadError);
+        // Continue without the images if upload fails
       }
     }
 
     await query.save();
 
-    // Get the user's language preference for WhatsApp notification
-    const userSession = await Session.findOne({ user_id: query.user_id });
-    const userLanguage = userSession?.language || "en";
+    // Tell the citizen, and give the other reports of the same incident the
+    // same status
+    await notifyStatusChange(query, {
+      status,
+      note: resolution_note,
+      resolverName: resolver_name,
+      role: req.user.role,
+      source: "dashboard",
+    });
 
-    // Send WhatsApp notification to user about status change
-    if (query.user_id && query.user_id.startsWith("whatsapp:")) {
-      try {
-        console.log(`Sending status update to ${query.user_id}`);
-
-        // Format query type for message
-        const queryTypeForMessage = query.query_type || "report";
-
-        // Prepare status update message with proper string formatting
-        let statusMessage = "";
-
-        if (status === "In Progress") {
-          // Replace placeholder with actual value
-          statusMessage = getText("STATUS_IN_PROGRESS", userLanguage).replace(
-            "{0}",
-            queryTypeForMessage.toLowerCase()
-          );
-        } else if (status === "Resolved") {
-          // Replace placeholders with actual values but remove resolver name from the message
-          statusMessage = getText("STATUS_RESOLVED", userLanguage)
-            .replace("{0}", queryTypeForMessage.toLowerCase())
-            .replace(
-              "{1}",
-              resolution_note || "No additional details provided."
-            );
-        } else if (status === "Rejected") {
-          // Replace placeholders with actual values but remove resolver name from the message
-          statusMessage = getText("STATUS_REJECTED", userLanguage)
-            .replace("{0}", queryTypeForMessage.toLowerCase())
-            .replace(
-              "{1}", 
-              resolution_note || "No reason specified."
-            );
-        }
+    return res.status(200).json({
+      success: true,
+      message: `Query status updated to ${status}`,
+      data: query,
+    });
+  } catch (error) {
+    console.error("Error updating query status:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
 
-        if (statusMessage) {
-          console.log("Message to be sent:", statusMessage);
-
-          // Send the message
-          const messageSent = await sendWhatsAppMessage(
-            query.user_id,
-            statusMessage
-          );
-          console.log(
-            "WhatsApp message status update sent successfully:",
-            messageSent.sid
-          );
-        }
-      } catch (notificationError) {
-        console.error(
-          "Error sending WhatsApp notification:",
-          notificationError
-        );
-        // Don't fail the request if notification fails
+// Assign a query to one of its division's active officers, reassign it,
+// or unassign it when officer_id is empty. The officer is told on WhatsApp.
+exports.assignQuery = async (req, res) => {
+  try {
+    const { officer_id, note } = req.body;
+    const query = await Query.findById(req.params.id);
+
+    // Division admins can only assign their own division's queries
+    const otherDivision =
+      req.user && req.user.role === "division_admin" &&
+      (!query || !query.division || query.division.toString() !== req.user.divisionId);
+
+    if (!query || otherDivision) {
+      return res.status(404).json({
+        success: false,
+        message: "Query not found",
+      });
+    }
+
+    const division = query.division ? await Division.findById(query.division) : null;
+
+    try {
+      applyAssignment(query, division, officer_id || null, {
+        actor: req.body.assigned_by || req.user.divisionName || "Main admin",
+        role: req.user.role,
+        note,
+      });
+    } catch (assignmentError) {
+      if (assignmentError instanceof AssignmentError) {
+        return res.status(409).json({
+          success: false,
+          message: assignmentError.message,
+        });
       }
-    } else {
-      console.log(
-        "Cannot send status update - invalid user ID format:",
-        query.user_id
-      );
+      throw assignmentError;
+    }
+
+    await query.save();
+
+    try {
+      await notifyAssignedOfficer(query, division, note);
+    } catch (notificationError) {
+      // Don't fail the request if notification fails
+      console.error("Error notifying assigned officer:", notificationError);
     }
 
     return res.status(200).json({
       success: true,
-      message: `Query status updated to ${status}`,
+      message: query.assigned_to?.officer_id
+        ? `Query assigned to ${query.assigned_to.name}`
+        : "Query unassigned",
       data: query,
     });
   } catch (error) {
-    console.error("Error updating query status:", error);
+    console.error("Error assigning query:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Get an officer's open queries, the soonest due first
+exports.getOfficerQueue = async (req, res) => {
+  try {
+    const { officerId } = req.params;
+    let { division } = req.query;
+
+    // Division admins can only see their own division's officers
+    if (req.user && req.user.role === "division_admin") {
+      division = req.user.divisionId;
+    }
+
+    if (!division || !mongoose.Types.ObjectId.isValid(division)) {
+      return res.status(400).json({
+        success: false,
+        message: "A valid division is required",
+      });
+    }
+
+    const divisionDoc = await Division.findById(division);
+    const officer = divisionDoc
+      ? divisionDoc.officers.find((o) => o._id.toString() === officerId)
+      : null;
+
+    if (!officer) {
+      return res.status(404).json({
+        success: false,
+        message: "Officer not found",
+      });
+    }
+
+    const queries = await getOfficerQueue(divisionDoc._id, officer._id);
+
+    return res.status(200).json({
+      success: true,
+      officer: {
+        id: officer._id,
+        name: officer.name,
+        post: officer.post,
+        isActive: officer.isActive,
+        division: { id: divisionDoc._id, name: divisionDoc.name, code: divisionDoc.code },
+      },
+      count: queries.length,
+      data: queries.map(toReportListItem),
+    });
+  } catch (error) {
+    console.error("Error fetching officer queue:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Get every report about one vehicle, with counts by type and status
+exports.getVehicleHistory = async (req, res) => {
+  try {
+    const vehicleNumber = normalizeVehicleNumber(req.params.number);
+
+    if (!vehicleNumber) {
+      return res.status(400).json({
+        success: false,
+        message: "Invalid vehicle number",
+      });
+    }
+
+    const filter = { vehicle_number: vehicleNumber };
+
+    // Division admins only see their own division's reports
+    if (req.user && req.user.role === "division_admin" && req.user.divisionId) {
+      filter.division = new mongoose.Types.ObjectId(req.user.divisionId);
+      filter.query_type = { $nin: ["Road Damage", "Suggestion"] };
+    }
+
+    const queries = await Query.find(filter)
+      .populate("division", "name code")
+      .sort({ timestamp: -1 });
+
+    const countBy = (field) =>
+      queries.reduce((counts, query) => {
+        counts[query[field]] = (counts[query[field]] || 0) + 1;
+        return counts;
+      }, {});
+
+    return res.status(200).json({
+      success: true,
+      vehicle_number: vehicleNumber,
+      display_number: formatVehicleNumber(vehicleNumber),
+      count: queries.length,
+      repeat_offender: queries.length >= REPEAT_OFFENDER_MIN_REPORTS,
+      counts: {
+        by_type: countBy("query_type"),
+        by_status: countBy("status"),
+      },
+      first_reported_at: queries.length > 0 ? queries[queries.length - 1].timestamp : null,
+      last_reported_at: queries.length > 0 ? queries[0].timestamp : null,
+      data: queries.map(toReportListItem),
+    });
+  } catch (error) {
+    console.error("Error fetching vehicle history:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Get the vehicles reported most often, optionally only in the last ?days
+exports.getRepeatOffenders = async (req, res) => {
+  try {
+    const { days, min_reports, limit = 50 } = req.query;
+    const minReports = parseInt(min_reports) || REPEAT_OFFENDER_MIN_REPORTS;
+
+    const match = { vehicle_number: { $nin: [null, ""] } };
+
+    if (days) {
+      match.timestamp = { $gte: new Date(Date.now() - parseInt(days) * 24 * 60 * 60 * 1000) };
+    }
+
+    // Division admins only see their own division's reports
+    if (req.user && req.user.role === "division_admin" && req.user.divisionId) {
+      match.division = new mongoose.Types.ObjectId(req.user.divisionId);
+      match.query_type = { $nin: ["Road Damage", "Suggestion"] };
+    }
+
+    const vehicles = await Query.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: "$vehicle_number",
+          count: { $sum: 1 },
+          types: { $addToSet: "$query_type" },
+          divisions: { $addToSet: "$divisionName" },
+          first_reported_at: { $min: "$timestamp" },
+          last_reported_at: { $max: "$timestamp" },
+        },
+      },
+      { $match: { count: { $gte: minReports } } },
+      { $sort: { count: -1, last_reported_at: -1 } },
+      { $limit: parseInt(limit) },
+    ]);
+
+    return res.status(200).json({
+      success: true,
+      min_reports: minReports,
+      count: vehicles.length,
+      data: vehicles.map(({ _id, ...vehicle }) => ({
+        vehicle_number: _id,
+        display_number: formatVehicleNumber(_id),
+        ...vehicle,
+      })),
+    });
+  } catch (error) {
+    console.error("Error fetching repeat offenders:", error);
     return res.status(500).json({
       success: false,
       message: "Internal server error",
@@ -373,7 +631,7 @@ exports.getQueriesByType = async (req, res) => {
       total: totalQueries,
       totalPages: Math.ceil(totalQueries / limit),
       currentPage: parseInt(page),
-      data: queries,
+      data: queries.map(toReportListItem),
     });
   } catch (error) {
     console.error("Error fetching queries by type:", error);
@@ -387,6 +645,50 @@ exports.getQueriesByType = async (req, res) => {
 
 // Get query statistics
 
+// Reveal who sent an anonymous query. Every reveal is logged with the
+// reason given, see GET /api/moderation/reveals.
+exports.revealReporter = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, revealed_by } = req.body;
+
+    if (!reason || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "A reason is required to reveal the reporter",
+      });
+    }
+
+    const result = await revealReporter(id, {
+      reason: reason.trim(),
+      revealedBy: revealed_by,
+      role: req.user && req.user.role,
+      ipAddress: req.headers["x-forwarded-for"] || req.connection.remoteAddress,
+      userAgent: req.headers["user-agent"],
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: "Query not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result.reporter,
+      reveal: result.reveal,
+    });
+  } catch (error) {
+    console.error("Error revealing reporter:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
 // Delete a query (admin feature)
 exports.deleteQuery = async (req, res) => {
   try {
@@ -460,10 +762,10 @@ exports.notifyDepartmentByEmail = async (req, res) => {
       });
     }
 
-    // Generate subject based on query type and ID
+    // Generate subject based on query type and reference
     const subject = `Traffic Buddy: ${
       query.query_type
-    } Report - Ref #${query._id.toString().slice(-6)}`;
+    } Report - Ref ${getReportReference(query)}`;
 
     // Send email to each recipient
     for (const email of emailList) {
@@ -533,24 +835,22 @@ exports.broadcastMessage = async (req, res) => {
       });
     }
 
-    // Get all active sessions
+    // Get all active sessions, leaving out numbers that opted out
     const activeSessions = await Session.find({ active: true });
+    const { recipients, skipped } = await filterBroadcastRecipients(
+      activeSessions.map((session) => session.user_id)
+    );
 
-    // Send message to each active session
-    activeSessions.forEach(async (session) => {
-      try {
-        // Send the message
-        const messageSent = await sendWhatsAppMessage(session.user_id, message);
-        console.log("WhatsApp message sent successfully:", messageSent.sid);
-      } catch (error) {
-        console.error("Error sending WhatsApp message:", error);
-        // Don't fail the request if notification fails
-      }
-    });
+    // Queue the message for each active session
+    for (const userId of recipients) {
+      await queueMessage(userId, message, { purpose: "broadcast" });
+    }
 
     return res.status(200).json({
       success: true,
       message: "Message broadcast successfully",
+      recipients: recipients.length,
+      skippedOptedOut: skipped,
     });
   } catch (error) {
     console.error("Error broadcasting message:", error);
@@ -574,27 +874,25 @@ exports.broadcastMessageToVolunteers = async (req, res) => {
       });
     }
 
-    // Get all active sessions in the area
+    // Get all active sessions in the area, leaving out numbers that opted out
     const activeSessions = await Session.find({
       active: true,
       "location.area": area,
     });
+    const { recipients, skipped } = await filterBroadcastRecipients(
+      activeSessions.map((session) => session.user_id)
+    );
 
-    // Send message to each active session
-    activeSessions.forEach(async (session) => {
-      try {
-        // Send the message
-        const messageSent = await sendWhatsAppMessage(session.user_id, message);
-        console.log("WhatsApp message sent successfully:", messageSent.sid);
-      } catch (error) {
-        console.error("Error sending WhatsApp message:", error);
-        // Don't fail the request if notification fails
-      }
-    });
+    // Queue the message for each active session
+    for (const userId of recipients) {
+      await queueMessage(userId, message, { purpose: "broadcast" });
+    }
 
     return res.status(200).json({
       success: true,
       message: "Message broadcast successfully",
+      recipients: recipients.length,
+      skippedOptedOut: skipped,
     });
   } catch (error) {
     console.error("Error broadcasting message:", error);
@@ -625,20 +923,27 @@ exports.broadcastMessageByOptions = async (req, res) => {
 
     const sentUsers = new Set(); // To track users who have already received the message
 
+    // Numbers that sent STOP don't receive broadcasts, whichever group they are in
+    const optedOut = await getOptedOutNumbers();
+    const skippedUsers = new Set();
+    const hasOptedOut = (number) => {
+      if (optedOut.has(normalizeUserId(number))) {
+        skippedUsers.add(number);
+        return true;
+      }
+      return false;
+    };
+
     if (users) {
       const allUsers = await Query.distinct("user_id");
       for (const user of allUsers) {
-        if (!sentUsers.has(user)) {
+        if (!sentUsers.has(user) && !hasOptedOut(user)) {
           try {
-            console.log(`Sending message to user ${user}`);
-            const messageSent = await sendWhatsAppMessage(user, message);
-            console.log(
-              `WhatsApp message sent successfully to user ${user}:`,
-              messageSent.sid
-            );
+            console.log(`Queueing message for user ${user}`);
+            await queueMessage(user, message, { purpose: "broadcast" });
             sentUsers.add(user); // Mark user as messaged
           } catch (error) {
-            console.error("Error sending WhatsApp message:", error);
+            console.error("Error queueing WhatsApp message:", error);
           }
         }
       }
@@ -648,19 +953,14 @@ exports.broadcastMessageByOptions = async (req, res) => {
     if (volunteers) {
       const allVolunteers = await TeamApplication.find({ status: "Approved" });
       for (const volunteer of allVolunteers) {
-        if (!sentUsers.has(volunteer.user_id)) {
+        if (!sentUsers.has(volunteer.user_id) && !hasOptedOut(volunteer.user_id)) {
           try {
-            const messageSent = await sendWhatsAppMessage(
-              volunteer.user_id,
-              message
-            );
-            console.log(
-              `WhatsApp message sent successfully to volunteer ${volunteer.user_id}:`,
-              messageSent.sid
-            );
+            await queueMessage(volunteer.user_id, message, {
+              purpose: "broadcast",
+            });
             sentUsers.add(volunteer.user_id); // Mark volunteer as messaged
           } catch (error) {
-            console.error("Error sending WhatsApp message:", error);
+            console.error("Error queueing WhatsApp message:", error);
           }
         }
       }
@@ -677,35 +977,32 @@ exports.broadcastMessageByOptions = async (req, res) => {
               if (!officer.isActive) {
                 continue;
               }
-              if (!sentUsers.has(officer.phone)) {
-                const messageSentPri = await sendWhatsAppMessage(
-                  officer.phone,
-                  message
-                );
+              if (!sentUsers.has(officer.phone) && !hasOptedOut(officer.phone)) {
+                await queueMessage(officer.phone, message, {
+                  purpose: "broadcast",
+                });
                 console.log(
-                  `WhatsApp message sent successfully to officer ${officer.name} (primary):`,
-                  messageSentPri.sid
+                  `Message queued for officer ${officer.name} (primary)`
                 );
                 sentUsers.add(officer.phone); // Mark officer's primary phone as messaged
               }
               if (
                 officer.alternate_phone &&
-                !sentUsers.has(officer.alternate_phone)
+                !sentUsers.has(officer.alternate_phone) &&
+                !hasOptedOut(officer.alternate_phone)
               ) {
-                const messageSentSec = await sendWhatsAppMessage(
-                  officer.alternate_phone,
-                  message
-                );
+                await queueMessage(officer.alternate_phone, message, {
+                  purpose: "broadcast",
+                });
                 console.log(
-                  `WhatsApp message sent successfully to officer ${officer.name} (secondary):`,
-                  messageSentSec.sid
+                  `Message queued for officer ${officer.name} (secondary)`
                 );
                 sentUsers.add(officer.alternate_phone); // Mark officer's alternate phone as messaged
               }
             }
           }
         } catch (error) {
-          console.error("Error sending WhatsApp message:", error);
+          console.error("Error queueing WhatsApp message:", error);
         }
       }
     }
@@ -714,6 +1011,8 @@ exports.broadcastMessageByOptions = async (req, res) => {
       success: true,
       message:
         "Message broadcast successfully to all specified users, volunteers, and divisions",
+      recipients: sentUsers.size,
+      skippedOptedOut: skippedUsers.size,
     });
   } catch (error) {
     console.error("Error broadcasting message:", error);
@@ -831,7 +1130,7 @@ exports.getQueriesByDivision = async (req, res) => {
     return res.status(200).json({
       success: true,
       count: queries.length,
-      data: queries,
+      data: queries.map(toReportListItem),
     });
   } catch (error) {
     console.error("Error fetching queries by time filter:", error);
@@ -910,7 +1209,7 @@ exports.getqueriesbytimefilter = async (req, res) => {
         start: startDate,
         end: endDate,
       },
-      data: queries,
+      data: queries.map(toReportListItem),
     });
   } catch (error) {
     console.error("Error fetching queries by time filter:", error);
@@ -973,6 +1272,20 @@ exports.getStatsByDivision = async (req, res) => {
       ...filter,
       status: "Rejected",
     });
+    const appealed = await Query.countDocuments({
+      ...filter,
+      status: "Appealed",
+    });
+
+    // Get appeal outcomes
+    const appealsUpheld = await Query.countDocuments({
+      ...filter,
+      "appeal.outcome": "Upheld",
+    });
+    const appealsOverturned = await Query.countDocuments({
+      ...filter,
+      "appeal.outcome": "Overturned",
+    });
 
     // Get counts for each query type
     const trafficViolation = await Query.countDocuments({
@@ -1047,8 +1360,14 @@ exports.getStatsByDivision = async (req, res) => {
     return res.status(200).json({
       success: true,
       stats: {
-        total: pending + inProgress + resolved + rejected,
-        byStatus: { pending, inProgress, resolved, rejected },
+        total: pending + inProgress + resolved + rejected + appealed,
+        byStatus: { pending, inProgress, resolved, rejected, appealed },
+        appeals: {
+          total: appealed + appealsUpheld + appealsOverturned,
+          pending: appealed,
+          upheld: appealsUpheld,
+          overturned: appealsOverturned,
+        },
         byType: {
           trafficViolation,
           trafficCongestion,
@@ -1107,6 +1426,20 @@ exports.getQueryStatistics = async (req, res) => {
       ...filter,
       status: "Rejected",
     });
+    const appealed = await Query.countDocuments({
+      ...filter,
+      status: "Appealed",
+    });
+
+    // Get appeal outcomes
+    const appealsUpheld = await Query.countDocuments({
+      ...filter,
+      "appeal.outcome": "Upheld",
+    });
+    const appealsOverturned = await Query.countDocuments({
+      ...filter,
+      "appeal.outcome": "Overturned",
+    });
 
     // Get counts for each query type
     const trafficViolation = await Query.countDocuments({
@@ -1181,8 +1514,14 @@ exports.getQueryStatistics = async (req, res) => {
     return res.status(200).json({
       success: true,
       stats: {
-        total: pending + inProgress + resolved + rejected,
-        byStatus: { pending, inProgress, resolved, rejected },
+        total: pending + inProgress + resolved + rejected + appealed,
+        byStatus: { pending, inProgress, resolved, rejected, appealed },
+        appeals: {
+          total: appealed + appealsUpheld + appealsOverturned,
+          pending: appealed,
+          upheld: appealsUpheld,
+          overturned: appealsOverturned,
+        },
         byType: {
           trafficViolation,
           trafficCongestion,
@@ -1240,9 +1579,23 @@ exports.getStatisticsByDivision = async (req, res) => {
           ...filter,
           status: "Rejected",
         });
+        const appealed = await Query.countDocuments({
+          ...filter,
+          status: "Appealed",
+        });
+
+        // Get appeal outcomes, an overturned appeal means the division's rejection was wrong
+        const appealsUpheld = await Query.countDocuments({
+          ...filter,
+          "appeal.outcome": "Upheld",
+        });
+        const appealsOverturned = await Query.countDocuments({
+          ...filter,
+          "appeal.outcome": "Overturned",
+        });
 
         // Get total for this division
-        const total = pending + inProgress + resolved + rejected;
+        const total = pending + inProgress + resolved + rejected + appealed;
 
         // Get resolution rate
         const resolutionRate =
@@ -1255,7 +1608,12 @@ exports.getStatisticsByDivision = async (req, res) => {
             code: division.code,
           },
           total,
-          byStatus: { pending, inProgress, resolved, rejected },
+          byStatus: { pending, inProgress, resolved, rejected, appealed },
+          appeals: {
+            pending: appealed,
+            upheld: appealsUpheld,
+            overturned: appealsOverturned,
+          },
           resolutionRate,
         };
       })
@@ -1273,4 +1631,146 @@ exports.getStatisticsByDivision = async (req, res) => {
       error: error.message,
     });
   }
-};
\ No newline at end of file
+};
+
+// Appeal a rejected query on behalf of the citizen, e.g. after a phone call
+exports.appealQuery = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { text } = req.body;
+
+    if (!text) {
+      return res.status(400).json({
+        success: false,
+        message: "Appeal text is required",
+      });
+    }
+
+    // Citizens calling in usually quote the reference
+    const query = await findReportByIdOrReference(id);
+
+    if (!query) {
+      return res.status(404).json({
+        success: false,
+        message: "Query not found",
+      });
+    }
+
+    if (!canAppeal(query)) {
+      return res.status(400).json({
+        success: false,
+        message: `Only rejected queries can be appealed, once, within ${APPEAL_WINDOW_DAYS} days`,
+      });
+    }
+
+    // Upload any extra photos sent with the appeal
+    const photoUrls = [];
+    for (const file of req.files || []) {
+      photoUrls.push(await uploadImageToR2(file));
+    }
+
+    await submitAppeal(query, { text, photoUrls, via: "dashboard" });
+
+    return res.status(200).json({
+      success: true,
+      message: "Appeal submitted",
+      data: query,
+    });
+  } catch (error) {
+    console.error("Error submitting appeal:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Get queries under appeal, or already decided ones with ?decided=true
+exports.getAppeals = async (req, res) => {
+  try {
+    const { page = 1, limit = 10, decided } = req.query;
+    const skip = (page - 1) * limit;
+
+    const filter =
+      decided === "true"
+        ? { "appeal.outcome": { $in: APPEAL_OUTCOMES } }
+        : { status: "Appealed" };
+
+    const total = await Query.countDocuments(filter);
+    const appeals = await Query.find(filter)
+      .populate("division", "name code")
+      .sort({ "appeal.submitted_at": -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    return res.status(200).json({
+      success: true,
+      count: appeals.length,
+      total,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      data: appeals.map(toReportListItem),
+    });
+  } catch (error) {
+    console.error("Error fetching appeals:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Decide an appeal: uphold the rejection or send the query back to the division
+exports.decideAppeal = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { outcome, note, decided_by } = req.body;
+
+    if (!APPEAL_OUTCOMES.includes(outcome)) {
+      return res.status(400).json({
+        success: false,
+        message: `Outcome must be one of: ${APPEAL_OUTCOMES.join(", ")}`,
+      });
+    }
+
+    if (!decided_by) {
+      return res.status(400).json({
+        success: false,
+        message: "Name of the person deciding the appeal is required",
+      });
+    }
+
+    const query = await Query.findById(id);
+
+    if (!query) {
+      return res.status(404).json({
+        success: false,
+        message: "Query not found",
+      });
+    }
+
+    if (query.status !== "Appealed") {
+      return res.status(400).json({
+        success: false,
+        message: "This query is not under appeal",
+      });
+    }
+
+    await decideAppeal(query, { outcome, note, decidedBy: decided_by });
+
+    return res.status(200).json({
+      success: true,
+      message: `Appeal ${outcome.toLowerCase()}`,
+      data: query,
+    });
+  } catch (error) {
+    console.error("Error deciding appeal:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
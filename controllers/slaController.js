@@ -0,0 +1,237 @@
+const SlaPolicy = require("../models/SlaPolicy");
+const Holiday = require("../models/Holiday");
+const { Division } = require("../models/Division");
+const mongoose = require("mongoose");
+const {
+  DEFAULT_ACKNOWLEDGE_HOURS,
+  DEFAULT_RESOLVE_HOURS,
+  DEFAULT_SKIP_HOLIDAYS,
+  EXEMPT_TYPES,
+} = require("../services/sla");
+
+/**
+ * Check a number of hours from the request
+ * @param {*} value - Hours from the request
+ * @returns {number|null} - Hours, or null when invalid
+ */
+const parseHours = (value) => {
+  const hours = Number(value);
+  return value !== undefined && value !== null && value !== "" && isFinite(hours) && hours > 0
+    ? hours
+    : null;
+};
+
+// Get the SLA policies, with the defaults used for report types without one.
+// Division admins only see the policies that apply to their division.
+exports.getSlaPolicies = async (req, res) => {
+  try {
+    const filter = {};
+
+    if (req.user && req.user.role === "division_admin" && req.user.divisionId) {
+      filter.division = { $in: [new mongoose.Types.ObjectId(req.user.divisionId), null] };
+    } else if (req.query.division && mongoose.Types.ObjectId.isValid(req.query.division)) {
+      filter.division = new mongoose.Types.ObjectId(req.query.division);
+    }
+
+    const policies = await SlaPolicy.find(filter)
+      .populate("division", "name code")
+      .sort({ query_type: 1, division: 1 });
+
+    return res.status(200).json({
+      success: true,
+      defaults: {
+        acknowledge_hours: DEFAULT_ACKNOWLEDGE_HOURS,
+        resolve_hours: DEFAULT_RESOLVE_HOURS,
+        skip_holidays: DEFAULT_SKIP_HOLIDAYS,
+        exempt_types: EXEMPT_TYPES,
+      },
+      data: policies,
+    });
+  } catch (error) {
+    console.error("Error fetching SLA policies:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Set the targets for a report type, for every division or for one.
+// Reports already submitted keep the deadlines they were given.
+exports.saveSlaPolicy = async (req, res) => {
+  try {
+    const { query_type, division, acknowledge_hours, resolve_hours, skip_holidays, enabled } = req.body;
+
+    if (!query_type || typeof query_type !== "string" || !query_type.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "query_type is required",
+      });
+    }
+
+    const acknowledgeHours = parseHours(acknowledge_hours);
+    const resolveHours = parseHours(resolve_hours);
+    if (!acknowledgeHours || !resolveHours || acknowledgeHours > resolveHours) {
+      return res.status(400).json({
+        success: false,
+        message: "acknowledge_hours and resolve_hours must be positive, and acknowledge_hours no more than resolve_hours",
+      });
+    }
+
+    let divisionId = null;
+    if (division) {
+      const divisionDoc = mongoose.Types.ObjectId.isValid(division)
+        ? await Division.findById(division)
+        : await Division.findOne({ code: division });
+      if (!divisionDoc) {
+        return res.status(400).json({
+          success: false,
+          message: "Division not found",
+        });
+      }
+      divisionId = divisionDoc._id;
+    }
+
+    const policy = await SlaPolicy.findOneAndUpdate(
+      { query_type: query_type.trim(), division: divisionId },
+      {
+        acknowledge_hours: acknowledgeHours,
+        resolve_hours: resolveHours,
+        skip_holidays: skip_holidays === true || skip_holidays === "true",
+        enabled: enabled !== false && enabled !== "false",
+        updated_by: req.user.role,
+        updated_at: new Date(),
+      },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "SLA policy saved",
+      data: policy,
+    });
+  } catch (error) {
+    console.error("Error saving SLA policy:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Remove a policy, so its reports fall back to the report type's policy or
+// the defaults
+exports.deleteSlaPolicy = async (req, res) => {
+  try {
+    const policy = await SlaPolicy.findByIdAndDelete(req.params.id);
+
+    if (!policy) {
+      return res.status(404).json({
+        success: false,
+        message: "SLA policy not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "SLA policy deleted",
+    });
+  } catch (error) {
+    console.error("Error deleting SLA policy:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Get the holidays SLA clocks can skip, optionally only those in a year
+exports.getHolidays = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.year && /^\d{4}$/.test(req.query.year)) {
+      filter.date = { $regex: `^${req.query.year}-` };
+    }
+
+    const holidays = await Holiday.find(filter).sort({ date: 1 });
+
+    return res.status(200).json({
+      success: true,
+      count: holidays.length,
+      data: holidays,
+    });
+  } catch (error) {
+    console.error("Error fetching holidays:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Add a holiday. Only reports submitted afterwards have it left out of
+// their deadlines.
+exports.addHoliday = async (req, res) => {
+  try {
+    const { date, name } = req.body;
+
+    if (!date || !/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(new Date(date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: "date must be a day in the format YYYY-MM-DD",
+      });
+    }
+
+    if (await Holiday.exists({ date })) {
+      return res.status(409).json({
+        success: false,
+        message: "This day is already a holiday",
+      });
+    }
+
+    const holiday = await Holiday.create({ date, name });
+
+    return res.status(201).json({
+      success: true,
+      message: "Holiday added",
+      data: holiday,
+    });
+  } catch (error) {
+    console.error("Error adding holiday:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
+
+// Remove a holiday
+exports.deleteHoliday = async (req, res) => {
+  try {
+    const holiday = await Holiday.findByIdAndDelete(req.params.id);
+
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: "Holiday not found",
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Holiday deleted",
+    });
+  } catch (error) {
+    console.error("Error deleting holiday:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Internal server error",
+      error: error.message,
+    });
+  }
+};
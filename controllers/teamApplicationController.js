@@ -1,7 +1,7 @@
 const TeamApplication = require('../models/TeamApplication');
 const Session = require('../models/Session');
 const { uploadImageToR2 } = require('../utils/imageupload');
-const { sendWhatsAppMessage } = require('../utils/whatsapp');
+const { queueMessage } = require('../services/outbox');
 const { getText } = require('../utils/language');
 const { Division } = require('../models/Division'); 
 const mongoose = require('mongoose'); 
@@ -32,7 +32,7 @@ exports.createApplicationSession = async (req, res) => {
     const formUrl = `${process.env.SERVER_URL}/join-team.html?userId=${encodeURIComponent(userId)}&sessionId=${sessionId}`;
     
     // Send WhatsApp message with form link
-    await sendWhatsAppMessage(
+    await queueMessage(
       userId,
       getText('JOIN_FORM_LINK', language, formUrl)
     );
@@ -146,7 +146,7 @@ exports.submitApplication = async (req, res) => {
     await application.save();
     
     // Send confirmation message via WhatsApp
-    await sendWhatsAppMessage(
+    await queueMessage(
       userId,
       getText('JOIN_APPLICATION_RECEIVED', userSession.language || 'en', fullName)
     );
@@ -351,7 +351,7 @@ exports.updateApplicationStatus = async (req, res) => {
     const userSession = await Session.findOne({ user_id: application.user_id });
     const language = userSession?.language || 'en';
     
-    await sendWhatsAppMessage(
+    await queueMessage(
       application.user_id,
       getText(`TEAM_APPLICATION_${status.toUpperCase()}`, language, application.full_name, verification_notes || '')
     );
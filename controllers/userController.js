@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { Division } = require('../models/Division');
+const { clearOfficerDirectory } = require('../services/officerCommands');
 
 // GET /current-officer
 // This function retrieves the current officers of all divisions.
@@ -93,6 +94,7 @@ exports.updateOfficer = async (req, res) => {
     if (post) officer.post = post;
     
     await division.save();
+    clearOfficerDirectory();
     res.status(200).json({ success: true, message: 'Officer updated successfully' });
   } catch (err) {
     console.error(err);
@@ -136,6 +138,7 @@ exports.assignOfficer = async (req, res) => {
     });
 
     await division.save();
+    clearOfficerDirectory();
     res.status(200).json({ success: true, message: 'Officer assigned successfully' });
   } catch (err) {
     console.error(err);
@@ -161,6 +164,7 @@ exports.unassignOfficer = async (req, res) => {
     currentOfficer.status = 'relieved';
 
     await division.save();
+    clearOfficerDirectory();
     res.status(200).json({ success: true, message: 'Officer unassigned successfully' });
   } catch (err) {
     console.error(err);
@@ -0,0 +1,78 @@
+const twilio = require('twilio');
+const ProcessedMessage = require('../models/ProcessedMessage');
+
+const EMPTY_TWIML = '<?xml version="1.0" encoding="UTF-8"?><Response></Response>';
+
+/**
+ * Public URL Twilio used to call us, which the signature is computed over.
+ * SERVER_URL is preferred because behind a proxy the request's own protocol
+ * and host are not the ones Twilio saw.
+ */
+function getWebhookUrl(req) {
+  const baseUrl = process.env.SERVER_URL || `${req.protocol}://${req.get('host')}`;
+  return baseUrl.replace(/\/$/, '') + req.originalUrl;
+}
+
+/**
+ * Middleware to reject requests that were not signed by Twilio.
+ * Set TWILIO_SIGNATURE_VALIDATION=false to skip the check during local development.
+ */
+function verifyTwilioSignature(req, res, next) {
+  if (process.env.TWILIO_SIGNATURE_VALIDATION === 'false') {
+    return next();
+  }
+
+  const signature = req.get('X-Twilio-Signature');
+  const authToken = process.env.TWILIO_AUTH_TOKEN;
+
+  if (!signature || !authToken ||
+      !twilio.validateRequest(authToken, signature, getWebhookUrl(req), req.body || {})) {
+    console.warn(`Rejected unsigned Twilio webhook request to ${req.originalUrl}`);
+    return res.status(403).type('text/xml').send(EMPTY_TWIML);
+  }
+
+  next();
+}
+
+/**
+ * Middleware to acknowledge inbound messages that were already processed
+ * without handling them again. The MessageSid is claimed before processing;
+ * call releaseMessage if processing fails so a redelivery is handled.
+ */
+async function ignoreDuplicateMessages(req, res, next) {
+  const messageSid = req.body && req.body.MessageSid;
+  if (!messageSid) {
+    return next();
+  }
+
+  try {
+    await ProcessedMessage.create({ messageSid, from: req.body.From });
+    next();
+  } catch (error) {
+    if (error.code === 11000) {
+      console.log(`Ignoring duplicate delivery of message ${messageSid}`);
+      return res.status(200).type('text/xml').send(EMPTY_TWIML);
+    }
+    next(error);
+  }
+}
+
+/**
+ * Forget a claimed MessageSid so the message can be processed again
+ * @param {string} messageSid - Twilio message SID
+ */
+async function releaseMessage(messageSid) {
+  if (!messageSid) return;
+
+  try {
+    await ProcessedMessage.deleteOne({ messageSid });
+  } catch (error) {
+    console.error(`Error releasing message ${messageSid}:`, error);
+  }
+}
+
+module.exports = {
+  verifyTwilioSignature,
+  ignoreDuplicateMessages,
+  releaseMessage
+};
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Notice about a road closure, diversion or event, e.g. a Palkhi procession
+// or metro work, sent to citizens who follow the affected area. It covers
+// an area drawn on the map, a whole division, or both.
+const advisorySchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true
+  },
+  text: {
+    type: Map,
+    of: String
+  }, // Message per language code, e.g. { en: '...', mr: '...' }
+  area: {
+    type: { type: String, default: 'Polygon' },
+    coordinates: [[[Number]]] // GeoJSON polygon, like Division.boundaries
+  },
+  division: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Division'
+  },
+  divisionName: String,
+  valid_from: {
+    type: Date,
+    required: true
+  },
+  valid_until: {
+    type: Date,
+    required: true
+  },
+  created_by: String, // Name given by the admin
+  role: String,
+  created_at: {
+    type: Date,
+    default: Date.now
+  },
+  cancelled_at: Date,
+  delivered_at: Date, // When it was sent to its followers
+  delivered_count: Number
+});
+
+advisorySchema.index({ valid_until: 1, valid_from: 1 });
+
+module.exports = mongoose.model('Advisory', advisorySchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// A citizen following advisories for a division, or for a saved location
+// such as their home or office
+const advisorySubscriptionSchema = new mongoose.Schema({
+  user_id: {
+    type: String,
+    required: true,
+    index: true
+  }, // Normalized 'whatsapp:+91...' number
+  kind: {
+    type: String,
+    enum: ['division', 'location'],
+    required: true
+  },
+  division: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Division'
+  }, // Followed division, or the division the location is in
+  divisionName: String,
+  location: {
+    latitude: Number,
+    longitude: Number,
+    address: String
+  },
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+advisorySubscriptionSchema.index({ division: 1 });
+
+module.exports = mongoose.model('AdvisorySubscription', advisorySubscriptionSchema);
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// A photo, voice note or video sent with a report, stored in R2
+const attachmentSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    enum: ['image', 'audio', 'video'],
+    required: true
+  },
+  url: {
+    type: String,
+    required: true
+  },
+  thumbnail_url: String, // Small copy of a photo for dashboard lists
+  content_type: String,
+  size: Number, // Bytes
+  uploaded_at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+module.exports = { attachmentSchema };
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Numbers that may not use the WhatsApp bot, managed by the main admin.
+// Lifted and expired blocks are kept as history.
+const blockedUserSchema = new mongoose.Schema({
+  user_id: {
+    type: String,
+    required: true,
+    index: true
+  }, // Normalized 'whatsapp:+91...' number
+  reason: {
+    type: String,
+    required: true
+  },
+  blocked_by: String,
+  blocked_at: {
+    type: Date,
+    default: Date.now
+  },
+  expires_at: Date, // No expiry means blocked until lifted
+  lifted_at: Date,
+  lifted_by: String
+});
+
+module.exports = mongoose.model('BlockedUser', blockedUserSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// Whether a number agreed to receive broadcasts. Numbers without a record
+// haven't opted out. Replies about a citizen's own reports are not broadcasts
+// and are sent regardless.
+const consentSchema = new mongoose.Schema({
+  user_id: {
+    type: String,
+    required: true,
+    unique: true
+  }, // Normalized 'whatsapp:+91...' number
+  opted_in: {
+    type: Boolean,
+    default: true
+  },
+  source: String, // Where the latest change came from, e.g. 'whatsapp'
+  updated_at: {
+    type: Date,
+    default: Date.now
+  },
+  history: [{
+    opted_in: Boolean,
+    source: String,
+    keyword: String, // The message that changed the consent, if any
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+});
+
+module.exports = mongoose.model('Consent', consentSchema);
@@ -0,0 +1,32 @@
+const mongoose = require('mongoose');
+
+// One WhatsApp message, inbound or outbound, in a citizen's transcript
+const conversationSchema = new mongoose.Schema({
+  user_id: {
+    type: String,
+    required: true
+  }, // Normalized 'whatsapp:+91...' number of the citizen (or officer)
+  direction: {
+    type: String,
+    enum: ['inbound', 'outbound'],
+    required: true
+  },
+  body: String,
+  interactive: mongoose.Schema.Types.Mixed, // Outbound list and button messages
+  media_urls: [String],
+  state: String, // Session state when the message was received or sent
+  query: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Query'
+  },
+  message_sid: String,
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+conversationSchema.index({ user_id: 1, created_at: -1 });
+conversationSchema.index({ query: 1 });
+
+module.exports = mongoose.model('Conversation', conversationSchema);
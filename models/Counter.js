@@ -0,0 +1,12 @@
+const mongoose = require('mongoose');
+
+// Sequence numbers handed out one at a time, e.g. report references per year
+const counterSchema = new mongoose.Schema({
+  _id: String, // Sequence name, e.g. 'report-2026'
+  seq: {
+    type: Number,
+    default: 0
+  }
+});
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,18 @@
+const mongoose = require('mongoose');
+
+// Days SLA clocks can skip, e.g. public holidays
+const holidaySchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: true,
+    unique: true,
+    match: /^\d{4}-\d{2}-\d{2}$/
+  }, // Calendar day in Indian time, 'YYYY-MM-DD'
+  name: String,
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('Holiday', holidaySchema);
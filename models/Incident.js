@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Reports of the same problem at the same place, e.g. one failed signal
+// reported by many citizens. Officers are notified once per incident.
+const incidentSchema = new mongoose.Schema({
+  query_type: String,
+  division: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Division'
+  },
+  divisionName: String,
+  location: {
+    latitude: Number,
+    longitude: Number,
+    address: String
+  }, // Location of the first report
+  reports: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Query'
+  }],
+  report_count: { type: Number, default: 1 },
+  first_report: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Query'
+  }, // The report officers were notified about
+  first_reported_at: { type: Date, default: Date.now },
+  last_reported_at: { type: Date, default: Date.now },
+  status: { type: String, default: 'Pending' },
+  resolution_note: String,
+  resolved_at: Date,
+  resolved_by: {
+    name: String,
+    timestamp: Date
+  }
+});
+
+incidentSchema.index({ query_type: 1, division: 1, status: 1, last_reported_at: -1 });
+
+module.exports = mongoose.model('Incident', incidentSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// WhatsApp messages waiting to be sent, or already sent, by the outbox worker
+const outboundMessageSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
+  },
+  body: String, // Text messages
+  interactive: mongoose.Schema.Types.Mixed, // List and button messages from utils/interactive-messages.js
+  purpose: {
+    type: String,
+    default: 'reply'
+  }, // e.g. 'reply', 'report_update', 'officer_notification', 'broadcast', 'advisory', 'sla_escalation', 'assignment'
+  query: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Query'
+  }, // Report the message is about, if any
+  metadata: mongoose.Schema.Types.Mixed, // Purpose specific details, e.g. the officer notified
+  status_callback: String,
+  status: {
+    type: String,
+    enum: ['queued', 'sending', 'sent', 'failed'],
+    default: 'queued'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  next_attempt_at: {
+    type: Date,
+    default: Date.now
+  },
+  locked_at: Date,
+  last_error: String,
+  message_sid: String,
+  sent_at: Date,
+  failed_at: Date,
+  created_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+outboundMessageSchema.index({ status: 1, next_attempt_at: 1 });
+
+module.exports = mongoose.model('OutboundMessage', outboundMessageSchema);
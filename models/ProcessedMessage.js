@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Inbound WhatsApp messages that were already handled, so a message Twilio
+// delivers again is only processed once
+const processedMessageSchema = new mongoose.Schema({
+  messageSid: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  from: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: 7 * 24 * 60 * 60 // Twilio stops retrying long before a week
+  }
+});
+
+module.exports = mongoose.model('ProcessedMessage', processedMessageSchema);
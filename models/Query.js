@@ -1,10 +1,13 @@
 const mongoose = require('mongoose');
+const { attachmentSchema } = require('./Attachment');
 
 const querySchema = new mongoose.Schema({
+  reference: { type: String, unique: true, sparse: true }, // e.g. TB-2026-004512, see services/reportReferences.js
   user_id: String,
   user_name: String,
+  anonymous: { type: Boolean, default: false }, // Reporter identity hidden outside the bot, see REPORTER_FIELDS
   query_type: String,
-  vehicle_number: String,
+  vehicle_number: { type: String, index: true }, // Normalized, e.g. MH14AB1234, see utils/vehicleNumber
   name: String,
   email: String,
   phone: String,
@@ -15,21 +18,70 @@ const querySchema = new mongoose.Schema({
   },
   description: String,
   photo_url: String,
+  attachments: [attachmentSchema], // Photos, voice notes and videos, photo_url is the first photo
   status: { type: String, default: 'Pending' },
   timestamp: { type: Date, default: Date.now },
   resolution_note: String,
   resolved_at: Date,
   resolution_image_url: String, // New field for resolution proof images
+  resolution_attachments: [attachmentSchema], // Resolution proof photos, resolution_image_url is the first
   resolved_by: {
     name: String,
     timestamp: Date,
     ip_address: String
   }, // New field to track who resolved the query
+  // Every status change, oldest first, see services/reportStatus.js
+  status_history: [{
+    status: String,
+    previous_status: String,
+    actor: String, // Officer or admin name, 'Citizen' for the reporter
+    role: String, // e.g. 'main_admin', 'division_admin', 'officer', 'citizen', 'system'
+    source: {
+      type: String,
+      enum: ['dashboard', 'resolve_link', 'whatsapp', 'system']
+    },
+    note: String,
+    ip_address: String,
+    incident: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Incident'
+    }, // Set when the change was passed on from the report's incident
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   division: { 
     type: mongoose.Schema.Types.ObjectId, 
     ref: 'Division' 
   },
   divisionName: String, // For quick reference without joins
+  // Officer responsible for the report, one of its division's officers,
+  // see services/assignments.js
+  assigned_to: {
+    officer_id: { type: String, index: true }, // Division.officers _id
+    name: String,
+    phone: String
+  },
+  assigned_at: Date,
+  // Every assignment change, oldest first
+  assignment_history: [{
+    officer_id: String, // Empty when the report was unassigned
+    name: String,
+    previous_officer_id: String,
+    previous_name: String,
+    actor: String,
+    role: String,
+    note: String,
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  incident: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Incident'
+  }, // Other reports of the same problem nearby
   divisionNotified: { type: Boolean, default: false },
   divisionOfficersNotified: [{
     officer_id: String,
@@ -44,6 +96,71 @@ const querySchema = new mongoose.Schema({
     status_updated_at: Date,
     message_sid: String
   }],
+  // Deadlines to acknowledge and resolve the report, and the escalations
+  // sent as they passed, see services/sla.js
+  sla: {
+    acknowledge_by: Date,
+    resolve_by: Date,
+    acknowledged_at: Date, // When the report first left Pending
+    acknowledge_hours: Number,
+    resolve_hours: Number,
+    skip_holidays: Boolean,
+    stage: { type: String, enum: ['acknowledge', 'resolve'] }, // Deadline being escalated
+    escalation_level: { type: Number, default: 0 }, // 1 reminder, 2 next officer, 3 main admin
+    last_escalated_at: Date,
+    escalations: [{
+      stage: String,
+      level: Number,
+      notified: [{ name: String, phone: String }],
+      at: { type: Date, default: Date.now }
+    }]
+  },
+  // Citizen's rating of how the report was resolved
+  satisfaction: {
+    requested_at: Date,
+    rating: { type: Number, min: 1, max: 5 },
+    comment: String,
+    rated_at: Date,
+    officer_name: String, // Who had resolved the report when it was rated
+    flagged: { type: Boolean, default: false } // Low rating the division should look at
+  },
+  // Citizen's appeal against a rejection, decided by the main admin
+  appeal: {
+    text: String,
+    photo_urls: [String],
+    submitted_at: Date,
+    submitted_via: { type: String, enum: ['whatsapp', 'dashboard'] },
+    rejection_note: String, // Note the report was rejected with
+    rejected_by: String,
+    outcome: { type: String, enum: ['Upheld', 'Overturned'] },
+    decision_note: String,
+    decided_by: String,
+    decided_at: Date
+  },
+});
+
+// Fields that identify the citizen who sent a report
+const REPORTER_FIELDS = ['user_id', 'user_name', 'name', 'email', 'phone'];
+
+// Anonymous reports never leave the API with their reporter's identity. The
+// main admin can reveal it through services/reporterIdentity, which logs it.
+querySchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.anonymous) {
+      REPORTER_FIELDS.forEach(field => delete ret[field]);
+      ret.user_name = 'Anonymous';
+    }
+    return ret;
+  }
+});
+
+// Every new report gets the next reference of the year it was submitted in
+querySchema.pre('save', async function () {
+  if (this.isNew && !this.reference) {
+    // Required here because the references service uses this model
+    const { nextReportReference } = require('../services/reportReferences');
+    this.reference = await nextReportReference(this.timestamp);
+  }
 });
 
 module.exports = mongoose.model('Query', querySchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+const { attachmentSchema } = require('./Attachment');
+
+// A report being put together in chat, kept on the user's session so it can
+// be continued after the conversation times out or the capture link expires
+const reportDraftSchema = new mongoose.Schema({
+  option: String, // Main menu option picked, i.e. the report type
+  step: String, // Conversation state to pick the report up in
+  description: String,
+  photo_url: String, // First photo
+  attachments: [attachmentSchema],
+  location: {
+    latitude: Number,
+    longitude: Number,
+    address: String
+  },
+  started_at: {
+    type: Date,
+    default: Date.now
+  },
+  updated_at: {
+    type: Date,
+    default: Date.now
+  },
+  expires_at: Date // Discarded after this, see services/reportDrafts
+}, { _id: false });
+
+module.exports = { reportDraftSchema };
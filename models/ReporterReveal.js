@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Audit log of the main admin revealing who sent an anonymous report
+const reporterRevealSchema = new mongoose.Schema({
+  query: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Query',
+    required: true,
+    index: true
+  },
+  reason: {
+    type: String,
+    required: true
+  },
+  revealed_by: String, // Name given by the admin, the main admin login is shared
+  role: String,
+  ip_address: String,
+  user_agent: String,
+  revealed_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = mongoose.model('ReporterReveal', reporterRevealSchema);
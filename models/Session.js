@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { reportDraftSchema } = require('./ReportDraft');
 
 const sessionSchema = new mongoose.Schema({
   user_id: String,
@@ -6,7 +7,21 @@ const sessionSchema = new mongoose.Schema({
   last_option: String,
   language: { type: String, default: 'en' },
   last_interaction: { type: Date, default: Date.now },
-  user_name: String
+  user_name: String,
+  // Report being put together in chat, cleared once it is submitted,
+  // discarded or expired
+  draft: reportDraftSchema,
+  // Resolved report the user was asked to rate
+  pending_rating_query: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Query'
+  },
+  // Rejected report the user is writing an appeal for, and the photos sent so far
+  appeal_query: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Query'
+  },
+  appeal_photo_urls: [String]
 });
 
 module.exports = mongoose.model('Session', sessionSchema);
\ No newline at end of file
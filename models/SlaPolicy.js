@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+
+// How quickly reports of one type must be acknowledged and resolved, for
+// every division or, when division is set, for one division only. Report
+// types without a policy use the defaults in services/sla.js.
+const slaPolicySchema = new mongoose.Schema({
+  query_type: {
+    type: String,
+    required: true
+  },
+  division: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Division',
+    default: null
+  },
+  acknowledge_hours: {
+    type: Number,
+    min: 0,
+    required: true
+  }, // Time until the report must leave Pending
+  resolve_hours: {
+    type: Number,
+    min: 0,
+    required: true
+  }, // Time until it must be resolved or rejected
+  enabled: {
+    type: Boolean,
+    default: true
+  }, // False to hold reports like these to no targets at all
+  skip_holidays: {
+    type: Boolean,
+    default: false
+  }, // Whether the clock stops on the days in the Holiday collection
+  updated_by: String,
+  updated_at: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+slaPolicySchema.index({ query_type: 1, division: 1 }, { unique: true });
+
+module.exports = mongoose.model('SlaPolicy', slaPolicySchema);
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// How often a citizen did something in the current rate limit window
+const usageCounterSchema = new mongoose.Schema({
+  user_id: {
+    type: String,
+    required: true
+  },
+  kind: {
+    type: String,
+    enum: ['message', 'report', 'capture_link'],
+    required: true
+  },
+  window_start: {
+    type: Date,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  throttled_at: Date, // First time the limit was exceeded in this window
+  expires_at: {
+    type: Date,
+    required: true
+  }
+});
+
+usageCounterSchema.index({ user_id: 1, kind: 1, window_start: 1 }, { unique: true });
+
+// Remove counters once their window is over
+usageCounterSchema.index({ expires_at: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('UsageCounter', usageCounterSchema);
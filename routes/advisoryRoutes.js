@@ -0,0 +1,25 @@
+const express = require("express");
+const router = express.Router();
+const advisoryController = require("../controllers/advisoryController");
+const { authMiddleware } = require("../services/authService");
+
+// Apply auth middleware to all advisory routes. Division admins only see
+// and publish advisories for their own division.
+router.use(authMiddleware);
+
+// Get advisories, optionally only active, upcoming, expired or cancelled ones
+router.get("/", advisoryController.getAdvisories);
+
+// Publish an advisory, which is sent to its followers once it becomes valid
+router.post("/", advisoryController.createAdvisory);
+
+// Get one advisory
+router.get("/:id([0-9a-fA-F]{24})", advisoryController.getAdvisoryById);
+
+// Correct an advisory or change how long it is valid
+router.put("/:id([0-9a-fA-F]{24})", advisoryController.updateAdvisory);
+
+// Withdraw an advisory
+router.post("/:id([0-9a-fA-F]{24})/cancel", advisoryController.cancelAdvisory);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+const conversationController = require("../controllers/conversationController");
+const { authMiddleware } = require("../services/authService");
+
+// Apply auth middleware to all transcript routes
+router.use(authMiddleware);
+
+// A citizen's messages, paged
+router.get("/user/:userId", conversationController.getUserTranscript);
+
+// The conversation around a report
+router.get("/query/:id", conversationController.getReportConversation);
+
+module.exports = router;
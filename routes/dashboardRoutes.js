@@ -23,4 +23,13 @@ router.get('/division-performance', dashboardController.getDivisionPerformance);
 
 router.get('/average-resolution-time', dashboardController.getAverageResolutionTimeByDivisionAndType);
 
+// Get resolution and citizen satisfaction metrics per officer
+router.get('/officer-performance', dashboardController.getOfficerPerformance);
+
+// Get met, breached and at risk SLA counts per division
+router.get('/sla', dashboardController.getSlaPerformance);
+
+// Get open queries per officer and unassigned queries per division
+router.get('/work-queues', dashboardController.getWorkQueues);
+
 module.exports = router;
@@ -0,0 +1,18 @@
+const express = require("express");
+const router = express.Router();
+const incidentController = require("../controllers/incidentController");
+const { authMiddleware } = require("../services/authService");
+
+// Apply auth middleware to all incident routes
+router.use(authMiddleware);
+
+// Get incidents with their report counts
+router.get("/", incidentController.getAllIncidents);
+
+// Get an incident with its reports
+router.get("/:id([0-9a-fA-F]{24})", incidentController.getIncidentById);
+
+// Update an incident, which updates and notifies every linked reporter
+router.put("/:id/status", incidentController.updateIncidentStatus);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+const moderationController = require("../controllers/moderationController");
+const { authMiddleware, mainAdminOnly } = require("../services/authService");
+
+// Moderation of WhatsApp users is for main admins only
+router.use(authMiddleware);
+router.use(mainAdminOnly);
+
+// Numbers currently blocked
+router.get("/blocked", moderationController.getBlockedUsers);
+
+// Block a number, with a reason and an optional expiry
+router.post("/blocked", moderationController.blockUser);
+
+// Lift a block
+router.put("/blocked/:id/lift", moderationController.liftBlock);
+
+// Numbers over one of their rate limits
+router.get("/throttled", moderationController.getThrottledUsers);
+
+// Broadcast consent of each number, with its history
+router.get("/consent", moderationController.getConsentRecords);
+
+// Reporters of anonymous reports revealed by the main admin
+router.get("/reveals", moderationController.getReporterReveals);
+
+module.exports = router;
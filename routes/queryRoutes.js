@@ -1,8 +1,20 @@
 const express = require("express");
+const multer = require("multer");
 const router = express.Router();
 const queryController = require("../controllers/queryController");
 const { sendWhatsAppMessage } = require("../utils/whatsapp");
 const { authMiddleware, mainAdminOnly } = require("../services/authService");
+const { MEDIA_MAX_PER_REPORT } = require("../utils/media");
+
+// Configure multer for appeal and resolution photos
+const upload = multer({ storage: multer.memoryStorage() });
+
+// Resolution photos come as 'images', or one photo as 'image', like on the
+// resolve page
+const resolutionPhotoFields = upload.fields([
+  { name: "image", maxCount: 1 },
+  { name: "images", maxCount: MEDIA_MAX_PER_REPORT },
+]);
 
 // Apply auth middleware to all query routes
 router.use(authMiddleware);
@@ -25,14 +37,40 @@ router.get("/division-statistics", queryController.getStatisticsByDivision);
 // IMPORTANT: Use path parameter pattern with hyphens to avoid confusion with IDs
 router.get("/time-filter", queryController.getqueriesbytimefilter);
 
+// Appeals against rejected queries are reviewed by the main admin
+router.get("/appeals", mainAdminOnly, queryController.getAppeals);
+
+// Open queries assigned to one officer
+router.get("/officer/:officerId([0-9a-fA-F]{24})/queue", queryController.getOfficerQueue);
+
 // Get queries by type
 router.get("/type/:type", queryController.getQueriesByType);
 
-// Get query by ID - This should come after more specific routes
-router.get("/:id([0-9a-fA-F]{24})", queryController.getQueryById);
+// Vehicles reported again and again, and every report about one vehicle
+router.get("/vehicles/repeat-offenders", queryController.getRepeatOffenders);
+router.get("/vehicle/:number", queryController.getVehicleHistory);
+
+// Get query by ID or reference, e.g. TB-2026-004512 - This should come after more specific routes
+router.get("/:id([0-9a-fA-F]{24}|TB-\\d{4}-\\d{6})", queryController.getQueryById);
+
+// Submission, status changes and rating of a query, oldest first
+router.get("/:id([0-9a-fA-F]{24})/timeline", queryController.getQueryTimeline);
+
+// Update query status, with optional resolution photos
+router.put("/:id/status", resolutionPhotoFields, queryController.updateQueryStatus);
+
+// Assign, reassign or unassign a query
+router.put("/:id([0-9a-fA-F]{24})/assign", queryController.assignQuery);
+
+// Appeal a rejected query on a citizen's behalf, with optional photos - main
+// admin only, as the division that rejected it mustn't file or see its appeal
+router.post("/:id/appeal", mainAdminOnly, upload.array("photos", 5), queryController.appealQuery);
+
+// Decide an appeal - Restrict to main admin only
+router.put("/:id/appeal/decision", mainAdminOnly, queryController.decideAppeal);
 
-// Update query status
-router.put("/:id/status", queryController.updateQueryStatus);
+// Reveal who sent an anonymous query - main admin only, and logged
+router.post("/:id/reveal-reporter", mainAdminOnly, queryController.revealReporter);
 
 // Delete a query - Restrict to main admin only
 router.delete("/:id", mainAdminOnly, queryController.deleteQuery);
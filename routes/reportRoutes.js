@@ -2,25 +2,51 @@ const express = require('express');
 const multer = require('multer');
 const router = express.Router();
 const Query = require('../models/Query');
-const { uploadImageToR2 } = require('../utils/imageupload');
-const { sendWhatsAppMessage } = require('../utils/whatsapp');
-const { getText } = require('../utils/language');
-const Session = require('../models/Session');
+const { uploadReportPhoto } = require('../utils/imageupload');
+const { MEDIA_MAX_PER_REPORT, getReportAttachments, toReportListItem } = require('../utils/media');
+const { notifyStatusChange } = require('../services/incidents');
+const { StatusTransitionError, applyStatusChange } = require('../services/reportStatus');
+const { parseReportReference, verifyReportReferenceToken } = require('../services/reportReferences');
 
 // Configure multer for handling media files
 const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
 
+// Resolution photos come as 'images'; 'image' is the single photo older
+// versions of the resolve page send
+const resolutionPhotoFields = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MEDIA_MAX_PER_REPORT }
+]);
+
+// Report ids, or references such as TB-2026-004512
+const REPORT_PARAM = ':id([0-9a-fA-F]{24}|TB-\\d{4}-\\d{6})';
+
+/**
+ * Find the report of a resolve page. These pages need no login and
+ * references are easy to guess, so a reference only counts together with
+ * the token of the link officers were sent.
+ * @param {Object} req - Request with the id or reference, and the token
+ * @returns {Promise<Object|null>} - Query document
+ */
+const findLinkedReport = async (req) => {
+  const reference = parseReportReference(req.params.id);
+  if (!reference) {
+    return Query.findById(req.params.id);
+  }
+  return verifyReportReferenceToken(reference, req.query.token) ? Query.findOne({ reference }) : null;
+};
+
 // Get a specific report details
-router.get('/reports/:id', async (req, res) => {
+router.get(`/reports/${REPORT_PARAM}`, async (req, res) => {
   try {
-    const report = await Query.findById(req.params.id);
+    const report = await findLinkedReport(req);
     
     if (!report) {
       return res.status(404).json({ success: false, message: 'Report not found' });
     }
     
-    return res.status(200).json({ success: true, report });
+    return res.status(200).json({ success: true, report, attachments: getReportAttachments(report) });
   } catch (error) {
     console.error('Error fetching report:', error);
     return res.status(500).json({ success: false, message: 'Server error' });
@@ -28,9 +54,8 @@ router.get('/reports/:id', async (req, res) => {
 });
 
 // Update report status with resolution details
-router.post('/reports/:id/resolve', upload.single('image'), async (req, res) => {
+router.post(`/reports/${REPORT_PARAM}/resolve`, resolutionPhotoFields, async (req, res) => {
   try {
-    const { id } = req.params;
     const { status, resolution_note, resolver_name } = req.body;
     
     // Validate required fields
@@ -47,69 +72,55 @@ router.post('/reports/:id/resolve', upload.single('image'), async (req, res) =>
     }
     
     // Find the report
-    const report = await Query.findById(id);
+    const report = await findLinkedReport(req);
     if (!report) {
       return res.status(404).json({ success: false, message: 'Report not found' });
     }
     
-    // Update status and notes
-    report.status = status;
-    if (resolution_note) {
-      report.resolution_note = resolution_note;
-    }
-    
     // Get client IP address (if available)
     const ipAddress = req.headers['x-forwarded-for'] || 
                        req.connection.remoteAddress || 
                        'Unknown';
     
-    // If resolving or rejecting, add resolver information
-    if (status === 'Resolved' || status === 'Rejected') {
-      report.resolved_at = new Date();
-      report.resolved_by = {
-        name: resolver_name,
-        timestamp: new Date(),
-        ip_address: ipAddress
-      };
+    // Only the changes the status lifecycle allows, each added to the history
+    try {
+      applyStatusChange(report, status, {
+        actor: resolver_name || 'Officer',
+        role: 'officer',
+        source: 'resolve_link',
+        note: resolution_note,
+        ipAddress
+      });
+    } catch (transitionError) {
+      if (transitionError instanceof StatusTransitionError) {
+        return res.status(409).json({ success: false, message: transitionError.message });
+      }
+      throw transitionError;
     }
     
-    // Handle resolution image if provided
-    if (req.file) {
-      const uploadedUrl = await uploadImageToR2(req.file);
-      report.resolution_image_url = uploadedUrl;
+    // Handle resolution images if provided, the first one being the main one
+    const photos = [...((req.files && req.files.image) || []), ...((req.files && req.files.images) || [])]
+      .slice(0, MEDIA_MAX_PER_REPORT);
+    if (photos.length > 0) {
+      const attachments = [];
+      for (const photo of photos) {
+        attachments.push(await uploadReportPhoto(photo));
+      }
+      report.resolution_attachments = attachments;
+      report.resolution_image_url = attachments[0].url;
     }
     
     await report.save();
     
-    // Notify user via WhatsApp if they have a valid WhatsApp ID
-    if (report.user_id && report.user_id.startsWith('whatsapp:')) {
-      try {
-        // Get user's language preference
-        const userSession = await Session.findOne({ user_id: report.user_id });
-        const userLanguage = userSession?.language || 'en';
-        
-        let statusMessage = '';
-        if (status === 'Resolved') {
-          statusMessage = getText('STATUS_RESOLVED', userLanguage)
-            .replace('{0}', report.query_type.toLowerCase())
-            .replace('{1}', `${resolution_note || 'No additional details provided.'} (Resolved by: ${resolver_name})`);
-        } else if (status === 'Rejected') {
-          statusMessage = getText('STATUS_REJECTED', userLanguage)
-            .replace('{0}', report.query_type.toLowerCase())
-            .replace('{1}', `${resolution_note || 'No reason specified.'} (Rejected by: ${resolver_name})`);
-        } else if (status === 'In Progress') {
-          statusMessage = getText('STATUS_IN_PROGRESS', userLanguage)
-            .replace('{0}', report.query_type.toLowerCase());
-        }
-        
-        if (statusMessage) {
-          await sendWhatsAppMessage(report.user_id, statusMessage);
-        }
-      } catch (notifyError) {
-        console.error('Error sending WhatsApp notification:', notifyError);
-        // Don't fail the request if notification fails
-      }
-    }
+    // Tell the reporter and the rest of the report's incident, the same way
+    // a change from the dashboard or WhatsApp does
+    await notifyStatusChange(report, {
+      status,
+      note: resolution_note,
+      resolverName: resolver_name,
+      role: 'officer',
+      source: 'resolve_link'
+    });
     
     return res.status(200).json({ 
       success: true, 
@@ -130,7 +141,7 @@ router.post('/reports/:id/resolve', upload.single('image'), async (req, res) =>
 router.get('/reports/status/pending', async (req, res) => {
   try {
     const pendingReports = await Query.find({ status: 'Pending' }).sort('-timestamp');
-    return res.status(200).json({ success: true, reports: pendingReports });
+    return res.status(200).json({ success: true, reports: pendingReports.map(toReportListItem) });
   } catch (error) {
     console.error('Error fetching pending reports:', error);
     return res.status(500).json({ success: false, message: 'Server error' });
@@ -0,0 +1,28 @@
+const express = require("express");
+const router = express.Router();
+const slaController = require("../controllers/slaController");
+const { authMiddleware, mainAdminOnly } = require("../services/authService");
+
+// Apply auth middleware to all SLA routes. Only the main admin changes
+// targets and holidays.
+router.use(authMiddleware);
+
+// Get the SLA policies and the defaults
+router.get("/policies", slaController.getSlaPolicies);
+
+// Set the targets for a report type, optionally for one division
+router.put("/policies", mainAdminOnly, slaController.saveSlaPolicy);
+
+// Remove a policy
+router.delete("/policies/:id([0-9a-fA-F]{24})", mainAdminOnly, slaController.deleteSlaPolicy);
+
+// Get the holidays SLA clocks can skip
+router.get("/holidays", slaController.getHolidays);
+
+// Add a holiday
+router.post("/holidays", mainAdminOnly, slaController.addHoliday);
+
+// Remove a holiday
+router.delete("/holidays/:id([0-9a-fA-F]{24})", mainAdminOnly, slaController.deleteHoliday);
+
+module.exports = router;
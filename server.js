@@ -5,25 +5,30 @@ const mongoose = require('mongoose');
 const path = require('path');
 const multer = require('multer');
 const cors = require('cors');
-const NodeCache = require('node-cache');
-const locationCache = new NodeCache({ 
-  stdTTL: 86400, // Cache for 24 hours (increased from 1 hour)
-  checkperiod: 3600, // Check for expired keys every hour
-  useClones: false // Don't clone objects for better performance
-}); 
 
 
 // Load environment variables
 dotenv.config();
 
 // Import utility functions
-const { uploadImageToR2 } = require('./utils/imageupload');
-const { sendQueryNotification } = require('./utils/emailer');
-const { getCameraAppLink, getInstructionMessage, getUniversalLink, getCaptureUrl } = require('./utils/deeplink');
-const { getText, getLanguagePrompt } = require('./utils/language');
-const { getReportInstructionMessage } = require('./utils/deeplink');
-const { getTwilioClient, sendWhatsAppMessage, notifyDivisionOfficers } = require('./utils/whatsapp');
+const { uploadImageToR2, uploadMediaToR2, uploadThumbnailToR2, uploadReportPhoto } = require('./utils/imageupload');
+const { MEDIA_KINDS, MEDIA_MAX_PER_REPORT, getMediaKind, baseContentType } = require('./utils/media');
+const { normalizeVehicleNumber, extractVehicleNumbers } = require('./utils/vehicleNumber');
+const { getCameraAppLink, getInstructionMessage, getUniversalLink } = require('./utils/deeplink');
+const { getText, checkLanguagePacks } = require('./utils/language');
+const { getIncomingMessageText, getReportConfirmationMessage } = require('./utils/interactive-messages');
 const { getUserSession, updateUserSession } = require('./utils/sessionManager');
+const { findDivisionForLocation } = require('./utils/divisionLocator');
+const { createWhatsAppBot } = require('./services/whatsappBot');
+const { saveReportAndNotify } = require('./services/incidents');
+const { queueMessage, startOutboxWorker } = require('./services/outbox');
+const { discardUserDraft, startDraftCleanup } = require('./services/reportDrafts');
+const { startAdvisoryDelivery } = require('./services/advisories');
+const { startSlaMonitor } = require('./services/sla');
+const { backfillReportReferences } = require('./services/reportReferences');
+const { findOfficerByPhone } = require('./services/officerCommands');
+const { recordInboundMessage } = require('./services/transcripts');
+const { isOptOutMessage } = require('./services/consent');
 
 
 // Import database connection
@@ -38,6 +43,8 @@ const Departments = require('./models/Departments');
 const EmailRecord = require('./models/Departments');
 const ReportLink = require('./models/ReportLink');
 const requestLogger = require('./middleware/requestLogger');
+const { verifyTwilioSignature, ignoreDuplicateMessages, releaseMessage } = require('./middleware/twilioWebhook');
+const { getActiveBlock, consume, release, checkIncomingMessage } = require('./services/rateLimiter');
 
 
 // Import routes
@@ -49,6 +56,11 @@ const otpRoutes = require('./routes/otpRoutes');
 const userRoutes = require('./routes/userRoutes');
 const reportRoutes = require('./routes/reportRoutes');
 const teamApplicationRoutes = require('./routes/teamApplicationRoutes');
+const incidentRoutes = require('./routes/incidentRoutes');
+const advisoryRoutes = require('./routes/advisoryRoutes');
+const slaRoutes = require('./routes/slaRoutes');
+const moderationRoutes = require('./routes/moderationRoutes');
+const conversationRoutes = require('./routes/conversationRoutes');
 
 
 
@@ -75,6 +87,10 @@ if (!process.env.MAIN_ADMIN_USERNAME || !process.env.MAIN_ADMIN_PASSWORD) {
   process.exit(1);
 }
 
+if (process.env.TWILIO_SIGNATURE_VALIDATION === 'false') {
+  console.warn('Twilio signature validation is disabled, do not use this setting in production');
+}
+
 if (missingEnvVars.length > 0) {
   console.error('Missing required environment variables:');
   missingEnvVars.forEach(envVar => console.error(`- ${envVar}`));
@@ -83,128 +99,8 @@ if (missingEnvVars.length > 0) {
   console.log('All required environment variables found');
 }
 
-// Utility function to find which division a location belongs to
-// Replace the findDivisionForLocation function with this improved version
-
-// Replace the existing findDivisionForLocation function
-async function findDivisionForLocation(latitude, longitude) {
-  try {
-    // Input validation
-    if (!latitude || !longitude) {
-      console.error('Invalid coordinates:', { latitude, longitude });
-      return null;
-    }
-    
-    // Convert to numbers explicitly
-    const lat = parseFloat(latitude);
-    const lng = parseFloat(longitude);
-    
-    if (isNaN(lat) || isNaN(lng)) {
-      console.error('Coordinates are not valid numbers:', { latitude, longitude });
-      return null;
-    }
-    
-    console.log(`Finding division for location: [${lat}, ${lng}]`);
-    
-    // Check cache first
-    const cacheKey = `${lat.toFixed(6)},${lng.toFixed(6)}`;
-    const cachedDivision = locationCache.get(cacheKey);
-    if (cachedDivision) {
-      console.log(`Cache hit for location ${cacheKey}`);
-      if (cachedDivision._id) {
-        return await Division.findById(cachedDivision._id);
-      }
-      return null; // Outside jurisdiction based on cache
-    }
-    
-    // Get all divisions
-    const divisions = await Division.find();
-    console.log(`Checking against ${divisions.length} divisions`);
-    
-    // Test each division
-    for (const division of divisions) {
-      if (!division.boundaries || !division.boundaries.coordinates || 
-          !Array.isArray(division.boundaries.coordinates) || 
-          division.boundaries.coordinates.length === 0) {
-        continue; // Skip divisions with invalid boundary data
-      }
-      
-      const polygon = division.boundaries.coordinates[0];
-      
-      // Skip if polygon has fewer than 3 points (not a valid polygon)
-      if (!Array.isArray(polygon) || polygon.length < 3) {
-        continue;
-      }
-      
-      // Check if the point is inside this division
-      if (isPointInPolygon([lng, lat], polygon)) {
-        console.log(`Found matching division: ${division.name}`);
-        // Cache this result
-        locationCache.set(cacheKey, { 
-          _id: division._id, 
-          name: division.name 
-        });
-        return division;
-      }
-    }
-    
-    // If we reach here, the location is not in any division
-    console.log('Location is not within any defined division boundary');
-    locationCache.set(cacheKey, { outside: true });
-    return null;
-  } catch (error) {
-    console.error('Error finding division for location:', error);
-    return null;
-  }
-}
-
-// Improved isPointInPolygon function
-function isPointInPolygon(point, polygon) {
-  // Validation
-  if (!Array.isArray(point) || point.length < 2 || 
-      !Array.isArray(polygon) || polygon.length < 3) {
-    console.error('Invalid point or polygon', { point, polygonLength: polygon?.length });
-    return false;
-  }
-  
-  const x = parseFloat(point[0]); // longitude
-  const y = parseFloat(point[1]); // latitude
-  
-  if (isNaN(x) || isNaN(y)) {
-    console.error('Point coordinates are not valid numbers', point);
-    return false;
-  }
-  
-  let inside = false;
-  
-  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
-    // Get current and previous vertices
-    let xi = polygon[i][0];
-    let yi = polygon[i][1];
-    let xj = polygon[j][0];
-    let yj = polygon[j][1];
-    
-    // Convert to numbers if they're strings
-    xi = parseFloat(xi);
-    yi = parseFloat(yi);
-    xj = parseFloat(xj);
-    yj = parseFloat(yj);
-    
-    // Skip invalid points
-    if (isNaN(xi) || isNaN(yi) || isNaN(xj) || isNaN(yj)) {
-      console.warn('Invalid polygon point detected, skipping', { xi, yi, xj, yj });
-      continue;
-    }
-    
-    // Check if ray from point crosses edge
-    const intersect = ((yi > y) !== (yj > y)) && 
-                     (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
-    
-    if (intersect) inside = !inside;
-  }
-  
-  return inside;
-}
+// Report translations missing from any installed language pack
+checkLanguagePacks();
 
 // Initialize Express app
 const app = express();
@@ -314,9 +210,13 @@ app.use('/api/otp', otpRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api', reportRoutes);
 app.use('/api/applications', teamApplicationRoutes);
+app.use('/api/incidents', incidentRoutes);
+app.use('/api/advisories', advisoryRoutes);
+app.use('/api/sla', slaRoutes);
+app.use('/api/moderation', moderationRoutes);
+app.use('/api/conversations', conversationRoutes);
 
-// Get Twilio client
-const client = getTwilioClient();
+// Twilio credentials, used to download media sent to the webhook
 const accountSid = process.env.TWILIO_SID || 'your_account_sid';
 const authToken = process.env.TWILIO_AUTH_TOKEN || 'your_auth_token';
 
@@ -324,80 +224,120 @@ const authToken = process.env.TWILIO_AUTH_TOKEN || 'your_auth_token';
 const storage = multer.memoryStorage();
 const upload = multer({ storage: storage });
 
-// Helper function to generate the main menu
-function getMainMenu(language) {
-  return getText('WELCOME_MESSAGE', language);
-}
-
-// Helper function to download and process media from Twilio
-async function processMedia(body) {
-  if (!body.NumMedia || parseInt(body.NumMedia) === 0) {
-    return null;
-  }
-
-  console.log('Media found in message. Count:', body.NumMedia);
+// Conversation engine behind the /webhook handler
+const whatsappBot = createWhatsAppBot();
 
+// Helper function to download one media item of a message from Twilio and
+// store it in R2. Resolves to { attachment, rejection }: the stored
+// attachment, or why the media was not accepted ('unsupported' or 'too_large').
+async function processMediaItem(mediaUrl, contentType) {
   try {
-    const mediaUrl = body.MediaUrl0;
-    const contentType = body.MediaContentType0 || 'image/jpeg';
-
-    if (!mediaUrl) {
-      console.error('No media URL found in the request');
-      return null;
-    }
-
     console.log(`Media URL: ${mediaUrl}`);
     console.log(`Content Type: ${contentType}`);
 
+    const kind = getMediaKind(contentType);
+    if (!kind) {
+      console.log(`Media of type ${contentType} is not accepted`);
+      return { attachment: null, rejection: 'unsupported' };
+    }
+
     const auth = Buffer.from(`${accountSid}:${authToken}`).toString('base64');
 
-    const response = await axios({
-      method: 'get',
-      url: mediaUrl,
-      responseType: 'arraybuffer',
-      headers: {
-        'Authorization': `Basic ${auth}`,
-        'Accept': 'application/json'
+    let response;
+    try {
+      response = await axios({
+        method: 'get',
+        url: mediaUrl,
+        responseType: 'arraybuffer',
+        maxContentLength: MEDIA_KINDS[kind].maxBytes,
+        headers: {
+          'Authorization': `Basic ${auth}`,
+          'Accept': 'application/json'
+        }
+      });
+    } catch (downloadError) {
+      if (/maxContentLength/.test(downloadError.message)) {
+        console.log(`Media is larger than the ${kind} limit`);
+        return { attachment: null, rejection: 'too_large' };
       }
-    });
+      throw downloadError;
+    }
 
     if (response.status !== 200) {
       console.error('Failed to download media. Status:', response.status);
-      return null;
+      return { attachment: null, rejection: null };
     }
 
     console.log(`Downloaded media: ${response.data.length} bytes`);
 
-    const base64Data = Buffer.from(response.data).toString('base64');
-    const base64Image = `data:${contentType};base64,${base64Data}`;
+    const buffer = Buffer.from(response.data);
+    let uploadedUrl;
+    let thumbnailUrl = null;
+    if (kind === 'image') {
+      const base64Image = `data:${contentType};base64,${buffer.toString('base64')}`;
 
-    console.log('Uploading to R2...');
-    const uploadedUrl = await uploadImageToR2(base64Image, 'traffic_buddy');
+      console.log('Uploading to R2...');
+      uploadedUrl = await uploadImageToR2(base64Image, 'traffic_buddy');
+      thumbnailUrl = await uploadThumbnailToR2(buffer, 'traffic_buddy');
+    } else {
+      // Voice notes and videos are stored untouched so they stay playable
+      uploadedUrl = await uploadMediaToR2(buffer, baseContentType(contentType), 'traffic_buddy');
+    }
     console.log('Upload complete. URL:', uploadedUrl);
 
-    return uploadedUrl;
+    return {
+      attachment: {
+        kind,
+        url: uploadedUrl,
+        thumbnail_url: thumbnailUrl || undefined,
+        content_type: baseContentType(contentType),
+        size: response.data.length
+      },
+      rejection: null
+    };
   } catch (error) {
     console.error('Error processing media:', error.message);
     if (error.response) {
       console.error('Response status:', error.response.status);
       console.error('Response data:', error.response.data);
     }
-    return null;
+    return { attachment: null, rejection: null };
   }
 }
 
-function getReportTypeText(reportType) {
-  const reportTypes = {
-    '1': 'Traffic Violation',
-    '2': 'Traffic Congestion',
-    '3': 'Irregularity',
-    '4': 'Road Damage',
-    '5': 'Illegal Parking',
-    '6': 'Traffic Signal Issue',
-    '7': 'Suggestion'
-  };
-  
-  return reportTypes[reportType] || 'Report';
+// Helper function to store every media item of a message, in the order they
+// were sent and up to the per-report limit. Resolves to { attachments,
+// rejections, dropped }: the stored attachments, [{ kind, reason }] for media
+// that was not accepted, and how many items were over the limit.
+async function processMedia(body) {
+  const count = parseInt(body.NumMedia) || 0;
+  const result = { attachments: [], rejections: [], dropped: 0 };
+
+  if (count === 0) {
+    return result;
+  }
+
+  console.log('Media found in message. Count:', count);
+
+  for (let index = 0; index < Math.min(count, MEDIA_MAX_PER_REPORT); index++) {
+    const mediaUrl = body[`MediaUrl${index}`];
+    const contentType = body[`MediaContentType${index}`] || 'image/jpeg';
+
+    if (!mediaUrl) {
+      console.error(`No media URL found for item ${index}`);
+      continue;
+    }
+
+    const { attachment, rejection } = await processMediaItem(mediaUrl, contentType);
+    if (attachment) {
+      result.attachments.push(attachment);
+    } else if (rejection) {
+      result.rejections.push({ kind: getMediaKind(contentType), reason: rejection });
+    }
+  }
+
+  result.dropped = Math.max(count - MEDIA_MAX_PER_REPORT, 0);
+  return result;
 }
 
 // Return department details
@@ -464,13 +404,20 @@ app.get('/api/check-location', async (req, res) => {
 
 // Update the /api/report endpoint
 // Find the /api/report endpoint and replace it with this version
-app.post('/api/report', upload.single('image'), async (req, res) => {
+// The capture page sends its photos as 'images'; 'image' is the single photo
+// older versions of the page send
+const reportPhotoFields = upload.fields([
+  { name: 'image', maxCount: 1 },
+  { name: 'images', maxCount: MEDIA_MAX_PER_REPORT }
+]);
+
+app.post('/api/report', reportPhotoFields, async (req, res) => {
   const requestId = Date.now().toString(36) + Math.random().toString(36).substring(2);
   
   try {
     console.log(`[${requestId}] ----- NEW REPORT SUBMISSION -----`);
     // Extract form data
-    const { userId, reportType, description, latitude, longitude, address, linkId } = req.body;
+    const { userId, reportType, description, latitude, longitude, address, linkId, vehicle_number } = req.body;
     
     console.log(`[${requestId}] Processing report from user ${userId}, type: ${reportType}`);
     
@@ -480,6 +427,19 @@ app.post('/api/report', upload.single('image'), async (req, res) => {
       return res.status(400).json({ success: false, error: 'Missing required fields' });
     }
     
+    // The vehicle number field is optional, but must be a valid registration
+    // number when filled in. Otherwise a number in the description is used.
+    const explicitVehicleNumber = normalizeVehicleNumber(vehicle_number);
+    if (vehicle_number && vehicle_number.trim() && !explicitVehicleNumber) {
+      console.error(`[${requestId}] Invalid vehicle number: ${vehicle_number}`);
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid vehicle number',
+        message: 'Please enter a valid registration number, e.g. MH 14 AB 1234, or leave it empty.'
+      });
+    }
+    const vehicleNumber = explicitVehicleNumber || extractVehicleNumbers(description)[0] || null;
+    
     // Import normalized user ID function
     const { normalizeUserId } = require('./utils/userHelper');
     
@@ -487,25 +447,10 @@ app.post('/api/report', upload.single('image'), async (req, res) => {
     const cleanUserId = normalizeUserId(userId);
     console.log(`[${requestId}] Normalized userId: ${cleanUserId}`);
     
-    // Mark the link as used if linkId was provided
-    if (linkId) {
-      try {
-        const cleanUserIdWithoutPrefix = normalizeUserId(userId, false);
-        console.log(`[${requestId}] Marking link as used: ${linkId} for user ${cleanUserIdWithoutPrefix}`);
-        
-        await ReportLink.findOneAndUpdate(
-          { 
-            linkId, 
-            $or: [
-              { userId: cleanUserIdWithoutPrefix },
-              { userId: '+' + cleanUserIdWithoutPrefix }
-            ]
-          },
-          { $set: { used: true, usedAt: new Date() } }
-        );
-      } catch (linkError) {
-        console.error(`[${requestId}] Error updating link status:`, linkError);
-      }
+    // Blocked numbers can't report
+    if (await getActiveBlock(cleanUserId)) {
+      console.log(`[${requestId}] Rejecting report from blocked number ${cleanUserId}`);
+      return res.status(403).json({ success: false, error: 'Number blocked' });
     }
     
     // First, check if location is in a division BEFORE sending response
@@ -517,7 +462,7 @@ app.post('/api/report', upload.single('image'), async (req, res) => {
       console.log(`[${requestId}] Location is outside PCMC jurisdiction`);
       
       // Send message to user BEFORE responding to client
-      await sendWhatsAppMessage(
+      await queueMessage(
         cleanUserId,
         getText('LOCATION_OUTSIDE_JURISDICTION', 'en')
       );
@@ -529,18 +474,66 @@ app.post('/api/report', upload.single('image'), async (req, res) => {
       });
     }
     
-    // Process the report based on whether there's an image or not
+    // Everyone has a daily quota, counted once the report is known to be valid
+    const reportUsage = await consume(cleanUserId, 'report');
+    if (!reportUsage.allowed) {
+      console.log(`[${requestId}] ${cleanUserId} is over the daily report limit`);
+
+      const userSession = await Session.findOne({ 
+        user_id: { $regex: cleanUserId.replace('whatsapp:+', '') } 
+      });
+      await queueMessage(
+        cleanUserId,
+        getText('RATE_LIMIT_REPORTS', (userSession && userSession.language) || 'en', reportUsage.limit)
+      );
+
+      return res.status(429).json({
+        success: false,
+        error: 'Daily report limit reached',
+        message: `You can submit up to ${reportUsage.limit} reports per day. Please try again tomorrow.`
+      });
+    }
+    
+    // Mark the link as used if linkId was provided
+    if (linkId) {
+      try {
+        const cleanUserIdWithoutPrefix = normalizeUserId(userId, false);
+        console.log(`[${requestId}] Marking link as used: ${linkId} for user ${cleanUserIdWithoutPrefix}`);
+        
+        await ReportLink.findOneAndUpdate(
+          { 
+            linkId, 
+            $or: [
+              { userId: cleanUserIdWithoutPrefix },
+              { userId: '+' + cleanUserIdWithoutPrefix }
+            ]
+          },
+          { $set: { used: true, usedAt: new Date() } }
+        );
+      } catch (linkError) {
+        console.error(`[${requestId}] Error updating link status:`, linkError);
+      }
+    }
+    
+    // The capture page lets citizens hide their name and number from officers
+    const anonymous = req.body.anonymous === 'true';
+    
+    // Process the report based on whether there are photos or not
+    const photos = [...((req.files && req.files.image) || []), ...((req.files && req.files.images) || [])]
+      .slice(0, MEDIA_MAX_PER_REPORT);
     let processingPromise;
     
-    if (req.file) {
+    if (photos.length > 0) {
       processingPromise = processReportInBackground(
-        req.file, 
+        photos, 
         latitude, 
         longitude,
         description, 
         userId, 
         reportType,
-        address
+        address,
+        anonymous,
+        vehicleNumber
       );
     } else {
       processingPromise = processReportWithoutImage(
@@ -549,7 +542,9 @@ app.post('/api/report', upload.single('image'), async (req, res) => {
         description,
         userId,
         reportType,
-        address
+        address,
+        anonymous,
+        vehicleNumber
       );
     }
     
@@ -557,6 +552,12 @@ app.post('/api/report', upload.single('image'), async (req, res) => {
     // This is critical to ensure WhatsApp confirmation is sent
     const processingResult = await processingPromise;
     console.log(`[${requestId}] Processing completed with result:`, processingResult);
+
+    // A report that couldn't be saved, e.g. because its upload failed,
+    // doesn't count against the quota
+    if (!processingResult.success) {
+      await release(cleanUserId, 'report');
+    }
     
     // Now that processing is complete and WhatsApp message is sent, respond to client
     return res.status(200).json({ 
@@ -579,7 +580,7 @@ app.post('/api/report', upload.single('image'), async (req, res) => {
       const { normalizeUserId } = require('./utils/userHelper');
       const cleanUserId = normalizeUserId(req.body.userId);
       
-      await sendWhatsAppMessage(
+      await queueMessage(
         cleanUserId,
         getText('REPORT_ERROR', 'en')
       );
@@ -591,7 +592,7 @@ app.post('/api/report', upload.single('image'), async (req, res) => {
 
 // Function to process reports without images
 // Replace the existing processReportWithoutImage function
-async function processReportWithoutImage(latitude, longitude, description, userId, reportType, address) {
+async function processReportWithoutImage(latitude, longitude, description, userId, reportType, address, anonymous = false, vehicleNumber = null) {
   try {
     // Import normalized user ID function
     const { normalizeUserId } = require('./utils/userHelper');
@@ -621,7 +622,7 @@ async function processReportWithoutImage(latitude, longitude, description, userI
         divisionName = division.name;
       } else {
         // Location outside jurisdiction - inform user and stop
-        await sendWhatsAppMessage(
+        await queueMessage(
           cleanUserId,
           getText('LOCATION_OUTSIDE_JURISDICTION', 'en')
         );
@@ -631,6 +632,7 @@ async function processReportWithoutImage(latitude, longitude, description, userI
     
     // Get user information for the report
     let userName = 'Anonymous';
+    let userLanguage = 'en';
     try {
       const userSession = await Session.findOne({ 
         user_id: { $regex: cleanUserId.replace('whatsapp:+', '') } 
@@ -639,6 +641,9 @@ async function processReportWithoutImage(latitude, longitude, description, userI
       if (userSession && userSession.user_name) {
         userName = userSession.user_name;
       }
+      if (userSession && userSession.language) {
+        userLanguage = userSession.language;
+      }
     } catch (userError) {
       console.error('Error retrieving user name:', userError);
     }
@@ -647,7 +652,9 @@ async function processReportWithoutImage(latitude, longitude, description, userI
     const newQuery = new Query({
       user_id: cleanUserId,
       user_name: userName,
+      anonymous,
       query_type: queryTypeText,
+      vehicle_number: vehicleNumber,
       description,
       photo_url: null, // No photo
       location: {
@@ -661,30 +668,27 @@ async function processReportWithoutImage(latitude, longitude, description, userI
       divisionName
     });
     
-    // Save the query
-    await newQuery.save();
+    // Save the query, together with the notifications for division officers
+    // if a division was found
+    if (division) {
+      await saveReportAndNotify(newQuery, division);
+    } else {
+      await newQuery.save();
+    }
     console.log(`New ${queryTypeText} report (no image) saved with ID: ${newQuery._id}`);
+
+    // The report is in, so an unfinished one started in chat is no longer needed
+    await discardUserDraft(cleanUserId);
     
-    // Send confirmation to user immediately
-    await sendWhatsAppMessage(
+    // Send confirmation to user
+    const confirmation = getText('REPORT_CONFIRMATION', userLanguage, queryTypeText, divisionName, newQuery.reference);
+    await queueMessage(
       cleanUserId,
-      `Thank you! Your ${queryTypeText} report has been submitted successfully and assigned to the ${divisionName} division. You will be notified when there are updates.`
+      getReportConfirmationMessage(anonymous ? `${confirmation}\n\n${getText('ANONYMOUS_REPORT_NOTE', userLanguage)}` : confirmation, userLanguage),
+      { purpose: 'report_update', queryId: newQuery._id }
     );
     
-    // Notify division officers if division was found
-    if (division) {
-      const notifiedContacts = await notifyDivisionOfficers(newQuery, division);
-      
-      // Update query with notification status
-      if (notifiedContacts.length > 0) {
-        await Query.findByIdAndUpdate(newQuery._id, {
-          divisionNotified: true,
-          divisionOfficersNotified: notifiedContacts
-        });
-      }
-    }
-    
-    return { success: true, queryId: newQuery._id, division: divisionName };
+    return { success: true, queryId: newQuery._id, reference: newQuery.reference, division: divisionName };
   } catch (error) {
     console.error('Error processing report without image:', error);
     
@@ -693,7 +697,7 @@ async function processReportWithoutImage(latitude, longitude, description, userI
       const { normalizeUserId } = require('./utils/userHelper');
       const cleanUserId = normalizeUserId(userId);
       
-      await sendWhatsAppMessage(
+      await queueMessage(
         cleanUserId,
         getText('REPORT_ERROR', 'en')
       );
@@ -710,7 +714,7 @@ async function processReportWithoutImage(latitude, longitude, description, userI
 // Find this function in server.js and replace it with this version
 
 // Replace the existing processReportInBackground function with this version
-async function processReportInBackground(file, latitude, longitude, description, userId, reportType, address) {
+async function processReportInBackground(files, latitude, longitude, description, userId, reportType, address, anonymous = false, vehicleNumber = null) {
   try {
     console.log(`Starting background processing for report from user ${userId}`);
     // Import normalized user ID function
@@ -727,26 +731,30 @@ async function processReportInBackground(file, latitude, longitude, description,
     // If location is not in any division, inform the user and stop
     if (!matchingDivision) {
       console.log('Location is outside PCMC jurisdiction');
-      await sendWhatsAppMessage(
+      await queueMessage(
         cleanUserId,
         getText('LOCATION_OUTSIDE_JURISDICTION', 'en')
       );
       return { success: false, error: 'Location outside jurisdiction' };
     }
     
-    // Upload image - now properly handling file object from multer
-    let uploadedUrl = null;
-    try {
-      console.log('Uploading image to R2...');
-      uploadedUrl = await uploadImageToR2(file);
-      console.log('Image uploaded successfully:', uploadedUrl);
-    } catch (uploadError) {
-      console.error('Failed to upload image:', uploadError);
-      // Continue without image if upload fails
+    // Upload the photos in the order they were taken
+    const attachments = [];
+    for (const file of files) {
+      try {
+        console.log('Uploading image to R2...');
+        const attachment = await uploadReportPhoto(file);
+        attachments.push(attachment);
+        console.log('Image uploaded successfully:', attachment.url);
+      } catch (uploadError) {
+        console.error('Failed to upload image:', uploadError);
+        // Continue without this image if upload fails
+      }
     }
     
     // Get user's session to retrieve their name
     let userName = 'Anonymous';
+    let userLanguage = 'en';
     try {
       const userSession = await Session.findOne({ 
         user_id: { $regex: cleanUserId.replace('whatsapp:+', '') } 
@@ -758,6 +766,9 @@ async function processReportInBackground(file, latitude, longitude, description,
       } else {
         console.log('No user name found in session, using Anonymous');
       }
+      if (userSession && userSession.language) {
+        userLanguage = userSession.language;
+      }
     } catch (userError) {
       console.error('Error retrieving user name:', userError);
     }
@@ -777,14 +788,17 @@ async function processReportInBackground(file, latitude, longitude, description,
     const query = new Query({
       user_id: cleanUserId,
       user_name: userName,
+      anonymous,
       query_type: queryTypeText,
+      vehicle_number: vehicleNumber,
       description: description || 'No description provided',
       location: {
         latitude: parseFloat(latitude),
         longitude: parseFloat(longitude),
         address: address || 'Unknown location'
       },
-      photo_url: uploadedUrl,
+      photo_url: attachments.length > 0 ? attachments[0].url : null,
+      attachments,
       division: matchingDivision._id,
       divisionName: matchingDivision.name,
       status: 'Pending',
@@ -793,31 +807,24 @@ async function processReportInBackground(file, latitude, longitude, description,
 
     console.log(`Creating query with user_name: ${userName}`);
     
-    // Save the query
-    await query.save();
+    // Save the query together with the notifications for division officers
+    console.log(`Notifying officers of division: ${matchingDivision.name}`);
+    await saveReportAndNotify(query, matchingDivision);
     console.log(`Query saved with ID: ${query._id}`);
+
+    // The report is in, so an unfinished one started in chat is no longer needed
+    await discardUserDraft(cleanUserId);
     
-    // Send confirmation to user immediately after saving the query
-    await sendWhatsAppMessage(
+    // Send confirmation to user
+    const confirmation = getText('REPORT_CONFIRMATION', userLanguage, queryTypeText, matchingDivision.name, query.reference);
+    await queueMessage(
       cleanUserId,
-      `Thank you! Your ${queryTypeText} report has been submitted successfully and assigned to the ${matchingDivision.name} division. You will be notified when there are updates.`
+      getReportConfirmationMessage(anonymous ? `${confirmation}\n\n${getText('ANONYMOUS_REPORT_NOTE', userLanguage)}` : confirmation, userLanguage),
+      { purpose: 'report_update', queryId: query._id }
     );
     
-    // Notify division officers
-    console.log(`Notifying officers of division: ${matchingDivision.name}`);
-    const notifiedContacts = await notifyDivisionOfficers(query, matchingDivision);
-    
-    // Update query with notification status
-    if (notifiedContacts.length > 0) {
-      await Query.findByIdAndUpdate(query._id, {
-        divisionNotified: true,
-        divisionOfficersNotified: notifiedContacts
-      });
-      console.log(`Notification status updated for query ${query._id}`);
-    }
-    
     console.log('Background processing completed successfully');
-    return { success: true, queryId: query._id, division: matchingDivision.name };
+    return { success: true, queryId: query._id, reference: query.reference, division: matchingDivision.name };
     
   } catch (error) {
     console.error('Error in background processing:', error);
@@ -827,7 +834,7 @@ async function processReportInBackground(file, latitude, longitude, description,
       const { normalizeUserId } = require('./utils/userHelper');
       const cleanUserId = normalizeUserId(userId);
       
-      await sendWhatsAppMessage(
+      await queueMessage(
         cleanUserId,
         getText('REPORT_ERROR', 'en')
       );
@@ -910,449 +917,99 @@ app.get('/api/check-link-validity', async (req, res) => {
 });
 
 // Webhook for incoming messages with image handling
-app.post('/webhook', express.urlencoded({ extended: true }), async (req, res) => {
+app.post('/webhook', express.urlencoded({ extended: true }), verifyTwilioSignature, ignoreDuplicateMessages, async (req, res) => {
   try {
     console.log('----- NEW WEBHOOK REQUEST -----');
     console.log('Request body:', JSON.stringify(req.body));
 
-    const userMessage = req.body.Body || '';
+    // Tapped buttons and list rows arrive with their id as the payload
+    const userMessage = getIncomingMessageText(req.body);
     const userNumber = req.body.From || '';
 
     console.log(`From: ${userNumber}, Message: ${userMessage}`);
 
-    // Process media first (if any)
-    let mediaUrl = null;
-    if (req.body.NumMedia && parseInt(req.body.NumMedia) > 0) {
-      console.log('Processing media attachment');
-      mediaUrl = await processMedia(req.body);
-    }
-
-    // Check for location data in the WhatsApp message
-    let latitude = req.body.Latitude || null;
-    let longitude = req.body.Longitude || null;
-    let locationAddress = req.body.Address || null;
-
     // Get user session using the helper function
     const userSession = await getUserSession(userNumber);
     console.log('User session:', userSession);
-
-    const currentState = userSession.current_state;
-    const lastOption = userSession.last_option;
-    const userLanguage = userSession.language || 'en';
-
-    console.log(`Current state: ${currentState}, Last option: ${lastOption}, Language: ${userLanguage}`);
-
-    // Process the message based on current state
-    let responseMessage = '';
-    let newState = currentState;
-    let newLastOption = lastOption;
-    let newLanguage = userLanguage;
-
-    // Special command to reset the session and force language selection
-    if (userMessage && userMessage.toLowerCase() === 'reset') {
-      responseMessage = getLanguagePrompt('en'); // Default to English prompt for reset
-      newState = 'LANGUAGE_SELECT';
-      newLastOption = null;
-      console.log('User session reset to language selection');
-    }
-    // Handle language selection state
-    // Find this code in the webhook handler
-    else if (currentState === 'LANGUAGE_SELECT') {
-      if (userMessage === '1') {
-        // English selected
-        newLanguage = 'en';
-        // Check if user already has a name stored
-        if (userSession.user_name) {
-          // User has a name, go directly to menu
-          responseMessage = getText('NAME_CONFIRMATION', 'en', userSession.user_name) + 
-                            '\n\n' + getMainMenu('en');
-          newState = 'MENU';
-        } else {
-          // User doesn't have a name, request it
-          responseMessage = getText('NAME_REQUEST', 'en');
-          newState = 'NAME_COLLECTION';
-        }
-      } else if (userMessage === '2') {
-        // Marathi selected
-        newLanguage = 'mr';
-        // Check if user already has a name stored
-        if (userSession.user_name) {
-          // User has a name, go directly to menu
-          responseMessage = getText('NAME_CONFIRMATION', 'mr', userSession.user_name) + 
-                            '\n\n' + getMainMenu('mr');
-          newState = 'MENU';
-        } else {
-          // User doesn't have a name, request it
-          responseMessage = getText('NAME_REQUEST', 'mr');
-          newState = 'NAME_COLLECTION';
-        }
-      } else {
-        // Invalid selection, show language prompt again
-        responseMessage = getLanguagePrompt(userLanguage);
+    console.log(`Current state: ${userSession.current_state}, Last option: ${userSession.last_option}, Language: ${userSession.language}`);
+
+    // Blocked and throttled numbers are not handled, and their media isn't
+    // stored. Opting out of broadcasts always gets through.
+    const gate = isOptOutMessage(userMessage)
+      ? { allowed: true }
+      : await checkIncomingMessage(userNumber, userSession.language);
+    if (!gate.allowed) {
+      console.log(`Ignoring message from ${userNumber}: blocked or over the message limit`);
+      await recordInboundMessage(userSession, { userNumber, body: userMessage, messageSid: req.body.MessageSid });
+      if (gate.reply) {
+        await queueMessage(userNumber, gate.reply);
       }
+      return res.status(200).send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
     }
-    // Handle name collection state
-    else if (currentState === 'NAME_COLLECTION') {
-      // Store the user's name
-      userSession.user_name = userMessage;
-      await userSession.save();
-      
-      // Confirm the name was saved
-      responseMessage = getText('NAME_CONFIRMATION', userLanguage, userMessage);
-      
-      // Then show the main menu
-      responseMessage += '\n\n' + getMainMenu(userLanguage);
-      newState = 'MENU';
-    }
-    // Special command to return to menu from any state
-    else if (userMessage && userMessage.toLowerCase() === 'menu') {
-      responseMessage = getMainMenu(userLanguage);
-      newState = 'MENU';
-      newLastOption = null;
-    }
-    // Handle menu state
-    else if (currentState === 'MENU') {
-      // User is at the main menu
-      if (userMessage === '1' || userMessage === '2' || userMessage === '3' || 
-          userMessage === '4' || userMessage === '5' || userMessage === '6' || 
-          userMessage === '7') {  // Now include option 7 in this group
-      
-        try {
-          // FIX: Properly await the capture URL generation
-          const captureUrl = await getCaptureUrl(userNumber, userMessage);
-          console.log('Generated capture URL:', captureUrl); // Add debugging log
-          
-          // Now captureUrl is a resolved string, not a Promise
-          const instructions = getReportInstructionMessage(captureUrl, userLanguage);
-          responseMessage = getText('CAMERA_INSTRUCTIONS', userLanguage, instructions);
-          
-          newState = 'AWAITING_REPORT';
-          newLastOption = userMessage;
-        } catch (error) {
-          console.error('Error generating capture URL:', error);
-          responseMessage = "We're experiencing technical difficulties. Please try again later.";
-          // Don't change state if there was an error
-        }
-      } else if (userMessage === '8') {
-        // Handle join team request
-        try {
-          // Create a new application session
-          const sessionId = `join_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
-          
-          // Generate the form URL
-          const formUrl = `${process.env.SERVER_URL}/join-team.html?userId=${encodeURIComponent(userNumber)}&sessionId=${sessionId}`;
-          
-          // Send the link via WhatsApp
-          responseMessage = getText('JOIN_FORM_LINK', userLanguage, formUrl);
-          
-          // Update user state
-          newState = 'JOIN_TEAM_LINK_SENT';
-          newLastOption = '8';
-        } catch (error) {
-          console.error('Error handling join team request:', error);
-          responseMessage = 'Sorry, there was an error processing your request. Please try again later.';
+
+    // Process media (if any)
+    let attachments = [];
+    if (req.body.NumMedia && parseInt(req.body.NumMedia) > 0) {
+      console.log('Processing media attachments');
+      const media = await processMedia(req.body);
+      attachments = media.attachments;
+
+      // Tell the citizen why files were ignored, then handle the rest of the message
+      for (const { kind, reason } of media.rejections) {
+        if (reason === 'too_large') {
+          await queueMessage(userNumber, getText('MEDIA_TOO_LARGE', userSession.language, kind, Math.round(MEDIA_KINDS[kind].maxBytes / (1024 * 1024))));
+        } else if (reason === 'unsupported') {
+          await queueMessage(userNumber, getText('MEDIA_UNSUPPORTED', userSession.language));
         }
-      } else {
-        // Invalid option
-        responseMessage = getMainMenu(userLanguage);
       }
-    }
-    // Handle AWAITING_REPORT state
-    else if (currentState === 'AWAITING_REPORT') {
-      // If the user sends a text message while in AWAITING_REPORT state,
-      // return them to the main menu instead of showing an error
-      responseMessage = getMainMenu(userLanguage);
-      newState = 'MENU';
-      newLastOption = null;
-    }  
-    // Handle direct suggestion text input
-    else if (currentState === 'AWAITING_SUGGESTION_TEXT') {
-      try {
-        // Create a new Query for the suggestion
-        const newQuery = new Query({
-          user_id: userNumber,
-          user_name: userSession.user_name || 'Anonymous',
-          query_type: 'Suggestion',
-          description: userMessage,
-          photo_url: null, // No photo for suggestions
-          status: 'Pending'
-        });
-        
-        await newQuery.save();
-        console.log('Saved suggestion to database');
-        
-        // Send confirmation to user
-        responseMessage = getText('SUGGESTION_RESPONSE', userLanguage);
-        newState = 'MENU';
-        newLastOption = null;
-      } catch (error) {
-        console.error('Error saving suggestion:', error);
-        responseMessage = getText('REPORT_ERROR', userLanguage);
-        newState = 'MENU';
-        newLastOption = null;
+      if (media.dropped > 0) {
+        await queueMessage(userNumber, getText('MEDIA_LIMIT_REACHED', userSession.language, MEDIA_MAX_PER_REPORT));
       }
-    } else if (currentState === 'AWAITING_LOCATION') {
-      // User should have sent location data
-      if (latitude && longitude) {
-        const matchingDivision = await findDivisionForLocation(latitude, longitude);
-        if (!matchingDivision) {
-          console.log('Location is outside PCMC jurisdiction');
-          responseMessage = getText('LOCATION_OUTSIDE_JURISDICTION', userLanguage);
-          newState = 'MENU';
-          newLastOption = null;
-
-          // Update user session
-          await updateUserSession(userSession, newState, newLastOption, newLanguage);
-
-          // Send response back to the user
-          console.log('Sending response:', responseMessage);
-          await client.messages.create({
-            from: 'whatsapp:+918788649885',
-            to: userNumber,
-            body: responseMessage
-          });
-
-          return res.status(200).send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
-        }
-
-        // Determine report type based on last option
-        let reportType = 'General Report';
-        switch (lastOption) {
-          case '1':
-            reportType = 'Traffic Violation';
-            break;
-          case '2':
-            reportType = 'Traffic Congestion';
-            break;
-          case '3':
-            reportType = 'Irregularity'; // Changed from 'Accident' to 'Irregularity'
-            break;
-          case '4':
-            reportType = 'Road Damage';
-            break;
-          case '5':
-            reportType = 'Illegal Parking';
-            break;
-          case '6':
-            reportType = 'Traffic Signal Issue';
-            break;
-          case '7':
-            reportType = 'Suggestion';
-            break;
-          default:
-            reportType = 'General Report';
-        }
-
-        // Retrieve description and photo URL from session
-        const description = userSession.last_description || 'No description provided';
-        const photoUrl = userSession.last_photo_url || null;
-
-        // Create a new report with user's name
-        const newQuery = new Query({
-          user_id: userNumber,
-          user_name: userSession.user_name || 'Anonymous',
-          query_type: reportType,
-          description: description,
-          photo_url: photoUrl,
-          location: { 
-            latitude: parseFloat(latitude), 
-            longitude: parseFloat(longitude),
-            address: locationAddress || `${latitude}, ${longitude}`
-          },
-          status: 'Pending',
-          division: matchingDivision._id,
-          divisionName: matchingDivision.name,
-          divisionNotified: false
-        });
-
-        // Notify division officers via WhatsApp if they exist
-        let notifiedOfficers = [];
-        let divisionNotified = false;
-
-        try {
-          if (matchingDivision.officers && matchingDivision.officers.length > 0) {
-            const activeOfficers = matchingDivision.officers.filter(officer => officer.isActive);
-            
-            // Only notify up to 2 officers
-            const officersToNotify = activeOfficers.slice(0, 2);
-            
-            if (officersToNotify.length > 0) {
-              const notificationMessage = `🚨 New Traffic Report in ${matchingDivision.name}\n\n` +
-                `Type: ${reportType}\n` + // Using reportType which now has Irregularity instead of Accident
-                `Location: ${locationAddress || 'See map link'}\n` +
-                `Description: ${description}\n\n` +
-                `To resolve this issue, click: ${process.env.SERVER_URL}/resolve.html?id=${newQuery._id}`;
-                            
-              // Send messages to officers
-              for (const officer of officersToNotify) {
-                try {
-                  await sendWhatsAppMessage(officer.phone, notificationMessage);
-                  console.log(`Notification sent to officer: ${officer.name} (${officer.phone})`);
-                  
-                  // Record that officer was notified
-                  notifiedOfficers.push({
-                    phone: officer.phone,
-                    timestamp: new Date()
-                  });
-                } catch (officerError) {
-                  console.error(`Failed to notify officer ${officer.name} (${officer.phone}):`, officerError);
-                }
-              }
-              
-              // Set divisionNotified to true if at least one officer was notified
-              if (notifiedOfficers.length > 0) {
-                divisionNotified = true;
-              }
-            } else {
-              console.log('No active officers to notify for this division');
-            }
-          } else {
-            console.log('No officers found for this division');
-          }
-        } catch (notificationError) {
-          console.error('Error notifying division officers:', notificationError);
-        }
-
-        // Only save the query if divisionNotified is true
-        if (!divisionNotified) {
-          console.log('Division was not notified. Query will not be saved.');
-          responseMessage = getText('NOTIFICATION_FAILED', userLanguage);
-          newState = 'MENU';
-          newLastOption = null;
-
-          // Update user session
-          await updateUserSession(userSession, newState, newLastOption, newLanguage);
-
-          // Send response back to the user
-          console.log('Sending response:', responseMessage);
-          await client.messages.create({
-            from: 'whatsapp:+918788649885',
-            to: userNumber,
-            body: responseMessage
-          });
-
-          return res.status(200).send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
-        }
-
-        // Update the query object with notification details and save it
-        newQuery.divisionNotified = true;
-        newQuery.divisionOfficersNotified = notifiedOfficers;
-        await newQuery.save();
-        console.log(`Saved ${reportType} report to database with division: ${matchingDivision.name}`);
-
-        // Update the notification message with the actual query ID
-        if (notifiedOfficers.length > 0) {
-          const updatedNotificationMessage = `🚨 New Traffic Report in ${matchingDivision.name}\n\n` +
-            `Type: ${reportType}\n` +
-            `Location: ${locationAddress || 'See map link'}\n` +
-            `Description: ${description}\n\n` +
-            `To resolve this issue, click: ${process.env.SERVER_URL}/resolve/${newQuery._id}`;
-          
-          // Resend the notification with the correct link
-          for (const officer of notifiedOfficers) {
-            try {
-              await sendWhatsAppMessage(officer.phone, updatedNotificationMessage);
-              console.log(`Updated notification sent to officer with correct link: ${officer.phone}`);
-            } catch (updateError) {
-              console.error(`Failed to send updated notification to ${officer.phone}:`, updateError);
-            }
-          }
-        }
-
-        // Send email notification
-        try {
-          await sendQueryNotification(newQuery, matchingDivision);
-          console.log('Email notification sent');
-        } catch (emailError) {
-          console.error('Error sending email notification:', emailError);
-        }
+    }
 
-        // Send confirmation to user
-        responseMessage = getText('REPORT_RESPONSE', userLanguage, reportType, !!photoUrl);
-        newState = 'MENU';
-        newLastOption = null;
+    // Keep the message in the citizen's transcript, with the state it arrived in
+    await recordInboundMessage(userSession, {
+      userNumber,
+      body: userMessage,
+      mediaUrls: attachments.map(attachment => attachment.url),
+      messageSid: req.body.MessageSid
+    });
 
-        // Clear temporary session data
-        userSession.last_description = null;
-        userSession.last_photo_url = null;
-        await userSession.save();
-      } else {
-        responseMessage = getText('LOCATION_MISSING_HINT', userLanguage);
-        newState = 'AWAITING_LOCATION';
-      }
-    } else if (currentState === 'AWAITING_JOIN') {
-      // Process join request
-      // Join requests don't require location/division, so we can save them directly
-      const infoLines = userMessage.split('\n');
-      let name = '';
-      let email = '';
-      let phone = '';
-      let location = '';
-      
-      for (const line of infoLines) {
-        if (line.toLowerCase().includes('name:')) {
-          name = line.split(':')[1]?.trim() || '';
-        } else if (line.toLowerCase().includes('email:')) {
-          email = line.split(':')[1]?.trim() || '';
-        } else if (line.toLowerCase().includes('phone:')) {
-          phone = line.split(':')[1]?.trim() || '';
-        } else if (line.toLowerCase().includes('location:')) {
-          location = line.split(':')[1]?.trim() || '';
-        }
-      }
-      
-      // Create a new join request
-      const joinQuery = new Query({
-        user_id: userNumber,
-        user_name: userSession.user_name || 'Anonymous',
-        query_type: 'Join Request',
-        name: name,
-        email: email,
-        phone: phone,
-        description: userMessage,
-        status: 'Pending'
-      });
-      
-      await joinQuery.save();
-      console.log('Saved join request to database');
-      
-      // Send email notification
-      try {
-        await sendQueryNotification(joinQuery);
-        console.log('Email notification sent');
-      } catch (emailError) {
-        console.error('Error sending email notification:', emailError);
+    // Let the conversation engine decide the reply and the next state
+    const firstPhoto = attachments.find(attachment => attachment.kind === 'image');
+    const result = await whatsappBot.handle({
+      session: userSession,
+      userNumber,
+      // Set when the number is an active officer's, who get officer commands
+      officer: await findOfficerByPhone(userNumber),
+      message: userMessage,
+      // The first photo is also passed on its own, as most states only accept photos
+      mediaUrl: firstPhoto ? firstPhoto.url : null,
+      attachments,
+      // Location data shared through WhatsApp, if any
+      location: {
+        latitude: req.body.Latitude || null,
+        longitude: req.body.Longitude || null,
+        address: req.body.Address || null
       }
-      
-      // Send confirmation to user
-      responseMessage = getText('JOIN_RESPONSE', userLanguage);
-      newState = 'MENU';
-      newLastOption = null;
-    } else {
-      // Default behavior for any other state
-      responseMessage = getMainMenu(userLanguage);
-      newState = 'MENU';
-      newLastOption = null;
-    }
+    });
 
     // Update user session with new state using the helper function
-    await updateUserSession(userSession, newState, newLastOption, newLanguage);
+    await updateUserSession(userSession, result.state, result.lastOption, result.language);
 
     // Send response back to the user
-    console.log('Sending response:', responseMessage);
+    console.log('Sending response:', result.reply);
 
-    const message = await client.messages.create({
-      from: 'whatsapp:+918788649885',
-      to: userNumber,
-      body: responseMessage
-    });
+    const message = await queueMessage(userNumber, result.reply);
 
-    console.log(`Response sent with SID: ${message.sid}`);
+    console.log(`Response queued as outbound message ${message._id}`);
 
     // Respond to Twilio webhook with success
     res.status(200).send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
   } catch (error) {
     console.error('Error processing webhook:', error);
+    // Let a redelivery of this message be processed
+    await releaseMessage(req.body.MessageSid);
     res.status(500).send('<?xml version="1.0" encoding="UTF-8"?><Response></Response>');
   }
 });
@@ -1477,7 +1134,7 @@ app.post('/api/join-team', upload.single('aadharDocument'), async (req, res) =>
     await application.save();
     
     // Send confirmation message via WhatsApp
-    await sendWhatsAppMessage(
+    await queueMessage(
       userId,
       getText('JOIN_APPLICATION_RECEIVED', userSession.language || 'en', 
               fullName, application._id.toString())
@@ -1596,7 +1253,7 @@ app.post('/api/suggestion', express.urlencoded({ extended: true }), async (req,
         
         // Send confirmation message
         try {
-          await sendWhatsAppMessage(
+          await queueMessage(
             cleanUserId,
             `Thank you for your suggestion! We value your feedback and will review it soon.`
           );
@@ -1618,7 +1275,7 @@ app.post('/api/suggestion', express.urlencoded({ extended: true }), async (req,
   }
 });
 
-app.post('/webhook/message-status', express.urlencoded({ extended: true }), async (req, res) => {
+app.post('/webhook/message-status', express.urlencoded({ extended: true }), verifyTwilioSignature, async (req, res) => {
   try {
     const messageSid = req.body.MessageSid;
     const messageStatus = req.body.MessageStatus;
@@ -1702,6 +1359,20 @@ app.get('/health', (req, res) => {
 (async () => {
   try {
     await connectDB();
+
+    // Reports submitted before references existed get one before any new
+    // report can be taken, so they keep the lower numbers of their year
+    try {
+      await backfillReportReferences();
+    } catch (backfillError) {
+      console.error('Error giving older reports a reference:', backfillError);
+    }
+
+    // Send queued WhatsApp messages in the background
+    startOutboxWorker();
+    startDraftCleanup();
+    startAdvisoryDelivery();
+    startSlaMonitor();
     
     // Start the server
     const PORT = process.env.PORT || 3000;
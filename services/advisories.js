@@ -0,0 +1,324 @@
+const Advisory = require('../models/Advisory');
+const AdvisorySubscription = require('../models/AdvisorySubscription');
+const Session = require('../models/Session');
+const { Division } = require('../models/Division');
+const { getText, DEFAULT_LANGUAGE } = require('../utils/language');
+const { normalizeUserId } = require('../utils/userHelper');
+const { findDivisionForLocation, isPointInPolygon } = require('../utils/divisionLocator');
+const { filterBroadcastRecipients } = require('./consent');
+const { runInTransaction } = require('../utils/transaction');
+const { queueMessage } = require('./outbox');
+
+// Most divisions and locations one citizen can follow
+const MAX_SUBSCRIPTIONS = parseInt(process.env.ADVISORY_MAX_SUBSCRIPTIONS || '5', 10);
+
+// How often advisories that have become valid are checked for
+const DELIVERY_INTERVAL_MS = 60 * 1000;
+
+let deliveryTimer = null;
+
+/**
+ * Check whether an advisory covers an area drawn on the map
+ * @param {Object} advisory - Advisory document
+ * @returns {boolean}
+ */
+const hasArea = (advisory) =>
+  !!(advisory.area && advisory.area.coordinates && advisory.area.coordinates[0] &&
+    advisory.area.coordinates[0].length >= 3);
+
+/**
+ * Get an advisory's text in a language, falling back to the default
+ * language and then to any language it was written in
+ * @param {Object} advisory - Advisory document
+ * @param {string} language - Language code
+ * @returns {string}
+ */
+const getAdvisoryText = (advisory, language) => {
+  const text = advisory.text || new Map();
+  return text.get(language) || text.get(DEFAULT_LANGUAGE) || [...text.values()][0] || '';
+};
+
+/**
+ * Get what citizens are shown of an advisory
+ * @param {Object} advisory - Advisory document
+ * @param {string} language - Language code
+ * @returns {Object} - { title, text, area, validUntil } for the ADVISORY_* texts
+ */
+const getAdvisoryDetails = (advisory, language) => ({
+  title: advisory.title,
+  text: getAdvisoryText(advisory, language),
+  area: advisory.divisionName,
+  validUntil: new Date(advisory.valid_until).toLocaleString('en-IN', {
+    timeZone: 'Asia/Kolkata',
+    dateStyle: 'medium',
+    timeStyle: 'short'
+  })
+});
+
+/**
+ * Check whether an advisory applies at a location
+ * @param {Object} advisory - Advisory document
+ * @param {Object} location - { latitude, longitude }
+ * @param {Object} [divisionId] - Division the location is in
+ * @returns {boolean}
+ */
+const advisoryCoversLocation = (advisory, { latitude, longitude }, divisionId) => {
+  if (hasArea(advisory)) {
+    return isPointInPolygon([longitude, latitude], advisory.area.coordinates[0]);
+  }
+  return !!divisionId && !!advisory.division && advisory.division.toString() === divisionId.toString();
+};
+
+/**
+ * Get the divisions an advisory affects: its own division, or every
+ * division a corner of its area falls in
+ * @param {Object} advisory - Advisory document
+ * @returns {Promise<Array<string>>} - Division ids
+ */
+const getAdvisoryDivisionIds = async (advisory) => {
+  if (advisory.division) {
+    return [advisory.division.toString()];
+  }
+  if (!hasArea(advisory)) {
+    return [];
+  }
+
+  const divisions = await Division.find().select('boundaries');
+  return divisions
+    .filter(division => division.boundaries && division.boundaries.coordinates &&
+      division.boundaries.coordinates[0] &&
+      advisory.area.coordinates[0].some(point => isPointInPolygon(point, division.boundaries.coordinates[0])))
+    .map(division => division._id.toString());
+};
+
+/**
+ * Check whether a subscription should get an advisory
+ * @param {Object} advisory - Advisory document
+ * @param {Object} subscription - AdvisorySubscription document
+ * @param {Array<string>} divisionIds - Divisions the advisory affects
+ * @returns {boolean}
+ */
+const subscriptionMatches = (advisory, subscription, divisionIds) => {
+  if (subscription.kind === 'location') {
+    return advisoryCoversLocation(advisory, subscription.location, subscription.division);
+  }
+  return !!subscription.division && divisionIds.includes(subscription.division.toString());
+};
+
+/**
+ * Get the advisories valid right now
+ * @returns {Promise<Array>} - Advisory documents, ending soonest first
+ */
+const getActiveAdvisories = () => {
+  const now = new Date();
+  return Advisory.find({
+    cancelled_at: null,
+    valid_from: { $lte: now },
+    valid_until: { $gt: now }
+  }).sort({ valid_until: 1 });
+};
+
+/**
+ * Get the advisories valid right now at a location
+ * @param {Object} location - { latitude, longitude }
+ * @returns {Promise<Array>} - Advisory documents
+ */
+const getAdvisoriesNear = async ({ latitude, longitude }) => {
+  const division = await findDivisionForLocation(latitude, longitude);
+  const advisories = await getActiveAdvisories();
+
+  return advisories.filter(advisory =>
+    advisoryCoversLocation(advisory, { latitude, longitude }, division && division._id));
+};
+
+/**
+ * Get the divisions and locations a citizen follows
+ * @param {string} userId - WhatsApp number in any format
+ * @returns {Promise<Array>} - AdvisorySubscription documents, oldest first
+ */
+const getSubscriptions = (userId) =>
+  AdvisorySubscription.find({ user_id: normalizeUserId(userId) }).sort({ created_at: 1 });
+
+/**
+ * Get the advisories valid right now for anything a citizen follows
+ * @param {string} userId - WhatsApp number in any format
+ * @returns {Promise<Array>} - Advisory documents
+ */
+const getAdvisoriesForUser = async (userId) => {
+  const subscriptions = await getSubscriptions(userId);
+  if (subscriptions.length === 0) {
+    return [];
+  }
+
+  const advisories = await getActiveAdvisories();
+  const matching = [];
+  for (const advisory of advisories) {
+    const divisionIds = await getAdvisoryDivisionIds(advisory);
+    if (subscriptions.some(subscription => subscriptionMatches(advisory, subscription, divisionIds))) {
+      matching.push(advisory);
+    }
+  }
+  return matching;
+};
+
+/**
+ * Follow advisories for a division or a saved location. Following the same
+ * division or spot again keeps the existing subscription.
+ * @param {string} userId - WhatsApp number in any format
+ * @param {Object} target - { division } document, and { location } for a saved location
+ * @returns {Promise<Object|null>} - AdvisorySubscription document, or null
+ * when the citizen already follows as many as allowed
+ */
+const subscribe = async (userId, { division, location }) => {
+  const user = normalizeUserId(userId);
+  const kind = location ? 'location' : 'division';
+  const subscriptions = await getSubscriptions(user);
+
+  const existing = subscriptions.find(subscription => (kind === 'division'
+    ? subscription.kind === 'division' && subscription.division.toString() === division._id.toString()
+    : subscription.kind === 'location' &&
+      subscription.location.latitude.toFixed(4) === location.latitude.toFixed(4) &&
+      subscription.location.longitude.toFixed(4) === location.longitude.toFixed(4)));
+  if (existing) {
+    return existing;
+  }
+
+  if (subscriptions.length >= MAX_SUBSCRIPTIONS) {
+    return null;
+  }
+
+  const subscription = await AdvisorySubscription.create({
+    user_id: user,
+    kind,
+    division: division._id,
+    divisionName: division.name,
+    location
+  });
+  console.log(`${user} now follows advisories for ${location ? location.address : division.name}`);
+  return subscription;
+};
+
+/**
+ * Stop following every division and location
+ * @param {string} userId - WhatsApp number in any format
+ * @returns {Promise<number>} - Number of subscriptions removed
+ */
+const unsubscribeAll = async (userId) => {
+  const result = await AdvisorySubscription.deleteMany({ user_id: normalizeUserId(userId) });
+  return result.deletedCount;
+};
+
+/**
+ * Send an advisory to everyone following an area it covers, once. Numbers
+ * that opted out of broadcasts are skipped. The advisory is claimed in the
+ * same transaction its messages are queued in, so a crash part way leaves
+ * it unsent and it is tried again.
+ * @param {Object} advisory - Advisory document
+ * @returns {Promise<number>} - Number of citizens it was sent to
+ */
+const deliverAdvisory = async (advisory) => {
+  const divisionIds = await getAdvisoryDivisionIds(advisory);
+  const candidates = await AdvisorySubscription.find(hasArea(advisory)
+    ? { $or: [{ kind: 'location' }, { division: { $in: divisionIds } }] }
+    : { division: { $in: divisionIds } });
+
+  const followers = [...new Set(candidates
+    .filter(subscription => subscriptionMatches(advisory, subscription, divisionIds))
+    .map(subscription => subscription.user_id))];
+  const { recipients, skipped } = await filterBroadcastRecipients(followers);
+
+  const sessions = await Session.find({ user_id: { $in: recipients } }).select('user_id language');
+  const languages = new Map(sessions.map(session => [session.user_id, session.language]));
+
+  const sent = await runInTransaction(async (session) => {
+    // Claim the advisory so it is never sent twice
+    const claimed = await Advisory.findOneAndUpdate(
+      { _id: advisory._id, delivered_at: null, cancelled_at: null },
+      { delivered_at: new Date(), delivered_count: recipients.length },
+      { new: true, session }
+    );
+    if (!claimed) {
+      return false;
+    }
+
+    for (const recipient of recipients) {
+      const language = languages.get(recipient) || DEFAULT_LANGUAGE;
+      await queueMessage(
+        recipient,
+        getText('ADVISORY_MESSAGE', language, getAdvisoryDetails(claimed, language)),
+        { purpose: 'advisory', metadata: { advisory: claimed._id }, session }
+      );
+    }
+    return true;
+  });
+
+  if (!sent) {
+    return 0;
+  }
+
+  console.log(`Advisory ${advisory._id} sent to ${recipients.length} followers, ${skipped} opted out`);
+  return recipients.length;
+};
+
+/**
+ * Send every advisory that has become valid and hasn't been sent yet
+ * @returns {Promise<number>} - Number of advisories sent
+ */
+const deliverDueAdvisories = async () => {
+  const now = new Date();
+  const due = await Advisory.find({
+    delivered_at: null,
+    cancelled_at: null,
+    valid_from: { $lte: now },
+    valid_until: { $gt: now }
+  });
+
+  for (const advisory of due) {
+    try {
+      await deliverAdvisory(advisory);
+    } catch (error) {
+      console.error(`Error delivering advisory ${advisory._id}:`, error);
+    }
+  }
+  return due.length;
+};
+
+/**
+ * Start sending advisories as they become valid
+ */
+const startAdvisoryDelivery = () => {
+  if (deliveryTimer) {
+    return;
+  }
+
+  deliveryTimer = setInterval(() => {
+    deliverDueAdvisories().catch(error => console.error('Error delivering advisories:', error));
+  }, DELIVERY_INTERVAL_MS);
+  console.log('Advisory delivery started');
+};
+
+/**
+ * Stop sending advisories in the background
+ */
+const stopAdvisoryDelivery = () => {
+  clearInterval(deliveryTimer);
+  deliveryTimer = null;
+};
+
+module.exports = {
+  MAX_SUBSCRIPTIONS,
+  hasArea,
+  getAdvisoryText,
+  getAdvisoryDetails,
+  advisoryCoversLocation,
+  getActiveAdvisories,
+  getAdvisoriesNear,
+  getAdvisoriesForUser,
+  getSubscriptions,
+  subscribe,
+  unsubscribeAll,
+  deliverAdvisory,
+  deliverDueAdvisories,
+  startAdvisoryDelivery,
+  stopAdvisoryDelivery
+};
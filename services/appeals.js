@@ -0,0 +1,146 @@
+const Query = require('../models/Query');
+const Session = require('../models/Session');
+const { getText } = require('../utils/language');
+const { queueMessage } = require('./outbox');
+const { getReportReference } = require('./citizenReports');
+const { normalizeUserId } = require('../utils/userHelper');
+const { applyStatusChange } = require('./reportStatus');
+
+// How long after a rejection the citizen may still appeal it
+const APPEAL_WINDOW_DAYS = parseInt(process.env.APPEAL_WINDOW_DAYS || '7', 10);
+
+// Decisions the main admin can take on an appeal
+const APPEAL_OUTCOMES = ['Upheld', 'Overturned'];
+
+/**
+ * Check whether a report can still be appealed. Each report can be appealed once.
+ * @param {Object} query - Query document
+ * @returns {boolean}
+ */
+const canAppeal = (query) => {
+  if (query.status !== 'Rejected' || query.appeal?.submitted_at) {
+    return false;
+  }
+
+  const rejectedAt = query.resolved_at || query.timestamp;
+  return Date.now() - new Date(rejectedAt).getTime() <= APPEAL_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+};
+
+/**
+ * Get a citizen's rejected reports that can still be appealed, newest first
+ * @param {string} userNumber - Sender in 'whatsapp:+91...' format
+ * @returns {Promise<Array>} - Query documents
+ */
+const getAppealableReports = async (userNumber) => {
+  const since = new Date(Date.now() - APPEAL_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+  const reports = await Query.find({
+    user_id: { $in: [...new Set([userNumber, normalizeUserId(userNumber)])] },
+    status: 'Rejected',
+    'appeal.submitted_at': null,
+    resolved_at: { $gte: since }
+  }).sort({ resolved_at: -1 });
+
+  return reports.filter(canAppeal);
+};
+
+/**
+ * Move a rejected report to the Appealed state, where the main admin
+ * reviews it instead of the division that rejected it
+ * @param {Object} query - Query document
+ * @param {Object} appeal - Appeal details
+ * @param {string} appeal.text - Why the citizen disagrees with the rejection
+ * @param {Array<string>} [appeal.photoUrls] - Extra photos
+ * @param {string} appeal.via - 'whatsapp' or 'dashboard'
+ * @returns {Promise<Object>} - Saved query
+ */
+const submitAppeal = async (query, { text, photoUrls = [], via }) => {
+  if (!canAppeal(query)) {
+    throw new Error(`Report ${query._id} cannot be appealed`);
+  }
+
+  query.appeal = {
+    text,
+    photo_urls: photoUrls,
+    submitted_at: new Date(),
+    submitted_via: via,
+    rejection_note: query.resolution_note,
+    rejected_by: query.resolved_by?.name
+  };
+  applyStatusChange(query, 'Appealed', {
+    actor: 'Citizen',
+    role: 'citizen',
+    source: via === 'whatsapp' ? 'whatsapp' : 'dashboard',
+    note: text,
+    appealFiled: true
+  });
+
+  await query.save();
+  console.log(`Report ${query._id} appealed via ${via}`);
+  return query;
+};
+
+/**
+ * Record the main admin's decision on an appeal and tell the citizen.
+ * An upheld appeal keeps the report rejected, an overturned one sends it
+ * back to the division as a pending report.
+ * @param {Object} query - Query document in the Appealed state
+ * @param {Object} decision - Decision details
+ * @param {string} decision.outcome - 'Upheld' or 'Overturned'
+ * @param {string} [decision.note] - Explanation for the citizen
+ * @param {string} decision.decidedBy - Name of the admin who decided
+ * @returns {Promise<Object>} - Saved query
+ */
+const decideAppeal = async (query, { outcome, note, decidedBy }) => {
+  if (query.status !== 'Appealed') {
+    throw new Error(`Report ${query._id} is not under appeal`);
+  }
+  if (!APPEAL_OUTCOMES.includes(outcome)) {
+    throw new Error(`Invalid appeal outcome: ${outcome}`);
+  }
+
+  query.appeal.outcome = outcome;
+  query.appeal.decision_note = note;
+  query.appeal.decided_by = decidedBy;
+  query.appeal.decided_at = new Date();
+
+  // An overturned report goes back to the division, an upheld one keeps
+  // the details it was rejected with
+  applyStatusChange(query, outcome === 'Overturned' ? 'Pending' : 'Rejected', {
+    actor: decidedBy,
+    role: 'main_admin',
+    source: 'dashboard',
+    note: note ? `Appeal ${outcome.toLowerCase()}: ${note}` : `Appeal ${outcome.toLowerCase()}`,
+    appealDecision: true
+  });
+
+  await query.save();
+  console.log(`Appeal on report ${query._id} ${outcome.toLowerCase()} by ${decidedBy}`);
+
+  if (query.user_id && query.user_id.startsWith('whatsapp:')) {
+    try {
+      const userSession = await Session.findOne({ user_id: query.user_id });
+      const userLanguage = userSession?.language || 'en';
+      const key = outcome === 'Overturned' ? 'APPEAL_OVERTURNED' : 'APPEAL_UPHELD';
+
+      await queueMessage(
+        query.user_id,
+        getText(key, userLanguage, getReportReference(query), note || '-'),
+        { purpose: 'report_update', queryId: query._id }
+      );
+    } catch (notifyError) {
+      console.error('Error sending appeal decision to citizen:', notifyError);
+    }
+  }
+
+  return query;
+};
+
+module.exports = {
+  APPEAL_WINDOW_DAYS,
+  APPEAL_OUTCOMES,
+  canAppeal,
+  getAppealableReports,
+  submitAppeal,
+  decideAppeal
+};
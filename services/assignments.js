@@ -0,0 +1,173 @@
+const Query = require('../models/Query');
+const { formatPhoneNumber } = require('../utils/whatsapp');
+const { queueMessage } = require('./outbox');
+const { getReportReference } = require('./citizenReports');
+const { getResolveLink } = require('./reportReferences');
+
+// Statuses of reports that still need work from their assignee
+const OPEN_STATUSES = ['Pending', 'In Progress'];
+
+/**
+ * An assignment the report or its division doesn't allow
+ */
+class AssignmentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AssignmentError';
+  }
+}
+
+/**
+ * Find one of a division's active officers
+ * @param {Object} division - Division document
+ * @param {string} officerId - Division.officers _id
+ * @returns {Object|null} - Officer, or null when there is no such active officer
+ */
+const findActiveOfficer = (division, officerId) => {
+  const officer = (division?.officers || []).find(o => o._id && o._id.toString() === String(officerId));
+  return officer && officer.isActive ? officer : null;
+};
+
+/**
+ * Assign a report to one of its division's active officers, or unassign it
+ * when officerId is empty, and add the change to its assignment history.
+ * The report isn't saved.
+ * @param {Object} query - Query document
+ * @param {Object} division - The report's Division document
+ * @param {string|null} officerId - Division.officers _id, or null to unassign
+ * @param {Object} change - Change details
+ * @param {string} change.actor - Who made the change
+ * @param {string} change.role - e.g. 'main_admin', 'division_admin'
+ * @param {string} [change.note] - Why it was (re)assigned
+ * @returns {Object} - The history entry
+ * @throws {AssignmentError} - When the assignment isn't allowed
+ */
+const applyAssignment = (query, division, officerId, { actor, role, note }) => {
+  if (!OPEN_STATUSES.includes(query.status || 'Pending')) {
+    throw new AssignmentError(`A report that is ${query.status} cannot be assigned`);
+  }
+  if (!division || !query.division || division._id.toString() !== query.division.toString()) {
+    throw new AssignmentError('This report has no division to assign it in');
+  }
+
+  const previous = query.assigned_to?.officer_id
+    ? { officer_id: query.assigned_to.officer_id, name: query.assigned_to.name }
+    : null;
+  const officer = officerId ? findActiveOfficer(division, officerId) : null;
+
+  if (officerId && !officer) {
+    throw new AssignmentError(`No active officer with this id in ${division.name}`);
+  }
+  if (!officer && !previous) {
+    throw new AssignmentError('This report is not assigned');
+  }
+  if (officer && previous && previous.officer_id === officer._id.toString()) {
+    throw new AssignmentError(`This report is already assigned to ${officer.name}`);
+  }
+
+  const now = new Date();
+  query.assigned_to = officer
+    ? { officer_id: officer._id.toString(), name: officer.name, phone: formatPhoneNumber(officer.phone) }
+    : undefined;
+  query.assigned_at = officer ? now : undefined;
+
+  const entry = {
+    officer_id: officer ? officer._id.toString() : undefined,
+    name: officer ? officer.name : undefined,
+    previous_officer_id: previous ? previous.officer_id : undefined,
+    previous_name: previous ? previous.name : undefined,
+    actor,
+    role,
+    note,
+    at: now
+  };
+  query.assignment_history.push(entry);
+
+  console.log(`Report ${query._id} ${officer ? `assigned to ${officer.name}` : 'unassigned'} by ${actor}`);
+  return entry;
+};
+
+/**
+ * Tell an officer a report was assigned to them
+ * @param {Object} query - Query document, assigned
+ * @param {Object} division - Division document
+ * @param {string} [note] - Why it was assigned to them
+ */
+const notifyAssignedOfficer = async (query, division, note) => {
+  if (!query.assigned_to?.phone) {
+    return;
+  }
+
+  const message = `📋 A report in ${division.name} has been assigned to you\n\n` +
+    `Ref: ${getReportReference(query)}\n` +
+    `Type: ${query.query_type}\n` +
+    `Location: ${query.location?.address || 'See map link'}\n` +
+    `Description: ${query.description}\n` +
+    `Status: ${query.status}\n` +
+    (query.sla?.resolve_by ? `Resolve by: ${new Date(query.sla.resolve_by).toLocaleString('en-IN', {
+      timeZone: 'Asia/Kolkata',
+      dateStyle: 'medium',
+      timeStyle: 'short'
+    })}\n` : '') +
+    (note ? `Note: ${note}\n` : '') +
+    `\nTo update this report, click: ${getResolveLink(query)}`;
+
+  await queueMessage(query.assigned_to.phone, message, {
+    purpose: 'assignment',
+    queryId: query._id,
+    metadata: query.assigned_to
+  });
+};
+
+/**
+ * Get an officer's open reports, the soonest due first
+ * @param {Object} divisionId - Division the officer belongs to
+ * @param {string} officerId - Division.officers _id
+ * @returns {Promise<Array>} - Query documents
+ */
+const getOfficerQueue = (divisionId, officerId) =>
+  Query.find({
+    division: divisionId,
+    'assigned_to.officer_id': String(officerId),
+    status: { $in: OPEN_STATUSES }
+  }).sort({ 'sla.resolve_by': 1, timestamp: 1 });
+
+/**
+ * Count the open reports of each officer and those nobody owns, per division
+ * @param {Object} [match] - Extra conditions on the reports counted
+ * @returns {Promise<Map>} - Division id to { unassigned, officers: Map of officer id to count }
+ */
+const getOpenWorkByDivision = async (match = {}) => {
+  const results = await Query.aggregate([
+    { $match: { ...match, status: { $in: OPEN_STATUSES }, division: { $ne: null } } },
+    {
+      $group: {
+        _id: { division: '$division', officer: { $ifNull: ['$assigned_to.officer_id', null] } },
+        open: { $sum: 1 }
+      }
+    }
+  ]);
+
+  const work = new Map();
+  for (const result of results) {
+    const divisionId = String(result._id.division);
+    if (!work.has(divisionId)) {
+      work.set(divisionId, { unassigned: 0, officers: new Map() });
+    }
+    if (result._id.officer) {
+      work.get(divisionId).officers.set(result._id.officer, result.open);
+    } else {
+      work.get(divisionId).unassigned += result.open;
+    }
+  }
+  return work;
+};
+
+module.exports = {
+  AssignmentError,
+  findActiveOfficer,
+  applyAssignment,
+  notifyAssignedOfficer,
+  getOfficerQueue,
+  getOpenWorkByDivision
+};
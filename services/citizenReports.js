@@ -0,0 +1,92 @@
+const Query = require('../models/Query');
+const { normalizeUserId } = require('../utils/userHelper');
+const { parseReportReference } = require('./reportReferences');
+
+// How many reports the "status" command lists
+const STATUS_LIST_LIMIT = 5;
+
+// Reports further back than this cannot be looked up by reference from chat
+const LOOKUP_LIMIT = 50;
+
+/**
+ * Reference shown to citizens and officers for a report, e.g.
+ * TB-2026-004512. Reports not given one yet show the end of their id.
+ * @param {Object} query - Query document
+ * @returns {string} - Upper-case reference
+ */
+const getReportReference = (query) => query.reference || query._id.toString().slice(-6).toUpperCase();
+
+/**
+ * Check whether typed text refers to a report: its reference, however it
+ * is typed, the end of its id that was shown before references existed,
+ * or its full id
+ * @param {Object} query - Query document
+ * @param {string} text - Typed reference
+ * @returns {boolean}
+ */
+const matchesReportReference = (query, text) => {
+  const cleaned = (text || '').trim().replace(/^#/, '').toUpperCase();
+  if (!cleaned) {
+    return false;
+  }
+
+  const reference = parseReportReference(cleaned);
+  if (reference) {
+    return query.reference === reference;
+  }
+  return query._id.toString().slice(-6).toUpperCase() === cleaned ||
+    query._id.toString().toUpperCase() === cleaned;
+};
+
+/**
+ * Filter matching every report submitted from a WhatsApp number.
+ * Reports from the webhook store the raw 'From' value while the capture page
+ * stores the normalized one, so both are matched.
+ * @param {string} userNumber - Sender in 'whatsapp:+91...' format
+ * @returns {Object} - Mongo filter
+ */
+const userReportsFilter = (userNumber) => ({
+  user_id: { $in: [...new Set([userNumber, normalizeUserId(userNumber)])] },
+  query_type: { $ne: 'Join Request' }
+});
+
+/**
+ * Get the latest reports of a citizen, newest first
+ * @param {string} userNumber - Sender in 'whatsapp:+91...' format
+ * @param {number} limit - Maximum number of reports
+ * @returns {Promise<Array>} - Query documents
+ */
+const getLatestReports = (userNumber, limit = STATUS_LIST_LIMIT) =>
+  Query.find(userReportsFilter(userNumber))
+    .sort({ timestamp: -1 })
+    .limit(limit);
+
+/**
+ * Find one of the citizen's own reports from a reply to the status list.
+ * Accepts either the position in the list ("2") or the report reference.
+ * @param {string} userNumber - Sender in 'whatsapp:+91...' format
+ * @param {string} reference - Text the user replied with
+ * @returns {Promise<Object|null>} - Query document or null
+ */
+const findReportByReference = async (userNumber, reference) => {
+  const cleaned = (reference || '').trim().replace(/^#/, '').toUpperCase();
+  if (!cleaned) {
+    return null;
+  }
+
+  if (/^\d+$/.test(cleaned) && parseInt(cleaned, 10) <= STATUS_LIST_LIMIT) {
+    const reports = await getLatestReports(userNumber);
+    return reports[parseInt(cleaned, 10) - 1] || null;
+  }
+
+  const reports = await getLatestReports(userNumber, LOOKUP_LIMIT);
+  return reports.find(report => matchesReportReference(report, cleaned)) || null;
+};
+
+module.exports = {
+  STATUS_LIST_LIMIT,
+  getReportReference,
+  matchesReportReference,
+  getLatestReports,
+  findReportByReference
+};
@@ -0,0 +1,80 @@
+const Consent = require('../models/Consent');
+const { normalizeUserId } = require('../utils/userHelper');
+const { getCommandKeywords } = require('../utils/language');
+
+/**
+ * Record that a number opted in to or out of broadcasts
+ * @param {string} userId - WhatsApp number in any format
+ * @param {boolean} optedIn - New consent state
+ * @param {Object} details - { source, keyword }
+ * @returns {Promise<Object>} - Consent document
+ */
+const setConsent = (userId, optedIn, { source, keyword }) => {
+  const now = new Date();
+
+  return Consent.findOneAndUpdate(
+    { user_id: normalizeUserId(userId) },
+    {
+      opted_in: optedIn,
+      source,
+      updated_at: now,
+      $push: { history: { opted_in: optedIn, source, keyword, at: now } }
+    },
+    { upsert: true, new: true }
+  );
+};
+
+/**
+ * Check whether a message asks to opt out of broadcasts, in any language
+ * @param {string} message - Message text
+ * @returns {boolean}
+ */
+const isOptOutMessage = (message) =>
+  getCommandKeywords('STOP').includes((message || '').trim().toLowerCase());
+
+/**
+ * Get every number that opted out of broadcasts
+ * @returns {Promise<Set<string>>} - Normalized numbers
+ */
+const getOptedOutNumbers = async () => {
+  const records = await Consent.find({ opted_in: false }).select('user_id');
+  return new Set(records.map(record => record.user_id));
+};
+
+/**
+ * Drop the numbers that opted out from a broadcast audience
+ * @param {Array<string>} numbers - Recipients in any format
+ * @returns {Promise<Object>} - { recipients, skipped }
+ */
+const filterBroadcastRecipients = async (numbers) => {
+  const optedOut = await getOptedOutNumbers();
+  const recipients = numbers.filter(number => number && !optedOut.has(normalizeUserId(number)));
+
+  return { recipients, skipped: numbers.length - recipients.length };
+};
+
+/**
+ * Get consent records for auditing, most recently changed first
+ * @param {Object} filter - { status: 'opted_in'|'opted_out', userId }
+ * @returns {Promise<Array>} - Consent documents
+ */
+const getConsentRecords = ({ status, userId } = {}) => {
+  const filter = {};
+
+  if (status) {
+    filter.opted_in = status === 'opted_in';
+  }
+  if (userId) {
+    filter.user_id = normalizeUserId(userId);
+  }
+
+  return Consent.find(filter).sort({ updated_at: -1 });
+};
+
+module.exports = {
+  setConsent,
+  isOptOutMessage,
+  getOptedOutNumbers,
+  filterBroadcastRecipients,
+  getConsentRecords
+};
@@ -0,0 +1,153 @@
+/**
+ * Small state machine that drives the WhatsApp conversation.
+ *
+ * Every state is registered once with an input parser, the list of states it
+ * is allowed to move to and a handler that builds the reply. Global commands
+ * such as "reset" or "menu" are registered separately and are checked before
+ * the handler of the user's current state runs.
+ *
+ * The engine only works on plain context objects and returns a plain result,
+ * so a flow can be exercised without Twilio or a database connection.
+ */
+
+/**
+ * Default input parser - the trimmed message text
+ * @param {Object} ctx - Conversation context
+ * @returns {string} - Parsed input
+ */
+const defaultParse = (ctx) => (ctx.message || '').trim();
+
+/**
+ * Create a new conversation engine
+ * @returns {Object} - Engine with registerState, registerCommand, setFallback and handle
+ */
+const createConversationEngine = () => {
+  const states = new Map();
+  const commands = [];
+  let fallback = null;
+
+  const engine = {
+    /**
+     * Register a conversation state
+     * @param {string} name - State name as stored in Session.current_state
+     * @param {Object} definition - State definition
+     * @param {Function} [definition.parse] - (ctx) => input, defaults to the trimmed message
+     * @param {Array<string>} [definition.transitions] - States this state may move to
+     * @param {Function} definition.handle - async (input, ctx) => { reply, next, lastOption, language }
+     * @returns {Object} - The engine, for chaining
+     */
+    registerState(name, definition) {
+      if (!definition || typeof definition.handle !== 'function') {
+        throw new Error(`State ${name} must define a handle function`);
+      }
+      if (states.has(name)) {
+        throw new Error(`State ${name} is already registered`);
+      }
+
+      states.set(name, {
+        parse: definition.parse || defaultParse,
+        transitions: definition.transitions || [],
+        handle: definition.handle
+      });
+      return engine;
+    },
+
+    /**
+     * Register a command that is available in every state
+     * @param {Object} definition - Command definition
+     * @param {Array<string>} [definition.keywords] - Case-insensitive words that trigger the command
+     * @param {Function} [definition.match] - (ctx) => boolean, used instead of keywords
+     * @param {Array<string>} [definition.except] - States in which the command is ignored
+     * @param {Function} definition.handle - async (ctx) => { reply, next, lastOption, language }
+     * @returns {Object} - The engine, for chaining
+     */
+    registerCommand(definition) {
+      if (!definition || typeof definition.handle !== 'function') {
+        throw new Error('Command must define a handle function');
+      }
+
+      const keywords = (definition.keywords || []).map(keyword => keyword.toLowerCase());
+      const match = definition.match ||
+        ((ctx) => keywords.includes(defaultParse(ctx).toLowerCase()));
+
+      commands.push({
+        match,
+        except: definition.except || [],
+        handle: definition.handle
+      });
+      return engine;
+    },
+
+    /**
+     * Set the handler used when the current state has no registered handler
+     * @param {Function} handler - async (ctx) => { reply, next, lastOption, language }
+     * @returns {Object} - The engine, for chaining
+     */
+    setFallback(handler) {
+      fallback = handler;
+      return engine;
+    },
+
+    /**
+     * Check whether a state has been registered
+     * @param {string} name - State name
+     * @returns {boolean}
+     */
+    hasState(name) {
+      return states.has(name);
+    },
+
+    /**
+     * Run one incoming message through the engine
+     * @param {Object} input - Incoming message
+     * @param {Object} input.session - The user's Session document
+     * @param {string} input.userNumber - Sender in 'whatsapp:+91...' format
+     * @param {string} input.message - Message text
+     * @param {string} [input.mediaUrl] - URL of the first uploaded photo, if any
+     * @param {Array<Object>} [input.attachments] - Uploaded photos, voice notes and videos in the order they were sent: [{ kind, url, thumbnail_url, content_type, size }]
+     * @param {Object} [input.location] - { latitude, longitude, address } shared by the user
+     * @param {Object} [input.officer] - Set when the sender is an active officer, see services/officerCommands.js
+     * @returns {Promise<Object>} - { reply, state, lastOption, language }
+     */
+    async handle(input) {
+      const { session } = input;
+      const ctx = {
+        ...input,
+        message: input.message || '',
+        state: session.current_state,
+        lastOption: session.last_option,
+        language: session.language || 'en'
+      };
+
+      let result;
+      const command = commands.find(cmd => !cmd.except.includes(ctx.state) && cmd.match(ctx));
+
+      if (command) {
+        result = await command.handle(ctx);
+      } else if (states.has(ctx.state)) {
+        const definition = states.get(ctx.state);
+        result = await definition.handle(definition.parse(ctx), ctx);
+
+        const next = result.next || ctx.state;
+        if (next !== ctx.state && !definition.transitions.includes(next)) {
+          throw new Error(`Invalid transition from ${ctx.state} to ${next}`);
+        }
+      } else if (fallback) {
+        result = await fallback(ctx);
+      } else {
+        throw new Error(`No handler registered for state ${ctx.state}`);
+      }
+
+      return {
+        reply: result.reply,
+        state: result.next || ctx.state,
+        lastOption: result.lastOption !== undefined ? result.lastOption : ctx.lastOption,
+        language: result.language || ctx.language
+      };
+    }
+  };
+
+  return engine;
+};
+
+module.exports = { createConversationEngine };
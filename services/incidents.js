@@ -0,0 +1,299 @@
+const Incident = require('../models/Incident');
+const Query = require('../models/Query');
+const Session = require('../models/Session');
+const { getText } = require('../utils/language');
+const { notifyDivisionOfficers } = require('../utils/whatsapp');
+const { runInTransaction } = require('../utils/transaction');
+const { queueMessage } = require('./outbox');
+const { requestSatisfactionRating } = require('./satisfaction');
+const { APPEAL_WINDOW_DAYS } = require('./appeals');
+const { canTransitionStatus, applyStatusChange } = require('./reportStatus');
+const { getReportReference } = require('./citizenReports');
+const { applySlaDeadlines } = require('./sla');
+
+// Reports of the same type this close together belong to the same incident
+const INCIDENT_RADIUS_METERS = parseInt(process.env.INCIDENT_RADIUS_METERS || '150', 10);
+
+// ...as long as the incident had a report within this many minutes
+const INCIDENT_WINDOW_MINUTES = parseInt(process.env.INCIDENT_WINDOW_MINUTES || '120', 10);
+
+// Incidents that new reports can still be added to
+const OPEN_STATUSES = ['Pending', 'In Progress'];
+
+// Statuses an incident passes on to its reports
+const INCIDENT_STATUSES = ['In Progress', 'Resolved', 'Rejected'];
+
+/**
+ * Distance between two points on the earth's surface
+ * @param {Object} a - { latitude, longitude }
+ * @param {Object} b - { latitude, longitude }
+ * @returns {number} - Distance in metres
+ */
+const distanceInMeters = (a, b) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const dLat = toRadians(b.latitude - a.latitude);
+  const dLon = toRadians(b.longitude - a.longitude);
+
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * 6371000 * Math.asin(Math.sqrt(h));
+};
+
+/**
+ * Add a saved report to the nearest open incident of the same type in its
+ * division, or start a new incident for it
+ * @param {Object} query - Saved Query document with a location and division
+ * @param {Object} [session] - Transaction the report is being saved in
+ * @returns {Promise<Object>} - { incident, isNew }
+ */
+const attachToIncident = async (query, session = null) => {
+  const since = new Date(Date.now() - INCIDENT_WINDOW_MINUTES * 60 * 1000);
+
+  const candidates = await Incident.find({
+    query_type: query.query_type,
+    division: query.division,
+    status: { $in: OPEN_STATUSES },
+    last_reported_at: { $gte: since }
+  }).session(session);
+
+  const nearest = candidates
+    .map(incident => ({ incident, distance: distanceInMeters(incident.location, query.location) }))
+    .filter(candidate => candidate.distance <= INCIDENT_RADIUS_METERS)
+    .sort((a, b) => a.distance - b.distance)[0];
+
+  let incident;
+  let isNew = false;
+
+  if (nearest) {
+    incident = nearest.incident;
+    incident.reports.push(query._id);
+    incident.report_count = incident.reports.length;
+    incident.last_reported_at = new Date();
+    await incident.save({ session });
+    console.log(`Report ${query._id} linked to incident ${incident._id} (${incident.report_count} reports)`);
+  } else {
+    [incident] = await Incident.create([{
+      query_type: query.query_type,
+      division: query.division,
+      divisionName: query.divisionName,
+      location: query.location,
+      reports: [query._id],
+      first_report: query._id
+    }], { session });
+    isNew = true;
+    console.log(`New incident ${incident._id} started by report ${query._id}`);
+  }
+
+  await Query.findByIdAndUpdate(query._id, { incident: incident._id }, { session });
+  query.incident = incident._id;
+
+  return { incident, isNew };
+};
+
+/**
+ * Group a new report into an incident and notify the division's officers
+ * only if it started a new incident
+ * @param {Object} query - Saved Query document
+ * @param {Object} division - Division the report belongs to
+ * @param {Object} [options] - { session } of the transaction saving the report
+ * @returns {Promise<Array>} - Officer contacts that were notified
+ */
+const notifyOfficersOfReport = async (query, division, { session = null } = {}) => {
+  try {
+    const { isNew } = await attachToIncident(query, session);
+    if (!isNew) {
+      return [];
+    }
+  } catch (incidentError) {
+    // A failed write aborts the transaction, so nothing more can be saved in it
+    if (session) {
+      throw incidentError;
+    }
+    // Never lose a notification because grouping failed
+    console.error('Error grouping report into an incident:', incidentError);
+  }
+
+  return notifyDivisionOfficers(query, division, { session });
+};
+
+/**
+ * Save a new report together with the officer notifications it needs, so a
+ * report is never saved without anyone being told about it. Its SLA
+ * deadlines are set first.
+ * @param {Object} query - New Query document
+ * @param {Object} division - Division the report belongs to
+ * @returns {Promise<Array>} - Officer contacts that were notified
+ */
+const saveReportAndNotify = async (query, division) => {
+  try {
+    await applySlaDeadlines(query);
+  } catch (slaError) {
+    // Never lose a report because its deadlines couldn't be worked out
+    console.error('Error setting report SLA deadlines:', slaError);
+  }
+
+  return runInTransaction(async (session) => {
+    await query.save({ session });
+    return notifyOfficersOfReport(query, division, { session });
+  });
+};
+
+/**
+ * Tell a citizen their report changed status
+ * @param {Object} query - Query document
+ * @param {string} status - New status
+ */
+const notifyReporterOfStatus = async (query, status) => {
+  if (!query.user_id || !query.user_id.startsWith('whatsapp:')) {
+    return;
+  }
+
+  const userSession = await Session.findOne({ user_id: query.user_id });
+  const userLanguage = userSession?.language || 'en';
+  const queryType = (query.query_type || 'report').toLowerCase();
+  const reference = getReportReference(query);
+
+  let statusMessage = '';
+  if (status === 'In Progress') {
+    statusMessage = getText('STATUS_IN_PROGRESS', userLanguage)
+      .replace('{0}', queryType)
+      .replace('{2}', reference);
+  } else if (status === 'Resolved') {
+    statusMessage = getText('STATUS_RESOLVED', userLanguage)
+      .replace('{0}', queryType)
+      .replace('{1}', query.resolution_note || 'No additional details provided.')
+      .replace('{2}', reference);
+  } else if (status === 'Rejected') {
+    statusMessage = getText('STATUS_REJECTED', userLanguage)
+      .replace('{0}', queryType)
+      .replace('{1}', query.resolution_note || 'No reason specified.')
+      .replace('{2}', reference) +
+      '\n\n' + getText('APPEAL_HINT', userLanguage, APPEAL_WINDOW_DAYS);
+  }
+
+  if (statusMessage) {
+    await queueMessage(query.user_id, statusMessage, { purpose: 'report_update', queryId: query._id });
+  }
+  if (status === 'Resolved') {
+    await requestSatisfactionRating(query);
+  }
+};
+
+/**
+ * Set the status of an incident and pass it on to every linked report that
+ * is still open, notifying each reporter
+ * @param {Object} incident - Incident document
+ * @param {Object} update - Status update
+ * @param {string} update.status - 'In Progress', 'Resolved' or 'Rejected'
+ * @param {string} [update.note] - Resolution note
+ * @param {string} [update.resolverName] - Who resolved or rejected it
+ * @param {string} [update.role] - Role of whoever made the change
+ * @param {string} [update.source] - Where the change was made, see services/reportStatus.js
+ * @param {string} [update.skipQueryId] - Report that was already updated and notified
+ * @returns {Promise<Array>} - Reports that were updated
+ */
+const updateIncidentStatus = async (incident, { status, note, resolverName, role, source = 'dashboard', skipQueryId }) => {
+  if (!INCIDENT_STATUSES.includes(status)) {
+    throw new Error(`Invalid incident status: ${status}`);
+  }
+
+  const closing = status === 'Resolved' || status === 'Rejected';
+
+  incident.status = status;
+  if (note) {
+    incident.resolution_note = note;
+  }
+  if (closing) {
+    incident.resolved_at = new Date();
+    incident.resolved_by = { name: resolverName, timestamp: new Date() };
+  }
+  await incident.save();
+
+  const reports = (await Query.find({
+    _id: { $in: incident.reports },
+    status: { $in: OPEN_STATUSES }
+  })).filter(report => (!skipQueryId || report._id.toString() !== skipQueryId.toString()) &&
+    canTransitionStatus(report.status, status));
+
+  for (const report of reports) {
+    applyStatusChange(report, status, {
+      actor: resolverName || 'Incident update',
+      role,
+      source,
+      note,
+      incident
+    });
+    await report.save();
+
+    try {
+      await notifyReporterOfStatus(report, status);
+    } catch (notifyError) {
+      console.error(`Error notifying reporter of ${report._id}:`, notifyError);
+    }
+  }
+
+  console.log(`Incident ${incident._id} set to ${status}, ${reports.length} linked reports updated`);
+  return reports;
+};
+
+/**
+ * Pass a status change made on an incident's first report on to the rest of
+ * the incident. Officers only get the link of the first report, so resolving
+ * that report resolves the whole incident. Changes to the other reports stay
+ * with that report, and a rejection is never passed on: rejecting one report
+ * as spam mustn't reject the genuine reports next to it.
+ * @param {Object} query - Updated Query document
+ * @param {Object} update - { status, note, resolverName, role, source }
+ * @returns {Promise<Array>} - Other reports that were updated
+ */
+const syncIncidentFromReport = async (query, { status, note, resolverName, role, source }) => {
+  if (!query.incident || status === 'Rejected' || !INCIDENT_STATUSES.includes(status)) {
+    return [];
+  }
+
+  const incident = await Incident.findById(query.incident);
+  if (!incident || !OPEN_STATUSES.includes(incident.status) ||
+    !incident.first_report || incident.first_report.toString() !== query._id.toString()) {
+    return [];
+  }
+
+  return updateIncidentStatus(incident, { status, note, resolverName, role, source, skipQueryId: query._id });
+};
+
+/**
+ * Tell everyone a report's new status concerns: its reporter, who is asked
+ * to rate a resolution, and the other reports of its incident. Failures are
+ * logged, the status change itself has already been saved.
+ * @param {Object} query - Saved Query document
+ * @param {Object} update - { status, note, resolverName, role, source }
+ * @returns {Promise<Array>} - Other reports that were updated
+ */
+const notifyStatusChange = async (query, { status, note, resolverName, role, source }) => {
+  try {
+    await notifyReporterOfStatus(query, status);
+  } catch (notifyError) {
+    console.error(`Error notifying reporter of ${query._id}:`, notifyError);
+  }
+
+  try {
+    return await syncIncidentFromReport(query, { status, note, resolverName, role, source });
+  } catch (incidentError) {
+    console.error('Error updating linked incident reports:', incidentError);
+    return [];
+  }
+};
+
+module.exports = {
+  INCIDENT_RADIUS_METERS,
+  INCIDENT_WINDOW_MINUTES,
+  INCIDENT_STATUSES,
+  distanceInMeters,
+  attachToIncident,
+  notifyOfficersOfReport,
+  saveReportAndNotify,
+  notifyReporterOfStatus,
+  notifyStatusChange,
+  updateIncidentStatus,
+  syncIncidentFromReport
+};
@@ -0,0 +1,352 @@
+const NodeCache = require('node-cache');
+const Query = require('../models/Query');
+const { Division } = require('../models/Division');
+const { formatPhoneNumber } = require('../utils/whatsapp');
+const { normalizeUserId } = require('../utils/userHelper');
+const { getReportReference, matchesReportReference } = require('./citizenReports');
+const { parseReportReference } = require('./reportReferences');
+const { StatusTransitionError, applyStatusChange } = require('./reportStatus');
+const { AssignmentError, applyAssignment, getOfficerQueue } = require('./assignments');
+const { notifyStatusChange } = require('./incidents');
+
+// Statuses officers act on from WhatsApp
+const OPEN_STATUSES = ['Pending', 'In Progress'];
+
+// How many reports the "my" command lists
+const MY_LIST_LIMIT = 10;
+
+// Every incoming message is checked against the officers' numbers, so the
+// numbers are kept for a few minutes instead of being read each time
+const OFFICER_DIRECTORY_TTL_SECONDS = parseInt(process.env.OFFICER_DIRECTORY_TTL_SECONDS || '300', 10);
+
+const officerDirectory = new NodeCache({
+  stdTTL: OFFICER_DIRECTORY_TTL_SECONDS,
+  useClones: false
+});
+
+// Commands that are the whole message
+const STANDALONE_COMMANDS = ['MY', 'OFFICER'];
+
+// Short refs shown in alerts sent before references existed: the end of the report id
+const LEGACY_REF_PATTERN = /^[0-9A-F]{6}$/;
+
+// Officer commands and the status each one sets
+const OFFICER_COMMANDS = {
+  ACK: 'In Progress',
+  PROGRESS: 'In Progress',
+  RESOLVE: 'Resolved',
+  REJECT: 'Rejected',
+  MY: null,
+  OFFICER: null
+};
+
+const OFFICER_HELP =
+  '👮 Officer commands\n\n' +
+  '*OFFICER* - this list\n' +
+  '*MY* - your open reports\n' +
+  '*ACK <ref>* - acknowledge a report and take it on\n' +
+  '*PROGRESS <ref> <note>* - record progress\n' +
+  '*RESOLVE <ref> <note>* - resolve a report, sent with a proof photo\n' +
+  '*REJECT <ref> <reason>* - reject a report\n\n' +
+  'The ref is shown in the report alert and in MY, e.g. ACK TB-2026-004512';
+
+/**
+ * Get the divisions each active officer's number belongs to, from the cache
+ * when it is there
+ * @returns {Promise<Map>} - Number in 'whatsapp:+91...' format to division ids
+ */
+const getOfficerDirectory = async () => {
+  let directory = officerDirectory.get('phones');
+  if (directory) {
+    return directory;
+  }
+
+  directory = new Map();
+  const divisions = await Division.find({ 'officers.isActive': true }).select('officers');
+  for (const division of divisions) {
+    for (const officer of division.officers.filter(o => o.isActive)) {
+      for (const phone of [officer.phone, officer.alternate_phone].filter(Boolean).map(formatPhoneNumber)) {
+        directory.set(phone, [...(directory.get(phone) || []), division._id]);
+      }
+    }
+  }
+
+  officerDirectory.set('phones', directory);
+  return directory;
+};
+
+/**
+ * Forget the cached officer numbers, after officers were added, changed or
+ * relieved
+ */
+const clearOfficerDirectory = () => {
+  officerDirectory.del('phones');
+};
+
+/**
+ * Find the active officer a WhatsApp number belongs to
+ * @param {string} userNumber - Sender in 'whatsapp:+91...' format
+ * @returns {Promise<Object|null>} - { name, phone, officerIds, divisions }, or
+ * null when the number isn't an active officer's
+ */
+const findOfficerByPhone = async (userNumber) => {
+  const phone = normalizeUserId(userNumber);
+  const divisionIds = (await getOfficerDirectory()).get(phone);
+  if (!divisionIds) {
+    return null;
+  }
+
+  const divisions = await Division.find({ _id: { $in: divisionIds } }).select('name code officers');
+
+  const matches = [];
+  for (const division of divisions) {
+    for (const officer of division.officers) {
+      const phones = [officer.phone, officer.alternate_phone].filter(Boolean).map(formatPhoneNumber);
+      if (officer.isActive && phones.includes(phone)) {
+        matches.push({ division, officer });
+      }
+    }
+  }
+
+  if (matches.length === 0) {
+    return null;
+  }
+  return {
+    name: matches[0].officer.name,
+    phone,
+    officerIds: matches.map(match => match.officer._id.toString()),
+    divisions: matches.map(match => match.division)
+  };
+};
+
+/**
+ * Check whether a word an officer typed is a report reference or id
+ * @param {string} ref - Word after the command, without a leading '#'
+ * @returns {boolean}
+ */
+const isReportRef = (ref) =>
+  !!parseReportReference(ref) || /^[0-9a-fA-F]{24}$/.test(ref) || LEGACY_REF_PATTERN.test(ref.toUpperCase());
+
+/**
+ * Split an officer's message into a command, a report reference and the
+ * rest. MY and OFFICER must be the whole message, and the other commands
+ * must be followed by a reference, so "My bike was towed" or "Ack, thanks"
+ * are not commands.
+ * @param {string} message - Message text or photo caption
+ * @returns {Object|null} - { command, ref, text }, or null when it isn't a command
+ */
+const parseOfficerCommand = (message) => {
+  const words = (message || '').trim().split(/\s+/);
+  const [word = '', ref = '', ...rest] = words;
+  const command = word.toUpperCase();
+
+  if (!Object.prototype.hasOwnProperty.call(OFFICER_COMMANDS, command)) {
+    return null;
+  }
+  if (STANDALONE_COMMANDS.includes(command)) {
+    return words.length === 1 ? { command, ref: '', text: '' } : null;
+  }
+
+  const cleanRef = ref.replace(/^#/, '');
+  if (!isReportRef(cleanRef)) {
+    return null;
+  }
+  return { command, ref: cleanRef.toUpperCase(), text: rest.join(' ').trim() };
+};
+
+/**
+ * Find an open report in one of the officer's divisions by its reference
+ * @param {Object} officer - From findOfficerByPhone
+ * @param {string} ref - Report reference or id
+ * @returns {Promise<Object|null>} - Query document
+ */
+const findOfficerReport = async (officer, ref) => {
+  const filter = {
+    division: { $in: officer.divisions.map(division => division._id) },
+    status: { $in: OPEN_STATUSES }
+  };
+
+  const reference = parseReportReference(ref);
+  if (reference) {
+    return Query.findOne({ ...filter, reference });
+  }
+
+  // Alerts sent before references existed show the end of the report id
+  const reports = await Query.find(filter).select('_id');
+  const match = reports.find(report => matchesReportReference(report, ref));
+  return match ? Query.findById(match._id) : null;
+};
+
+/**
+ * Format a date for officers
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDate = (date) => new Date(date).toLocaleString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+/**
+ * List the officer's open reports, the soonest due first
+ * @param {Object} officer - From findOfficerByPhone
+ * @returns {Promise<string>} - Reply
+ */
+const listOfficerReports = async (officer) => {
+  const reports = [];
+  for (const [index, division] of officer.divisions.entries()) {
+    reports.push(...await getOfficerQueue(division._id, officer.officerIds[index]));
+  }
+
+  const unassigned = await Query.countDocuments({
+    division: { $in: officer.divisions.map(division => division._id) },
+    status: { $in: OPEN_STATUSES },
+    'assigned_to.officer_id': null
+  });
+  const unassignedLine = unassigned > 0
+    ? `\n\n${unassigned} open report${unassigned === 1 ? ' is' : 's are'} not assigned to anyone yet.`
+    : '';
+
+  if (reports.length === 0) {
+    return `You have no open reports assigned to you.${unassignedLine}`;
+  }
+
+  const lines = reports.slice(0, MY_LIST_LIMIT).map(report =>
+    `*${getReportReference(report)}* ${report.query_type} - ${report.status}\n` +
+    `📍 ${report.location?.address || 'No address'}` +
+    (report.sla?.resolve_by ? `\n⏰ Resolve by ${formatDate(report.sla.resolve_by)}` : ''));
+
+  const more = reports.length > MY_LIST_LIMIT ? `\n\n...and ${reports.length - MY_LIST_LIMIT} more` : '';
+  return `📋 Your open reports (${reports.length})\n\n${lines.join('\n\n')}${more}${unassignedLine}`;
+};
+
+/**
+ * Change a report's status on an officer's command, the way the dashboard
+ * does: through the status lifecycle, telling the citizen and the rest of
+ * the report's incident
+ * @param {Object} ctx - Conversation context, with ctx.officer
+ * @param {Object} parsed - From parseOfficerCommand
+ * @returns {Promise<string>} - Reply
+ */
+const runStatusCommand = async (ctx, { command, ref, text }) => {
+  const { officer } = ctx;
+  const status = OFFICER_COMMANDS[command];
+
+  if ((command === 'RESOLVE' || command === 'REJECT') && !text) {
+    return command === 'RESOLVE'
+      ? `Please add what was done, e.g. RESOLVE ${ref} Vehicle towed`
+      : `Please add the reason, e.g. REJECT ${ref} No vehicle found at the spot`;
+  }
+
+  const photos = (ctx.attachments || []).filter(attachment => attachment.kind === 'image');
+  if (command === 'RESOLVE' && photos.length === 0) {
+    return `Please send a proof photo with RESOLVE ${ref} ${text} as its caption`;
+  }
+
+  const query = await findOfficerReport(officer, ref);
+  if (!query) {
+    return `No open report ${ref} found in your division. Send MY to see your reports.`;
+  }
+  if (command === 'ACK' && query.status !== 'Pending') {
+    return `Report ${ref} has already been acknowledged and is ${query.status}.`;
+  }
+
+  const division = officer.divisions.find(d => d._id.toString() === query.division.toString());
+  const officerId = officer.officerIds[officer.divisions.indexOf(division)];
+
+  try {
+    applyStatusChange(query, status, {
+      actor: officer.name,
+      role: 'officer',
+      source: 'whatsapp',
+      note: text || undefined
+    });
+  } catch (transitionError) {
+    if (transitionError instanceof StatusTransitionError) {
+      return transitionError.message;
+    }
+    throw transitionError;
+  }
+
+  // Acknowledging a report nobody owns makes it the officer's
+  if (command === 'ACK' && !query.assigned_to?.officer_id) {
+    try {
+      applyAssignment(query, division, officerId, {
+        actor: officer.name,
+        role: 'officer',
+        note: 'Acknowledged on WhatsApp'
+      });
+    } catch (assignmentError) {
+      if (!(assignmentError instanceof AssignmentError)) {
+        throw assignmentError;
+      }
+    }
+  }
+
+  if (command === 'RESOLVE') {
+    query.resolution_attachments = photos;
+    query.resolution_image_url = photos[0].url;
+  }
+
+  await query.save();
+  await notifyStatusChange(query, {
+    status,
+    note: text || undefined,
+    resolverName: officer.name,
+    role: 'officer',
+    source: 'whatsapp'
+  });
+
+  console.log(`Officer ${officer.name} sent ${command} for report ${query._id}`);
+
+  const reference = getReportReference(query);
+  const replies = {
+    ACK: `✅ Report ${reference} acknowledged and marked In Progress. It is now assigned to you.`,
+    PROGRESS: `✅ Progress on report ${reference} recorded.`,
+    RESOLVE: `✅ Report ${reference} resolved. The citizen has been told.`,
+    REJECT: `✅ Report ${reference} rejected. The citizen has been told the reason.`
+  };
+  if (command === 'ACK' && query.assigned_to?.officer_id !== officerId) {
+    return query.assigned_to?.name
+      ? `✅ Report ${reference} acknowledged and marked In Progress. It stays assigned to ${query.assigned_to.name}.`
+      : `✅ Report ${reference} acknowledged and marked In Progress. It is not assigned to anyone yet.`;
+  }
+  return replies[command];
+};
+
+/**
+ * Check whether a message is an officer command from an officer. Anything
+ * else an officer sends goes through the citizen flow, like STOP or a report.
+ * @param {Object} ctx - Conversation context
+ * @returns {boolean}
+ */
+const isOfficerCommand = (ctx) => !!ctx.officer && !!parseOfficerCommand(ctx.message);
+
+/**
+ * Answer an officer command: run it, or list the commands
+ * @param {Object} ctx - Conversation context, with ctx.officer from findOfficerByPhone
+ * @returns {Promise<string>} - Reply
+ */
+const handleOfficerMessage = async (ctx) => {
+  const parsed = parseOfficerCommand(ctx.message);
+
+  if (!parsed || parsed.command === 'OFFICER') {
+    return `Hello ${ctx.officer.name}.\n\n${OFFICER_HELP}`;
+  }
+  if (parsed.command === 'MY') {
+    return listOfficerReports(ctx.officer);
+  }
+  return runStatusCommand(ctx, parsed);
+};
+
+module.exports = {
+  OFFICER_COMMANDS,
+  clearOfficerDirectory,
+  findOfficerByPhone,
+  parseOfficerCommand,
+  isOfficerCommand,
+  findOfficerReport,
+  listOfficerReports,
+  handleOfficerMessage
+};
@@ -0,0 +1,206 @@
+const OutboundMessage = require('../models/OutboundMessage');
+const Query = require('../models/Query');
+const { sendWhatsAppMessage, sendInteractiveMessage } = require('../utils/whatsapp');
+const { isInteractiveMessage } = require('../utils/interactive-messages');
+const { recordOutboundMessage } = require('./transcripts');
+
+// Most messages sent per second, to stay within the provider's throughput limit
+const RATE_PER_SECOND = parseInt(process.env.OUTBOX_RATE_PER_SECOND || '10', 10);
+
+// A message that failed this many times is given up on
+const MAX_ATTEMPTS = parseInt(process.env.OUTBOX_MAX_ATTEMPTS || '6', 10);
+
+// Delay before the first retry, doubled for every further attempt
+const RETRY_BASE_SECONDS = parseInt(process.env.OUTBOX_RETRY_BASE_SECONDS || '10', 10);
+
+const POLL_INTERVAL_MS = 1000;
+
+// A message stuck in 'sending' this long was being sent by a process that died
+const STALE_LOCK_MS = 5 * 60 * 1000;
+
+let timer = null;
+let processing = false;
+
+// Messages sent in the current one second window
+let windowStart = 0;
+let sentInWindow = 0;
+
+/**
+ * Reserve one send within the throughput limit
+ * @returns {boolean} - False when the limit for this second is used up
+ */
+const takeSendSlot = () => {
+  const now = Date.now();
+  if (now - windowStart >= 1000) {
+    windowStart = now;
+    sentInWindow = 0;
+  }
+
+  if (sentInWindow >= RATE_PER_SECOND) {
+    return false;
+  }
+  sentInWindow++;
+  return true;
+};
+
+/**
+ * Queue a WhatsApp message for the outbox worker to send
+ * @param {string} to - Recipient's WhatsApp number
+ * @param {string|Object} content - Text or interactive message
+ * @param {Object} [options] - { purpose, queryId, metadata, statusCallback, session }.
+ *   Pass a session to queue the message in the same transaction as other writes.
+ * @returns {Promise<Object>} - OutboundMessage document
+ */
+const queueMessage = async (to, content, { purpose, queryId, metadata, statusCallback, session } = {}) => {
+  if (!to) {
+    throw new Error('Invalid recipient');
+  }
+
+  const interactive = isInteractiveMessage(content);
+  const [message] = await OutboundMessage.create([{
+    to,
+    body: interactive ? content.fallbackText : content,
+    interactive: interactive ? content : undefined,
+    purpose,
+    query: queryId,
+    metadata,
+    status_callback: statusCallback
+  }], { session });
+
+  // Outside a transaction the message can go right away. Queued in one, it
+  // is only visible once committed, so the next poll picks it up.
+  if (!session && timer) {
+    setImmediate(processOutbox);
+  }
+
+  return message;
+};
+
+/**
+ * Record what a sent message was for, and add it to the transcript
+ * @param {Object} message - OutboundMessage document
+ * @param {Object} sent - Transport response
+ */
+const recordDelivery = async (message, sent) => {
+  await recordOutboundMessage(message);
+
+  if (message.purpose === 'officer_notification' && message.query) {
+    await Query.findByIdAndUpdate(message.query, {
+      divisionNotified: true,
+      $push: {
+        divisionOfficersNotified: {
+          ...message.metadata,
+          notification_time: new Date(),
+          status: 'queued',
+          message_sid: sent.sid
+        }
+      }
+    });
+  }
+};
+
+/**
+ * Send one claimed message, scheduling a retry with exponential backoff if it fails
+ * @param {Object} message - OutboundMessage document in 'sending' state
+ */
+const deliver = async (message) => {
+  let sent;
+
+  try {
+    sent = message.interactive
+      ? await sendInteractiveMessage(message.to, message.interactive)
+      : await sendWhatsAppMessage(message.to, message.body, { statusCallback: message.status_callback });
+  } catch (error) {
+    message.last_error = error.message;
+
+    if (message.attempts >= MAX_ATTEMPTS) {
+      message.status = 'failed';
+      message.failed_at = new Date();
+      console.error(`Giving up on message ${message._id} to ${message.to} after ${message.attempts} attempts`);
+    } else {
+      const delaySeconds = RETRY_BASE_SECONDS * 2 ** (message.attempts - 1);
+      message.status = 'queued';
+      message.next_attempt_at = new Date(Date.now() + delaySeconds * 1000);
+      console.log(`Message ${message._id} to ${message.to} failed, retrying in ${delaySeconds}s`);
+    }
+
+    await message.save();
+    return;
+  }
+
+  // The message is out, so a failure from here on must not lead to a retry
+  try {
+    message.status = 'sent';
+    message.message_sid = sent.sid;
+    message.sent_at = new Date();
+    message.last_error = undefined;
+    await message.save();
+
+    await recordDelivery(message, sent);
+  } catch (error) {
+    console.error(`Error recording delivery of message ${message._id}:`, error);
+  }
+};
+
+/**
+ * Send the messages that are due, at most RATE_PER_SECOND every second
+ */
+const processOutbox = async () => {
+  if (processing) {
+    return;
+  }
+  processing = true;
+
+  try {
+    await OutboundMessage.updateMany(
+      { status: 'sending', locked_at: { $lt: new Date(Date.now() - STALE_LOCK_MS) } },
+      { status: 'queued' }
+    );
+
+    while (takeSendSlot()) {
+      const message = await OutboundMessage.findOneAndUpdate(
+        { status: 'queued', next_attempt_at: { $lte: new Date() } },
+        { status: 'sending', locked_at: new Date(), $inc: { attempts: 1 } },
+        { sort: { next_attempt_at: 1, created_at: 1 }, new: true }
+      );
+
+      if (!message) {
+        sentInWindow--;
+        break;
+      }
+
+      await deliver(message);
+    }
+  } catch (error) {
+    console.error('Error processing outbox:', error);
+  } finally {
+    processing = false;
+  }
+};
+
+/**
+ * Start sending queued messages in the background
+ */
+const startOutboxWorker = () => {
+  if (timer) {
+    return;
+  }
+
+  timer = setInterval(processOutbox, POLL_INTERVAL_MS);
+  console.log(`Outbox worker started, sending up to ${RATE_PER_SECOND} messages per second`);
+};
+
+/**
+ * Stop the background worker
+ */
+const stopOutboxWorker = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  queueMessage,
+  processOutbox,
+  startOutboxWorker,
+  stopOutboxWorker
+};
@@ -0,0 +1,179 @@
+const BlockedUser = require('../models/BlockedUser');
+const UsageCounter = require('../models/UsageCounter');
+const { normalizeUserId } = require('../utils/userHelper');
+const { getText } = require('../utils/language');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Per-citizen limits, each counted in fixed windows
+const LIMITS = {
+  message: {
+    limit: parseInt(process.env.RATE_LIMIT_MESSAGES_PER_MINUTE || '20', 10),
+    windowMs: MINUTE
+  },
+  report: {
+    limit: parseInt(process.env.RATE_LIMIT_REPORTS_PER_DAY || '10', 10),
+    windowMs: DAY
+  },
+  capture_link: {
+    limit: parseInt(process.env.RATE_LIMIT_CAPTURE_LINKS_PER_HOUR || '6', 10),
+    windowMs: HOUR
+  }
+};
+
+/**
+ * Filter matching blocks that currently apply
+ * @returns {Object} - Mongo filter
+ */
+const activeBlockFilter = () => ({
+  lifted_at: null,
+  $or: [{ expires_at: null }, { expires_at: { $gt: new Date() } }]
+});
+
+/**
+ * Get the block that currently applies to a number, if any
+ * @param {string} userId - WhatsApp number in any format
+ * @returns {Promise<Object|null>} - BlockedUser document
+ */
+const getActiveBlock = (userId) =>
+  BlockedUser.findOne({ user_id: normalizeUserId(userId), ...activeBlockFilter() });
+
+/**
+ * Start of the fixed window an action falls in
+ * @param {string} kind - 'message', 'report' or 'capture_link'
+ * @param {number} [now] - Time of the action in milliseconds, defaults to now
+ * @returns {Date}
+ */
+const getWindowStart = (kind, now = Date.now()) => new Date(now - (now % LIMITS[kind].windowMs));
+
+/**
+ * Count one action of a citizen against its limit
+ * @param {string} userId - WhatsApp number in any format
+ * @param {string} kind - 'message', 'report' or 'capture_link'
+ * @returns {Promise<Object>} - { allowed, count, limit, firstRejection }
+ */
+const consume = async (userId, kind) => {
+  const { limit, windowMs } = LIMITS[kind];
+  const windowStart = getWindowStart(kind);
+
+  const counter = await UsageCounter.findOneAndUpdate(
+    { user_id: normalizeUserId(userId), kind, window_start: windowStart },
+    {
+      $inc: { count: 1 },
+      $setOnInsert: { expires_at: new Date(windowStart.getTime() + windowMs) }
+    },
+    { upsert: true, new: true }
+  );
+
+  const allowed = counter.count <= limit;
+
+  if (!allowed && !counter.throttled_at) {
+    counter.throttled_at = new Date();
+    await counter.save();
+    console.log(`${counter.user_id} exceeded the ${kind} limit of ${limit}`);
+  }
+
+  return {
+    allowed,
+    count: counter.count,
+    limit,
+    // Only the first rejected action in a window gets an explanation,
+    // so a flood of messages isn't answered with a flood of warnings
+    firstRejection: counter.count === limit + 1
+  };
+};
+
+/**
+ * Give back an action counted by consume that didn't go through, e.g. a
+ * report that couldn't be saved
+ * @param {string} userId - WhatsApp number in any format
+ * @param {string} kind - 'message', 'report' or 'capture_link'
+ * @returns {Promise}
+ */
+const release = (userId, kind) =>
+  UsageCounter.updateOne(
+    { user_id: normalizeUserId(userId), kind, window_start: getWindowStart(kind), count: { $gt: 0 } },
+    { $inc: { count: -1 } }
+  );
+
+/**
+ * Decide whether an incoming WhatsApp message should be handled
+ * @param {string} userId - Sender
+ * @param {string} language - Language code for the explanation
+ * @returns {Promise<Object>} - { allowed, reply } where reply is the explanation to send, if any
+ */
+const checkIncomingMessage = async (userId, language) => {
+  const block = await getActiveBlock(userId);
+  const usage = await consume(userId, 'message');
+
+  if (block) {
+    // Explain the block once per message window, ignore the rest
+    const until = block.expires_at
+      ? new Date(block.expires_at).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', dateStyle: 'medium', timeStyle: 'short' })
+      : null;
+    return { allowed: false, reply: usage.count === 1 ? getText('USER_BLOCKED', language, until) : null };
+  }
+
+  if (!usage.allowed) {
+    return { allowed: false, reply: usage.firstRejection ? getText('RATE_LIMIT_MESSAGES', language) : null };
+  }
+
+  return { allowed: true, reply: null };
+};
+
+/**
+ * Block a number from using the bot
+ * @param {string} userId - WhatsApp number in any format
+ * @param {Object} details - { reason, expiresAt, blockedBy }
+ * @returns {Promise<Object>} - BlockedUser document
+ */
+const blockUser = (userId, { reason, expiresAt, blockedBy }) =>
+  BlockedUser.create({
+    user_id: normalizeUserId(userId),
+    reason,
+    expires_at: expiresAt || null,
+    blocked_by: blockedBy
+  });
+
+/**
+ * Lift a block before it expires
+ * @param {string} blockId - BlockedUser id
+ * @param {string} liftedBy - Who lifted the block
+ * @returns {Promise<Object|null>} - Updated BlockedUser document
+ */
+const liftBlock = (blockId, liftedBy) =>
+  BlockedUser.findOneAndUpdate(
+    { _id: blockId, lifted_at: null },
+    { lifted_at: new Date(), lifted_by: liftedBy },
+    { new: true }
+  );
+
+/**
+ * Get the numbers currently blocked
+ * @returns {Promise<Array>} - BlockedUser documents, newest first
+ */
+const getBlockedUsers = () =>
+  BlockedUser.find(activeBlockFilter()).sort({ blocked_at: -1 });
+
+/**
+ * Get the numbers over one of their limits in a window that hasn't ended yet
+ * @returns {Promise<Array>} - UsageCounter documents, most recently throttled first
+ */
+const getThrottledUsers = () =>
+  UsageCounter.find({ throttled_at: { $ne: null }, expires_at: { $gt: new Date() } })
+    .sort({ throttled_at: -1 });
+
+module.exports = {
+  LIMITS,
+  getWindowStart,
+  getActiveBlock,
+  consume,
+  release,
+  checkIncomingMessage,
+  blockUser,
+  liftBlock,
+  getBlockedUsers,
+  getThrottledUsers
+};
@@ -0,0 +1,141 @@
+const Session = require('../models/Session');
+const { normalizeUserId } = require('../utils/userHelper');
+
+// How long an unfinished report is kept after the citizen last worked on it
+const DRAFT_TTL_HOURS = parseFloat(process.env.REPORT_DRAFT_TTL_HOURS || '24');
+
+// Conversation states a draft can be picked up in
+const DRAFT_STEPS = ['AWAITING_REPORT', 'AWAITING_DESCRIPTION', 'AWAITING_LOCATION', 'AWAITING_CONFIRMATION'];
+
+// How often expired drafts are deleted
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let cleanupTimer = null;
+
+/**
+ * Get the session's unfinished report, discarding it if it has expired.
+ * The session isn't saved.
+ * @param {Object} session - Session document
+ * @returns {Object|null} - Draft subdocument or null
+ */
+const getActiveDraft = (session) => {
+  const { draft } = session;
+  if (!draft) {
+    return null;
+  }
+
+  if (draft.expires_at && draft.expires_at < new Date()) {
+    console.log(`Draft report of ${session.user_id} expired`);
+    session.draft = undefined;
+    return null;
+  }
+
+  return draft;
+};
+
+/**
+ * Start a new draft for a report type, replacing any unfinished one.
+ * The session isn't saved.
+ * @param {Object} session - Session document
+ * @param {string} option - Main menu option of the report type
+ * @returns {Object} - Draft subdocument
+ */
+const startDraft = (session, option) => {
+  const now = new Date();
+  session.draft = {
+    option,
+    step: 'AWAITING_REPORT',
+    attachments: [],
+    started_at: now,
+    updated_at: now,
+    expires_at: new Date(now.getTime() + DRAFT_TTL_HOURS * 60 * 60 * 1000)
+  };
+  return session.draft;
+};
+
+/**
+ * Save the session's draft, recording the step to pick it up in and
+ * extending its expiry
+ * @param {Object} session - Session document
+ * @param {string} [step] - Conversation state the draft is now in
+ * @returns {Promise} - Saved session
+ */
+const saveDraft = (session, step) => {
+  const now = new Date();
+  if (step) {
+    session.draft.step = step;
+  }
+  session.draft.updated_at = now;
+  session.draft.expires_at = new Date(now.getTime() + DRAFT_TTL_HOURS * 60 * 60 * 1000);
+  return session.save();
+};
+
+/**
+ * Forget the session's unfinished report
+ * @param {Object} session - Session document
+ * @returns {Promise} - Saved session
+ */
+const discardDraft = (session) => {
+  session.draft = undefined;
+  return session.save();
+};
+
+/**
+ * Forget a citizen's unfinished chat report, e.g. once they sent it from the
+ * capture page instead
+ * @param {string} userId - WhatsApp number in any format
+ * @returns {Promise}
+ */
+const discardUserDraft = (userId) => Session.updateMany(
+  { user_id: { $in: [...new Set([userId, normalizeUserId(userId)])] }, draft: { $exists: true } },
+  { $unset: { draft: 1 } }
+);
+
+/**
+ * Delete every expired draft
+ * @returns {Promise<number>} - Number of drafts deleted
+ */
+const discardExpiredDrafts = async () => {
+  const result = await Session.updateMany(
+    { 'draft.expires_at': { $lt: new Date() } },
+    { $unset: { draft: 1 } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`Discarded ${result.modifiedCount} expired draft reports`);
+  }
+  return result.modifiedCount;
+};
+
+/**
+ * Start deleting expired drafts in the background
+ */
+const startDraftCleanup = () => {
+  if (cleanupTimer) {
+    return;
+  }
+
+  cleanupTimer = setInterval(() => {
+    discardExpiredDrafts().catch(error => console.error('Error discarding expired drafts:', error));
+  }, CLEANUP_INTERVAL_MS);
+  console.log(`Draft cleanup started, drafts are kept for ${DRAFT_TTL_HOURS} hours`);
+};
+
+/**
+ * Stop the background cleanup
+ */
+const stopDraftCleanup = () => {
+  clearInterval(cleanupTimer);
+  cleanupTimer = null;
+};
+
+module.exports = {
+  DRAFT_STEPS,
+  getActiveDraft,
+  startDraft,
+  saveDraft,
+  discardDraft,
+  discardUserDraft,
+  discardExpiredDrafts,
+  startDraftCleanup,
+  stopDraftCleanup
+};
@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Counter = require('../models/Counter');
+const Query = require('../models/Query');
+
+// References look like TB-2026-004512: prefix, year, number within the year
+const REFERENCE_PREFIX = 'TB';
+const REFERENCE_DIGITS = 6;
+
+// Years follow Indian time, so a report just after midnight on 1 January
+// starts the new year
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/**
+ * Format a reference from its year and number
+ * @param {number} year - e.g. 2026
+ * @param {number} seq - Number within the year, from 1
+ * @returns {string} - e.g. 'TB-2026-004512'
+ */
+const formatReportReference = (year, seq) =>
+  `${REFERENCE_PREFIX}-${year}-${String(seq).padStart(REFERENCE_DIGITS, '0')}`;
+
+/**
+ * Read a reference the way people type it, e.g. 'tb-2026-4512',
+ * 'TB 2026 004512' or 'TB2026004512'
+ * @param {string} text - Typed reference
+ * @returns {string|null} - Reference as stored, or null when it isn't one
+ */
+const parseReportReference = (text) => {
+  const match = (text || '').trim().replace(/^#/, '')
+    .match(new RegExp(`^${REFERENCE_PREFIX}[-\\s]?(\\d{4})[-\\s]?(\\d{1,${REFERENCE_DIGITS}})$`, 'i'));
+  return match ? formatReportReference(parseInt(match[1], 10), parseInt(match[2], 10)) : null;
+};
+
+/**
+ * Key for the resolve links that carry a reference
+ * @returns {string}
+ */
+const getLinkSecret = () =>
+  process.env.REPORT_LINK_SECRET || process.env.JWT_SECRET || 'traffic-buddy-jwt-secret-key';
+
+/**
+ * Sign a reference for a resolve link. References are sequential and easy
+ * to guess, so the resolve pages, which need no login, only take one
+ * together with its token.
+ * @param {string} reference - e.g. 'TB-2026-004512'
+ * @returns {string} - Token for the link
+ */
+const signReportReference = (reference) =>
+  crypto.createHmac('sha256', getLinkSecret()).update(reference).digest('hex').slice(0, 32);
+
+/**
+ * Check the token of a resolve link
+ * @param {string} reference - Reference as stored
+ * @param {string} token - Token from the link
+ * @returns {boolean}
+ */
+const verifyReportReferenceToken = (reference, token) => {
+  const expected = Buffer.from(signReportReference(reference));
+  const given = Buffer.from(String(token || ''));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+};
+
+/**
+ * Link officers open to update a report, by its signed reference when it
+ * has one
+ * @param {Object} query - Query document
+ * @returns {string}
+ */
+const getResolveLink = (query) => (query.reference
+  ? `${process.env.SERVER_URL}/resolve.html?ref=${query.reference}&token=${signReportReference(query.reference)}`
+  : `${process.env.SERVER_URL}/resolve.html?id=${query._id}`);
+
+/**
+ * Hand out the next reference of a year. Numbers come from an atomic
+ * counter, so two reports never get the same one.
+ * @param {Date} [date] - When the report was submitted, defaults to now
+ * @returns {Promise<string>}
+ */
+const nextReportReference = async (date = new Date()) => {
+  const year = new Date(new Date(date).getTime() + IST_OFFSET_MS).getUTCFullYear();
+  const counter = await Counter.findOneAndUpdate(
+    { _id: `report-${year}` },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true }
+  );
+  return formatReportReference(year, counter.seq);
+};
+
+/**
+ * Find a report by its id or its reference
+ * @param {string} value - Query id or reference
+ * @returns {Promise<Object|null>} - Query document
+ */
+const findReportByIdOrReference = async (value) => {
+  if (mongoose.Types.ObjectId.isValid(value) && String(value).length === 24) {
+    return Query.findById(value);
+  }
+  const reference = parseReportReference(value);
+  return reference ? Query.findOne({ reference }) : null;
+};
+
+/**
+ * Give every report submitted before references existed one, oldest first.
+ * Run before the server takes reports, so they get the lower numbers of
+ * their year and the numbers follow submission order.
+ * @returns {Promise<number>} - Number of reports given a reference
+ */
+const backfillReportReferences = async () => {
+  const reports = await Query.find({ reference: null }).sort({ timestamp: 1 }).select('_id timestamp');
+
+  let assigned = 0;
+  for (const report of reports) {
+    const reference = await nextReportReference(report.timestamp);
+    const result = await Query.updateOne({ _id: report._id, reference: null }, { reference });
+    assigned += result.modifiedCount;
+  }
+
+  if (assigned > 0) {
+    console.log(`Gave ${assigned} older reports a reference`);
+  }
+  return assigned;
+};
+
+module.exports = {
+  REFERENCE_PREFIX,
+  formatReportReference,
+  parseReportReference,
+  signReportReference,
+  verifyReportReferenceToken,
+  getResolveLink,
+  nextReportReference,
+  findReportByIdOrReference,
+  backfillReportReferences
+};
@@ -0,0 +1,231 @@
+// Every status a report can be in
+const STATUSES = ['Pending', 'In Progress', 'Resolved', 'Rejected', 'Appealed'];
+
+// Statuses a report can move to from each status. In Progress can be set
+// again to record progress. Entering Appealed is the citizen filing an
+// appeal, and leaving it the main admin's appeal decision, nothing else.
+const STATUS_TRANSITIONS = {
+  'Pending': ['In Progress', 'Resolved', 'Rejected'],
+  'In Progress': ['In Progress', 'Pending', 'Resolved', 'Rejected'],
+  'Resolved': ['Pending', 'In Progress'],
+  'Rejected': ['Pending', 'In Progress'],
+  'Appealed': ['Pending', 'Rejected']
+};
+
+// Statuses an appeal being filed can move a report from
+const APPEALABLE_STATUSES = ['Rejected'];
+
+// Where a status change was made
+const STATUS_SOURCES = ['dashboard', 'resolve_link', 'whatsapp', 'system'];
+
+// Statuses that close a report, recording who closed it
+const CLOSED_STATUSES = ['Resolved', 'Rejected'];
+
+// Statuses a report is being worked on in, reopening it when it was closed
+const OPEN_STATUSES = ['Pending', 'In Progress'];
+
+/**
+ * A status change the lifecycle doesn't allow
+ */
+class StatusTransitionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StatusTransitionError';
+  }
+}
+
+/**
+ * Check whether a report may move from one status to another
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @returns {boolean}
+ */
+const canTransitionStatus = (from, to) => (STATUS_TRANSITIONS[from || 'Pending'] || []).includes(to);
+
+/**
+ * Check whether a status change is allowed, throwing when it isn't
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @param {Object} flags - { appealFiled, appealDecision }, see applyStatusChange
+ * @throws {StatusTransitionError}
+ */
+const checkStatusChange = (from, to, { appealFiled, appealDecision }) => {
+  if (from === 'Appealed' && !appealDecision) {
+    throw new StatusTransitionError('This report is under appeal and must be decided by the main admin');
+  }
+  if (to === 'Appealed') {
+    if (!appealFiled) {
+      throw new StatusTransitionError('A report is only appealed by its reporter filing an appeal');
+    }
+    if (!APPEALABLE_STATUSES.includes(from)) {
+      throw new StatusTransitionError(`A report that is ${from} cannot be appealed`);
+    }
+    return;
+  }
+  if (!canTransitionStatus(from, to)) {
+    throw new StatusTransitionError(from === to
+      ? `This report is already ${to}`
+      : `A report cannot move from ${from} to ${to}`);
+  }
+};
+
+/**
+ * Move a report to a new status and add the change to its history. Closing
+ * it records who closed it, reopening it clears when it was closed. The
+ * report isn't saved.
+ * @param {Object} query - Query document
+ * @param {string} status - New status
+ * @param {Object} change - Change details
+ * @param {string} change.actor - Who made the change, e.g. the officer's name
+ * @param {string} change.role - e.g. 'main_admin', 'division_admin', 'officer', 'citizen', 'system'
+ * @param {string} change.source - One of STATUS_SOURCES
+ * @param {string} [change.note] - Resolution note or reason
+ * @param {string} [change.ipAddress] - Address the change was made from
+ * @param {Object} [change.incident] - Incident the change was passed on from
+ * @param {boolean} [change.appealFiled] - The citizen filing an appeal, the only
+ *   way a report becomes Appealed
+ * @param {boolean} [change.appealDecision] - The main admin deciding an appeal,
+ *   which keeps the original resolution details
+ * @returns {Object} - The history entry
+ * @throws {StatusTransitionError} - When the change isn't allowed
+ */
+const applyStatusChange = (query, status, {
+  actor, role, source, note, ipAddress, incident, appealFiled = false, appealDecision = false
+}) => {
+  const from = query.status || 'Pending';
+
+  if (!STATUSES.includes(status)) {
+    throw new StatusTransitionError(`Invalid status: ${status}`);
+  }
+  if (!STATUS_SOURCES.includes(source)) {
+    throw new Error(`Invalid status change source: ${source}`);
+  }
+  checkStatusChange(from, status, { appealFiled, appealDecision });
+
+  const now = new Date();
+  query.status = status;
+
+  if (!appealDecision) {
+    if (note && status !== 'Appealed' && status !== 'Pending') {
+      query.resolution_note = note;
+    }
+    if (CLOSED_STATUSES.includes(status)) {
+      query.resolved_at = now;
+      query.resolved_by = { name: actor, timestamp: now, ip_address: ipAddress };
+    }
+  }
+  if (OPEN_STATUSES.includes(status)) {
+    query.resolved_at = null;
+  }
+
+  // Leaving Pending for the first time stops the acknowledgement clock
+  if (from === 'Pending' && status !== 'Pending' && query.sla?.acknowledge_by && !query.sla.acknowledged_at) {
+    query.sla.acknowledged_at = now;
+  }
+
+  const entry = {
+    status,
+    previous_status: from,
+    actor,
+    role,
+    source,
+    note,
+    ip_address: ipAddress,
+    incident: incident ? incident._id : undefined,
+    at: now
+  };
+  query.status_history.push(entry);
+
+  console.log(`Report ${query._id} moved from ${from} to ${status} by ${actor} (${source})`);
+  return entry;
+};
+
+/**
+ * Move a report to a new status, record it in its history and save it
+ * @param {Object} query - Query document
+ * @param {string} status - New status
+ * @param {Object} change - See applyStatusChange
+ * @returns {Promise<Object>} - Saved query
+ * @throws {StatusTransitionError} - When the change isn't allowed
+ */
+const changeReportStatus = async (query, status, change) => {
+  applyStatusChange(query, status, change);
+  return query.save();
+};
+
+/**
+ * Get what happened to a report, oldest first: its submission, every
+ * status change, who it was assigned to and the citizen's rating. Reports
+ * changed before the history was kept show their last resolution instead.
+ * @param {Object} query - Query document
+ * @returns {Array<Object>} - [{ type, at, status, previous_status, actor, role, source, note }],
+ * assignments with { officer, previous_officer } instead of statuses
+ */
+const getReportTimeline = (query) => {
+  const events = [{
+    type: 'submitted',
+    at: query.timestamp,
+    status: 'Pending',
+    actor: query.anonymous ? 'Anonymous' : query.user_name
+  }];
+
+  const history = query.status_history || [];
+  for (const entry of history) {
+    events.push({
+      type: 'status_change',
+      at: entry.at,
+      status: entry.status,
+      previous_status: entry.previous_status,
+      actor: entry.actor,
+      role: entry.role,
+      source: entry.source,
+      note: entry.note,
+      incident: entry.incident
+    });
+  }
+
+  if (history.length === 0 && query.status !== 'Pending' && query.resolved_by?.name) {
+    events.push({
+      type: 'status_change',
+      at: query.resolved_at || query.resolved_by.timestamp,
+      status: query.status,
+      actor: query.resolved_by.name,
+      note: query.resolution_note,
+      legacy: true
+    });
+  }
+
+  for (const entry of query.assignment_history || []) {
+    events.push({
+      type: entry.officer_id ? 'assigned' : 'unassigned',
+      at: entry.at,
+      officer: entry.name,
+      previous_officer: entry.previous_name,
+      actor: entry.actor,
+      role: entry.role,
+      note: entry.note
+    });
+  }
+
+  if (query.satisfaction?.rated_at) {
+    events.push({
+      type: 'rated',
+      at: query.satisfaction.rated_at,
+      rating: query.satisfaction.rating,
+      note: query.satisfaction.comment
+    });
+  }
+
+  return events.sort((a, b) => new Date(a.at) - new Date(b.at));
+};
+
+module.exports = {
+  STATUSES,
+  STATUS_TRANSITIONS,
+  STATUS_SOURCES,
+  StatusTransitionError,
+  canTransitionStatus,
+  applyStatusChange,
+  changeReportStatus,
+  getReportTimeline
+};
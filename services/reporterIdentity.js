@@ -0,0 +1,55 @@
+const Query = require('../models/Query');
+const ReporterReveal = require('../models/ReporterReveal');
+
+/**
+ * Reveal who sent an anonymous report, recording who asked and why.
+ * Reports that aren't anonymous are returned without a log entry.
+ * @param {string} queryId - Query id
+ * @param {Object} details - { reason, revealedBy, role, ipAddress, userAgent }
+ * @returns {Promise<Object|null>} - { reporter, reveal }, or null when the report doesn't exist
+ */
+const revealReporter = async (queryId, { reason, revealedBy, role, ipAddress, userAgent }) => {
+  const query = await Query.findById(queryId);
+  if (!query) {
+    return null;
+  }
+
+  const reporter = {
+    user_id: query.user_id,
+    user_name: query.user_name,
+    name: query.name,
+    email: query.email,
+    phone: query.phone
+  };
+
+  if (!query.anonymous) {
+    return { reporter, reveal: null };
+  }
+
+  const reveal = await ReporterReveal.create({
+    query: query._id,
+    reason,
+    revealed_by: revealedBy,
+    role,
+    ip_address: ipAddress,
+    user_agent: userAgent
+  });
+  console.log(`Reporter of anonymous report ${query._id} revealed by ${revealedBy || role}: ${reason}`);
+
+  return { reporter, reveal };
+};
+
+/**
+ * Get the reveal log, newest first
+ * @param {Object} filter - { queryId }
+ * @returns {Promise<Array>} - ReporterReveal documents
+ */
+const getReporterReveals = ({ queryId } = {}) =>
+  ReporterReveal.find(queryId ? { query: queryId } : {})
+    .populate('query', 'query_type divisionName timestamp status')
+    .sort({ revealed_at: -1 });
+
+module.exports = {
+  revealReporter,
+  getReporterReveals
+};
@@ -0,0 +1,101 @@
+const Query = require('../models/Query');
+const Session = require('../models/Session');
+const { getText } = require('../utils/language');
+const { getRatingRequestMessage } = require('../utils/interactive-messages');
+const { queueMessage } = require('./outbox');
+const { getReportReference } = require('./citizenReports');
+const { applyStatusChange } = require('./reportStatus');
+
+// Ratings at or below this score are treated as a complaint about the resolution
+const LOW_RATING_THRESHOLD = parseInt(process.env.SATISFACTION_LOW_RATING || '2', 10);
+
+// What happens to a report after a low rating: 'reopen' or 'flag'
+const LOW_RATING_ACTION = process.env.SATISFACTION_LOW_RATING_ACTION === 'reopen' ? 'reopen' : 'flag';
+
+// States in which the user isn't in the middle of something, so the bot may
+// switch them to answering the rating request. None of the steps of writing
+// a report (DRAFT_STEPS in services/reportDrafts.js) is idle, so a report
+// being written is never interrupted.
+const IDLE_STATES = ['MENU', 'STATUS_LOOKUP', 'JOIN_TEAM_LINK_SENT'];
+
+/**
+ * Ask the citizen to rate a report that was just resolved
+ * @param {Object} query - Resolved Query document
+ * @returns {Promise<boolean>} - Whether the request was queued
+ */
+const requestSatisfactionRating = async (query) => {
+  if (!query.user_id || !query.user_id.startsWith('whatsapp:') || query.satisfaction?.rating) {
+    return false;
+  }
+
+  const session = await Session.findOne({ user_id: query.user_id });
+  const language = session?.language || 'en';
+
+  const text = getText('RATING_REQUEST', language, query.query_type, getReportReference(query));
+  await queueMessage(query.user_id, getRatingRequestMessage(text, language), { purpose: 'report_update', queryId: query._id });
+
+  query.satisfaction.requested_at = new Date();
+  await query.save();
+
+  if (session) {
+    session.pending_rating_query = query._id;
+    if (IDLE_STATES.includes(session.current_state)) {
+      session.current_state = 'AWAITING_RATING';
+    }
+    await session.save();
+  }
+
+  return true;
+};
+
+/**
+ * Store a rating and act on it when it is low
+ * @param {string} queryId - Rated report
+ * @param {number} rating - Score from 1 to 5
+ * @returns {Promise<Object|null>} - { query, low, reopened } or null if the report no longer exists
+ */
+const recordSatisfactionRating = async (queryId, rating) => {
+  const query = await Query.findById(queryId);
+  if (!query) {
+    return null;
+  }
+
+  const low = rating <= LOW_RATING_THRESHOLD;
+  const reopened = low && LOW_RATING_ACTION === 'reopen' && query.status === 'Resolved';
+
+  query.satisfaction.rating = rating;
+  query.satisfaction.rated_at = new Date();
+  query.satisfaction.officer_name = query.resolved_by?.name;
+  query.satisfaction.flagged = low;
+
+  if (reopened) {
+    applyStatusChange(query, 'Pending', {
+      actor: 'Citizen',
+      role: 'citizen',
+      source: 'whatsapp',
+      note: `Reopened after a rating of ${rating}`
+    });
+    console.log(`Report ${query._id} reopened after a rating of ${rating}`);
+  } else if (low) {
+    console.log(`Report ${query._id} flagged for ${query.divisionName} after a rating of ${rating}`);
+  }
+
+  await query.save();
+  return { query, low, reopened };
+};
+
+/**
+ * Store the optional comment that follows a rating
+ * @param {string} queryId - Rated report
+ * @param {string} comment - Citizen's comment
+ */
+const recordSatisfactionComment = (queryId, comment) =>
+  Query.findByIdAndUpdate(queryId, { 'satisfaction.comment': comment });
+
+module.exports = {
+  LOW_RATING_THRESHOLD,
+  LOW_RATING_ACTION,
+  requestSatisfactionRating,
+  recordSatisfactionRating,
+  recordSatisfactionComment
+};
@@ -0,0 +1,456 @@
+const Query = require('../models/Query');
+const SlaPolicy = require('../models/SlaPolicy');
+const Holiday = require('../models/Holiday');
+const { Division } = require('../models/Division');
+const { formatPhoneNumber } = require('../utils/whatsapp');
+const { queueMessage } = require('./outbox');
+const { getReportReference } = require('./citizenReports');
+const { getResolveLink } = require('./reportReferences');
+
+// Targets for report types without a policy of their own
+const DEFAULT_ACKNOWLEDGE_HOURS = parseFloat(process.env.SLA_ACKNOWLEDGE_HOURS || '4');
+const DEFAULT_RESOLVE_HOURS = parseFloat(process.env.SLA_RESOLVE_HOURS || '48');
+const DEFAULT_SKIP_HOLIDAYS = process.env.SLA_SKIP_HOLIDAYS === 'true';
+
+// Report types only held to a target when a policy is set up for them
+const EXEMPT_TYPES = ['Suggestion'];
+
+// Time between escalation steps once a deadline has passed
+const ESCALATION_STEP_HOURS = parseFloat(process.env.SLA_ESCALATION_STEP_HOURS || '4');
+
+// Open reports this close to a deadline count as at risk
+const AT_RISK_HOURS = parseFloat(process.env.SLA_AT_RISK_HOURS || '4');
+
+// WhatsApp number the main admin is escalated to
+const MAIN_ADMIN_PHONE = process.env.MAIN_ADMIN_PHONE;
+
+// Escalation steps: remind the notified officers, tell the next active
+// officer, tell the main admin
+const ESCALATION_LEVELS = { REMINDER: 1, NEXT_OFFICER: 2, MAIN_ADMIN: 3 };
+
+// Statuses whose deadlines are still running
+const OPEN_STATUSES = ['Pending', 'In Progress'];
+
+// How often deadlines are checked
+const MONITOR_INTERVAL_MS = 5 * 60 * 1000;
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Holidays are days in Indian time, which has no daylight saving
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+let monitorTimer = null;
+
+/**
+ * Get the days SLA clocks can skip
+ * @returns {Promise<Set<string>>} - 'YYYY-MM-DD' dates
+ */
+const getHolidayDates = async () => {
+  const holidays = await Holiday.find().select('date');
+  return new Set(holidays.map(holiday => holiday.date));
+};
+
+/**
+ * Add hours to a time, leaving out any holidays
+ * @param {Date} start - When the clock starts
+ * @param {number} hours - Hours to add
+ * @param {Set<string>} [holidays] - 'YYYY-MM-DD' days to skip
+ * @returns {Date}
+ */
+const addSlaHours = (start, hours, holidays) => {
+  let cursor = new Date(start).getTime();
+  let remaining = hours * HOUR_MS;
+
+  if (!holidays || holidays.size === 0) {
+    return new Date(cursor + remaining);
+  }
+
+  while (remaining > 0) {
+    const dayStart = Math.floor((cursor + IST_OFFSET_MS) / DAY_MS) * DAY_MS - IST_OFFSET_MS;
+    const dayEnd = dayStart + DAY_MS;
+    const date = new Date(dayStart + IST_OFFSET_MS).toISOString().slice(0, 10);
+
+    if (holidays.has(date)) {
+      cursor = Math.max(cursor, dayEnd);
+      continue;
+    }
+
+    const counted = Math.min(remaining, dayEnd - cursor);
+    cursor += counted;
+    remaining -= counted;
+  }
+  return new Date(cursor);
+};
+
+/**
+ * Get the targets a report is held to: its division's policy for its
+ * type, the policy for its type, or the defaults
+ * @param {string} queryType - Report type, e.g. 'Traffic Violation'
+ * @param {Object} [divisionId] - Division the report belongs to
+ * @returns {Promise<Object|null>} - { acknowledge_hours, resolve_hours, skip_holidays },
+ * or null when reports like it have no targets
+ */
+const getSlaPolicy = async (queryType, divisionId) => {
+  const policies = await SlaPolicy.find({
+    query_type: queryType,
+    division: { $in: divisionId ? [divisionId, null] : [null] }
+  });
+
+  const policy = policies.find(p => p.division) || policies.find(p => !p.division);
+  if (policy) {
+    return policy.enabled ? policy : null;
+  }
+  if (EXEMPT_TYPES.includes(queryType)) {
+    return null;
+  }
+
+  return {
+    acknowledge_hours: DEFAULT_ACKNOWLEDGE_HOURS,
+    resolve_hours: DEFAULT_RESOLVE_HOURS,
+    skip_holidays: DEFAULT_SKIP_HOLIDAYS
+  };
+};
+
+/**
+ * Set the deadlines of a new report from its policy. Reports without a
+ * division have nobody to escalate to and get none. The report isn't saved.
+ * @param {Object} query - New Query document
+ * @returns {Promise<Object|null>} - The report's sla, or null
+ */
+const applySlaDeadlines = async (query) => {
+  if (!query.division) {
+    return null;
+  }
+
+  const policy = await getSlaPolicy(query.query_type, query.division);
+  if (!policy) {
+    return null;
+  }
+
+  const holidays = policy.skip_holidays ? await getHolidayDates() : null;
+  const start = query.timestamp || new Date();
+
+  query.sla = {
+    acknowledge_by: addSlaHours(start, policy.acknowledge_hours, holidays),
+    resolve_by: addSlaHours(start, policy.resolve_hours, holidays),
+    acknowledge_hours: policy.acknowledge_hours,
+    resolve_hours: policy.resolve_hours,
+    skip_holidays: policy.skip_holidays,
+    escalation_level: 0
+  };
+  return query.sla;
+};
+
+/**
+ * Format a deadline for officers
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatDeadline = (date) => new Date(date).toLocaleString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+/**
+ * Get who to tell at an escalation level
+ * @param {Object} query - Query document
+ * @param {Object} division - Division document
+ * @param {number} level - One of ESCALATION_LEVELS
+ * @returns {Object} - { level, contacts: [{ name, phone }] }, where level
+ * moves on to the main admin when the division has no other officer.
+ * Reminders go to the assignee, or to the officers first notified.
+ */
+const getEscalationContacts = (query, division, level) => {
+  const activeOfficers = (division?.officers || []).filter(officer => officer.isActive);
+  const notifiedPhones = new Set((query.divisionOfficersNotified || []).map(contact => contact.phone));
+  const assignee = query.assigned_to?.phone
+    ? { name: query.assigned_to.name, phone: query.assigned_to.phone }
+    : null;
+
+  // An assigned report is the assignee's to answer for, before anyone else
+  if (assignee) {
+    notifiedPhones.add(assignee.phone);
+  }
+
+  if (level === ESCALATION_LEVELS.REMINDER) {
+    if (assignee) {
+      return { level, contacts: [assignee] };
+    }
+    const contacts = [...new Map((query.divisionOfficersNotified || [])
+      .map(contact => [contact.phone, { name: contact.name, phone: contact.phone }])).values()];
+    if (contacts.length > 0) {
+      return { level, contacts };
+    }
+    return {
+      level,
+      contacts: activeOfficers.slice(0, 1).map(officer => ({ name: officer.name, phone: formatPhoneNumber(officer.phone) }))
+    };
+  }
+
+  if (level === ESCALATION_LEVELS.NEXT_OFFICER) {
+    const nextOfficer = activeOfficers.find(officer => !notifiedPhones.has(formatPhoneNumber(officer.phone)));
+    if (nextOfficer) {
+      return { level, contacts: [{ name: nextOfficer.name, phone: formatPhoneNumber(nextOfficer.phone) }] };
+    }
+  }
+
+  return {
+    level: ESCALATION_LEVELS.MAIN_ADMIN,
+    contacts: MAIN_ADMIN_PHONE
+      ? MAIN_ADMIN_PHONE.split(',').map(phone => ({ name: 'Main admin', phone: formatPhoneNumber(phone.trim()) }))
+      : []
+  };
+};
+
+/**
+ * Write the message sent at an escalation
+ * @param {Object} query - Query document
+ * @param {Object} division - Division document
+ * @param {string} stage - 'acknowledge' or 'resolve'
+ * @param {number} level - One of ESCALATION_LEVELS
+ * @returns {string}
+ */
+const buildEscalationMessage = (query, division, stage, level) => {
+  const deadline = stage === 'acknowledge' ? query.sla.acknowledge_by : query.sla.resolve_by;
+  const missed = stage === 'acknowledge' ? 'acknowledged' : 'resolved';
+  const notified = query.assigned_to?.name ||
+    [...new Set((query.divisionOfficersNotified || []).map(contact => contact.name))].join(', ');
+
+  const heading = level === ESCALATION_LEVELS.REMINDER
+    ? `⏰ Reminder: a report in ${division?.name || 'your division'} has not been ${missed}`
+    : `⚠️ Escalated: a report in ${division?.name || 'a division'} has not been ${missed}`;
+
+  return `${heading}\n\n` +
+    `Ref: ${getReportReference(query)}\n` +
+    `Type: ${query.query_type}\n` +
+    `Location: ${query.location?.address || 'See map link'}\n` +
+    `Status: ${query.status}\n` +
+    `Reported: ${formatDeadline(query.timestamp)}\n` +
+    `Deadline: ${formatDeadline(deadline)}\n` +
+    (level > ESCALATION_LEVELS.REMINDER && notified ? `Assigned to: ${notified}\n` : '') +
+    `\nTo update this report, click: ${getResolveLink(query)}`;
+};
+
+/**
+ * Take a report that missed a deadline to its next escalation level and
+ * tell whoever that level reaches. Claims the level first, so nobody is
+ * told twice.
+ * @param {Object} query - Query document
+ * @param {string} stage - 'acknowledge' or 'resolve'
+ * @param {number} level - Level to escalate to
+ * @returns {Promise<Object|null>} - The escalation, or null when it was
+ * already made elsewhere
+ */
+const escalateReport = async (query, stage, level) => {
+  const division = await Division.findById(query.division);
+  const escalation = getEscalationContacts(query, division, level);
+  const now = new Date();
+
+  const claimed = await Query.updateOne(
+    {
+      _id: query._id,
+      'sla.stage': query.sla.stage || null,
+      'sla.escalation_level': query.sla.escalation_level || 0
+    },
+    {
+      $set: {
+        'sla.stage': stage,
+        'sla.escalation_level': escalation.level,
+        'sla.last_escalated_at': now
+      },
+      $push: {
+        'sla.escalations': { stage, level: escalation.level, notified: escalation.contacts, at: now }
+      }
+    }
+  );
+  if (claimed.modifiedCount === 0) {
+    return null;
+  }
+
+  const message = buildEscalationMessage(query, division, stage, escalation.level);
+  for (const contact of escalation.contacts) {
+    await queueMessage(contact.phone, message, {
+      purpose: 'sla_escalation',
+      queryId: query._id,
+      metadata: { ...contact, stage, level: escalation.level }
+    });
+  }
+
+  if (escalation.contacts.length === 0) {
+    console.warn(`Report ${query._id} missed its ${stage} deadline but nobody could be told, set MAIN_ADMIN_PHONE`);
+  } else {
+    console.log(`Report ${query._id} escalated to level ${escalation.level} (${stage}): ${escalation.contacts.map(contact => contact.name).join(', ')}`);
+  }
+  return escalation;
+};
+
+/**
+ * Escalate every open report whose deadline has passed and whose next
+ * escalation step is due. An unacknowledged report escalates on its
+ * acknowledgement deadline, an acknowledged one on its resolution deadline.
+ * @returns {Promise<number>} - Number of reports escalated
+ */
+const checkSlaDeadlines = async () => {
+  const now = new Date();
+  const reports = await Query.find({
+    status: { $in: OPEN_STATUSES },
+    'sla.resolve_by': { $ne: null },
+    $and: [
+      {
+        $or: [
+          { 'sla.acknowledged_at': null, 'sla.acknowledge_by': { $lte: now } },
+          { 'sla.resolve_by': { $lte: now } }
+        ]
+      },
+      {
+        $or: [
+          { 'sla.escalation_level': { $lt: ESCALATION_LEVELS.MAIN_ADMIN } },
+          { 'sla.stage': 'acknowledge', 'sla.acknowledged_at': { $ne: null } }
+        ]
+      }
+    ]
+  });
+
+  let holidays = null;
+  let escalated = 0;
+
+  for (const query of reports) {
+    try {
+      const stage = query.sla.acknowledged_at ? 'resolve' : 'acknowledge';
+      const deadline = stage === 'acknowledge' ? query.sla.acknowledge_by : query.sla.resolve_by;
+      if (deadline > now) {
+        continue;
+      }
+
+      // Acknowledging a report starts escalation over for its resolution
+      const level = query.sla.stage === stage ? query.sla.escalation_level || 0 : 0;
+      if (level >= ESCALATION_LEVELS.MAIN_ADMIN) {
+        continue;
+      }
+
+      if (level > 0) {
+        if (query.sla.skip_holidays && !holidays) {
+          holidays = await getHolidayDates();
+        }
+        const dueAt = addSlaHours(query.sla.last_escalated_at, ESCALATION_STEP_HOURS,
+          query.sla.skip_holidays ? holidays : null);
+        if (dueAt > now) {
+          continue;
+        }
+      }
+
+      if (await escalateReport(query, stage, level + 1)) {
+        escalated++;
+      }
+    } catch (error) {
+      console.error(`Error escalating report ${query._id}:`, error);
+    }
+  }
+  return escalated;
+};
+
+/**
+ * Count how reports with deadlines are doing in each division. Met reports
+ * were closed in time, breached ones missed a deadline, at risk ones are
+ * open and near one, and the rest are on track.
+ * @param {Object} [match] - Extra conditions on the reports counted
+ * @returns {Promise<Map>} - Division id to
+ * { total, met, breached, atRisk, onTrack, acknowledgeBreached, escalated }
+ */
+const getSlaCountsByDivision = async (match = {}) => {
+  const now = new Date();
+  const riskBefore = new Date(now.getTime() + AT_RISK_HOURS * HOUR_MS);
+  const closed = { $not: [{ $in: ['$status', OPEN_STATUSES] }] };
+
+  const results = await Query.aggregate([
+    { $match: { ...match, 'sla.resolve_by': { $ne: null } } },
+    {
+      $addFields: {
+        acknowledgeBreached: {
+          $cond: [
+            { $ifNull: ['$sla.acknowledged_at', false] },
+            { $gt: ['$sla.acknowledged_at', '$sla.acknowledge_by'] },
+            { $lt: ['$sla.acknowledge_by', now] }
+          ]
+        },
+        resolveBreached: {
+          $cond: [
+            closed,
+            { $gt: [{ $ifNull: ['$resolved_at', now] }, '$sla.resolve_by'] },
+            { $lt: ['$sla.resolve_by', now] }
+          ]
+        },
+        nextDeadline: {
+          $cond: [{ $ifNull: ['$sla.acknowledged_at', false] }, '$sla.resolve_by', '$sla.acknowledge_by']
+        }
+      }
+    },
+    { $addFields: { breached: { $or: ['$acknowledgeBreached', '$resolveBreached'] } } },
+    {
+      $group: {
+        _id: '$division',
+        total: { $sum: 1 },
+        met: { $sum: { $cond: [{ $and: [closed, { $not: ['$breached'] }] }, 1, 0] } },
+        breached: { $sum: { $cond: ['$breached', 1, 0] } },
+        atRisk: {
+          $sum: {
+            $cond: [{ $and: [{ $not: [closed] }, { $not: ['$breached'] }, { $lte: ['$nextDeadline', riskBefore] }] }, 1, 0]
+          }
+        },
+        acknowledgeBreached: { $sum: { $cond: ['$acknowledgeBreached', 1, 0] } },
+        escalated: { $sum: { $cond: [{ $gt: ['$sla.escalation_level', 0] }, 1, 0] } }
+      }
+    }
+  ]);
+
+  return new Map(results.map(result => [String(result._id), {
+    total: result.total,
+    met: result.met,
+    breached: result.breached,
+    atRisk: result.atRisk,
+    onTrack: result.total - result.met - result.breached - result.atRisk,
+    acknowledgeBreached: result.acknowledgeBreached,
+    escalated: result.escalated
+  }]));
+};
+
+/**
+ * Start escalating reports as their deadlines pass
+ */
+const startSlaMonitor = () => {
+  if (monitorTimer) {
+    return;
+  }
+
+  monitorTimer = setInterval(() => {
+    checkSlaDeadlines().catch(error => console.error('Error checking SLA deadlines:', error));
+  }, MONITOR_INTERVAL_MS);
+  console.log('SLA monitor started');
+};
+
+/**
+ * Stop escalating reports in the background
+ */
+const stopSlaMonitor = () => {
+  clearInterval(monitorTimer);
+  monitorTimer = null;
+};
+
+module.exports = {
+  DEFAULT_ACKNOWLEDGE_HOURS,
+  DEFAULT_RESOLVE_HOURS,
+  DEFAULT_SKIP_HOLIDAYS,
+  EXEMPT_TYPES,
+  ESCALATION_LEVELS,
+  getHolidayDates,
+  addSlaHours,
+  getSlaPolicy,
+  applySlaDeadlines,
+  escalateReport,
+  checkSlaDeadlines,
+  getSlaCountsByDivision,
+  startSlaMonitor,
+  stopSlaMonitor
+};
@@ -0,0 +1,88 @@
+const Conversation = require('../models/Conversation');
+const Session = require('../models/Session');
+const { normalizeUserId } = require('../utils/userHelper');
+
+// States in which the citizen is talking about a report already saved, and
+// the session field that holds it
+const REPORT_STATE_FIELDS = {
+  AWAITING_RATING: 'pending_rating_query',
+  AWAITING_RATING_COMMENT: 'pending_rating_query',
+  AWAITING_APPEAL: 'appeal_query'
+};
+
+// States used while a report is written in chat, before it has an id
+const DRAFT_STATES = ['AWAITING_REPORT', 'AWAITING_DESCRIPTION', 'AWAITING_LOCATION', 'AWAITING_CONFIRMATION'];
+
+// How far back draft messages are linked to the report they became, when
+// the menu choice that started the draft can't be found
+const DRAFT_LINK_HOURS = 24;
+
+/**
+ * Store a message received from a citizen
+ * @param {Object} session - The sender's Session document, before the message is handled
+ * @param {Object} message - { userNumber, body, mediaUrls, messageSid }
+ * @returns {Promise<Object>} - Conversation document
+ */
+const recordInboundMessage = (session, { userNumber, body, mediaUrls = [], messageSid }) => {
+  const field = REPORT_STATE_FIELDS[session.current_state];
+
+  return Conversation.create({
+    user_id: normalizeUserId(userNumber),
+    direction: 'inbound',
+    body,
+    media_urls: mediaUrls,
+    state: session.current_state,
+    query: field ? session[field] : undefined,
+    message_sid: messageSid
+  });
+};
+
+/**
+ * Store a message sent by the outbox
+ * @param {Object} message - Sent OutboundMessage document
+ * @returns {Promise<Object>} - Conversation document
+ */
+const recordOutboundMessage = async (message) => {
+  const userId = normalizeUserId(message.to);
+  const session = await Session.findOne({ user_id: userId }).select('current_state');
+
+  return Conversation.create({
+    user_id: userId,
+    direction: 'outbound',
+    body: message.body,
+    interactive: message.interactive,
+    state: session?.current_state,
+    query: message.query,
+    message_sid: message.message_sid,
+    created_at: message.sent_at
+  });
+};
+
+/**
+ * Link the messages a citizen sent while writing a report in chat to the
+ * report they turned into
+ * @param {string} userNumber - Citizen's WhatsApp number
+ * @param {string} queryId - Saved report
+ */
+const linkDraftMessages = async (userNumber, queryId) => {
+  const userId = normalizeUserId(userNumber);
+
+  // The draft started with the report type picked from the menu
+  const start = await Conversation.findOne({ user_id: userId, direction: 'inbound', state: 'MENU' })
+    .sort({ created_at: -1 });
+  const since = start ? start.created_at : new Date(Date.now() - DRAFT_LINK_HOURS * 60 * 60 * 1000);
+
+  return Conversation.updateMany({
+    user_id: userId,
+    direction: 'inbound',
+    state: { $in: ['MENU', ...DRAFT_STATES] },
+    query: null,
+    created_at: { $gte: since }
+  }, { query: queryId });
+};
+
+module.exports = {
+  recordInboundMessage,
+  recordOutboundMessage,
+  linkDraftMessages
+};
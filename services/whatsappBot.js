@@ -0,0 +1,1123 @@
+const { createConversationEngine } = require('./conversationEngine');
+const Query = require('../models/Query');
+const { Division } = require('../models/Division');
+const { getText, getLanguageForOption, getCommandKeywords } = require('../utils/language');
+const {
+  getInteractiveMainMenu,
+  getLanguageSelectMessage,
+  getReportConfirmationMessage,
+  getReportReviewMessage,
+  getDraftResumeMessage
+} = require('../utils/interactive-messages');
+const { getCaptureUrl, getReportInstructionMessage } = require('../utils/deeplink');
+const { sendQueryNotification } = require('../utils/emailer');
+const { findDivisionForLocation } = require('../utils/divisionLocator');
+const { normalizeUserId } = require('../utils/userHelper');
+const {
+  getLatestReports,
+  findReportByReference,
+  getReportReference,
+  matchesReportReference
+} = require('./citizenReports');
+const { recordSatisfactionRating, recordSatisfactionComment } = require('./satisfaction');
+const { APPEAL_WINDOW_DAYS, canAppeal, getAppealableReports, submitAppeal } = require('./appeals');
+const { saveReportAndNotify } = require('./incidents');
+const { consume } = require('./rateLimiter');
+const { setConsent } = require('./consent');
+const { linkDraftMessages } = require('./transcripts');
+const { MEDIA_MAX_PER_REPORT } = require('../utils/media');
+const { extractVehicleNumbers, formatVehicleNumber } = require('../utils/vehicleNumber');
+const {
+  DRAFT_STEPS,
+  getActiveDraft,
+  startDraft,
+  saveDraft,
+  discardDraft
+} = require('./reportDrafts');
+const {
+  MAX_SUBSCRIPTIONS,
+  getAdvisoryDetails,
+  getAdvisoriesNear,
+  getAdvisoriesForUser,
+  subscribe,
+  unsubscribeAll
+} = require('./advisories');
+const { isOfficerCommand, handleOfficerMessage } = require('./officerCommands');
+
+// Menu options that open the capture page, mapped to their report type
+const REPORT_TYPES = {
+  '1': 'Traffic Violation',
+  '2': 'Traffic Congestion',
+  '3': 'Irregularity',
+  '4': 'Road Damage',
+  '5': 'Illegal Parking',
+  '6': 'Traffic Signal Issue',
+  '7': 'Suggestion'
+};
+
+// States where the citizen types free text, e.g. a report description or
+// an appeal. Commands that are ordinary words are not matched in them, so
+// the words are kept as text.
+const FREE_TEXT_STATES = [
+  'LANGUAGE_SELECT', 'NAME_COLLECTION', ...DRAFT_STEPS,
+  'AWAITING_SUGGESTION_TEXT', 'AWAITING_APPEAL', 'AWAITING_RATING_COMMENT'
+];
+
+// Helper function to generate the main menu, optionally preceded by a short message
+const getMainMenu = (language, intro) => getInteractiveMainMenu(language, intro);
+
+// Format dates shown to citizens in Indian time
+const formatDate = (date) => new Date(date).toLocaleString('en-IN', {
+  timeZone: 'Asia/Kolkata',
+  dateStyle: 'medium',
+  timeStyle: 'short'
+});
+
+/**
+ * Build the reply listing a citizen's latest reports
+ * @param {Array} reports - Query documents, newest first
+ * @param {string} language - Language code
+ * @returns {string} - Reply text
+ */
+const buildStatusList = (reports, language) => {
+  const items = reports.map((report, index) => getText(
+    'STATUS_LIST_ITEM',
+    language,
+    index + 1,
+    getReportReference(report),
+    report.query_type,
+    report.divisionName || '-',
+    getText('STATUS_LABEL', language, report.status),
+    report.resolution_note
+  ));
+
+  return [getText('STATUS_LIST_HEADER', language), ...items, getText('STATUS_LIST_FOOTER', language)]
+    .join('\n\n');
+};
+
+/**
+ * Build the reply with the full details of one report
+ * @param {Object} report - Query document
+ * @param {string} language - Language code
+ * @returns {string} - Reply text
+ */
+const buildStatusDetail = (report, language) => getText('STATUS_REPORT_DETAIL', language, {
+  reference: getReportReference(report),
+  reportType: report.query_type,
+  submittedAt: formatDate(report.timestamp),
+  divisionName: report.divisionName || '-',
+  address: report.location?.address || '-',
+  vehicleNumber: report.vehicle_number ? formatVehicleNumber(report.vehicle_number) : null,
+  description: report.description || '-',
+  status: getText('STATUS_LABEL', language, report.status),
+  resolvedAt: report.resolved_at ? formatDate(report.resolved_at) : null,
+  note: report.resolution_note
+});
+
+// Result that sends the user back to the main menu
+const backToMenu = (ctx) => ({
+  reply: getMainMenu(ctx.language, getDraftHint(ctx)),
+  next: 'MENU',
+  lastOption: null
+});
+
+/**
+ * Add photos, voice notes and videos to the report being put together in
+ * chat, in the order they were sent and up to the per-report limit. The
+ * first photo is the report's main photo.
+ * @param {Object} draft - Draft subdocument
+ * @param {Array<Object>} attachments - [{ kind, url, thumbnail_url, content_type, size }]
+ * @returns {boolean} - False when some of them were over the limit
+ */
+const addDraftAttachments = (draft, attachments) => {
+  const room = Math.max(MEDIA_MAX_PER_REPORT - draft.attachments.length, 0);
+  draft.attachments.push(...attachments.slice(0, room));
+
+  const firstPhoto = draft.attachments.find(attachment => attachment.kind === 'image');
+  draft.photo_url = firstPhoto ? firstPhoto.url : null;
+
+  return attachments.length <= room;
+};
+
+/**
+ * Add the per-report media limit notice to a reply when media was left out
+ * @param {string} reply - Reply text
+ * @param {boolean} allAdded - Whether every attachment fit in the draft
+ * @param {string} language - Language code
+ * @returns {string} - Reply text
+ */
+const withMediaLimitNotice = (reply, allAdded, language) =>
+  (allAdded ? reply : getText('MEDIA_LIMIT_REACHED', language, MEDIA_MAX_PER_REPORT) + '\n\n' + reply);
+
+/**
+ * Count the draft's attachments of one kind
+ * @param {Object} draft - Draft subdocument
+ * @param {string} kind - 'image', 'audio' or 'video'
+ * @returns {number}
+ */
+const countDraftAttachments = (draft, kind) =>
+  (draft.attachments || []).filter(attachment => attachment.kind === kind).length;
+
+/**
+ * Reply to attachments that don't describe the problem by themselves
+ * @param {Array<Object>} attachments - Attachments just received
+ * @param {string} language - Language code
+ * @returns {string} - Description request
+ */
+const getDescriptionRequest = (attachments, language) =>
+  getText(attachments.length > 0 && attachments.every(attachment => attachment.kind === 'video')
+    ? 'VIDEO_DESCRIPTION_REQUEST'
+    : 'DESCRIPTION_REQUEST', language);
+
+/**
+ * Get the registration number mentioned in the draft's description
+ * @param {Object} draft - Draft subdocument
+ * @returns {string|null} - Normalized number, e.g. 'MH14AB1234'
+ */
+const getDraftVehicleNumber = (draft) => extractVehicleNumbers(draft.description)[0] || null;
+
+/**
+ * Get the report type of a draft
+ * @param {Object} draft - Draft subdocument
+ * @returns {string} - Report type, e.g. 'Illegal Parking'
+ */
+const getDraftReportType = (draft) => REPORT_TYPES[draft.option] || 'General Report';
+
+/**
+ * Get the reminder about an unfinished report shown above the main menu
+ * @param {Object} ctx - Conversation context
+ * @returns {string|undefined} - Reminder, or undefined when there is no draft
+ */
+const getDraftHint = (ctx) => {
+  const draft = getActiveDraft(ctx.session);
+  return draft ? getText('DRAFT_PENDING_HINT', ctx.language, getDraftReportType(draft)) : undefined;
+};
+
+/**
+ * Build the summary shown before a report written in chat is submitted
+ * @param {Object} ctx - Conversation context
+ * @param {Object} division - Division matching the shared location
+ * @param {string} [intro] - Text shown before the summary
+ * @returns {Object} - Button message
+ */
+const buildReportReview = (ctx, division, intro) => {
+  const { draft } = ctx.session;
+  const vehicleNumber = getDraftVehicleNumber(draft);
+  const prefix = intro ? `${intro}\n\n` : '';
+
+  return getReportReviewMessage(prefix + getText('REPORT_SUMMARY', ctx.language, {
+    reportType: getDraftReportType(draft),
+    description: draft.description || '-',
+    address: draft.location.address,
+    divisionName: division.name,
+    vehicleNumber: vehicleNumber ? formatVehicleNumber(vehicleNumber) : null,
+    photos: countDraftAttachments(draft, 'image'),
+    voiceNotes: countDraftAttachments(draft, 'audio'),
+    videos: countDraftAttachments(draft, 'video')
+  }), ctx.language);
+};
+
+/**
+ * Save a report written in chat and notify the division, the same way
+ * /api/report does for reports sent from the capture page
+ * @param {Object} ctx - Conversation context
+ * @param {Object} [options] - { anonymous } to hide the reporter from officers
+ * @returns {Promise<Object>} - Engine result
+ */
+const submitChatReport = async (ctx, { anonymous = false } = {}) => {
+  const { draft } = ctx.session;
+  const { latitude, longitude, address } = draft.location;
+  const reportType = getDraftReportType(draft);
+
+  const matchingDivision = await findDivisionForLocation(latitude, longitude);
+  if (!matchingDivision) {
+    console.log('Location is outside PCMC jurisdiction');
+    await discardDraft(ctx.session);
+    return { reply: getMainMenu(ctx.language, getText('LOCATION_OUTSIDE_JURISDICTION', ctx.language)), next: 'MENU', lastOption: null };
+  }
+
+  const usage = await consume(ctx.userNumber, 'report');
+  if (!usage.allowed) {
+    await discardDraft(ctx.session);
+    return { reply: getMainMenu(ctx.language, getText('RATE_LIMIT_REPORTS', ctx.language, usage.limit)), next: 'MENU', lastOption: null };
+  }
+
+  const query = new Query({
+    user_id: normalizeUserId(ctx.userNumber),
+    user_name: ctx.session.user_name || 'Anonymous',
+    anonymous,
+    query_type: reportType,
+    vehicle_number: getDraftVehicleNumber(draft),
+    description: draft.description ||
+      (countDraftAttachments(draft, 'audio') > 0 ? 'Described in a voice note' : 'No description provided'),
+    photo_url: draft.photo_url || null,
+    attachments: draft.attachments.map(attachment => attachment.toObject()),
+    location: {
+      latitude,
+      longitude,
+      address
+    },
+    division: matchingDivision._id,
+    divisionName: matchingDivision.name,
+    status: 'Pending',
+    timestamp: new Date()
+  });
+
+  // Save the report with the notifications for division officers, unless
+  // it joins an incident they already know about
+  await saveReportAndNotify(query, matchingDivision);
+  console.log(`Chat report saved with ID: ${query._id}`);
+
+  await linkDraftMessages(ctx.userNumber, query._id);
+
+  await discardDraft(ctx.session);
+
+  const confirmation = getText('REPORT_CONFIRMATION', ctx.language, reportType, matchingDivision.name, getReportReference(query));
+
+  return {
+    reply: getReportConfirmationMessage(
+      anonymous ? `${confirmation}\n\n${getText('ANONYMOUS_REPORT_NOTE', ctx.language)}` : confirmation,
+      ctx.language
+    ),
+    next: 'MENU',
+    lastOption: null
+  };
+};
+
+/**
+ * Read a satisfaction score from a typed number or a tapped rating row
+ * @param {string} message - Message text
+ * @returns {number|null} - Score from 1 to 5
+ */
+const parseRating = (message) => {
+  const match = (message || '').trim().toLowerCase().match(/^(?:rate_)?([1-5])$/);
+  return match ? parseInt(match[1], 10) : null;
+};
+
+/**
+ * Store the score for the report the user was asked to rate and ask for a comment
+ * @param {number} rating - Score from 1 to 5
+ * @param {Object} ctx - Conversation context
+ * @returns {Promise<Object>} - Engine result
+ */
+const handleRating = async (rating, ctx) => {
+  const queryId = ctx.session.pending_rating_query;
+  const result = queryId ? await recordSatisfactionRating(queryId, rating) : null;
+
+  if (!result) {
+    return backToMenu(ctx);
+  }
+
+  let intro = '';
+  if (result.reopened) {
+    intro = getText('RATING_LOW_REOPENED', ctx.language) + '\n\n';
+  } else if (result.low) {
+    intro = getText('RATING_LOW_FLAGGED', ctx.language) + '\n\n';
+  }
+
+  return { reply: intro + getText('RATING_COMMENT_REQUEST', ctx.language), next: 'AWAITING_RATING_COMMENT' };
+};
+
+/**
+ * Build the reply listing the traffic advisories in force
+ * @param {Array} advisories - Advisory documents
+ * @param {string} language - Language code
+ * @returns {string} - Reply text
+ */
+const buildAdvisoryList = (advisories, language) => {
+  const hint = getText('ADVISORY_FOLLOW_HINT', language);
+  if (advisories.length === 0) {
+    return `${getText('ADVISORY_NONE', language)}\n\n${hint}`;
+  }
+
+  const items = advisories.map((advisory, index) =>
+    getText('ADVISORY_LIST_ITEM', language, index + 1, getAdvisoryDetails(advisory, language)));
+
+  return [getText('ADVISORY_LIST_HEADER', language), ...items, hint].join('\n\n');
+};
+
+/**
+ * Get the divisions citizens can follow, in the order they are listed
+ * @returns {Promise<Array>} - Division documents
+ */
+const getFollowableDivisions = () => Division.find().select('name').sort({ name: 1 });
+
+/**
+ * Follow advisories for a division or saved location, and show the ones
+ * already in force there
+ * @param {Object} ctx - Conversation context
+ * @param {Object} target - { division } document, and { location } for a saved location
+ * @returns {Promise<Object>} - Engine result
+ */
+const followArea = async (ctx, { division, location }) => {
+  const subscription = await subscribe(ctx.userNumber, { division, location });
+  if (!subscription) {
+    return {
+      reply: getMainMenu(ctx.language, getText('ADVISORY_FOLLOW_LIMIT', ctx.language, MAX_SUBSCRIPTIONS)),
+      next: 'MENU',
+      lastOption: null
+    };
+  }
+
+  const advisories = location
+    ? await getAdvisoriesNear(location)
+    : await getAdvisoriesForUser(ctx.userNumber);
+  const followed = getText('ADVISORY_FOLLOWING', ctx.language, location ? location.address : division.name);
+
+  return {
+    reply: advisories.length > 0 ? `${followed}\n\n${buildAdvisoryList(advisories, ctx.language)}` : followed,
+    next: 'MENU',
+    lastOption: null
+  };
+};
+
+/**
+ * Send a new capture link for a report type
+ * @param {Object} ctx - Conversation context
+ * @param {string} option - Main menu option of the report type
+ * @returns {Promise<Object>} - { allowed, text }, allowed is false when the
+ * citizen has asked for too many links
+ */
+const buildCaptureLinkReply = async (ctx, option) => {
+  const usage = await consume(ctx.userNumber, 'capture_link');
+  if (!usage.allowed) {
+    return { allowed: false, text: getText('RATE_LIMIT_CAPTURE_LINKS', ctx.language, usage.limit) };
+  }
+
+  const captureUrl = await getCaptureUrl(ctx.userNumber, option);
+  console.log('Generated capture URL:', captureUrl);
+
+  const instructions = getReportInstructionMessage(captureUrl, ctx.language);
+  return {
+    allowed: true,
+    text: getText('CAMERA_INSTRUCTIONS', ctx.language, instructions) +
+          '\n\n' + getText('CHAT_REPORT_HINT', ctx.language)
+  };
+};
+
+/**
+ * Offer to pick up the citizen's unfinished report
+ * @param {Object} ctx - Conversation context
+ * @returns {Object} - Engine result
+ */
+const offerDraft = (ctx) => ({
+  reply: getDraftResumeMessage(
+    getText('DRAFT_RESUME_OFFER', ctx.language, getDraftReportType(ctx.session.draft)),
+    ctx.language
+  ),
+  next: 'DRAFT_RESUME'
+});
+
+/**
+ * Pick up the citizen's unfinished report at the step they left it, asking
+ * again for whatever is still missing
+ * @param {Object} ctx - Conversation context
+ * @returns {Promise<Object>} - Engine result
+ */
+const resumeDraft = async (ctx) => {
+  const { draft } = ctx.session;
+  const intro = getText('DRAFT_RESUMED', ctx.language, getDraftReportType(draft));
+  let step = draft.step;
+  let reply;
+
+  if (step === 'AWAITING_CONFIRMATION') {
+    const { latitude, longitude } = draft.location;
+    const division = await findDivisionForLocation(latitude, longitude);
+    if (division) {
+      reply = buildReportReview(ctx, division, intro);
+    } else {
+      // The division was changed since, so the location has to be shared again
+      draft.location = undefined;
+      step = 'AWAITING_LOCATION';
+    }
+  }
+
+  if (step === 'AWAITING_REPORT') {
+    let text = getText('CHAT_REPORT_HINT', ctx.language);
+    try {
+      const link = await buildCaptureLinkReply(ctx, draft.option);
+      if (link.allowed) {
+        text = link.text;
+      }
+    } catch (error) {
+      console.error('Error generating capture URL:', error);
+    }
+    reply = `${intro}\n\n${text}`;
+  } else if (step === 'AWAITING_DESCRIPTION') {
+    reply = `${intro}\n\n${getText('DESCRIPTION_REQUEST', ctx.language)}`;
+  } else if (step === 'AWAITING_LOCATION') {
+    reply = `${intro}\n\n${getText('LOCATION_REQUEST', ctx.language)}`;
+  }
+
+  await saveDraft(ctx.session, step);
+  return { reply, next: step, lastOption: draft.option };
+};
+
+/**
+ * Start writing an appeal against one rejected report
+ * @param {Object} report - Rejected Query document
+ * @param {Object} ctx - Conversation context
+ * @returns {Promise<Object>} - Engine result
+ */
+const startAppeal = async (report, ctx) => {
+  ctx.session.appeal_query = report._id;
+  ctx.session.appeal_photo_urls = [];
+  await ctx.session.save();
+
+  return {
+    reply: getText('APPEAL_REQUEST', ctx.language, getReportReference(report)),
+    next: 'AWAITING_APPEAL',
+    lastOption: null
+  };
+};
+
+/**
+ * Build the conversation engine with every state of the Traffic Buddy bot
+ * @returns {Object} - Conversation engine
+ */
+const createWhatsAppBot = () => {
+  const bot = createConversationEngine();
+
+  // Officer commands from an active officer's number, see
+  // services/officerCommands.js. They leave the conversation where it was,
+  // and anything else the officer sends is handled like a citizen's message,
+  // as is everything while they write a report of their own.
+  bot.registerCommand({
+    match: isOfficerCommand,
+    except: FREE_TEXT_STATES,
+    handle: async (ctx) => ({ reply: await handleOfficerMessage(ctx) })
+  });
+
+  // Special command to reset the session and force language selection
+  bot.registerCommand({
+    keywords: getCommandKeywords('RESET'),
+    handle: async () => {
+      console.log('User session reset to language selection');
+      return {
+        reply: getLanguageSelectMessage('en'), // Default to English prompt for reset
+        next: 'LANGUAGE_SELECT',
+        lastOption: null
+      };
+    }
+  });
+
+  // Special command to return to menu from any state. Ignored while we are
+  // still asking for the language or the user's name.
+  bot.registerCommand({
+    keywords: getCommandKeywords('MENU'),
+    except: ['LANGUAGE_SELECT', 'NAME_COLLECTION'],
+    handle: async (ctx) => backToMenu(ctx)
+  });
+
+  // Lets citizens check what happened to their reports
+  bot.registerCommand({
+    keywords: getCommandKeywords('STATUS'),
+    except: FREE_TEXT_STATES,
+    handle: async (ctx) => {
+      const reports = await getLatestReports(ctx.userNumber);
+
+      if (reports.length === 0) {
+        return {
+          reply: getMainMenu(ctx.language, getText('STATUS_NO_REPORTS', ctx.language)),
+          next: 'MENU',
+          lastOption: null
+        };
+      }
+
+      return { reply: buildStatusList(reports, ctx.language), next: 'STATUS_LOOKUP', lastOption: null };
+    }
+  });
+
+  // Lets citizens contest a rejected report
+  bot.registerCommand({
+    keywords: getCommandKeywords('APPEAL'),
+    except: FREE_TEXT_STATES,
+    handle: async (ctx) => {
+      const reports = await getAppealableReports(ctx.userNumber);
+
+      if (reports.length === 0) {
+        return {
+          reply: getMainMenu(ctx.language, getText('APPEAL_NONE', ctx.language, APPEAL_WINDOW_DAYS)),
+          next: 'MENU',
+          lastOption: null
+        };
+      }
+
+      if (reports.length === 1) {
+        return startAppeal(reports[0], ctx);
+      }
+
+      const items = reports.map((report, index) => getText(
+        'STATUS_LIST_ITEM',
+        ctx.language,
+        index + 1,
+        getReportReference(report),
+        report.query_type,
+        report.divisionName || '-',
+        getText('STATUS_LABEL', ctx.language, report.status),
+        report.resolution_note
+      ));
+
+      return {
+        reply: [getText('APPEAL_LIST_HEADER', ctx.language), ...items, getText('APPEAL_LIST_FOOTER', ctx.language)]
+          .join('\n\n'),
+        next: 'APPEAL_SELECT',
+        lastOption: null
+      };
+    }
+  });
+
+  // Opt out of and back in to broadcasts. Works in any state and leaves the
+  // conversation where it was.
+  bot.registerCommand({
+    keywords: getCommandKeywords('STOP'),
+    handle: async (ctx) => {
+      await setConsent(ctx.userNumber, false, { source: 'whatsapp', keyword: ctx.message.trim() });
+      console.log(`${ctx.userNumber} opted out of broadcasts`);
+      return { reply: getText('OPT_OUT_CONFIRMATION', ctx.language) };
+    }
+  });
+
+  bot.registerCommand({
+    keywords: getCommandKeywords('START'),
+    handle: async (ctx) => {
+      await setConsent(ctx.userNumber, true, { source: 'whatsapp', keyword: ctx.message.trim() });
+      console.log(`${ctx.userNumber} opted in to broadcasts`);
+      return { reply: getText('OPT_IN_CONFIRMATION', ctx.language) };
+    }
+  });
+
+  // Pick up or delete an unfinished report. Not matched while a report is
+  // being written, where the same words may be its description.
+
+  bot.registerCommand({
+    match: (ctx) => getCommandKeywords('CONTINUE').includes(ctx.message.trim().toLowerCase()) &&
+      !!getActiveDraft(ctx.session),
+    except: FREE_TEXT_STATES,
+    handle: async (ctx) => resumeDraft(ctx)
+  });
+
+  bot.registerCommand({
+    match: (ctx) => getCommandKeywords('DISCARD').includes(ctx.message.trim().toLowerCase()) &&
+      !!getActiveDraft(ctx.session),
+    except: FREE_TEXT_STATES,
+    handle: async (ctx) => {
+      await discardDraft(ctx.session);
+      return { reply: getMainMenu(ctx.language, getText('DRAFT_DISCARDED', ctx.language)), next: 'MENU', lastOption: null };
+    }
+  });
+
+  // Traffic advisories in force for the areas the citizen follows, or at a
+  // location they share when they don't follow any
+  bot.registerCommand({
+    keywords: getCommandKeywords('ADVISORIES'),
+    except: FREE_TEXT_STATES,
+    handle: async (ctx) => {
+      const advisories = await getAdvisoriesForUser(ctx.userNumber);
+      if (advisories.length > 0) {
+        return { reply: buildAdvisoryList(advisories, ctx.language), next: 'MENU', lastOption: null };
+      }
+
+      return { reply: getText('ADVISORY_LOCATION_REQUEST', ctx.language), next: 'AWAITING_ADVISORY_LOCATION', lastOption: null };
+    }
+  });
+
+  // Follow a division or a saved location to get new advisories for it
+  bot.registerCommand({
+    keywords: getCommandKeywords('FOLLOW'),
+    except: FREE_TEXT_STATES,
+    handle: async (ctx) => {
+      const divisions = await getFollowableDivisions();
+      const list = divisions.map((division, index) => `${index + 1}. ${division.name}`).join('\n');
+      return { reply: getText('ADVISORY_FOLLOW_REQUEST', ctx.language, list), next: 'ADVISORY_FOLLOW', lastOption: null };
+    }
+  });
+
+  bot.registerCommand({
+    keywords: getCommandKeywords('UNFOLLOW'),
+    except: FREE_TEXT_STATES,
+    handle: async (ctx) => {
+      const count = await unsubscribeAll(ctx.userNumber);
+      const text = count > 0
+        ? getText('ADVISORY_UNFOLLOWED', ctx.language, count)
+        : getText('ADVISORY_NOT_FOLLOWING', ctx.language);
+      return { reply: getMainMenu(ctx.language, text), next: 'MENU', lastOption: null };
+    }
+  });
+
+  // A tapped rating row is accepted from any state, since the rating request
+  // may arrive while the user is doing something else
+  bot.registerCommand({
+    match: (ctx) => /^rate_[1-5]$/i.test(ctx.message.trim()),
+    handle: async (ctx) => handleRating(parseRating(ctx.message), ctx)
+  });
+
+  bot.registerState('LANGUAGE_SELECT', {
+    transitions: ['NAME_COLLECTION', 'MENU'],
+    parse: (ctx) => getLanguageForOption(ctx.message),
+    handle: async (language, ctx) => {
+      if (!language) {
+        // Invalid selection, show language prompt again
+        return { reply: getLanguageSelectMessage(ctx.language) };
+      }
+
+      // User already has a name stored, go directly to menu
+      if (ctx.session.user_name) {
+        return {
+          reply: getMainMenu(language, getText('NAME_CONFIRMATION', language, ctx.session.user_name)),
+          next: 'MENU',
+          language
+        };
+      }
+
+      return {
+        reply: getText('NAME_REQUEST', language),
+        next: 'NAME_COLLECTION',
+        language
+      };
+    }
+  });
+
+  bot.registerState('NAME_COLLECTION', {
+    transitions: ['MENU'],
+    parse: (ctx) => ctx.message,
+    handle: async (name, ctx) => {
+      // Store the user's name
+      ctx.session.user_name = name;
+      await ctx.session.save();
+
+      return {
+        reply: getMainMenu(ctx.language, getText('NAME_CONFIRMATION', ctx.language, name)),
+        next: 'MENU'
+      };
+    }
+  });
+
+  bot.registerState('MENU', {
+    transitions: ['AWAITING_REPORT', 'JOIN_TEAM_LINK_SENT'],
+    handle: async (option, ctx) => {
+      if (REPORT_TYPES[option]) {
+        try {
+          const link = await buildCaptureLinkReply(ctx, option);
+          if (!link.allowed) {
+            return { reply: link.text };
+          }
+
+          // Choosing a report type starts a new draft, replacing any unfinished one
+          startDraft(ctx.session, option);
+          await saveDraft(ctx.session, 'AWAITING_REPORT');
+
+          return { reply: link.text, next: 'AWAITING_REPORT', lastOption: option };
+        } catch (error) {
+          console.error('Error generating capture URL:', error);
+          // Don't change state if there was an error
+          return { reply: "We're experiencing technical difficulties. Please try again later." };
+        }
+      }
+
+      if (option === '8') {
+        // Handle join team request
+        const sessionId = `join_${Date.now()}_${Math.random().toString(36).substring(2, 10)}`;
+        const formUrl = `${process.env.SERVER_URL}/join-team.html?userId=${encodeURIComponent(ctx.userNumber)}&sessionId=${sessionId}`;
+
+        return {
+          reply: getText('JOIN_FORM_LINK', ctx.language, formUrl),
+          next: 'JOIN_TEAM_LINK_SENT',
+          lastOption: '8'
+        };
+      }
+
+      // Invalid option
+      return { reply: getMainMenu(ctx.language, getDraftHint(ctx)) };
+    }
+  });
+
+  // While the capture link is open, photos, voice notes or videos sent in
+  // chat start the in-chat report instead. A caption is used as the
+  // description, and so is a voice note.
+  bot.registerState('AWAITING_REPORT', {
+    transitions: ['MENU', 'AWAITING_DESCRIPTION', 'AWAITING_LOCATION'],
+    parse: (ctx) => ({ attachments: ctx.attachments || [], caption: (ctx.message || '').trim() }),
+    handle: async ({ attachments, caption }, ctx) => {
+      // If the user sends a text message while the capture link is open,
+      // return them to the main menu instead of showing an error
+      if (attachments.length === 0) {
+        return backToMenu(ctx);
+      }
+
+      // Sessions that were already here before drafts were kept have none
+      const draft = getActiveDraft(ctx.session) || startDraft(ctx.session, ctx.lastOption);
+      draft.photo_url = null;
+      draft.attachments = [];
+      addDraftAttachments(draft, attachments);
+      draft.description = caption || null;
+      draft.location = undefined;
+
+      if (caption) {
+        await saveDraft(ctx.session, 'AWAITING_LOCATION');
+        return { reply: getText('LOCATION_REQUEST', ctx.language), next: 'AWAITING_LOCATION' };
+      }
+      if (attachments.some(attachment => attachment.kind === 'audio')) {
+        await saveDraft(ctx.session, 'AWAITING_LOCATION');
+        return {
+          reply: getText('VOICE_NOTE_RECEIVED', ctx.language) + '\n\n' + getText('LOCATION_REQUEST', ctx.language),
+          next: 'AWAITING_LOCATION'
+        };
+      }
+      await saveDraft(ctx.session, 'AWAITING_DESCRIPTION');
+      return { reply: getDescriptionRequest(attachments, ctx.language), next: 'AWAITING_DESCRIPTION' };
+    }
+  });
+
+  // More photos and videos are added to the report, up to the per-report
+  // limit. Text or a voice note is the description.
+  bot.registerState('AWAITING_DESCRIPTION', {
+    transitions: ['AWAITING_LOCATION', 'MENU'],
+    parse: (ctx) => ({ attachments: ctx.attachments || [], description: (ctx.message || '').trim() }),
+    handle: async ({ attachments, description }, ctx) => {
+      const draft = getActiveDraft(ctx.session);
+      if (!draft) {
+        return backToMenu(ctx);
+      }
+
+      const allAdded = addDraftAttachments(draft, attachments);
+      if (description) {
+        draft.description = description;
+      }
+      const moveOn = !!description || attachments.some(attachment => attachment.kind === 'audio');
+      await saveDraft(ctx.session, moveOn ? 'AWAITING_LOCATION' : 'AWAITING_DESCRIPTION');
+
+      if (description) {
+        return { reply: withMediaLimitNotice(getText('LOCATION_REQUEST', ctx.language), allAdded, ctx.language), next: 'AWAITING_LOCATION' };
+      }
+      if (attachments.some(attachment => attachment.kind === 'audio')) {
+        return {
+          reply: withMediaLimitNotice(
+            getText('VOICE_NOTE_RECEIVED', ctx.language) + '\n\n' + getText('LOCATION_REQUEST', ctx.language),
+            allAdded,
+            ctx.language
+          ),
+          next: 'AWAITING_LOCATION'
+        };
+      }
+      return { reply: withMediaLimitNotice(getDescriptionRequest(attachments, ctx.language), allAdded, ctx.language) };
+    }
+  });
+
+  // Reply to the status list with a list number or report reference
+  bot.registerState('STATUS_LOOKUP', {
+    transitions: ['MENU'],
+    handle: async (reference, ctx) => {
+      const report = await findReportByReference(ctx.userNumber, reference);
+
+      if (!report) {
+        return {
+          reply: getMainMenu(ctx.language, getText('STATUS_REFERENCE_NOT_FOUND', ctx.language)),
+          next: 'MENU',
+          lastOption: null
+        };
+      }
+
+      return { reply: buildStatusDetail(report, ctx.language), next: 'MENU', lastOption: null };
+    }
+  });
+
+  // Handle direct suggestion text input
+  bot.registerState('AWAITING_SUGGESTION_TEXT', {
+    transitions: ['MENU'],
+    parse: (ctx) => ctx.message,
+    handle: async (suggestion, ctx) => {
+      try {
+        const newQuery = new Query({
+          user_id: ctx.userNumber,
+          user_name: ctx.session.user_name || 'Anonymous',
+          query_type: 'Suggestion',
+          description: suggestion,
+          photo_url: null, // No photo for suggestions
+          status: 'Pending'
+        });
+
+        await newQuery.save();
+        console.log('Saved suggestion to database');
+
+        return { reply: getText('SUGGESTION_RESPONSE', ctx.language), next: 'MENU', lastOption: null };
+      } catch (error) {
+        console.error('Error saving suggestion:', error);
+        return { reply: getText('REPORT_ERROR', ctx.language), next: 'MENU', lastOption: null };
+      }
+    }
+  });
+
+  // The user shares a location pin, which is checked against the divisions
+  // before the report is shown for confirmation
+  bot.registerState('AWAITING_LOCATION', {
+    transitions: ['MENU', 'AWAITING_CONFIRMATION'],
+    parse: (ctx) => ctx.location || {},
+    handle: async ({ latitude, longitude, address }, ctx) => {
+      const draft = getActiveDraft(ctx.session);
+      if (!draft) {
+        return backToMenu(ctx);
+      }
+
+      // User should have sent location data
+      if (!latitude || !longitude) {
+        return { reply: getText('LOCATION_MISSING_HINT', ctx.language) };
+      }
+
+      const matchingDivision = await findDivisionForLocation(latitude, longitude);
+      if (!matchingDivision) {
+        console.log('Location is outside PCMC jurisdiction');
+        await discardDraft(ctx.session);
+        return {
+          reply: getMainMenu(ctx.language, getText('LOCATION_OUTSIDE_JURISDICTION', ctx.language)),
+          next: 'MENU',
+          lastOption: null
+        };
+      }
+
+      draft.location = {
+        latitude: parseFloat(latitude),
+        longitude: parseFloat(longitude),
+        address: address || `${latitude}, ${longitude}`
+      };
+      await saveDraft(ctx.session, 'AWAITING_CONFIRMATION');
+
+      return { reply: buildReportReview(ctx, matchingDivision), next: 'AWAITING_CONFIRMATION' };
+    }
+  });
+
+  bot.registerState('AWAITING_CONFIRMATION', {
+    transitions: ['MENU', 'AWAITING_LOCATION'],
+    parse: (ctx) => {
+      const answer = (ctx.message || '').trim().toLowerCase();
+      if (getCommandKeywords('CONFIRM').includes(answer)) return 'confirm';
+      if (getCommandKeywords('CANCEL').includes(answer)) return 'cancel';
+      if (getCommandKeywords('ANONYMOUS').includes(answer)) return 'anonymous';
+      return null;
+    },
+    handle: async (answer, ctx) => {
+      const draft = getActiveDraft(ctx.session);
+      if (!draft) {
+        return backToMenu(ctx);
+      }
+
+      if (answer === 'cancel') {
+        await discardDraft(ctx.session);
+        return { reply: getMainMenu(ctx.language, getText('REPORT_CANCELLED', ctx.language)), next: 'MENU', lastOption: null };
+      }
+
+      if (answer === 'confirm' || answer === 'anonymous') {
+        try {
+          return await submitChatReport(ctx, { anonymous: answer === 'anonymous' });
+        } catch (error) {
+          console.error('Error submitting chat report:', error);
+          return { reply: getText('REPORT_ERROR', ctx.language), next: 'MENU', lastOption: null };
+        }
+      }
+
+      // Anything else, show the summary again
+      const { latitude, longitude } = draft.location;
+      const division = await findDivisionForLocation(latitude, longitude);
+      if (!division) {
+        // The division was changed since, so the location has to be shared again
+        draft.location = undefined;
+        await saveDraft(ctx.session, 'AWAITING_LOCATION');
+        return { reply: getText('LOCATION_REQUEST', ctx.language), next: 'AWAITING_LOCATION' };
+      }
+      return { reply: buildReportReview(ctx, division) };
+    }
+  });
+
+  // A shared location shows the advisories in force there. Anything else
+  // means the citizen would rather do something else.
+  bot.registerState('AWAITING_ADVISORY_LOCATION', {
+    transitions: ['MENU'],
+    parse: (ctx) => ctx.location || {},
+    handle: async ({ latitude, longitude }, ctx) => {
+      if (!latitude || !longitude) {
+        return backToMenu(ctx);
+      }
+
+      const advisories = await getAdvisoriesNear({ latitude: parseFloat(latitude), longitude: parseFloat(longitude) });
+      return { reply: buildAdvisoryList(advisories, ctx.language), next: 'MENU', lastOption: null };
+    }
+  });
+
+  // Reply to the follow request with a location or a division number
+  bot.registerState('ADVISORY_FOLLOW', {
+    transitions: ['MENU'],
+    parse: (ctx) => ({ location: ctx.location, option: (ctx.message || '').trim() }),
+    handle: async ({ location, option }, ctx) => {
+      if (location && location.latitude && location.longitude) {
+        const latitude = parseFloat(location.latitude);
+        const longitude = parseFloat(location.longitude);
+        const division = await findDivisionForLocation(latitude, longitude);
+        if (!division) {
+          return {
+            reply: getMainMenu(ctx.language, getText('LOCATION_OUTSIDE_JURISDICTION', ctx.language)),
+            next: 'MENU',
+            lastOption: null
+          };
+        }
+
+        return followArea(ctx, {
+          division,
+          location: { latitude, longitude, address: location.address || `${latitude}, ${longitude}` }
+        });
+      }
+
+      const divisions = await getFollowableDivisions();
+      const division = /^\d+$/.test(option) ? divisions[parseInt(option, 10) - 1] : null;
+      if (!division) {
+        return backToMenu(ctx);
+      }
+
+      return followArea(ctx, { division });
+    }
+  });
+
+  // Officer commands used to move the conversation here, so sessions still in
+  // it go back to the menu
+  bot.registerState('OFFICER_MODE', {
+    transitions: ['MENU'],
+    handle: async (input, ctx) => backToMenu(ctx)
+  });
+
+  // A returning citizen with an unfinished report is asked what to do with
+  // it. Continue, discard and menu are handled as commands, so anything else
+  // repeats the offer.
+  bot.registerState('DRAFT_RESUME', {
+    transitions: ['MENU'],
+    handle: async (input, ctx) => (getActiveDraft(ctx.session) ? offerDraft(ctx) : backToMenu(ctx))
+  });
+
+  // Typed reply to a rating request. Anything other than a score means the
+  // user would rather do something else, so they get the menu instead.
+  bot.registerState('AWAITING_RATING', {
+    transitions: ['AWAITING_RATING_COMMENT', 'MENU'],
+    parse: (ctx) => parseRating(ctx.message),
+    handle: async (rating, ctx) => (rating ? handleRating(rating, ctx) : backToMenu(ctx))
+  });
+
+  bot.registerState('AWAITING_RATING_COMMENT', {
+    transitions: ['MENU'],
+    handle: async (comment, ctx) => {
+      if (comment && !getCommandKeywords('SKIP').includes(comment.toLowerCase())) {
+        await recordSatisfactionComment(ctx.session.pending_rating_query, comment);
+      }
+
+      ctx.session.pending_rating_query = null;
+      await ctx.session.save();
+
+      return { reply: getMainMenu(ctx.language, getText('RATING_THANKS', ctx.language)), next: 'MENU', lastOption: null };
+    }
+  });
+
+  // Reply to the list of appealable reports with a list number or reference
+  bot.registerState('APPEAL_SELECT', {
+    transitions: ['AWAITING_APPEAL', 'MENU'],
+    handle: async (reference, ctx) => {
+      const reports = await getAppealableReports(ctx.userNumber);
+      const cleaned = reference.replace(/^#/, '').toUpperCase();
+
+      const report = /^\d+$/.test(cleaned)
+        ? reports[parseInt(cleaned, 10) - 1]
+        : reports.find(candidate => matchesReportReference(candidate, cleaned));
+
+      if (!report) {
+        return { reply: getMainMenu(ctx.language, getText('APPEAL_NOT_FOUND', ctx.language)), next: 'MENU', lastOption: null };
+      }
+
+      return startAppeal(report, ctx);
+    }
+  });
+
+  // Photos are collected until the citizen sends their explanation, which
+  // submits the appeal. A photo caption counts as the explanation.
+  bot.registerState('AWAITING_APPEAL', {
+    transitions: ['MENU'],
+    parse: (ctx) => ({
+      sentPhotoUrls: (ctx.attachments || []).filter(attachment => attachment.kind === 'image').map(attachment => attachment.url),
+      text: (ctx.message || '').trim()
+    }),
+    handle: async ({ sentPhotoUrls, text }, ctx) => {
+      ctx.session.appeal_photo_urls.push(...sentPhotoUrls);
+
+      if (!text) {
+        await ctx.session.save();
+        return { reply: getText('APPEAL_PHOTO_RECEIVED', ctx.language) };
+      }
+
+      const report = ctx.session.appeal_query ? await Query.findById(ctx.session.appeal_query) : null;
+      const photoUrls = [...ctx.session.appeal_photo_urls];
+
+      ctx.session.appeal_query = null;
+      ctx.session.appeal_photo_urls = [];
+      await ctx.session.save();
+
+      if (!report || !canAppeal(report)) {
+        return { reply: getMainMenu(ctx.language, getText('APPEAL_NOT_FOUND', ctx.language)), next: 'MENU', lastOption: null };
+      }
+
+      await submitAppeal(report, { text, photoUrls, via: 'whatsapp' });
+
+      return {
+        reply: getMainMenu(ctx.language, getText('APPEAL_SUBMITTED', ctx.language, getReportReference(report))),
+        next: 'MENU',
+        lastOption: null
+      };
+    }
+  });
+
+  // Join requests don't require location/division, so we can save them directly
+  bot.registerState('AWAITING_JOIN', {
+    transitions: ['MENU'],
+    parse: (ctx) => {
+      const details = { name: '', email: '', phone: '', location: '' };
+
+      for (const line of ctx.message.split('\n')) {
+        const field = Object.keys(details).find(key => line.toLowerCase().includes(`${key}:`));
+        if (field) {
+          details[field] = line.split(':')[1]?.trim() || '';
+        }
+      }
+
+      return details;
+    },
+    handle: async ({ name, email, phone }, ctx) => {
+      const joinQuery = new Query({
+        user_id: ctx.userNumber,
+        user_name: ctx.session.user_name || 'Anonymous',
+        query_type: 'Join Request',
+        name,
+        email,
+        phone,
+        description: ctx.message,
+        status: 'Pending'
+      });
+
+      await joinQuery.save();
+      console.log('Saved join request to database');
+
+      try {
+        await sendQueryNotification(joinQuery);
+        console.log('Email notification sent');
+      } catch (emailError) {
+        console.error('Error sending email notification:', emailError);
+      }
+
+      return { reply: getText('JOIN_RESPONSE', ctx.language), next: 'MENU', lastOption: null };
+    }
+  });
+
+  // Default behavior for any other state
+  bot.setFallback(async (ctx) => backToMenu(ctx));
+
+  return bot;
+};
+
+module.exports = {
+  createWhatsAppBot,
+  getMainMenu,
+  REPORT_TYPES
+};
@@ -0,0 +1,187 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { createConversationEngine } = require('../services/conversationEngine');
+
+/**
+ * Session the engine reads the current state from, without a database
+ * @param {Object} [fields] - Session fields to set
+ * @returns {Object}
+ */
+const createSession = (fields = {}) => ({
+  current_state: 'MENU',
+  last_option: null,
+  language: 'en',
+  ...fields
+});
+
+/**
+ * Engine with a menu that starts a report and a state that takes its description
+ * @returns {Object} - Conversation engine
+ */
+const createReportFlow = () => {
+  const engine = createConversationEngine();
+
+  engine.registerState('MENU', {
+    transitions: ['AWAITING_DESCRIPTION'],
+    handle: async (input) => (input === '1'
+      ? { reply: 'Describe the problem', next: 'AWAITING_DESCRIPTION', lastOption: '1' }
+      : { reply: 'Choose an option' })
+  });
+
+  engine.registerState('AWAITING_DESCRIPTION', {
+    transitions: ['MENU'],
+    handle: async (input) => ({ reply: `Thanks for reporting: ${input}`, next: 'MENU', lastOption: null })
+  });
+
+  return engine;
+};
+
+test('moves between states and keeps what the handler returns', async () => {
+  const engine = createReportFlow();
+  const session = createSession();
+
+  const started = await engine.handle({ session, userNumber: 'whatsapp:+919800000001', message: ' 1 ' });
+  assert.deepEqual(started, {
+    reply: 'Describe the problem',
+    state: 'AWAITING_DESCRIPTION',
+    lastOption: '1',
+    language: 'en'
+  });
+
+  session.current_state = started.state;
+  session.last_option = started.lastOption;
+
+  const described = await engine.handle({ session, userNumber: 'whatsapp:+919800000001', message: 'Car on the footpath' });
+  assert.equal(described.reply, 'Thanks for reporting: Car on the footpath');
+  assert.equal(described.state, 'MENU');
+  assert.equal(described.lastOption, null);
+});
+
+test('stays in the current state when the handler names no next state', async () => {
+  const engine = createReportFlow();
+  const session = createSession({ last_option: '2', language: 'mr' });
+
+  const result = await engine.handle({ session, userNumber: 'whatsapp:+919800000001', message: 'hello' });
+
+  assert.deepEqual(result, { reply: 'Choose an option', state: 'MENU', lastOption: '2', language: 'mr' });
+});
+
+test('refuses a transition the state does not allow', async () => {
+  const engine = createConversationEngine();
+  engine.registerState('MENU', {
+    transitions: [],
+    handle: async () => ({ reply: 'Somewhere else', next: 'ELSEWHERE' })
+  });
+
+  await assert.rejects(
+    engine.handle({ session: createSession(), userNumber: 'whatsapp:+919800000001', message: 'go' }),
+    /Invalid transition from MENU to ELSEWHERE/
+  );
+});
+
+test('uses the state parser for the handler input', async () => {
+  const engine = createConversationEngine();
+  engine.registerState('AWAITING_LOCATION', {
+    parse: (ctx) => ctx.location,
+    handle: async ({ latitude, longitude }) => ({ reply: `${latitude},${longitude}` })
+  });
+
+  const result = await engine.handle({
+    session: createSession({ current_state: 'AWAITING_LOCATION' }),
+    userNumber: 'whatsapp:+919800000001',
+    message: '',
+    location: { latitude: '18.62', longitude: '73.80' }
+  });
+
+  assert.equal(result.reply, '18.62,73.80');
+});
+
+test('checks commands before the current state', async () => {
+  const engine = createReportFlow();
+  engine.registerCommand({
+    keywords: ['MENU'],
+    handle: async () => ({ reply: 'Main menu', next: 'MENU', lastOption: null })
+  });
+
+  const result = await engine.handle({
+    session: createSession({ current_state: 'AWAITING_DESCRIPTION', last_option: '1' }),
+    userNumber: 'whatsapp:+919800000001',
+    message: 'Menu'
+  });
+
+  assert.deepEqual(result, { reply: 'Main menu', state: 'MENU', lastOption: null, language: 'en' });
+});
+
+test('runs the first matching command and skips those excepted in the current state', async () => {
+  const engine = createReportFlow();
+  engine.registerCommand({
+    keywords: ['stop'],
+    except: ['AWAITING_DESCRIPTION'],
+    handle: async () => ({ reply: 'Opted out' })
+  });
+  engine.registerCommand({
+    match: (ctx) => ctx.message.trim().toLowerCase() === 'stop',
+    handle: async () => ({ reply: 'Second stop command' })
+  });
+
+  const inMenu = await engine.handle({ session: createSession(), userNumber: 'whatsapp:+919800000001', message: 'STOP' });
+  assert.equal(inMenu.reply, 'Opted out');
+  assert.equal(inMenu.state, 'MENU');
+
+  const describing = await engine.handle({
+    session: createSession({ current_state: 'AWAITING_DESCRIPTION' }),
+    userNumber: 'whatsapp:+919800000001',
+    message: 'stop'
+  });
+  assert.equal(describing.reply, 'Second stop command');
+  assert.equal(describing.state, 'AWAITING_DESCRIPTION');
+});
+
+test('passes extra input such as the officer on to commands', async () => {
+  const engine = createReportFlow();
+  engine.registerCommand({
+    match: (ctx) => !!ctx.officer,
+    handle: async (ctx) => ({ reply: `Hello ${ctx.officer.name}` })
+  });
+
+  const result = await engine.handle({
+    session: createSession(),
+    userNumber: 'whatsapp:+919800000001',
+    message: 'MY',
+    officer: { name: 'PI Patil' }
+  });
+
+  assert.equal(result.reply, 'Hello PI Patil');
+});
+
+test('uses the fallback for a state without a handler', async () => {
+  const engine = createReportFlow();
+  engine.setFallback(async (ctx) => ({ reply: `Lost in ${ctx.state}`, next: 'MENU' }));
+
+  const result = await engine.handle({
+    session: createSession({ current_state: 'REMOVED_STATE' }),
+    userNumber: 'whatsapp:+919800000001',
+    message: 'hi'
+  });
+
+  assert.deepEqual(result, { reply: 'Lost in REMOVED_STATE', state: 'MENU', lastOption: null, language: 'en' });
+});
+
+test('fails for a state without a handler when there is no fallback', async () => {
+  const engine = createReportFlow();
+
+  await assert.rejects(
+    engine.handle({ session: createSession({ current_state: 'REMOVED_STATE' }), userNumber: 'whatsapp:+919800000001', message: 'hi' }),
+    /No handler registered for state REMOVED_STATE/
+  );
+});
+
+test('refuses states and commands without a handler, and states registered twice', () => {
+  const engine = createReportFlow();
+
+  assert.throws(() => engine.registerState('EMPTY', {}), /must define a handle function/);
+  assert.throws(() => engine.registerCommand({ keywords: ['help'] }), /must define a handle function/);
+  assert.throws(() => engine.registerState('MENU', { handle: async () => ({}) }), /already registered/);
+  assert.equal(engine.hasState('AWAITING_DESCRIPTION'), true);
+  assert.equal(engine.hasState('EMPTY'), false);
+});
@@ -0,0 +1,55 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseOfficerCommand, isOfficerCommand } = require('../services/officerCommands');
+
+test('reads MY and OFFICER only when they are the whole message', () => {
+  assert.deepEqual(parseOfficerCommand('my'), { command: 'MY', ref: '', text: '' });
+  assert.deepEqual(parseOfficerCommand(' Officer '), { command: 'OFFICER', ref: '', text: '' });
+
+  assert.equal(parseOfficerCommand('My bike was towed near Akurdi'), null);
+  assert.equal(parseOfficerCommand('officer on duty at the signal'), null);
+});
+
+test('reads status commands followed by a reference', () => {
+  assert.deepEqual(parseOfficerCommand('ack TB-2026-004512'), { command: 'ACK', ref: 'TB-2026-004512', text: '' });
+  assert.deepEqual(parseOfficerCommand('RESOLVE #tb-2026-004512 Vehicle towed'), {
+    command: 'RESOLVE',
+    ref: 'TB-2026-004512',
+    text: 'Vehicle towed'
+  });
+  assert.deepEqual(parseOfficerCommand('progress TB2026004512 Crane on the way'), {
+    command: 'PROGRESS',
+    ref: 'TB2026004512',
+    text: 'Crane on the way'
+  });
+});
+
+test('reads status commands followed by a report id or the short ref of older alerts', () => {
+  assert.deepEqual(parseOfficerCommand('reject 6a1f0c2b9d4e8f7a6b5c4d3e Duplicate'), {
+    command: 'REJECT',
+    ref: '6A1F0C2B9D4E8F7A6B5C4D3E',
+    text: 'Duplicate'
+  });
+  assert.deepEqual(parseOfficerCommand('ACK 5c4d3e'), { command: 'ACK', ref: '5C4D3E', text: '' });
+});
+
+test('leaves status command words without a reference to the citizen flow', () => {
+  assert.equal(parseOfficerCommand('ack'), null);
+  assert.equal(parseOfficerCommand('Ack, thanks for the update'), null);
+  assert.equal(parseOfficerCommand('Resolve the signal at Nigdi please'), null);
+  assert.equal(parseOfficerCommand('reject this'), null);
+});
+
+test('ignores other messages', () => {
+  assert.equal(parseOfficerCommand('hi'), null);
+  assert.equal(parseOfficerCommand(''), null);
+  assert.equal(parseOfficerCommand(undefined), null);
+});
+
+test('only treats commands from an officer as officer commands', () => {
+  const officer = { name: 'PI Patil' };
+
+  assert.equal(isOfficerCommand({ officer, message: 'MY' }), true);
+  assert.equal(isOfficerCommand({ officer: null, message: 'MY' }), false);
+  assert.equal(isOfficerCommand({ officer, message: 'My bike was towed' }), false);
+});
@@ -0,0 +1,46 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const UsageCounter = require('../models/UsageCounter');
+const { LIMITS, getWindowStart, consume } = require('../services/rateLimiter');
+
+const at = (iso) => new Date(iso).getTime();
+
+test('counts messages per minute, capture links per hour and reports per day', () => {
+  assert.equal(LIMITS.message.windowMs, 60 * 1000);
+  assert.equal(LIMITS.capture_link.windowMs, 60 * 60 * 1000);
+  assert.equal(LIMITS.report.windowMs, 24 * 60 * 60 * 1000);
+});
+
+test('puts an action in the fixed window it falls in', () => {
+  const now = at('2026-03-14T09:42:37.250Z');
+
+  assert.deepEqual(getWindowStart('message', now), new Date('2026-03-14T09:42:00.000Z'));
+  assert.deepEqual(getWindowStart('capture_link', now), new Date('2026-03-14T09:00:00.000Z'));
+  assert.deepEqual(getWindowStart('report', now), new Date('2026-03-14T00:00:00.000Z'));
+});
+
+test('starts a new window on the boundary', () => {
+  assert.deepEqual(getWindowStart('message', at('2026-03-14T09:42:59.999Z')), new Date('2026-03-14T09:42:00.000Z'));
+  assert.deepEqual(getWindowStart('message', at('2026-03-14T09:43:00.000Z')), new Date('2026-03-14T09:43:00.000Z'));
+  assert.deepEqual(getWindowStart('report', at('2026-03-15T00:00:00.000Z')), new Date('2026-03-15T00:00:00.000Z'));
+});
+
+test('allows actions up to the limit and explains only the first one over it', async (t) => {
+  // Counter of the current window, kept in memory instead of the database
+  const counter = { user_id: '919800000001', count: 0, throttled_at: null, save: async () => {} };
+  t.mock.method(UsageCounter, 'findOneAndUpdate', async () => {
+    counter.count += 1;
+    return counter;
+  });
+  t.mock.method(console, 'log', () => {});
+
+  const { limit } = LIMITS.report;
+  const results = [];
+  for (let i = 0; i < limit + 2; i += 1) {
+    results.push(await consume('whatsapp:+919800000001', 'report'));
+  }
+
+  assert.deepEqual(results[limit - 1], { allowed: true, count: limit, limit, firstRejection: false });
+  assert.deepEqual(results[limit], { allowed: false, count: limit + 1, limit, firstRejection: true });
+  assert.deepEqual(results[limit + 1], { allowed: false, count: limit + 2, limit, firstRejection: false });
+});
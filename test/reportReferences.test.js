@@ -0,0 +1,48 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  formatReportReference,
+  parseReportReference,
+  signReportReference,
+  verifyReportReferenceToken,
+  getResolveLink
+} = require('../services/reportReferences');
+
+test('formats references with the year and a zero-padded number', () => {
+  assert.equal(formatReportReference(2026, 4512), 'TB-2026-004512');
+  assert.equal(formatReportReference(2027, 1), 'TB-2027-000001');
+});
+
+test('reads references the way people type them', () => {
+  assert.equal(parseReportReference('TB-2026-004512'), 'TB-2026-004512');
+  assert.equal(parseReportReference(' tb-2026-4512 '), 'TB-2026-004512');
+  assert.equal(parseReportReference('TB 2026 004512'), 'TB-2026-004512');
+  assert.equal(parseReportReference('TB2026004512'), 'TB-2026-004512');
+  assert.equal(parseReportReference('#TB-2026-004512'), 'TB-2026-004512');
+});
+
+test('does not read other text as a reference', () => {
+  assert.equal(parseReportReference('6a1f0c2b9d4e8f7a6b5c4d3e'), null);
+  assert.equal(parseReportReference('TB-26-004512'), null);
+  assert.equal(parseReportReference('TB-2026-0045120'), null);
+  assert.equal(parseReportReference('my report TB-2026-004512'), null);
+  assert.equal(parseReportReference(''), null);
+  assert.equal(parseReportReference(undefined), null);
+});
+
+test('only accepts the token signed for the same reference', () => {
+  const token = signReportReference('TB-2026-004512');
+
+  assert.equal(verifyReportReferenceToken('TB-2026-004512', token), true);
+  assert.equal(verifyReportReferenceToken('TB-2026-004513', token), false);
+  assert.equal(verifyReportReferenceToken('TB-2026-004512', token.slice(1)), false);
+  assert.equal(verifyReportReferenceToken('TB-2026-004512', undefined), false);
+});
+
+test('links to the resolve page by signed reference, or by id for reports without one', () => {
+  const report = { _id: '6a1f0c2b9d4e8f7a6b5c4d3e', reference: 'TB-2026-004512' };
+  const token = signReportReference(report.reference);
+
+  assert.equal(getResolveLink(report), `${process.env.SERVER_URL}/resolve.html?ref=TB-2026-004512&token=${token}`);
+  assert.equal(getResolveLink({ _id: report._id }), `${process.env.SERVER_URL}/resolve.html?id=6a1f0c2b9d4e8f7a6b5c4d3e`);
+});
@@ -0,0 +1,121 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  StatusTransitionError,
+  canTransitionStatus,
+  applyStatusChange
+} = require('../services/reportStatus');
+
+/**
+ * Report with just the fields a status change touches, without a database
+ * @param {Object} [fields] - Report fields to set
+ * @returns {Object}
+ */
+const createReport = (fields = {}) => ({
+  _id: '6a1f0c2b9d4e8f7a6b5c4d3e',
+  status: 'Pending',
+  status_history: [],
+  ...fields
+});
+
+const officerChange = { actor: 'PI Patil', role: 'officer', source: 'resolve_link' };
+const citizenAppeal = { actor: 'Citizen', role: 'citizen', source: 'whatsapp', appealFiled: true };
+const appealDecision = { actor: 'Main Admin', role: 'main_admin', source: 'dashboard', appealDecision: true };
+
+test('allows the lifecycle transitions and refuses the others', () => {
+  assert.equal(canTransitionStatus('Pending', 'In Progress'), true);
+  assert.equal(canTransitionStatus('In Progress', 'In Progress'), true);
+  assert.equal(canTransitionStatus('Resolved', 'In Progress'), true);
+  assert.equal(canTransitionStatus('Rejected', 'Pending'), true);
+
+  assert.equal(canTransitionStatus('Pending', 'Pending'), false);
+  assert.equal(canTransitionStatus('Resolved', 'Rejected'), false);
+  assert.equal(canTransitionStatus('Rejected', 'Appealed'), false);
+});
+
+test('treats a report without a status as Pending', () => {
+  assert.equal(canTransitionStatus(undefined, 'Resolved'), true);
+  assert.equal(canTransitionStatus(undefined, 'Pending'), false);
+});
+
+test('only lets a filed appeal make a rejected report Appealed', () => {
+  assert.throws(() => applyStatusChange(createReport({ status: 'Rejected' }), 'Appealed', officerChange),
+    /only appealed by its reporter/);
+  assert.throws(() => applyStatusChange(createReport({ status: 'Resolved' }), 'Appealed', citizenAppeal),
+    /Resolved cannot be appealed/);
+
+  const report = createReport({ status: 'Rejected' });
+  applyStatusChange(report, 'Appealed', citizenAppeal);
+  assert.equal(report.status, 'Appealed');
+});
+
+test('only lets the appeal decision move a report out of Appealed', () => {
+  assert.throws(() => applyStatusChange(createReport({ status: 'Appealed' }), 'Pending', officerChange),
+    /must be decided by the main admin/);
+  assert.throws(() => applyStatusChange(createReport({ status: 'Appealed' }), 'Resolved', appealDecision),
+    /cannot move from Appealed to Resolved/);
+
+  const report = createReport({ status: 'Appealed' });
+  applyStatusChange(report, 'Pending', appealDecision);
+  assert.equal(report.status, 'Pending');
+});
+
+test('says when a report already has the status', () => {
+  assert.throws(() => applyStatusChange(createReport({ status: 'Resolved' }), 'Resolved', officerChange),
+    /already Resolved/);
+});
+
+test('records who closed a report and adds the change to its history', () => {
+  const report = createReport({ status: 'In Progress' });
+
+  const entry = applyStatusChange(report, 'Resolved', { ...officerChange, note: 'Vehicle towed', ipAddress: '10.0.0.1' });
+
+  assert.equal(report.status, 'Resolved');
+  assert.equal(report.resolution_note, 'Vehicle towed');
+  assert.equal(report.resolved_by.name, 'PI Patil');
+  assert.equal(report.resolved_by.ip_address, '10.0.0.1');
+  assert.ok(report.resolved_at instanceof Date);
+  assert.equal(report.status_history.length, 1);
+  assert.equal(entry.previous_status, 'In Progress');
+  assert.equal(entry.status, 'Resolved');
+  assert.equal(entry.source, 'resolve_link');
+});
+
+test('stops the acknowledgement clock when a report leaves Pending', () => {
+  const report = createReport({ sla: { acknowledge_by: new Date() } });
+
+  applyStatusChange(report, 'In Progress', officerChange);
+
+  assert.ok(report.sla.acknowledged_at instanceof Date);
+});
+
+test('reopening a report clears when it was closed', () => {
+  const report = createReport({ status: 'Resolved', resolved_at: new Date() });
+
+  applyStatusChange(report, 'Pending', officerChange);
+
+  assert.equal(report.resolved_at, null);
+});
+
+test('keeps the resolution details when an appeal is decided', () => {
+  const resolvedBy = { name: 'PI Patil', timestamp: new Date('2026-03-01T10:00:00Z') };
+  const report = createReport({ status: 'Appealed', resolution_note: 'Not a traffic issue', resolved_by: resolvedBy });
+
+  applyStatusChange(report, 'Rejected', { ...appealDecision, note: 'Appeal rejected' });
+
+  assert.equal(report.status, 'Rejected');
+  assert.equal(report.resolution_note, 'Not a traffic issue');
+  assert.equal(report.resolved_by, resolvedBy);
+  assert.equal(report.status_history[0].note, 'Appeal rejected');
+});
+
+test('leaves the report as it was when the change is refused', () => {
+  const report = createReport({ status: 'Resolved' });
+
+  assert.throws(() => applyStatusChange(report, 'Rejected', officerChange), StatusTransitionError);
+  assert.throws(() => applyStatusChange(report, 'Closed', officerChange), /Invalid status: Closed/);
+  assert.throws(() => applyStatusChange(report, 'Pending', { ...officerChange, source: 'email' }), /Invalid status change source/);
+
+  assert.equal(report.status, 'Resolved');
+  assert.equal(report.status_history.length, 0);
+});
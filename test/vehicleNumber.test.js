@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeVehicleNumber, extractVehicleNumbers, formatVehicleNumber } = require('../utils/vehicleNumber');
+
+test('stores a typed number without separators, padding the RTO code and the number', () => {
+  assert.equal(normalizeVehicleNumber('mh-14 ab 1234'), 'MH14AB1234');
+  assert.equal(normalizeVehicleNumber('MH 1 AB 12'), 'MH01AB0012');
+  assert.equal(normalizeVehicleNumber('MH12A5'), 'MH12A0005');
+  assert.equal(normalizeVehicleNumber('22 BH 1234 AA'), '22BH1234AA');
+});
+
+test('refuses numbers that cannot be on a plate', () => {
+  assert.equal(normalizeVehicleNumber('XX 14 AB 1234'), null);
+  assert.equal(normalizeVehicleNumber('MH 00 AB 1234'), null);
+  assert.equal(normalizeVehicleNumber('MH14AB0000'), null);
+  assert.equal(normalizeVehicleNumber('MH 14 AB 12345'), null);
+  assert.equal(normalizeVehicleNumber('hello'), null);
+  assert.equal(normalizeVehicleNumber(''), null);
+  assert.equal(normalizeVehicleNumber(undefined), null);
+});
+
+test('finds the numbers in a description in order, once each', () => {
+  assert.deepEqual(
+    extractVehicleNumbers('Car MH 14 AB 1234 and 22-BH-1234-AA blocking the lane, again mh14ab1234'),
+    ['MH14AB1234', '22BH1234AA']
+  );
+});
+
+test('only takes 4-digit numbers from a description', () => {
+  assert.deepEqual(extractVehicleNumbers('Parked at MH 14 for 2 hours'), []);
+  assert.deepEqual(extractVehicleNumbers('Tempo MH 12 AB 12 on the footpath'), []);
+  assert.deepEqual(extractVehicleNumbers(undefined), []);
+});
+
+test('formats stored numbers the way they are written on plates', () => {
+  assert.equal(formatVehicleNumber('MH14AB1234'), 'MH 14 AB 1234');
+  assert.equal(formatVehicleNumber('MH120005'), 'MH 12 0005');
+  assert.equal(formatVehicleNumber('22BH1234AA'), '22 BH 1234 AA');
+  assert.equal(formatVehicleNumber('weird'), 'weird');
+  assert.equal(formatVehicleNumber(undefined), '');
+});
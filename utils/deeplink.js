@@ -2,6 +2,7 @@ const DEEP_LINK_URL = 'gpsmapcamera://open';
 const PLAY_STORE_LINK = 'https://play.google.com/store/apps/details?id=com.gpsmapcamera.geotagginglocationonphoto';
 const crypto = require('crypto');
 const ReportLink = require('../models/ReportLink');
+const { getText } = require('./language');
 
 module.exports = {
   /**
@@ -95,31 +96,11 @@ Play Store: ${PLAY_STORE_LINK}`;
   /**
    * Get optimized instruction message with clickable capture link
    * @param {string} captureUrl - The URL to the capture page
-   * @param {string} language - Language code ('en' or 'mr')
+   * @param {string} language - Language code of an installed language pack
    * @returns {string} Formatted message with visible clickable link
    */
   getReportInstructionMessage: (captureUrl, language = 'en') => {
-    if (language === 'mr') {
-      return `📸 *अहवाल सादर करण्यासाठी खाली दिलेल्या लिंकवर क्लिक करा:*
-      
-📱 *📷 अहवाल सादर करा 📷*
-👇👇👇👇👇👇👇👇
-${captureUrl}
-👆👆👆👆👆👆👆👆
-
-वरील लिंकवर टॅप करून, आपले स्थान आणि फोटो सादर करा.
-कृपया यशस्वी अहवाल सादर करण्यासाठी GPS स्थान प्रवेश परवानगी द्या.`;
-    }
-    
-    return `📸 *Click the link below to submit your report:*
-    
-📱 *📷 CAPTURE & REPORT 📷*
-👇👇👇👇👇👇👇👇
-${captureUrl}
-👆👆👆👆👆👆👆👆
-
-Tap the link above to submit your location and photo.
-Please make sure to allow location access for Successful reporting.`;
+    return getText('REPORT_LINK_INSTRUCTIONS', language, captureUrl);
   },
   
   /**
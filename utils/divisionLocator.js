@@ -0,0 +1,133 @@
+const NodeCache = require('node-cache');
+const { Division } = require('../models/Division');
+
+const locationCache = new NodeCache({ 
+  stdTTL: 86400, // Cache for 24 hours (increased from 1 hour)
+  checkperiod: 3600, // Check for expired keys every hour
+  useClones: false // Don't clone objects for better performance
+}); 
+
+// Utility function to find which division a location belongs to
+async function findDivisionForLocation(latitude, longitude) {
+  try {
+    // Input validation
+    if (!latitude || !longitude) {
+      console.error('Invalid coordinates:', { latitude, longitude });
+      return null;
+    }
+    
+    // Convert to numbers explicitly
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    
+    if (isNaN(lat) || isNaN(lng)) {
+      console.error('Coordinates are not valid numbers:', { latitude, longitude });
+      return null;
+    }
+    
+    console.log(`Finding division for location: [${lat}, ${lng}]`);
+    
+    // Check cache first
+    const cacheKey = `${lat.toFixed(6)},${lng.toFixed(6)}`;
+    const cachedDivision = locationCache.get(cacheKey);
+    if (cachedDivision) {
+      console.log(`Cache hit for location ${cacheKey}`);
+      if (cachedDivision._id) {
+        return await Division.findById(cachedDivision._id);
+      }
+      return null; // Outside jurisdiction based on cache
+    }
+    
+    // Get all divisions
+    const divisions = await Division.find();
+    console.log(`Checking against ${divisions.length} divisions`);
+    
+    // Test each division
+    for (const division of divisions) {
+      if (!division.boundaries || !division.boundaries.coordinates || 
+          !Array.isArray(division.boundaries.coordinates) || 
+          division.boundaries.coordinates.length === 0) {
+        continue; // Skip divisions with invalid boundary data
+      }
+      
+      const polygon = division.boundaries.coordinates[0];
+      
+      // Skip if polygon has fewer than 3 points (not a valid polygon)
+      if (!Array.isArray(polygon) || polygon.length < 3) {
+        continue;
+      }
+      
+      // Check if the point is inside this division
+      if (isPointInPolygon([lng, lat], polygon)) {
+        console.log(`Found matching division: ${division.name}`);
+        // Cache this result
+        locationCache.set(cacheKey, { 
+          _id: division._id, 
+          name: division.name 
+        });
+        return division;
+      }
+    }
+    
+    // If we reach here, the location is not in any division
+    console.log('Location is not within any defined division boundary');
+    locationCache.set(cacheKey, { outside: true });
+    return null;
+  } catch (error) {
+    console.error('Error finding division for location:', error);
+    return null;
+  }
+}
+
+// Improved isPointInPolygon function
+function isPointInPolygon(point, polygon) {
+  // Validation
+  if (!Array.isArray(point) || point.length < 2 || 
+      !Array.isArray(polygon) || polygon.length < 3) {
+    console.error('Invalid point or polygon', { point, polygonLength: polygon?.length });
+    return false;
+  }
+  
+  const x = parseFloat(point[0]); // longitude
+  const y = parseFloat(point[1]); // latitude
+  
+  if (isNaN(x) || isNaN(y)) {
+    console.error('Point coordinates are not valid numbers', point);
+    return false;
+  }
+  
+  let inside = false;
+  
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    // Get current and previous vertices
+    let xi = polygon[i][0];
+    let yi = polygon[i][1];
+    let xj = polygon[j][0];
+    let yj = polygon[j][1];
+    
+    // Convert to numbers if they're strings
+    xi = parseFloat(xi);
+    yi = parseFloat(yi);
+    xj = parseFloat(xj);
+    yj = parseFloat(yj);
+    
+    // Skip invalid points
+    if (isNaN(xi) || isNaN(yi) || isNaN(xj) || isNaN(yj)) {
+      console.warn('Invalid polygon point detected, skipping', { xi, yi, xj, yj });
+      continue;
+    }
+    
+    // Check if ray from point crosses edge
+    const intersect = ((yi > y) !== (yj > y)) && 
+                     (x < (xj - xi) * (y - yi) / (yj - yi) + xi);
+    
+    if (intersect) inside = !inside;
+  }
+  
+  return inside;
+}
+
+module.exports = {
+  findDivisionForLocation,
+  isPointInPolygon
+};
@@ -161,7 +161,7 @@ const generateQueryEmailTemplate = (query, departmentName) => {
         <table>
           <tr>
             <th>Reference ID</th>
-            <td>${query._id}</td>
+            <td>${query.reference || query._id}</td>
           </tr>
           <tr>
             <th>Type</th>
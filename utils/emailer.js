@@ -106,13 +106,14 @@ const sendQueryNotification = async (query, division) => {
           <div class="content">
             <h3>Report Details</h3>
             <table>
+              ${query.reference ? `<tr><th>Reference</th><td>${query.reference}</td></tr>` : ''}
               <tr>
                 <th>Report Type</th>
                 <td>${query.query_type}</td>
               </tr>
               <tr>
                 <th>Submitted By</th>
-                <td>${query.user_id}</td>
+                <td>${query.anonymous ? 'Anonymous (identity protected)' : query.user_id}</td>
               </tr>
               <tr>
                 <th>Date & Time</th>
@@ -122,9 +123,9 @@ const sendQueryNotification = async (query, division) => {
                 <th>Status</th>
                 <td>${query.status}</td>
               </tr>
-              ${query.name ? `<tr><th>Name</th><td>${query.name}</td></tr>` : ''}
-              ${query.email ? `<tr><th>Email</th><td>${query.email}</td></tr>` : ''}
-              ${query.phone ? `<tr><th>Phone</th><td>${query.phone}</td></tr>` : ''}
+              ${!query.anonymous && query.name ? `<tr><th>Name</th><td>${query.name}</td></tr>` : ''}
+              ${!query.anonymous && query.email ? `<tr><th>Email</th><td>${query.email}</td></tr>` : ''}
+              ${!query.anonymous && query.phone ? `<tr><th>Phone</th><td>${query.phone}</td></tr>` : ''}
               ${query.description ? `<tr><th>Description</th><td>${query.description}</td></tr>` : ''}
               ${query.vehicle_number ? `<tr><th>Vehicle Number</th><td>${query.vehicle_number}</td></tr>` : ''}
               <tr>
@@ -160,7 +161,7 @@ const sendQueryNotification = async (query, division) => {
         address: process.env.EMAIL_USER
       },
       to: division.email, // Use the email directly from the division object
-      subject: `New Traffic Buddy ${query.query_type} Report - ${divisionName}`,
+      subject: `New Traffic Buddy ${query.query_type} Report${query.reference ? ` ${query.reference}` : ''} - ${divisionName}`,
       html: htmlContent
     };
 
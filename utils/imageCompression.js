@@ -62,4 +62,18 @@ async function compressImage(image, quality = 50) {
   }
 }
 
-module.exports = { compressImage };
\ No newline at end of file
+/**
+ * Creates a small JPEG copy of an image for lists and previews
+ * @param {Buffer} buffer - Image contents
+ * @param {number} width - Width of the thumbnail in pixels, defaults to 320
+ * @returns {Promise<Buffer>} Thumbnail JPEG
+ */
+async function createThumbnail(buffer, width = 320) {
+  return sharp(buffer)
+    .rotate()
+    .resize({ width, withoutEnlargement: true })
+    .jpeg({ quality: 60 })
+    .toBuffer();
+}
+
+module.exports = { compressImage, createThumbnail };
\ No newline at end of file
@@ -1,7 +1,8 @@
 const { S3Client, PutObjectCommand } = require('@aws-sdk/client-s3');
 const dotenv = require('dotenv');
 const path = require('path');
-const { compressImage } = require('./imageCompression');
+const { compressImage, createThumbnail } = require('./imageCompression');
+const { getFileExtension } = require('./media');
 
 dotenv.config({ path: path.resolve(__dirname, '../.env') });
 
@@ -14,6 +15,36 @@ const s3Client = new S3Client({
   },
 });
 
+/**
+ * Store a file in the R2 bucket under a unique name
+ * @param {Buffer} buffer - File contents
+ * @param {string} contentType - Content type served with the file
+ * @param {string} fileExt - File extension
+ * @param {string} folder - Folder name in the bucket
+ * @returns {Promise<string>} Public URL of the file
+ */
+const putObject = async (buffer, contentType, fileExt, folder) => {
+  // Generate unique filename
+  const fileName = `${folder}/${Date.now()}_${Math.random().toString(36).substring(2)}.${fileExt}`;
+  console.log(`File name: ${fileName}`);
+
+  const command = new PutObjectCommand({
+    Bucket: process.env.CLOUDFLARE_R2_BUCKET_NAME,
+    Key: fileName,
+    Body: buffer,
+    ContentType: contentType,
+  });
+
+  console.log('Sending to R2...');
+  await s3Client.send(command);
+  console.log('Upload complete');
+  
+  // Construct the public URL using the public endpoint
+  const url = `${process.env.CLOUDFLARE_R2_PUBLIC_URL}/${fileName}`;
+  console.log('Generated URL:', url);
+  return url;
+};
+
 /**
  * Uploads an image to Cloudflare R2 storage
  * @param {Buffer|Object|string} image - Image as buffer, multer file, or base64 string
@@ -91,29 +122,65 @@ const uploadImageToR2 = async (image, folder = 'traffic_buddy') => {
     console.log(`Buffer size: ${buffer.length} bytes`);
     console.log(`Content type: ${contentType}`);
     
-    // Generate unique filename
-    const fileName = `${folder}/${Date.now()}_${Math.random().toString(36).substring(2)}.${fileExt}`;
-    console.log(`File name: ${fileName}`);
-
-    const command = new PutObjectCommand({
-      Bucket: process.env.CLOUDFLARE_R2_BUCKET_NAME,
-      Key: fileName,
-      Body: buffer,
-      ContentType: contentType,
-    });
-
-    console.log('Sending to R2...');
-    await s3Client.send(command);
-    console.log('Upload complete');
-    
-    // Construct the public URL using the public endpoint
-    const url = `${process.env.CLOUDFLARE_R2_PUBLIC_URL}/${fileName}`;
-    console.log('Generated URL:', url);
-    return url;
+    return await putObject(buffer, contentType, fileExt, folder);
   } catch (error) {
     console.error('Error uploading image to R2:', error);
     throw new Error(`Failed to upload image: ${error.message}`);
   }
 };
 
-module.exports = { uploadImageToR2 };
\ No newline at end of file
+/**
+ * Uploads a voice note or video to Cloudflare R2 storage as it is, so it
+ * plays in the browser with its original content type
+ * @param {Buffer} buffer - File contents
+ * @param {string} contentType - Content type, e.g. 'audio/ogg'
+ * @param {string} folder - Folder name in the bucket
+ * @returns {Promise<string>} Public URL of the uploaded file
+ */
+const uploadMediaToR2 = async (buffer, contentType, folder = 'traffic_buddy') => {
+  try {
+    console.log(`Starting R2 upload of ${contentType} (${buffer.length} bytes) to folder: ${folder}`);
+    return await putObject(buffer, contentType, getFileExtension(contentType), folder);
+  } catch (error) {
+    console.error('Error uploading media to R2:', error);
+    throw new Error(`Failed to upload media: ${error.message}`);
+  }
+};
+
+/**
+ * Uploads a thumbnail of a photo to Cloudflare R2 storage. A photo that
+ * can't be thumbnailed is still usable, so failures only return null.
+ * @param {Buffer} buffer - Photo contents
+ * @param {string} folder - Folder name in the bucket
+ * @returns {Promise<string|null>} Public URL of the thumbnail, or null
+ */
+const uploadThumbnailToR2 = async (buffer, folder = 'traffic_buddy') => {
+  try {
+    const thumbnail = await createThumbnail(buffer);
+    return await putObject(thumbnail, 'image/jpeg', 'jpeg', `${folder}/thumbnails`);
+  } catch (error) {
+    console.error('Error uploading thumbnail to R2:', error);
+    return null;
+  }
+};
+
+/**
+ * Uploads a photo sent with a report and its thumbnail
+ * @param {Object} file - Multer file
+ * @param {string} folder - Folder name in the bucket
+ * @returns {Promise<Object>} Attachment: { kind, url, thumbnail_url, content_type, size }
+ */
+const uploadReportPhoto = async (file, folder = 'traffic_buddy') => {
+  const url = await uploadImageToR2(file, folder);
+  const thumbnailUrl = await uploadThumbnailToR2(file.buffer, folder);
+
+  return {
+    kind: 'image',
+    url,
+    thumbnail_url: thumbnailUrl || undefined,
+    content_type: file.mimetype,
+    size: file.size
+  };
+};
+
+module.exports = { uploadImageToR2, uploadMediaToR2, uploadThumbnailToR2, uploadReportPhoto };
\ No newline at end of file
@@ -1,47 +1,169 @@
+const { getText, getLanguageOptions, getLanguagePrompt } = require('./language');
+
+// WhatsApp limits for interactive messages
+const MAX_BUTTONS = 3;
+const MAX_LIST_ROWS = 10;
+
 /**
- * Creates the main menu with interactive buttons
- * @returns {Object} - Main menu message with buttons
- */
-const getInteractiveMainMenu = () => {
-    const bodyText = '*Welcome to Traffic Buddy!* 🚦\n\nChoose an option:';
-    
-    const buttons = [
-      { id: "1", title: "Traffic Violation" },
-      { id: "2", title: "Traffic Congestion" },
-      { id: "3", title: "Accident" }
-    ];
-    
-    return createButtonMessage(bodyText, buttons);
+ * Creates a message with reply buttons
+ * @param {string} bodyText - Message text shown above the buttons
+ * @param {Array<Object>} buttons - [{ id, title }], at most 3
+ * @param {string} fallbackText - Plain text sent when interactive messages are unavailable
+ * @returns {Object} - Interactive button message
+ */
+const createButtonMessage = (bodyText, buttons, fallbackText) => {
+  if (buttons.length > MAX_BUTTONS) {
+    throw new Error(`WhatsApp allows at most ${MAX_BUTTONS} reply buttons`);
+  }
+
+  return {
+    type: 'button',
+    body: bodyText,
+    buttons,
+    fallbackText: fallbackText || bodyText
   };
-  
-  /**
-   * Creates the second set of menu buttons
-   * @returns {Object} - Second part of main menu with buttons
-   */
-  const getSecondaryMenu = () => {
-    const bodyText = '*More Options:*';
-    
-    const buttons = [
-      { id: "4", title: "Road Damage" },
-      { id: "5", title: "Illegal Parking" },
-      { id: "6", title: "Traffic Info" }
-    ];
-    
-    return createButtonMessage(bodyText, buttons);
+};
+
+/**
+ * Creates a list message
+ * @param {string} bodyText - Message text shown above the list button
+ * @param {string} buttonText - Label of the button that opens the list
+ * @param {Array<Object>} rows - [{ id, title, description }], at most 10
+ * @param {string} fallbackText - Plain text sent when interactive messages are unavailable
+ * @returns {Object} - Interactive list message
+ */
+const createListMessage = (bodyText, buttonText, rows, fallbackText) => {
+  if (rows.length > MAX_LIST_ROWS) {
+    throw new Error(`WhatsApp allows at most ${MAX_LIST_ROWS} list rows`);
+  }
+
+  return {
+    type: 'list',
+    body: bodyText,
+    button: buttonText,
+    rows,
+    fallbackText: fallbackText || bodyText
   };
-  
-  /**
-   * Creates the third set of menu buttons
-   * @returns {Object} - Third part of main menu with buttons
-   */
-  const getThirdMenu = () => {
-    const bodyText = '*Additional Options:*';
-    
-    const buttons = [
-      { id: "7", title: "Share Suggestion" },
-      { id: "8", title: "Join Our Team" },
-      { id: "menu", title: "Return to Menu" }
-    ];
-    
-    return createButtonMessage(bodyText, buttons);
-  };
\ No newline at end of file
+};
+
+/**
+ * Check whether a reply is an interactive message rather than plain text
+ * @param {string|Object} reply - Bot reply
+ * @returns {boolean}
+ */
+const isInteractiveMessage = (reply) =>
+  !!reply && typeof reply === 'object' && ['button', 'list'].includes(reply.type);
+
+/**
+ * Creates the main menu as a list with one row per menu option
+ * @param {string} language - Language code
+ * @param {string} [intro] - Text shown before the menu, e.g. a name confirmation
+ * @returns {Object} - Main menu list message
+ */
+const getInteractiveMainMenu = (language = 'en', intro = '') => {
+  const prefix = intro ? `${intro}\n\n` : '';
+  const rows = getText('MENU_OPTIONS', language).map((title, index) => ({
+    id: String(index + 1),
+    title
+  }));
+
+  return createListMessage(
+    prefix + getText('MENU_LIST_BODY', language),
+    getText('MENU_LIST_BUTTON', language),
+    rows,
+    prefix + getText('WELCOME_MESSAGE', language)
+  );
+};
+
+/**
+ * Creates the language selection prompt from the installed language packs
+ * @param {string} language - Language the prompt is written in
+ * @returns {Object} - Button message, or a list when more than 3 languages are installed
+ */
+const getLanguageSelectMessage = (language = 'en') => {
+  const options = getLanguageOptions().map(entry => ({ id: entry.option, title: entry.nativeName }));
+  const bodyText = getText('LANGUAGE_PROMPT_HEADER', language);
+  const fallbackText = getLanguagePrompt(language);
+
+  if (options.length <= MAX_BUTTONS) {
+    return createButtonMessage(bodyText, options, fallbackText);
+  }
+
+  return createListMessage(bodyText, getText('LANGUAGE_LIST_BUTTON', language), options, fallbackText);
+};
+
+/**
+ * Creates the confirmation sent after a report is saved, with shortcuts to
+ * check its status or go back to the menu
+ * @param {string} text - Confirmation text
+ * @param {string} language - Language code
+ * @returns {Object} - Button message
+ */
+const getReportConfirmationMessage = (text, language = 'en') => createButtonMessage(text, [
+  { id: 'status', title: getText('BUTTON_CHECK_STATUS', language) },
+  { id: 'menu', title: getText('BUTTON_MAIN_MENU', language) }
+], text);
+
+/**
+ * Creates the summary shown before a report written in chat is submitted,
+ * with buttons to submit it, submit it anonymously or discard it
+ * @param {string} text - Report summary
+ * @param {string} language - Language code
+ * @returns {Object} - Button message
+ */
+const getReportReviewMessage = (text, language = 'en') => createButtonMessage(text, [
+  { id: 'confirm', title: getText('BUTTON_CONFIRM', language) },
+  { id: 'anonymous', title: getText('BUTTON_ANONYMOUS', language) },
+  { id: 'cancel', title: getText('BUTTON_CANCEL', language) }
+], text);
+
+/**
+ * Creates the offer to pick up an unfinished report, with buttons to
+ * continue it, discard it or go to the main menu
+ * @param {string} text - Offer text
+ * @param {string} language - Language code
+ * @returns {Object} - Button message
+ */
+const getDraftResumeMessage = (text, language = 'en') => createButtonMessage(text, [
+  { id: 'continue', title: getText('BUTTON_CONTINUE_DRAFT', language) },
+  { id: 'discard', title: getText('BUTTON_DISCARD_DRAFT', language) },
+  { id: 'menu', title: getText('BUTTON_MAIN_MENU', language) }
+], text);
+
+/**
+ * Creates the request to rate how a resolved report was handled, with one
+ * row per score. Row ids are "rate_<score>" so they can't be mistaken for
+ * main menu options.
+ * @param {string} text - Rating request text
+ * @param {string} language - Language code
+ * @returns {Object} - List message
+ */
+const getRatingRequestMessage = (text, language = 'en') => {
+  const rows = getText('RATING_OPTIONS', language).map((title, index) => ({
+    id: `rate_${index + 1}`,
+    title
+  }));
+
+  return createListMessage(text, getText('RATING_LIST_BUTTON', language), rows, text);
+};
+
+/**
+ * Get the text of an incoming message, preferring the id of a tapped
+ * reply button or list row over the displayed text
+ * @param {Object} body - Twilio webhook body
+ * @returns {string} - Message text
+ */
+const getIncomingMessageText = (body) => body.ButtonPayload || body.ListId || body.Body || '';
+
+module.exports = {
+  createButtonMessage,
+  createListMessage,
+  isInteractiveMessage,
+  getInteractiveMainMenu,
+  getLanguageSelectMessage,
+  getReportConfirmationMessage,
+  getReportReviewMessage,
+  getDraftResumeMessage,
+  getRatingRequestMessage,
+  getIncomingMessageText
+};
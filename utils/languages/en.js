@@ -0,0 +1,341 @@
+// English language pack - the reference pack every other language is checked against
+module.exports = {
+  code: 'en',
+  name: 'English',
+  nativeName: 'English',
+  order: 1,
+
+  // Extra words that trigger global bot commands in this language
+  keywords: {
+    RESET: ['reset'],
+    MENU: ['menu'],
+    STATUS: ['status'],
+    CONFIRM: ['confirm', 'yes'],
+    CANCEL: ['cancel', 'no'],
+    SKIP: ['skip'],
+    APPEAL: ['appeal'],
+    STOP: ['stop', 'unsubscribe'],
+    START: ['start', 'subscribe'],
+    ANONYMOUS: ['anonymous', 'anon'],
+    CONTINUE: ['continue', 'resume'],
+    DISCARD: ['discard'],
+    ADVISORIES: ['advisories', 'advisory'],
+    FOLLOW: ['follow'],
+    UNFOLLOW: ['unfollow']
+  },
+
+  translations: {
+    'WELCOME_MESSAGE': `*Welcome to Traffic Buddy Pimpri Chinchwad!* 🚦
+  
+Choose an option by typing the number:
+1️⃣ Report Traffic Violation
+2️⃣ Report Traffic Congestion
+3️⃣ Report Irregularity
+4️⃣ Report Road Damage
+5️⃣ Report Illegal Parking
+6️⃣ Traffic Signal Issue
+7️⃣ Share Suggestion
+8️⃣ Join Traffic Buddy Team
+
+Reply with a number 1-8.
+Type "status" to check your earlier reports.
+Type "advisories" for road closures and diversions near you.`,
+
+    'WELCOME_BACK': `Welcome back, {0}!`,
+
+    'CAMERA_INSTRUCTIONS': (instructionMessage) => `${instructionMessage}`,
+
+    'REPORT_CONFIRMATION': `Thank you! Your *{0}* report has been submitted successfully and assigned to the *{1}* division. Your reference number is *{2}*. You will be notified when there are updates.`,
+
+    'REPORT_ERROR': `We're sorry, but there was an error processing your report. Please try again later.`,
+
+    'LOCATION_OUTSIDE_JURISDICTION': `We're sorry, but the location you've reported appears to be outside our jurisdiction. We can only process reports within PCMC limits.`,
+
+    'REPORT_RESPONSE': (reportType, hasImage) => `Thank you for your ${reportType.toLowerCase()} report. It has been recorded.${hasImage ? ' Image received and uploaded.' : ''}\n\nType "menu" to return to the main menu.`,
+
+    'TRAFFIC_SIGNAL_INFO': `Here's how traffic signals work:
+
+🔴 Red: Stop completely
+🟡 Yellow: Prepare to stop
+🟢 Green: Proceed with caution
+
+Send "menu" to return to the main menu.`,
+
+    'JOIN_REQUEST': `Please provide your information in this format:
+Name: [Your Name]
+Email: [Your Email]
+Phone: [Your Phone]
+Location: [Your Location]`,
+
+    'JOIN_RESPONSE': `Thank you for your interest in joining Traffic Buddy! Our team will review your information and contact you soon.
+
+Type "menu" to return to the main menu.`,
+
+    'JOIN_FORM_LINK': `Thank you for your interest in joining Traffic Buddy! Please fill out our application form using this link:
+
+{0}
+
+The link is valid for 24 hours.`,
+
+    'JOIN_APPLICATION_RECEIVED': `Thank you {0} for submitting your application to join Traffic Buddy! Our team will review your information and contact you soon. Your application ID is: {1}`,
+
+    'TEAM_APPLICATION_APPROVED': `Congratulations {0}! Your application to join Traffic Buddy has been approved. Welcome to the team! We'll contact you shortly with next steps.
+
+Notes: {1}`,
+
+    'TEAM_APPLICATION_REJECTED': `Hello {0}, We've reviewed your application to join Traffic Buddy. Unfortunately, we cannot proceed with your application at this time.
+
+Reason: {1}
+
+You can apply again in the future.`,
+
+    'TEAM_APPLICATION_PENDING': `Hello {0}, Your application to join Traffic Buddy is currently under review. We'll notify you once a decision has been made.
+
+Notes: {1}`,
+
+    'SUGGESTION_PROMPT': `Please share your suggestion or feedback. We value your input to improve traffic management in PCMC.`,
+
+    'SUGGESTION_RESPONSE': `Thank you for your valuable suggestion! Your feedback helps us improve traffic management in PCMC.
+
+Type "menu" to return to the main menu.`,
+
+    'LOCATION_MISSING_HINT': `Please provide your location to complete this report. You can use WhatsApp's location sharing feature.`,
+
+    'NAME_REQUEST': `Please share your name to continue. Your personal information will remain unknown and will not be shared with anyone.`,
+
+    'NAME_CONFIRMATION': (name) => `Thank you, ${name}!`,
+
+    'STATUS_IN_PROGRESS': `🔄 Your {0} report ({2}) is now being reviewed by our team. We will update you soon.`,
+
+    'STATUS_RESOLVED': `✅ Your {0} report ({2}) has been resolved.
+
+Resolution details: {1}
+
+Thank you for making our roads safer!  Regards : Traffic Buddy , PC-City`,
+
+    'STATUS_REJECTED': `❌ We reviewed your {0} report ({2}), but we were unable to proceed further with it.
+
+Reason: {1}
+
+Please feel free to submit another report if needed.`,
+
+    'STATUS_LABEL': (status) => status,
+
+    'STATUS_LIST_HEADER': `📋 *Your latest reports*`,
+
+    'STATUS_LIST_ITEM': (index, reference, reportType, divisionName, status, note) =>
+      `${index}. *${reportType}* (Ref: ${reference})\nDivision: ${divisionName}\nStatus: ${status}` +
+      (note ? `\nNote: ${note}` : ''),
+
+    'STATUS_LIST_FOOTER': `Reply with the number or reference of a report to see its full details, or type "menu" to return to the main menu.`,
+
+    'STATUS_NO_REPORTS': `You have not submitted any reports yet.`,
+
+    'STATUS_REPORT_DETAIL': (report) => `📄 *${report.reportType} report* (Ref: ${report.reference})\n\n` +
+      `Submitted: ${report.submittedAt}\n` +
+      `Division: ${report.divisionName}\n` +
+      `Location: ${report.address}\n` +
+      (report.vehicleNumber ? `Vehicle: ${report.vehicleNumber}\n` : '') +
+      `Description: ${report.description}\n\n` +
+      `Status: *${report.status}*` +
+      (report.resolvedAt ? `\nUpdated on: ${report.resolvedAt}` : '') +
+      (report.note ? `\nNote: ${report.note}` : '') +
+      '\n\nType "menu" to return to the main menu.',
+
+    'STATUS_REFERENCE_NOT_FOUND': `We could not find a report with that reference among your reports.`,
+
+    'REPORT_LINK_INSTRUCTIONS': (captureUrl) => `📸 *Click the link below to submit your report:*
+    
+📱 *📷 CAPTURE & REPORT 📷*
+👇👇👇👇👇👇👇👇
+${captureUrl}
+👆👆👆👆👆👆👆👆
+
+Tap the link above to submit your location and photo.
+Please make sure to allow location access for Successful reporting.`,
+
+    // In-chat reporting, for users who can't use the web link
+    'CHAT_REPORT_HINT': `📎 Can't open the link or share your location in the browser? Send the photo right here in this chat instead.`,
+
+    'DESCRIPTION_REQUEST': `📷 Photo received. Now send a short description of the problem.`,
+
+    'LOCATION_REQUEST': `📍 Thanks! Now share the location of the problem: tap 📎 → *Location* and send your current location or pick the spot on the map.`,
+
+    'REPORT_SUMMARY': (report) => `📝 *Please check your report*\n\n` +
+      `Type: ${report.reportType}\n` +
+      `Description: ${report.description}\n` +
+      `Location: ${report.address}\n` +
+      (report.vehicleNumber ? `Vehicle: ${report.vehicleNumber}\n` : '') +
+      `Division: ${report.divisionName}\n` +
+      `Photos: ${report.photos || 'none'}\n` +
+      (report.voiceNotes ? `Voice notes: ${report.voiceNotes}\n` : '') +
+      (report.videos ? `Videos: ${report.videos}\n` : '') +
+      '\n' +
+      'Reply "confirm" to submit it, "anonymous" to submit it without your name and number, or "cancel" to discard it.',
+
+    'REPORT_CANCELLED': `Your report has been discarded.`,
+
+    'ANONYMOUS_REPORT_NOTE': `🕶️ Your name and number are hidden from the officers handling this report. You will still get its updates here.`,
+
+    // Satisfaction rating, asked for after a report is resolved
+    'RATING_REQUEST': (reportType, reference) => `⭐ How happy are you with how your *${reportType}* report (Ref: ${reference}) was resolved?
+
+Reply with a number from 1 (very poor) to 5 (excellent).`,
+
+    'RATING_COMMENT_REQUEST': `Thank you for rating! Is there anything you would like to add? Send a comment, or type "skip".`,
+
+    'RATING_LOW_REOPENED': `We're sorry the problem was not solved properly. Your report has been reopened and will be looked at again.`,
+
+    'RATING_LOW_FLAGGED': `We're sorry the problem was not solved properly. Your rating has been passed on to the division.`,
+
+    'RATING_THANKS': `Thank you for your feedback!`,
+
+    // Appeals against rejected reports
+    'APPEAL_HINT': (days) => `If you think this decision is wrong, type "appeal" within ${days} days to ask for a review.`,
+
+    'APPEAL_NONE': (days) => `You have no rejected reports from the last ${days} days that can be appealed.`,
+
+    'APPEAL_LIST_HEADER': `⚖️ *Rejected reports you can appeal*`,
+
+    'APPEAL_LIST_FOOTER': `Reply with the number or reference of the report you want to appeal, or type "menu" to go back.`,
+
+    'APPEAL_REQUEST': (reference) => `⚖️ Appealing report *${reference}*.
+
+Tell us why you think the rejection is wrong. You can send photos first, then send your explanation as a message.`,
+
+    'APPEAL_PHOTO_RECEIVED': `📷 Photo added to your appeal. Send more photos or your explanation.`,
+
+    'APPEAL_SUBMITTED': (reference) => `Your appeal for report *${reference}* has been submitted. It will be reviewed by the Traffic Buddy administrators and you will be told the outcome.`,
+
+    'APPEAL_NOT_FOUND': `That report can't be appealed.`,
+
+    'APPEAL_UPHELD': `⚖️ Your appeal for report {0} has been reviewed, and the rejection has been confirmed.
+
+Reason: {1}`,
+
+    'APPEAL_OVERTURNED': `⚖️ Your appeal for report {0} was successful! The report has been sent back to the division to be handled.
+
+Note: {1}`,
+
+    // Rate limits and blocked numbers
+    'USER_BLOCKED': (until) => `Your number has been blocked from using Traffic Buddy${until ? ` until ${until}` : ''}. If you think this is a mistake, please contact the Pimpri Chinchwad traffic police.`,
+
+    'RATE_LIMIT_MESSAGES': `You are sending messages too quickly. Please wait a minute and try again.`,
+
+    'RATE_LIMIT_REPORTS': `You have reached the limit of {0} reports per day. Please try again tomorrow.`,
+
+    'RATE_LIMIT_CAPTURE_LINKS': `You have requested too many report links. You can request up to {0} links per hour, please try again later.`,
+
+    // Broadcast opt-out
+    'OPT_OUT_CONFIRMATION': `You will no longer receive announcements from Traffic Buddy. We will still reply about reports you send us.\n\nSend *START* at any time to receive announcements again.`,
+
+    'OPT_IN_CONFIRMATION': `You will receive announcements from Traffic Buddy again. Send *STOP* at any time to opt out.`,
+
+    // Voice notes and videos
+    'VOICE_NOTE_RECEIVED': `🎤 Voice note received.`,
+
+    'VIDEO_DESCRIPTION_REQUEST': `🎥 Video received. Now describe the problem in a short message or a voice note.`,
+
+    'MEDIA_TOO_LARGE': (kind, limitMb) => {
+      const label = { image: 'photo', audio: 'voice note', video: 'video' }[kind] || 'file';
+      return `⚠️ Your ${label} is too large. Please send one smaller than ${limitMb} MB.`;
+    },
+
+    'MEDIA_UNSUPPORTED': `⚠️ Sorry, we can only accept photos, voice notes and videos.`,
+
+    'MEDIA_LIMIT_REACHED': (max) => `⚠️ A report can have up to ${max} photos, voice notes and videos. Anything more was not added.`,
+
+    // Unfinished reports, kept for a while so they can be picked up later
+    'DRAFT_RESUME_OFFER': (reportType) => `👋 Welcome back! You have an unfinished *${reportType}* report.
+
+Reply "continue" to pick up where you left off, "discard" to delete it, or "menu" for the main menu.`,
+
+    'DRAFT_PENDING_HINT': (reportType) => `📝 You have an unfinished *${reportType}* report. Reply "continue" to finish it or "discard" to delete it.`,
+
+    'DRAFT_RESUMED': (reportType) => `📝 Continuing your *${reportType}* report.`,
+
+    'DRAFT_DISCARDED': `Your unfinished report has been deleted.`,
+
+    // Traffic advisories: road closures, diversions and events
+    'ADVISORY_MESSAGE': (advisory) => `🚧 *Traffic advisory: ${advisory.title}*` +
+      (advisory.area ? ` (${advisory.area})` : '') + `\n\n${advisory.text}\n\nValid until ${advisory.validUntil}.`,
+
+    'ADVISORY_LIST_HEADER': `🚧 *Traffic advisories in force*`,
+
+    'ADVISORY_LIST_ITEM': (index, advisory) => `${index}. *${advisory.title}*` +
+      (advisory.area ? ` (${advisory.area})` : '') + `\n${advisory.text}\nValid until ${advisory.validUntil}`,
+
+    'ADVISORY_NONE': `✅ There are no traffic advisories in force for this area right now.`,
+
+    'ADVISORY_LOCATION_REQUEST': `📍 Share a location to see the traffic advisories in force there: tap 📎 → *Location*.`,
+
+    'ADVISORY_FOLLOW_HINT': `Reply "follow" to get new advisories for your division or a saved location, or "unfollow" to stop getting them.`,
+
+    'ADVISORY_FOLLOW_REQUEST': (divisions) => `🔔 Which area would you like advisories for?
+
+Share a location, e.g. your home or office (tap 📎 → *Location*), or reply with the number of a division:
+
+${divisions}`,
+
+    'ADVISORY_FOLLOWING': (area) => `🔔 You will now get new traffic advisories for *${area}*.`,
+
+    'ADVISORY_FOLLOW_LIMIT': (max) => `⚠️ You can follow up to ${max} divisions and locations. Reply "unfollow" to stop following them, then choose again.`,
+
+    'ADVISORY_UNFOLLOWED': (count) => `🔕 You stopped following ${count} ${count === 1 ? 'area' : 'areas'}. You will no longer get traffic advisories.`,
+
+    'ADVISORY_NOT_FOLLOWING': `You are not following any area for traffic advisories.`,
+
+    // Interactive list and button labels (WhatsApp allows 24 characters per row, 20 per button)
+    'MENU_LIST_BODY': `*Welcome to Traffic Buddy Pimpri Chinchwad!* 🚦
+
+Choose an option from the list below.
+Type "status" to check your earlier reports.
+Type "advisories" for road closures and diversions near you.`,
+
+    'MENU_LIST_BUTTON': `Choose option`,
+
+    'MENU_OPTIONS': [
+      'Traffic Violation',
+      'Traffic Congestion',
+      'Irregularity',
+      'Road Damage',
+      'Illegal Parking',
+      'Traffic Signal Issue',
+      'Share Suggestion',
+      'Join Traffic Buddy Team'
+    ],
+
+    'LANGUAGE_LIST_BUTTON': `Choose language`,
+
+    'BUTTON_CHECK_STATUS': `Check status`,
+
+    'BUTTON_MAIN_MENU': `Main menu`,
+
+    'BUTTON_CONFIRM': `Submit`,
+
+    'BUTTON_CANCEL': `Cancel`,
+
+    'BUTTON_ANONYMOUS': `Submit anonymously`,
+
+    'BUTTON_CONTINUE_DRAFT': `Continue report`,
+
+    'BUTTON_DISCARD_DRAFT': `Discard report`,
+
+    'RATING_OPTIONS': [
+      '⭐ Very poor',
+      '⭐⭐ Poor',
+      '⭐⭐⭐ Okay',
+      '⭐⭐⭐⭐ Good',
+      '⭐⭐⭐⭐⭐ Excellent'
+    ],
+
+    'RATING_LIST_BUTTON': `Rate`,
+
+    // Language selection prompt, the options are generated from the installed packs
+    'LANGUAGE_PROMPT_HEADER': `*Welcome to Traffic Buddy Pimpri Chinchwad!* 🚦
+
+Select your preferred language:`,
+
+    'LANGUAGE_PROMPT_FOOTER': (count) => `Reply with a number 1-${count}.`
+  }
+};
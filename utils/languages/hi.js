@@ -0,0 +1,363 @@
+// Hindi language pack
+
+// Helper function to translate Hindi report types
+function getHindiReportType(reportType) {
+  const reportTypeMap = {
+    'Traffic Violation': 'यातायात नियम उल्लंघन',
+    'Traffic Congestion': 'यातायात जाम',
+    'Irregularity': 'अनियमितता',
+    'Road Damage': 'सड़क क्षति',
+    'Illegal Parking': 'अवैध पार्किंग',
+    'Traffic Signal Issue': 'यातायात सिग्नल समस्या',
+    'Suggestion': 'सुझाव',
+    'General Report': 'सामान्य रिपोर्ट'
+  };
+  return reportTypeMap[reportType] || reportType;
+}
+
+module.exports = {
+  code: 'hi',
+  name: 'Hindi',
+  nativeName: 'हिन्दी',
+  order: 3,
+
+  // Extra words that trigger global bot commands in this language
+  keywords: {
+    MENU: ['मेनू'],
+    STATUS: ['स्थिति'],
+    CONFIRM: ['हाँ'],
+    CANCEL: ['रद्द'],
+    SKIP: ['छोड़ें'],
+    APPEAL: ['अपील'],
+    STOP: ['रोकें'],
+    START: ['शुरू'],
+    ANONYMOUS: ['गुमनाम'],
+    CONTINUE: ['जारी'],
+    DISCARD: ['हटाएं'],
+    ADVISORIES: ['एडवाइजरी'],
+    FOLLOW: ['फॉलो'],
+    UNFOLLOW: ['अनफॉलो']
+  },
+
+  translations: {
+    'WELCOME_MESSAGE': `*ट्रैफिक बडी पिंपरी चिंचवड में आपका स्वागत है!* 🚦
+
+नंबर टाइप करके विकल्प चुनें:
+1️⃣ यातायात नियम उल्लंघन की रिपोर्ट करें
+2️⃣ यातायात जाम की रिपोर्ट करें
+3️⃣ अनियमितता की रिपोर्ट करें
+4️⃣ सड़क क्षति की रिपोर्ट करें
+5️⃣ अवैध पार्किंग की रिपोर्ट करें
+6️⃣ यातायात सिग्नल समस्या
+7️⃣ सुझाव साझा करें
+8️⃣ ट्रैफिक बडी टीम से जुड़ें
+
+1-8 नंबर के साथ उत्तर दें.
+अपनी पिछली रिपोर्टों की स्थिति देखने के लिए "स्थिति" टाइप करें.
+अपने आसपास सड़क बंद और डायवर्जन की जानकारी के लिए "advisories" टाइप करें.`,
+
+    'WELCOME_BACK': `फिर से स्वागत है, {0}!`,
+
+    'CAMERA_INSTRUCTIONS': (instructionMessage) => `${instructionMessage}`,
+
+    'REPORT_CONFIRMATION': `धन्यवाद! आपकी *{0}* रिपोर्ट सफलतापूर्वक जमा की गई है और *{1}* डिवीजन को सौंपी गई है। आपका संदर्भ नंबर *{2}* है। अपडेट होने पर आपको सूचित किया जाएगा।`,
+
+    'REPORT_ERROR': `हमें खेद है, लेकिन आपकी रिपोर्ट प्रोसेस करने में त्रुटि हुई। कृपया बाद में पुनः प्रयास करें।`,
+
+    'LOCATION_OUTSIDE_JURISDICTION': `हमें खेद है, लेकिन आपके द्वारा रिपोर्ट की गई स्थान हमारे क्षेत्राधिकार के बाहर लगती है। हम केवल PCMC सीमाओं के भीतर रिपोर्ट प्रोसेस कर सकते हैं।`,
+
+    'REPORT_RESPONSE': (reportType, hasImage) => `आपकी ${getHindiReportType(reportType)} रिपोर्ट के लिए धन्यवाद. इसे दर्ज कर लिया गया है.${hasImage ? ' फोटो प्राप्त हुई और अपलोड की गई.' : ''}\n\nमुख्य मेनू पर लौटने के लिए "menu" टाइप करें.`,
+
+    'TRAFFIC_SIGNAL_INFO': `यातायात सिग्नल ऐसे काम करते हैं:
+
+🔴 लाल: पूरी तरह रुकें
+🟡 पीला: रुकने के लिए तैयार रहें
+🟢 हरा: सावधानी से आगे बढ़ें
+
+मुख्य मेनू पर लौटने के लिए "menu" भेजें.`,
+
+    'JOIN_REQUEST': `कृपया अपनी जानकारी इस प्रारूप में दें:
+नाम: [आपका नाम]
+ईमेल: [आपका ईमेल]
+फोन: [आपका फोन]
+स्थान: [आपका स्थान]`,
+
+    'JOIN_RESPONSE': `ट्रैफिक बडी से जुड़ने में रुचि दिखाने के लिए धन्यवाद! हमारी टीम आपकी जानकारी की जांच करेगी और जल्द ही आपसे संपर्क करेगी.
+
+मुख्य मेनू पर लौटने के लिए "menu" टाइप करें.`,
+
+    'JOIN_FORM_LINK': `ट्रैफिक बडी टीम से जुड़ने में रुचि दिखाने के लिए धन्यवाद! कृपया इस लिंक से अपना आवेदन फॉर्म भरें:
+
+{0}
+
+यह लिंक 24 घंटे के लिए मान्य है.`,
+
+    'JOIN_APPLICATION_RECEIVED': `ट्रैफिक बडी टीम से जुड़ने के लिए आवेदन जमा करने के लिए धन्यवाद {0}! हमारी टीम आपकी जानकारी की जांच करेगी और जल्द ही आपसे संपर्क करेगी. आपकी आवेदन आईडी है: {1}`,
+
+    'TEAM_APPLICATION_APPROVED': `बधाई हो {0}! ट्रैफिक बडी टीम से जुड़ने का आपका आवेदन स्वीकृत हो गया है. टीम में आपका स्वागत है! अगले कदमों के लिए हम जल्द ही आपसे संपर्क करेंगे.
+
+नोट्स: {1}`,
+
+    'TEAM_APPLICATION_REJECTED': `नमस्कार {0}, हमने ट्रैफिक बडी टीम से जुड़ने के आपके आवेदन की समीक्षा की है. दुर्भाग्य से, हम इस समय आपके आवेदन पर आगे नहीं बढ़ सकते.
+
+कारण: {1}
+
+आप भविष्य में फिर से आवेदन कर सकते हैं.`,
+
+    'TEAM_APPLICATION_PENDING': `नमस्कार {0}, ट्रैफिक बडी टीम से जुड़ने के आपके आवेदन की अभी समीक्षा की जा रही है. निर्णय होने पर हम आपको सूचित करेंगे.
+
+नोट्स: {1}`,
+
+    'SUGGESTION_PROMPT': `कृपया अपना सुझाव या प्रतिक्रिया साझा करें. पीसीएमसी में यातायात प्रबंधन को बेहतर बनाने के लिए हम आपके सुझावों का सम्मान करते हैं.`,
+
+    'SUGGESTION_RESPONSE': `आपके बहुमूल्य सुझाव के लिए धन्यवाद! आपकी प्रतिक्रिया पीसीएमसी में यातायात प्रबंधन को बेहतर बनाने में हमारी मदद करती है.
+
+मुख्य मेनू पर लौटने के लिए "menu" टाइप करें.`,
+
+    'LOCATION_MISSING_HINT': `इस रिपोर्ट को पूरा करने के लिए कृपया अपना स्थान भेजें. आप WhatsApp की लोकेशन शेयरिंग सुविधा का उपयोग कर सकते हैं.`,
+
+    'NAME_REQUEST': `जारी रखने के लिए कृपया अपना नाम साझा करें. आपकी व्यक्तिगत जानकारी गोपनीय रहेगी और किसी के साथ साझा नहीं की जाएगी.`,
+
+    'NAME_CONFIRMATION': (name) => `धन्यवाद, ${name}! आपका नाम सुरक्षित रूप से सहेज लिया गया है. आपकी गोपनीयता हमारे लिए महत्वपूर्ण है.`,
+
+    'STATUS_IN_PROGRESS': `🔄 आपकी {0} रिपोर्ट ({2}) की अब हमारी टीम द्वारा जांच की जा रही है. हम आपको जल्द ही अपडेट करेंगे.`,
+
+    'STATUS_RESOLVED': `✅ आपकी {0} रिपोर्ट ({2}) का समाधान हो गया है.
+
+समाधान विवरण: {1}
+
+हमारी सड़कों को सुरक्षित बनाने के लिए धन्यवाद!
+सादर: ट्रैफिक बडी, पीसी-सिटी`,
+
+    'STATUS_REJECTED': `❌ हमने आपकी {0} रिपोर्ट ({2}) की जांच की, लेकिन हम इस पर आगे नहीं बढ़ सके.
+
+कारण: {1}
+
+ज़रूरत हो तो कृपया दूसरी रिपोर्ट जमा करें.`,
+
+    'STATUS_LABEL': (status) => ({
+      'Pending': 'लंबित',
+      'In Progress': 'प्रगति पर',
+      'Resolved': 'हल हो गया',
+      'Rejected': 'अस्वीकृत',
+      'Appealed': 'अपील की गई'
+    })[status] || status,
+
+    'STATUS_LIST_HEADER': `📋 *आपकी हाल की रिपोर्ट*`,
+
+    'STATUS_LIST_ITEM': (index, reference, reportType, divisionName, status, note) =>
+      `${index}. *${getHindiReportType(reportType)}* (संदर्भ: ${reference})\nडिवीजन: ${divisionName}\nस्थिति: ${status}` +
+      (note ? `\nटिप्पणी: ${note}` : ''),
+
+    'STATUS_LIST_FOOTER': `किसी रिपोर्ट का पूरा विवरण देखने के लिए उसका नंबर या संदर्भ भेजें, या मुख्य मेनू पर लौटने के लिए "menu" टाइप करें.`,
+
+    'STATUS_NO_REPORTS': `आपने अभी तक कोई रिपोर्ट जमा नहीं की है.`,
+
+    'STATUS_REPORT_DETAIL': (report) => `📄 *${getHindiReportType(report.reportType)} रिपोर्ट* (संदर्भ: ${report.reference})\n\n` +
+      `जमा किया गया: ${report.submittedAt}\n` +
+      `डिवीजन: ${report.divisionName}\n` +
+      `स्थान: ${report.address}\n` +
+      (report.vehicleNumber ? `वाहन: ${report.vehicleNumber}\n` : '') +
+      `विवरण: ${report.description}\n\n` +
+      `स्थिति: *${report.status}*` +
+      (report.resolvedAt ? `\nअपडेट किया गया: ${report.resolvedAt}` : '') +
+      (report.note ? `\nटिप्पणी: ${report.note}` : '') +
+      '\n\nमुख्य मेनू पर लौटने के लिए "menu" टाइप करें.',
+
+    'STATUS_REFERENCE_NOT_FOUND': `आपकी रिपोर्टों में उस संदर्भ वाली कोई रिपोर्ट नहीं मिली.`,
+
+    'REPORT_LINK_INSTRUCTIONS': (captureUrl) => `📸 *अपनी रिपोर्ट जमा करने के लिए नीचे दिए गए लिंक पर क्लिक करें:*
+
+📱 *📷 रिपोर्ट जमा करें 📷*
+👇👇👇👇👇👇👇👇
+${captureUrl}
+👆👆👆👆👆👆👆👆
+
+ऊपर दिए गए लिंक पर टैप करके अपना स्थान और फोटो जमा करें.
+सफल रिपोर्टिंग के लिए कृपया GPS स्थान की अनुमति दें.`,
+
+    // In-chat reporting, for users who can't use the web link
+    'CHAT_REPORT_HINT': `📎 लिंक नहीं खुल रहा या ब्राउज़र में स्थान साझा नहीं हो रहा? इसके बजाय फोटो सीधे इसी चैट में भेजें.`,
+
+    'DESCRIPTION_REQUEST': `📷 फोटो मिल गई. अब समस्या का छोटा सा विवरण भेजें.`,
+
+    'LOCATION_REQUEST': `📍 धन्यवाद! अब समस्या का स्थान साझा करें: 📎 → *Location* पर टैप करें और अपना वर्तमान स्थान भेजें या नक्शे पर जगह चुनें.`,
+
+    'REPORT_SUMMARY': (report) => `📝 *कृपया अपनी रिपोर्ट जांचें*\n\n` +
+      `प्रकार: ${getHindiReportType(report.reportType)}\n` +
+      `विवरण: ${report.description}\n` +
+      `स्थान: ${report.address}\n` +
+      (report.vehicleNumber ? `वाहन: ${report.vehicleNumber}\n` : '') +
+      `डिवीजन: ${report.divisionName}\n` +
+      `फोटो: ${report.photos || 'नहीं'}\n` +
+      (report.voiceNotes ? `वॉइस नोट: ${report.voiceNotes}\n` : '') +
+      (report.videos ? `वीडियो: ${report.videos}\n` : '') +
+      '\n' +
+      'जमा करने के लिए "हाँ", नाम और नंबर बताए बिना जमा करने के लिए "गुमनाम" या रद्द करने के लिए "रद्द" लिखें.',
+
+    'REPORT_CANCELLED': `आपकी रिपोर्ट रद्द कर दी गई है.`,
+
+    'ANONYMOUS_REPORT_NOTE': `🕶️ इस रिपोर्ट पर काम करने वाले अधिकारियों से आपका नाम और नंबर छिपाया गया है. इसके अपडेट आपको यहीं मिलते रहेंगे.`,
+
+    // Satisfaction rating, asked for after a report is resolved
+    'RATING_REQUEST': (reportType, reference) => `⭐ आपकी *${getHindiReportType(reportType)}* रिपोर्ट (संदर्भ: ${reference}) के समाधान से आप कितने संतुष्ट हैं?
+
+1 (बहुत खराब) से 5 (उत्कृष्ट) तक कोई एक नंबर भेजें.`,
+
+    'RATING_COMMENT_REQUEST': `रेटिंग के लिए धन्यवाद! क्या आप कुछ और जोड़ना चाहेंगे? अपनी टिप्पणी भेजें, या "छोड़ें" टाइप करें.`,
+
+    'RATING_LOW_REOPENED': `हमें खेद है कि समस्या ठीक से हल नहीं हुई. आपकी रिपोर्ट फिर से खोल दी गई है और इसकी दोबारा जांच की जाएगी.`,
+
+    'RATING_LOW_FLAGGED': `हमें खेद है कि समस्या ठीक से हल नहीं हुई. आपकी रेटिंग संबंधित डिवीजन को भेज दी गई है.`,
+
+    'RATING_THANKS': `आपकी प्रतिक्रिया के लिए धन्यवाद!`,
+
+    // Appeals against rejected reports
+    'APPEAL_HINT': (days) => `अगर आपको लगता है कि यह निर्णय गलत है, तो पुनर्विचार के लिए ${days} दिनों के भीतर "अपील" टाइप करें.`,
+
+    'APPEAL_NONE': (days) => `पिछले ${days} दिनों में आपकी ऐसी कोई अस्वीकृत रिपोर्ट नहीं है जिस पर अपील की जा सके.`,
+
+    'APPEAL_LIST_HEADER': `⚖️ *अस्वीकृत रिपोर्ट जिन पर आप अपील कर सकते हैं*`,
+
+    'APPEAL_LIST_FOOTER': `जिस रिपोर्ट पर अपील करनी है उसका नंबर या संदर्भ भेजें, या वापस जाने के लिए "menu" टाइप करें.`,
+
+    'APPEAL_REQUEST': (reference) => `⚖️ रिपोर्ट *${reference}* पर अपील.
+
+हमें बताएं कि रिपोर्ट को अस्वीकार करना गलत क्यों है. आप पहले फोटो भेज सकते हैं, फिर अपना स्पष्टीकरण संदेश के रूप में भेजें.`,
+
+    'APPEAL_PHOTO_RECEIVED': `📷 फोटो आपकी अपील में जोड़ दी गई. और फोटो या अपना स्पष्टीकरण भेजें.`,
+
+    'APPEAL_SUBMITTED': (reference) => `रिपोर्ट *${reference}* पर आपकी अपील जमा हो गई है. ट्रैफिक बडी प्रशासक इसकी समीक्षा करेंगे और आपको निर्णय बताया जाएगा.`,
+
+    'APPEAL_NOT_FOUND': `उस रिपोर्ट पर अपील नहीं की जा सकती.`,
+
+    'APPEAL_UPHELD': `⚖️ रिपोर्ट {0} पर आपकी अपील की समीक्षा की गई है, और अस्वीकृति का निर्णय बरकरार रखा गया है.
+
+कारण: {1}`,
+
+    'APPEAL_OVERTURNED': `⚖️ रिपोर्ट {0} पर आपकी अपील सफल रही! रिपोर्ट कार्रवाई के लिए फिर से डिवीजन को भेज दी गई है.
+
+टिप्पणी: {1}`,
+
+    // Rate limits and blocked numbers
+    'USER_BLOCKED': (until) => `आपके नंबर को ${until ? `${until} तक ` : ''}ट्रैफिक बडी का उपयोग करने से रोक दिया गया है. अगर आपको लगता है कि यह गलती है, तो कृपया पिंपरी चिंचवड ट्रैफिक पुलिस से संपर्क करें.`,
+
+    'RATE_LIMIT_MESSAGES': `आप बहुत तेज़ी से संदेश भेज रहे हैं. कृपया एक मिनट रुकें और फिर से प्रयास करें.`,
+
+    'RATE_LIMIT_REPORTS': `आप प्रतिदिन {0} रिपोर्ट की सीमा तक पहुंच गए हैं. कृपया कल फिर से प्रयास करें.`,
+
+    'RATE_LIMIT_CAPTURE_LINKS': `आपने बहुत अधिक रिपोर्ट लिंक मांगे हैं. आप प्रति घंटे {0} लिंक मांग सकते हैं, कृपया बाद में फिर से प्रयास करें.`,
+
+    // Broadcast opt-out
+    'OPT_OUT_CONFIRMATION': `अब आपको ट्रैफिक बडी से घोषणाएं नहीं मिलेंगी. आपके द्वारा भेजी गई रिपोर्ट के बारे में हम फिर भी जवाब देंगे.\n\nफिर से घोषणाएं पाने के लिए कभी भी *शुरू* या *START* भेजें.`,
+
+    'OPT_IN_CONFIRMATION': `आपको ट्रैफिक बडी से फिर से घोषणाएं मिलेंगी. घोषणाएं बंद करने के लिए कभी भी *रोकें* या *STOP* भेजें.`,
+
+    // Voice notes and videos
+    'VOICE_NOTE_RECEIVED': `🎤 वॉइस नोट मिल गया.`,
+
+    'VIDEO_DESCRIPTION_REQUEST': `🎥 वीडियो मिल गया. अब समस्या का संक्षिप्त विवरण संदेश या वॉइस नोट में भेजें.`,
+
+    'MEDIA_TOO_LARGE': (kind, limitMb) => {
+      const label = { image: 'फोटो', audio: 'वॉइस नोट', video: 'वीडियो' }[kind] || 'फ़ाइल';
+      return `⚠️ आपका ${label} बहुत बड़ा है. कृपया ${limitMb} MB से छोटा भेजें.`;
+    },
+
+    'MEDIA_UNSUPPORTED': `⚠️ क्षमा करें, हम केवल फोटो, वॉइस नोट और वीडियो स्वीकार कर सकते हैं.`,
+
+    'MEDIA_LIMIT_REACHED': (max) => `⚠️ एक रिपोर्ट में अधिकतम ${max} फोटो, वॉइस नोट और वीडियो हो सकते हैं. इससे अधिक नहीं जोड़े गए.`,
+
+    // Unfinished reports, kept for a while so they can be picked up later
+    'DRAFT_RESUME_OFFER': (reportType) => `👋 फिर से स्वागत है! आपकी एक *${getHindiReportType(reportType)}* रिपोर्ट अधूरी है.
+
+जहां रुके थे वहीं से आगे बढ़ने के लिए "continue", उसे हटाने के लिए "discard" या मुख्य मेनू के लिए "menu" टाइप करें.`,
+
+    'DRAFT_PENDING_HINT': (reportType) => `📝 आपकी एक *${getHindiReportType(reportType)}* रिपोर्ट अधूरी है. उसे पूरा करने के लिए "continue" या हटाने के लिए "discard" टाइप करें.`,
+
+    'DRAFT_RESUMED': (reportType) => `📝 आपकी *${getHindiReportType(reportType)}* रिपोर्ट फिर से शुरू कर रहे हैं.`,
+
+    'DRAFT_DISCARDED': `आपकी अधूरी रिपोर्ट हटा दी गई है.`,
+
+    // Traffic advisories: road closures, diversions and events
+    'ADVISORY_MESSAGE': (advisory) => `🚧 *ट्रैफिक एडवाइजरी: ${advisory.title}*` +
+      (advisory.area ? ` (${advisory.area})` : '') + `\n\n${advisory.text}\n\n${advisory.validUntil} तक लागू.`,
+
+    'ADVISORY_LIST_HEADER': `🚧 *लागू ट्रैफिक एडवाइजरी*`,
+
+    'ADVISORY_LIST_ITEM': (index, advisory) => `${index}. *${advisory.title}*` +
+      (advisory.area ? ` (${advisory.area})` : '') + `\n${advisory.text}\n${advisory.validUntil} तक लागू`,
+
+    'ADVISORY_NONE': `✅ इस समय इस क्षेत्र के लिए कोई ट्रैफिक एडवाइजरी लागू नहीं है.`,
+
+    'ADVISORY_LOCATION_REQUEST': `📍 वहां लागू ट्रैफिक एडवाइजरी देखने के लिए लोकेशन शेयर करें: 📎 → *Location* पर टैप करें.`,
+
+    'ADVISORY_FOLLOW_HINT': `अपने डिवीजन या सहेजी गई लोकेशन की नई एडवाइजरी पाने के लिए "follow" या उन्हें बंद करने के लिए "unfollow" टाइप करें.`,
+
+    'ADVISORY_FOLLOW_REQUEST': (divisions) => `🔔 आप किस क्षेत्र की एडवाइजरी पाना चाहते हैं?
+
+लोकेशन शेयर करें, जैसे आपका घर या ऑफिस (📎 → *Location* पर टैप करें), या डिवीजन के नंबर से जवाब दें:
+
+${divisions}`,
+
+    'ADVISORY_FOLLOWING': (area) => `🔔 अब आपको *${area}* की नई ट्रैफिक एडवाइजरी मिलेंगी.`,
+
+    'ADVISORY_FOLLOW_LIMIT': (max) => `⚠️ आप अधिकतम ${max} डिवीजन और लोकेशन फॉलो कर सकते हैं. उन्हें फॉलो करना बंद करने के लिए "unfollow" टाइप करें, फिर दोबारा चुनें.`,
+
+    'ADVISORY_UNFOLLOWED': (count) => `🔕 आपने ${count} क्षेत्र फॉलो करना बंद कर दिया. अब आपको ट्रैफिक एडवाइजरी नहीं मिलेंगी.`,
+
+    'ADVISORY_NOT_FOLLOWING': `आप ट्रैफिक एडवाइजरी के लिए कोई क्षेत्र फॉलो नहीं कर रहे हैं.`,
+
+    // Interactive list and button labels (WhatsApp allows 24 characters per row, 20 per button)
+    'MENU_LIST_BODY': `*ट्रैफिक बडी पिंपरी चिंचवड में आपका स्वागत है!* 🚦
+
+नीचे दी गई सूची से विकल्प चुनें.
+अपनी पिछली रिपोर्टों की स्थिति देखने के लिए "स्थिति" टाइप करें.
+अपने आसपास सड़क बंद और डायवर्जन की जानकारी के लिए "advisories" टाइप करें.`,
+
+    'MENU_LIST_BUTTON': `विकल्प चुनें`,
+
+    'MENU_OPTIONS': [
+      'यातायात नियम उल्लंघन',
+      'यातायात जाम',
+      'अनियमितता',
+      'सड़क क्षति',
+      'अवैध पार्किंग',
+      'सिग्नल समस्या',
+      'सुझाव साझा करें',
+      'टीम से जुड़ें'
+    ],
+
+    'LANGUAGE_LIST_BUTTON': `भाषा चुनें`,
+
+    'BUTTON_CHECK_STATUS': `स्थिति देखें`,
+
+    'BUTTON_MAIN_MENU': `मुख्य मेनू`,
+
+    'BUTTON_CONFIRM': `जमा करें`,
+
+    'BUTTON_CANCEL': `रद्द करें`,
+
+    'BUTTON_ANONYMOUS': `गुमनाम भेजें`,
+
+    'BUTTON_CONTINUE_DRAFT': `रिपोर्ट जारी रखें`,
+
+    'BUTTON_DISCARD_DRAFT': `रिपोर्ट हटाएं`,
+
+    'RATING_OPTIONS': [
+      '⭐ बहुत खराब',
+      '⭐⭐ खराब',
+      '⭐⭐⭐ ठीक',
+      '⭐⭐⭐⭐ अच्छा',
+      '⭐⭐⭐⭐⭐ उत्कृष्ट'
+    ],
+
+    'RATING_LIST_BUTTON': `रेटिंग दें`,
+
+    // Language selection prompt, the options are generated from the installed packs
+    'LANGUAGE_PROMPT_HEADER': `*ट्रैफिक बडी पिंपरी चिंचवड में आपका स्वागत है!* 🚦
+
+अपनी पसंदीदा भाषा चुनें:`,
+
+    'LANGUAGE_PROMPT_FOOTER': (count) => `1-${count} नंबर के साथ उत्तर दें.`
+  }
+};
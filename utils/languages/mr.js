@@ -0,0 +1,363 @@
+// Marathi language pack
+
+// Helper function to translate Marathi report types
+function getMarathiReportType(reportType) {
+  const reportTypeMap = {
+    'Traffic Violation': 'वाहतूक नियम उल्लंघन',
+    'Traffic Congestion': 'वाहतूक कोंडी',
+    'Irregularity': 'अनियमितता',
+    'Road Damage': 'रस्ता खराबी',
+    'Illegal Parking': 'अवैध पार्किंग',
+    'Traffic Signal Issue': 'वाहतूक सिग्नल समस्या',
+    'Suggestion': 'सूचना',
+    'General Report': 'सामान्य अहवाल'
+  };
+  return reportTypeMap[reportType] || reportType;
+}
+
+module.exports = {
+  code: 'mr',
+  name: 'Marathi',
+  nativeName: 'मराठी',
+  order: 2,
+
+  // Extra words that trigger global bot commands in this language
+  keywords: {
+    MENU: ['मेनू'],
+    STATUS: ['स्थिती'],
+    CONFIRM: ['हो'],
+    CANCEL: ['रद्द'],
+    SKIP: ['वगळा'],
+    APPEAL: ['अपील'],
+    STOP: ['थांबवा'],
+    START: ['सुरू'],
+    ANONYMOUS: ['निनावी'],
+    CONTINUE: ['पुढे'],
+    DISCARD: ['हटवा'],
+    ADVISORIES: ['अ‍ॅडव्हायझरी'],
+    FOLLOW: ['फॉलो'],
+    UNFOLLOW: ['अनफॉलो']
+  },
+
+  translations: {
+    'WELCOME_MESSAGE': `*ट्रॅफिक बडी पिंपरी चिंचवड मध्ये आपले स्वागत आहे!* 🚦
+  
+नंबर टाइप करून पर्याय निवडा:
+1️⃣ वाहतूक नियम उल्लंघन नोंदवा
+2️⃣ वाहतूक कोंडी नोंदवा
+3️⃣ अनियमितता नोंदवा
+4️⃣ रस्ता खराबी नोंदवा
+5️⃣ अवैध पार्किंग नोंदवा
+6️⃣ वाहतूक सिग्नल समस्या
+7️⃣ सूचना शेअर करा
+8️⃣ ट्रॅफिक बडी टीममध्ये सामील व्हा
+
+1-8 क्रमांकासह उत्तर द्या.
+तुमच्या आधीच्या अहवालांची स्थिती पाहण्यासाठी "स्थिती" टाइप करा.
+तुमच्या जवळील रस्ते बंद आणि वाहतूक बदलांसाठी "advisories" टाइप करा.`,
+
+    'WELCOME_BACK': `पुन्हा स्वागत आहे, {0}!`,
+
+    'CAMERA_INSTRUCTIONS': (instructionMessage) => `${instructionMessage}`,
+
+    'REPORT_CONFIRMATION': `धन्यवाद! आपला *{0}* अहवाल यशस्वीरित्या सबमिट केला आहे आणि *{1}* विभागाला नियुक्त केला आहे. आपला संदर्भ क्रमांक *{2}* आहे. अपडेट झाल्यावर आपल्याला सूचित केले जाईल. अधिक तक्रारी असल्यास दुसरा संदेश पाठवा.`,
+
+    'REPORT_ERROR': `क्षमस्व, पण आपला अहवाल प्रक्रिया करताना त्रुटी आली. कृपया नंतर पुन्हा प्रयत्न करा.`,
+
+    'LOCATION_OUTSIDE_JURISDICTION': `क्षमस्व, पण आपण कळवलेले स्थान आमच्या अधिकारक्षेत्राबाहेर असल्याचे दिसते. आम्ही फक्त PCMC सीमेत अहवाल प्रक्रिया करू शकतो.`,
+
+    'REPORT_RESPONSE': (reportType, hasImage) => `तुमच्या ${getMarathiReportType(reportType)} अहवालाबद्दल धन्यवाद. ते नोंदवले गेले आहे.${hasImage ? ' इमेज प्राप्त झाली आणि अपलोड केली गेली.' : ''}\n\nमुख्य मेनूकडे परत जाण्यासाठी "menu" टाइप करा.`,
+
+    'TRAFFIC_SIGNAL_INFO': `वाहतूक सिग्नल कसे काम करतात:
+
+🔴 लाल: पूर्णपणे थांबा
+🟡 पिवळा: थांबण्यासाठी तयार रहा
+🟢 हिरवा: सावधपणे पुढे जा
+
+मुख्य मेनूकडे परत जाण्यासाठी "menu" पाठवा.`,
+
+    'JOIN_REQUEST': `कृपया तुमची माहिती या फॉरमॅटमध्ये प्रदान करा:
+नाव: [तुमचे नाव]
+ईमेल: [तुमचा ईमेल]
+फोन: [तुमचा फोन]
+स्थान: [तुमचा स्थान]`,
+
+    'JOIN_RESPONSE': `ट्रॅफिक बडीमध्ये सामील होण्याच्या तुमच्या इच्छेबद्दल धन्यवाद! आमची टीम तुमची माहिती तपासेल आणि लवकरच तुमच्याशी संपर्क साधेल.
+
+मुख्य मेनूकडे परत जाण्यासाठी "menu" टाइप करा.`,
+
+    'JOIN_FORM_LINK': `ट्रॅफिक बडी टीममध्ये सामील होण्याच्या आपल्या इच्छेबद्दल धन्यवाद! कृपया या लिंकचा वापर करून आपला अर्ज भरा:
+
+{0}
+
+ही लिंक 24 तासांसाठी वैध आहे.`,
+
+    'JOIN_APPLICATION_RECEIVED': `ट्रॅफिक बडी टीममध्ये सामील होण्यासाठी आपला अर्ज सादर केल्याबद्दल धन्यवाद {0}! आमची टीम आपली माहिती तपासेल आणि लवकरच आपल्याशी संपर्क साधेल. आपला अर्ज आयडी आहे: {1}`,
+
+    'TEAM_APPLICATION_APPROVED': `अभिनंदन {0}! ट्रॅफिक बडी टीममध्ये सामील होण्यासाठी आपला अर्ज मंजूर झाला आहे. टीममध्ये आपले स्वागत आहे! पुढील पायऱ्यांसह आम्ही लवकरच आपल्याशी संपर्क साधू.
+
+नोट्स: {1}`,
+
+    'TEAM_APPLICATION_REJECTED': `नमस्कार {0}, आम्ही ट्रॅफिक बडी टीममध्ये सामील होण्यासाठी आपला अर्ज तपासला आहे. दुर्दैवाने, आम्ही सध्या आपल्या अर्जावर पुढे जाऊ शकत नाही.
+
+कारण: {1}
+
+आपण भविष्यात पुन्हा अर्ज करू शकता.`,
+
+    'TEAM_APPLICATION_PENDING': `नमस्कार {0}, ट्रॅफिक बडी टीममध्ये सामील होण्यासाठी आपला अर्ज सध्या तपासला जात आहे. निर्णय झाल्यानंतर आम्ही आपल्याला सूचित करू.
+
+नोट्स: {1}`,
+
+    'SUGGESTION_PROMPT': `कृपया आपली सूचना किंवा अभिप्राय शेअर करा. आम्ही पीसीएमसी मध्ये वाहतूक व्यवस्थापन सुधारण्यासाठी आपल्या इनपुटचा आदर करतो.`,
+
+    'SUGGESTION_RESPONSE': `आपल्या मौल्यवान सूचनेबद्दल धन्यवाद! आपला अभिप्राय आम्हाला पीसीएमसी मध्ये वाहतूक व्यवस्थापन सुधारण्यात मदत करतो.
+
+मुख्य मेनूकडे परत जाण्यासाठी "menu" टाइप करा.`,
+
+    'LOCATION_MISSING_HINT': `हा अहवाल पूर्ण करण्यासाठी कृपया आपले स्थान प्रदान करा. आपण WhatsApp ची स्थान शेअरिंग वैशिष्ट्य वापरू शकता.`,
+
+    'NAME_REQUEST': `कृपया सुरू ठेवण्यासाठी आपले नाव शेअर करा. तुमची वैयक्तिक माहिती गोपनीय राहील आणि कोणाशीही शेअर केली जाणार नाही.`,
+
+    'NAME_CONFIRMATION': (name) => `धन्यवाद, ${name}! तुमचे नाव सुरक्षित जतन केले आहे. तुमची गोपनीयता आमच्यासाठी महत्वाची आहे.`,
+
+    'STATUS_IN_PROGRESS': `🔄 तुमचा {0} अहवाल ({2}) आमच्या टीमकडून आता तपासला जात आहे. आम्ही तुम्हाला लवकरच अपडेट करू.`,
+
+    'STATUS_RESOLVED': `✅ तुमचा {0} अहवाल ({2}) निकाली काढला गेला आहे.
+
+निराकरण तपशील: {1}
+
+आमचे रस्ते सुरक्षित बनवण्यासाठी धन्यवाद! 
+सादरकर्ता: ट्रॅफिक बडी`,
+
+    'STATUS_REJECTED': `❌ आम्ही तुमचा {0} अहवाल ({2}) तपासला, परंतु आम्ही त्यावर पुढे जाऊ शकलो नाही.
+
+कारण: {1}
+
+आवश्यक असल्यास कृपया दुसरा अहवाल सबमिट करा.`,
+
+    'STATUS_LABEL': (status) => ({
+      'Pending': 'प्रलंबित',
+      'In Progress': 'प्रक्रियेत',
+      'Resolved': 'निकाली',
+      'Rejected': 'नाकारला',
+      'Appealed': 'अपील केले'
+    })[status] || status,
+
+    'STATUS_LIST_HEADER': `📋 *तुमचे अलीकडील अहवाल*`,
+
+    'STATUS_LIST_ITEM': (index, reference, reportType, divisionName, status, note) =>
+      `${index}. *${getMarathiReportType(reportType)}* (संदर्भ: ${reference})\nविभाग: ${divisionName}\nस्थिती: ${status}` +
+      (note ? `\nटीप: ${note}` : ''),
+
+    'STATUS_LIST_FOOTER': `अहवालाचा संपूर्ण तपशील पाहण्यासाठी त्याचा क्रमांक किंवा संदर्भ पाठवा, किंवा मुख्य मेनूकडे परत जाण्यासाठी "menu" टाइप करा.`,
+
+    'STATUS_NO_REPORTS': `तुम्ही अद्याप कोणताही अहवाल सादर केलेला नाही.`,
+
+    'STATUS_REPORT_DETAIL': (report) => `📄 *${getMarathiReportType(report.reportType)} अहवाल* (संदर्भ: ${report.reference})\n\n` +
+      `सादर केले: ${report.submittedAt}\n` +
+      `विभाग: ${report.divisionName}\n` +
+      `स्थान: ${report.address}\n` +
+      (report.vehicleNumber ? `वाहन: ${report.vehicleNumber}\n` : '') +
+      `वर्णन: ${report.description}\n\n` +
+      `स्थिती: *${report.status}*` +
+      (report.resolvedAt ? `\nअद्यतनित: ${report.resolvedAt}` : '') +
+      (report.note ? `\nटीप: ${report.note}` : '') +
+      '\n\nमुख्य मेनूकडे परत जाण्यासाठी "menu" टाइप करा.',
+
+    'STATUS_REFERENCE_NOT_FOUND': `तुमच्या अहवालांमध्ये त्या संदर्भाचा अहवाल सापडला नाही.`,
+
+    'REPORT_LINK_INSTRUCTIONS': (captureUrl) => `📸 *अहवाल सादर करण्यासाठी खाली दिलेल्या लिंकवर क्लिक करा:*
+      
+📱 *📷 अहवाल सादर करा 📷*
+👇👇👇👇👇👇👇👇
+${captureUrl}
+👆👆👆👆👆👆👆👆
+
+वरील लिंकवर टॅप करून, आपले स्थान आणि फोटो सादर करा.
+कृपया यशस्वी अहवाल सादर करण्यासाठी GPS स्थान प्रवेश परवानगी द्या.`,
+
+    // In-chat reporting, for users who can't use the web link
+    'CHAT_REPORT_HINT': `📎 लिंक उघडत नाही किंवा ब्राउझरमध्ये स्थान शेअर करता येत नाही? त्याऐवजी फोटो थेट या चॅटमध्ये पाठवा.`,
+
+    'DESCRIPTION_REQUEST': `📷 फोटो मिळाला. आता समस्येचे थोडक्यात वर्णन पाठवा.`,
+
+    'LOCATION_REQUEST': `📍 धन्यवाद! आता समस्येचे स्थान शेअर करा: 📎 → *Location* वर टॅप करा आणि तुमचे सध्याचे स्थान पाठवा किंवा नकाशावर जागा निवडा.`,
+
+    'REPORT_SUMMARY': (report) => `📝 *कृपया तुमचा अहवाल तपासा*\n\n` +
+      `प्रकार: ${getMarathiReportType(report.reportType)}\n` +
+      `वर्णन: ${report.description}\n` +
+      `स्थान: ${report.address}\n` +
+      (report.vehicleNumber ? `वाहन: ${report.vehicleNumber}\n` : '') +
+      `विभाग: ${report.divisionName}\n` +
+      `फोटो: ${report.photos || 'नाही'}\n` +
+      (report.voiceNotes ? `व्हॉइस नोट: ${report.voiceNotes}\n` : '') +
+      (report.videos ? `व्हिडिओ: ${report.videos}\n` : '') +
+      '\n' +
+      'सबमिट करण्यासाठी "हो", नाव आणि नंबर न दाखवता सबमिट करण्यासाठी "निनावी" किंवा रद्द करण्यासाठी "रद्द" असे उत्तर द्या.',
+
+    'REPORT_CANCELLED': `तुमचा अहवाल रद्द करण्यात आला आहे.`,
+
+    'ANONYMOUS_REPORT_NOTE': `🕶️ हा अहवाल हाताळणाऱ्या अधिकाऱ्यांपासून तुमचे नाव आणि नंबर लपवले आहेत. त्याचे अपडेट तुम्हाला इथेच मिळत राहतील.`,
+
+    // Satisfaction rating, asked for after a report is resolved
+    'RATING_REQUEST': (reportType, reference) => `⭐ तुमच्या *${getMarathiReportType(reportType)}* अहवालाचे (संदर्भ: ${reference}) निराकरण कसे झाले याबद्दल तुम्ही किती समाधानी आहात?
+
+1 (खूप वाईट) ते 5 (उत्कृष्ट) यापैकी एक क्रमांक पाठवा.`,
+
+    'RATING_COMMENT_REQUEST': `रेटिंगबद्दल धन्यवाद! तुम्हाला आणखी काही सांगायचे आहे का? तुमची टिप्पणी पाठवा, किंवा "वगळा" टाइप करा.`,
+
+    'RATING_LOW_REOPENED': `समस्या नीट सुटली नाही याबद्दल आम्ही दिलगीर आहोत. तुमचा अहवाल पुन्हा उघडण्यात आला आहे आणि त्याची पुन्हा तपासणी केली जाईल.`,
+
+    'RATING_LOW_FLAGGED': `समस्या नीट सुटली नाही याबद्दल आम्ही दिलगीर आहोत. तुमचे रेटिंग संबंधित विभागाकडे पाठवण्यात आले आहे.`,
+
+    'RATING_THANKS': `तुमच्या अभिप्रायाबद्दल धन्यवाद!`,
+
+    // Appeals against rejected reports
+    'APPEAL_HINT': (days) => `हा निर्णय चुकीचा आहे असे वाटत असल्यास, पुनर्विचारासाठी ${days} दिवसांच्या आत "अपील" टाइप करा.`,
+
+    'APPEAL_NONE': (days) => `गेल्या ${days} दिवसांत तुमचा असा कोणताही नाकारलेला अहवाल नाही ज्यावर अपील करता येईल.`,
+
+    'APPEAL_LIST_HEADER': `⚖️ *अपील करता येणारे नाकारलेले अहवाल*`,
+
+    'APPEAL_LIST_FOOTER': `ज्या अहवालावर अपील करायचे आहे त्याचा क्रमांक किंवा संदर्भ पाठवा, किंवा परत जाण्यासाठी "menu" टाइप करा.`,
+
+    'APPEAL_REQUEST': (reference) => `⚖️ अहवाल *${reference}* वर अपील.
+
+अहवाल नाकारणे चुकीचे का आहे ते आम्हाला सांगा. तुम्ही आधी फोटो पाठवू शकता, नंतर तुमचे स्पष्टीकरण संदेश म्हणून पाठवा.`,
+
+    'APPEAL_PHOTO_RECEIVED': `📷 फोटो तुमच्या अपीलमध्ये जोडला. आणखी फोटो किंवा तुमचे स्पष्टीकरण पाठवा.`,
+
+    'APPEAL_SUBMITTED': (reference) => `अहवाल *${reference}* वरील तुमचे अपील सादर झाले आहे. ट्रॅफिक बडी प्रशासक त्याचा आढावा घेतील आणि तुम्हाला निर्णय कळवला जाईल.`,
+
+    'APPEAL_NOT_FOUND': `त्या अहवालावर अपील करता येत नाही.`,
+
+    'APPEAL_UPHELD': `⚖️ अहवाल {0} वरील तुमच्या अपीलचा आढावा घेण्यात आला असून अहवाल नाकारण्याचा निर्णय कायम ठेवण्यात आला आहे.
+
+कारण: {1}`,
+
+    'APPEAL_OVERTURNED': `⚖️ अहवाल {0} वरील तुमचे अपील यशस्वी झाले! अहवाल कार्यवाहीसाठी पुन्हा विभागाकडे पाठवण्यात आला आहे.
+
+टीप: {1}`,
+
+    // Rate limits and blocked numbers
+    'USER_BLOCKED': (until) => `तुमच्या नंबरला ट्रॅफिक बडी वापरण्यापासून ${until ? `${until} पर्यंत ` : ''}रोखण्यात आले आहे. ही चूक आहे असे वाटत असल्यास, कृपया पिंपरी चिंचवड वाहतूक पोलिसांशी संपर्क साधा.`,
+
+    'RATE_LIMIT_MESSAGES': `तुम्ही खूप वेगाने संदेश पाठवत आहात. कृपया एक मिनिट थांबा आणि पुन्हा प्रयत्न करा.`,
+
+    'RATE_LIMIT_REPORTS': `तुम्ही दिवसाला {0} अहवालांची मर्यादा गाठली आहे. कृपया उद्या पुन्हा प्रयत्न करा.`,
+
+    'RATE_LIMIT_CAPTURE_LINKS': `तुम्ही खूप जास्त अहवाल लिंक मागितल्या आहेत. तुम्ही तासाला {0} लिंक मागू शकता, कृपया नंतर पुन्हा प्रयत्न करा.`,
+
+    // Broadcast opt-out
+    'OPT_OUT_CONFIRMATION': `तुम्हाला यापुढे ट्रॅफिक बडीकडून घोषणा मिळणार नाहीत. तुम्ही पाठवलेल्या अहवालांबद्दल आम्ही तरीही उत्तर देऊ.\n\nपुन्हा घोषणा मिळवण्यासाठी कधीही *सुरू* किंवा *START* पाठवा.`,
+
+    'OPT_IN_CONFIRMATION': `तुम्हाला ट्रॅफिक बडीकडून पुन्हा घोषणा मिळतील. घोषणा थांबवण्यासाठी कधीही *थांबवा* किंवा *STOP* पाठवा.`,
+
+    // Voice notes and videos
+    'VOICE_NOTE_RECEIVED': `🎤 व्हॉइस नोट मिळाली.`,
+
+    'VIDEO_DESCRIPTION_REQUEST': `🎥 व्हिडिओ मिळाला. आता समस्येचे थोडक्यात वर्णन संदेशात किंवा व्हॉइस नोटमध्ये पाठवा.`,
+
+    'MEDIA_TOO_LARGE': (kind, limitMb) => {
+      const label = { image: 'फोटो', audio: 'व्हॉइस नोट', video: 'व्हिडिओ' }[kind] || 'फाइल';
+      return `⚠️ तुमचा ${label} खूप मोठा आहे. कृपया ${limitMb} MB पेक्षा लहान पाठवा.`;
+    },
+
+    'MEDIA_UNSUPPORTED': `⚠️ क्षमस्व, आम्ही फक्त फोटो, व्हॉइस नोट आणि व्हिडिओ स्वीकारू शकतो.`,
+
+    'MEDIA_LIMIT_REACHED': (max) => `⚠️ एका अहवालात जास्तीत जास्त ${max} फोटो, व्हॉइस नोट आणि व्हिडिओ असू शकतात. त्यापेक्षा जास्त जोडले गेले नाहीत.`,
+
+    // Unfinished reports, kept for a while so they can be picked up later
+    'DRAFT_RESUME_OFFER': (reportType) => `👋 पुन्हा स्वागत आहे! तुमचा एक *${getMarathiReportType(reportType)}* अहवाल अपूर्ण आहे.
+
+जिथे थांबला होतात तिथून पुढे जाण्यासाठी "continue", तो हटवण्यासाठी "discard" किंवा मुख्य मेनूसाठी "menu" टाइप करा.`,
+
+    'DRAFT_PENDING_HINT': (reportType) => `📝 तुमचा एक *${getMarathiReportType(reportType)}* अहवाल अपूर्ण आहे. तो पूर्ण करण्यासाठी "continue" किंवा हटवण्यासाठी "discard" टाइप करा.`,
+
+    'DRAFT_RESUMED': (reportType) => `📝 तुमचा *${getMarathiReportType(reportType)}* अहवाल पुढे सुरू करत आहोत.`,
+
+    'DRAFT_DISCARDED': `तुमचा अपूर्ण अहवाल हटवण्यात आला आहे.`,
+
+    // Traffic advisories: road closures, diversions and events
+    'ADVISORY_MESSAGE': (advisory) => `🚧 *वाहतूक सूचना: ${advisory.title}*` +
+      (advisory.area ? ` (${advisory.area})` : '') + `\n\n${advisory.text}\n\n${advisory.validUntil} पर्यंत लागू.`,
+
+    'ADVISORY_LIST_HEADER': `🚧 *लागू असलेल्या वाहतूक सूचना*`,
+
+    'ADVISORY_LIST_ITEM': (index, advisory) => `${index}. *${advisory.title}*` +
+      (advisory.area ? ` (${advisory.area})` : '') + `\n${advisory.text}\n${advisory.validUntil} पर्यंत लागू`,
+
+    'ADVISORY_NONE': `✅ सध्या या भागासाठी कोणतीही वाहतूक सूचना लागू नाही.`,
+
+    'ADVISORY_LOCATION_REQUEST': `📍 तिथे लागू असलेल्या वाहतूक सूचना पाहण्यासाठी लोकेशन शेअर करा: 📎 → *Location* वर टॅप करा.`,
+
+    'ADVISORY_FOLLOW_HINT': `तुमच्या विभागासाठी किंवा जतन केलेल्या लोकेशनसाठी नवीन सूचना मिळवण्यासाठी "follow" किंवा त्या थांबवण्यासाठी "unfollow" टाइप करा.`,
+
+    'ADVISORY_FOLLOW_REQUEST': (divisions) => `🔔 तुम्हाला कोणत्या भागासाठी सूचना हव्या आहेत?
+
+लोकेशन शेअर करा, उदा. तुमचे घर किंवा ऑफिस (📎 → *Location* वर टॅप करा), किंवा विभागाच्या क्रमांकासह उत्तर द्या:
+
+${divisions}`,
+
+    'ADVISORY_FOLLOWING': (area) => `🔔 आता तुम्हाला *${area}* साठी नवीन वाहतूक सूचना मिळतील.`,
+
+    'ADVISORY_FOLLOW_LIMIT': (max) => `⚠️ तुम्ही जास्तीत जास्त ${max} विभाग आणि लोकेशन फॉलो करू शकता. ते फॉलो करणे थांबवण्यासाठी "unfollow" टाइप करा आणि पुन्हा निवडा.`,
+
+    'ADVISORY_UNFOLLOWED': (count) => `🔕 तुम्ही ${count} भाग फॉलो करणे थांबवले. आता तुम्हाला वाहतूक सूचना मिळणार नाहीत.`,
+
+    'ADVISORY_NOT_FOLLOWING': `तुम्ही वाहतूक सूचनांसाठी कोणताही भाग फॉलो करत नाही.`,
+
+    // Interactive list and button labels (WhatsApp allows 24 characters per row, 20 per button)
+    'MENU_LIST_BODY': `*ट्रॅफिक बडी पिंपरी चिंचवड मध्ये आपले स्वागत आहे!* 🚦
+
+खालील यादीतून पर्याय निवडा.
+तुमच्या आधीच्या अहवालांची स्थिती पाहण्यासाठी "स्थिती" टाइप करा.
+तुमच्या जवळील रस्ते बंद आणि वाहतूक बदलांसाठी "advisories" टाइप करा.`,
+
+    'MENU_LIST_BUTTON': `पर्याय निवडा`,
+
+    'MENU_OPTIONS': [
+      'वाहतूक नियम उल्लंघन',
+      'वाहतूक कोंडी',
+      'अनियमितता',
+      'रस्ता खराबी',
+      'अवैध पार्किंग',
+      'वाहतूक सिग्नल समस्या',
+      'सूचना शेअर करा',
+      'टीममध्ये सामील व्हा'
+    ],
+
+    'LANGUAGE_LIST_BUTTON': `भाषा निवडा`,
+
+    'BUTTON_CHECK_STATUS': `स्थिती पहा`,
+
+    'BUTTON_MAIN_MENU': `मुख्य मेनू`,
+
+    'BUTTON_CONFIRM': `सबमिट करा`,
+
+    'BUTTON_CANCEL': `रद्द करा`,
+
+    'BUTTON_ANONYMOUS': `निनावी पाठवा`,
+
+    'BUTTON_CONTINUE_DRAFT': `अहवाल पुढे सुरू करा`,
+
+    'BUTTON_DISCARD_DRAFT': `अहवाल हटवा`,
+
+    'RATING_OPTIONS': [
+      '⭐ खूप वाईट',
+      '⭐⭐ वाईट',
+      '⭐⭐⭐ ठीक',
+      '⭐⭐⭐⭐ चांगले',
+      '⭐⭐⭐⭐⭐ उत्कृष्ट'
+    ],
+
+    'RATING_LIST_BUTTON': `रेटिंग द्या`,
+
+    // Language selection prompt, the options are generated from the installed packs
+    'LANGUAGE_PROMPT_HEADER': `*ट्रॅफिक बडी पिंपरी चिंचवड मध्ये आपले स्वागत आहे!* 🚦
+
+तुमची पसंतीची भाषा निवडा:`,
+
+    'LANGUAGE_PROMPT_FOOTER': (count) => `1-${count} क्रमांकासह उत्तर द्या.`
+  }
+};
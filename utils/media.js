@@ -0,0 +1,93 @@
+// Media citizens may attach to reports, with the largest file accepted for
+// each kind. The defaults follow WhatsApp's own limits.
+const MEDIA_KINDS = {
+  image: { maxBytes: parseFloat(process.env.MEDIA_MAX_IMAGE_MB || '5') * 1024 * 1024 },
+  audio: { maxBytes: parseFloat(process.env.MEDIA_MAX_AUDIO_MB || '16') * 1024 * 1024 },
+  video: { maxBytes: parseFloat(process.env.MEDIA_MAX_VIDEO_MB || '16') * 1024 * 1024 }
+};
+
+// Most photos, voice notes and videos one report can carry, whether they
+// come from the capture page, WhatsApp or an officer resolving it
+const MEDIA_MAX_PER_REPORT = parseInt(process.env.MEDIA_MAX_PER_REPORT || '5', 10);
+
+// File extensions for content types whose subtype isn't a usable extension
+const FILE_EXTENSIONS = {
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/x-m4a': 'm4a',
+  'video/quicktime': 'mov',
+  'video/3gpp': '3gp',
+  'image/jpeg': 'jpeg'
+};
+
+/**
+ * Content type without parameters, e.g. 'audio/ogg' for 'audio/ogg; codecs=opus'
+ * @param {string} contentType - Content type
+ * @returns {string} - Lower-case content type
+ */
+const baseContentType = (contentType) => (contentType || '').split(';')[0].trim().toLowerCase();
+
+/**
+ * Get the kind of attachment a content type is
+ * @param {string} contentType - Content type
+ * @returns {string|null} - 'image', 'audio', 'video' or null when not accepted
+ */
+const getMediaKind = (contentType) => {
+  const kind = baseContentType(contentType).split('/')[0];
+  return MEDIA_KINDS[kind] ? kind : null;
+};
+
+/**
+ * Get the file extension to store a content type with
+ * @param {string} contentType - Content type
+ * @returns {string} - Extension without the dot
+ */
+const getFileExtension = (contentType) => {
+  const type = baseContentType(contentType);
+  return FILE_EXTENSIONS[type] || type.split('/')[1] || 'bin';
+};
+
+/**
+ * Get every attachment of a report, including the photo of reports saved
+ * before attachments were typed
+ * @param {Object} query - Query document
+ * @returns {Array<Object>} - [{ kind, url, thumbnail_url, content_type, size }]
+ */
+const getReportAttachments = (query) => {
+  const attachments = (query.attachments || []).map(attachment =>
+    (attachment.toObject ? attachment.toObject() : attachment));
+
+  if (query.photo_url && !attachments.some(attachment => attachment.url === query.photo_url)) {
+    attachments.unshift({ kind: 'image', url: query.photo_url });
+  }
+
+  return attachments;
+};
+
+/**
+ * Get a report as listed on the dashboard, with every attachment and a
+ * thumbnail of its first photo
+ * @param {Object} query - Query document
+ * @returns {Object} - Plain report with thumbnail_url and attachments
+ */
+const toReportListItem = (query) => {
+  const attachments = getReportAttachments(query);
+  const firstPhoto = attachments.find(attachment => attachment.kind === 'image');
+
+  return {
+    // toJSON, so anonymous reports are listed without their reporter
+    ...(query.toJSON ? query.toJSON() : query),
+    thumbnail_url: firstPhoto ? (firstPhoto.thumbnail_url || firstPhoto.url) : null,
+    attachments
+  };
+};
+
+module.exports = {
+  MEDIA_KINDS,
+  MEDIA_MAX_PER_REPORT,
+  baseContentType,
+  getMediaKind,
+  getFileExtension,
+  getReportAttachments,
+  toReportListItem
+};
@@ -1,4 +1,5 @@
 const Session = require('../models/Session');
+const { getActiveDraft } = require('../services/reportDrafts');
 
 /**
  * Get or create a user session
@@ -30,7 +31,10 @@ exports.getUserSession = async (userId) => {
     const userName = session.user_name; // Save the existing user name
     
     // If user already has a name, skip the name collection step
-    if (userName) {
+    if (userName && getActiveDraft(session)) {
+      session.current_state = 'DRAFT_RESUME'; // Offer to finish the unfinished report
+      console.log(`Returning user ${userName} has an unfinished report`);
+    } else if (userName) {
       session.current_state = 'MENU'; // Go directly to menu
       console.log(`Returning user ${userName} detected, skipping name collection`);
     } else {
@@ -0,0 +1,34 @@
+const mongoose = require('mongoose');
+
+// Standalone MongoDB servers (e.g. a local development database) can't run
+// transactions. Once that's known, work runs without one.
+let transactionsSupported = true;
+
+/**
+ * Run database work in a transaction so it is saved completely or not at all
+ * @param {Function} work - async (session) => result. May run more than once
+ *   when the transaction is retried; session is null without transactions.
+ * @returns {Promise<*>} - Result of work
+ */
+const runInTransaction = async (work) => {
+  if (transactionsSupported) {
+    try {
+      let result;
+      await mongoose.connection.transaction(async (session) => {
+        result = await work(session);
+      });
+      return result;
+    } catch (error) {
+      if (error.code !== 20 && !/replica set member or mongos/i.test(error.message)) {
+        throw error;
+      }
+
+      transactionsSupported = false;
+      console.warn('MongoDB deployment does not support transactions, writing without them');
+    }
+  }
+
+  return work(null);
+};
+
+module.exports = { runInTransaction };
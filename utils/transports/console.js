@@ -0,0 +1,38 @@
+const fs = require('fs');
+
+/**
+ * Create a transport that only logs messages, for development and tests.
+ * Messages are also appended as JSON lines to a file when one is given.
+ * @param {Object} config - { sender, file }
+ * @returns {Object} - Transport
+ */
+const createConsoleTransport = ({ sender, file }) => {
+  let counter = 0;
+
+  /**
+   * Log an outbound message
+   * @param {Object} entry - Message details
+   * @returns {Promise<Object>} - { sid } with a made up id
+   */
+  const record = async (entry) => {
+    const sid = `console-${Date.now()}-${++counter}`;
+    const line = { sid, from: sender, sent_at: new Date().toISOString(), ...entry };
+
+    console.log(`[whatsapp:console] ${line.from} -> ${line.to}\n${entry.body || JSON.stringify(entry.message, null, 2)}`);
+    if (file) {
+      await fs.promises.appendFile(file, `${JSON.stringify(line)}\n`);
+    }
+
+    return { sid };
+  };
+
+  return {
+    name: 'console',
+
+    sendText: (to, body) => record({ to, body }),
+
+    sendInteractive: (to, message) => record({ to, message })
+  };
+};
+
+module.exports = { createConsoleTransport };
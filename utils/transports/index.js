@@ -0,0 +1,48 @@
+const { createTwilioTransport } = require('./twilio');
+const { createMetaTransport } = require('./meta');
+const { createConsoleTransport } = require('./console');
+
+// Number WhatsApp messages are sent from, used when WHATSAPP_SENDER isn't set
+const DEFAULT_SENDER = 'whatsapp:+918788649885';
+
+const factories = {
+  twilio: () => createTwilioTransport({
+    accountSid: process.env.TWILIO_SID || 'your_account_sid',
+    authToken: process.env.TWILIO_AUTH_TOKEN || 'your_auth_token',
+    sender: process.env.WHATSAPP_SENDER || DEFAULT_SENDER
+  }),
+  meta: () => createMetaTransport({
+    accessToken: process.env.META_WHATSAPP_TOKEN,
+    phoneNumberId: process.env.META_PHONE_NUMBER_ID,
+    apiVersion: process.env.META_API_VERSION
+  }),
+  console: () => createConsoleTransport({
+    sender: process.env.WHATSAPP_SENDER || DEFAULT_SENDER,
+    file: process.env.WHATSAPP_CONSOLE_FILE
+  })
+};
+
+let transport = null;
+
+/**
+ * Get the transport outbound WhatsApp messages go through, chosen with
+ * WHATSAPP_TRANSPORT ('twilio', 'meta' or 'console'; Twilio by default).
+ * Every transport has sendText(to, body, options) and sendInteractive(to, message),
+ * which resolve to an object with the message id as sid.
+ * @returns {Object} - Transport
+ */
+const getTransport = () => {
+  if (!transport) {
+    const name = process.env.WHATSAPP_TRANSPORT || 'twilio';
+    if (!factories[name]) {
+      throw new Error(`Unknown WhatsApp transport "${name}", expected one of: ${Object.keys(factories).join(', ')}`);
+    }
+
+    transport = factories[name]();
+    console.log(`Sending WhatsApp messages through the ${name} transport`);
+  }
+
+  return transport;
+};
+
+module.exports = { getTransport };
@@ -0,0 +1,76 @@
+const axios = require('axios');
+
+/**
+ * Convert an interactive message into a Cloud API interactive object
+ * @param {Object} message - Message from utils/interactive-messages.js
+ * @returns {Object} - Interactive object
+ */
+const toInteractive = (message) => {
+  if (message.type === 'list') {
+    return {
+      type: 'list',
+      body: { text: message.body },
+      action: {
+        button: message.button,
+        sections: [{
+          rows: message.rows.map(row => ({
+            id: row.id,
+            title: row.title,
+            ...(row.description ? { description: row.description } : {})
+          }))
+        }]
+      }
+    };
+  }
+
+  return {
+    type: 'button',
+    body: { text: message.body },
+    action: {
+      buttons: message.buttons.map(button => ({
+        type: 'reply',
+        reply: { id: button.id, title: button.title }
+      }))
+    }
+  };
+};
+
+/**
+ * Create a transport that sends WhatsApp messages through the Meta WhatsApp Cloud API
+ * @param {Object} config - { accessToken, phoneNumberId, apiVersion }
+ * @returns {Object} - Transport
+ */
+const createMetaTransport = ({ accessToken, phoneNumberId, apiVersion = 'v21.0' }) => {
+  /**
+   * Post a message to the Cloud API
+   * @param {string} to - Recipient in 'whatsapp:+91...' format
+   * @param {Object} content - Type specific part of the message
+   * @returns {Promise<Object>} - { sid } with the WhatsApp message id
+   */
+  const post = async (to, content) => {
+    const response = await axios.post(
+      `https://graph.facebook.com/${apiVersion}/${phoneNumberId}/messages`,
+      {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        // The Cloud API wants the bare number with country code
+        to: to.replace(/^whatsapp:/, '').replace(/\D/g, ''),
+        ...content
+      },
+      { headers: { Authorization: `Bearer ${accessToken}` } }
+    );
+
+    return { sid: response.data.messages[0].id };
+  };
+
+  return {
+    name: 'meta',
+
+    // Delivery status arrives on the app's configured webhook, not per message
+    sendText: (to, body) => post(to, { type: 'text', text: { body } }),
+
+    sendInteractive: (to, message) => post(to, { type: 'interactive', interactive: toInteractive(message) })
+  };
+};
+
+module.exports = { createMetaTransport };
@@ -0,0 +1,93 @@
+const crypto = require('crypto');
+const twilio = require('twilio');
+
+/**
+ * Convert an interactive message into Twilio Content API types
+ * @param {Object} message - Message from utils/interactive-messages.js
+ * @returns {Object} - Content types definition
+ */
+const toContentTypes = (message) => {
+  const types = { 'twilio/text': { body: message.fallbackText } };
+
+  if (message.type === 'list') {
+    types['twilio/list-picker'] = {
+      body: message.body,
+      button: message.button,
+      items: message.rows.map(row => ({
+        id: row.id,
+        item: row.title,
+        ...(row.description ? { description: row.description } : {})
+      }))
+    };
+  } else {
+    types['twilio/quick-reply'] = {
+      body: message.body,
+      actions: message.buttons.map(button => ({ type: 'QUICK_REPLY', id: button.id, title: button.title }))
+    };
+  }
+
+  return types;
+};
+
+/**
+ * Create a transport that sends WhatsApp messages through Twilio
+ * @param {Object} config - { accountSid, authToken, sender } where sender is 'whatsapp:+91...'
+ * @returns {Object} - Transport
+ */
+const createTwilioTransport = ({ accountSid, authToken, sender }) => {
+  const client = twilio(accountSid, authToken);
+
+  // Content API templates already created for interactive messages, keyed by friendly name
+  const contentSids = new Map();
+  let contentSidsLoaded = false;
+
+  /**
+   * Get (or create) the Content API template for an interactive message.
+   * Templates are named after a hash of their content so restarts reuse them.
+   * @param {Object} message - Message from utils/interactive-messages.js
+   * @returns {Promise<string>} - Content SID
+   */
+  const getContentSid = async (message) => {
+    const types = toContentTypes(message);
+    const friendlyName = `traffic_buddy_${crypto.createHash('sha1').update(JSON.stringify(types)).digest('hex').slice(0, 20)}`;
+
+    if (!contentSidsLoaded) {
+      const existing = await client.content.v1.contents.list({ pageSize: 1000 });
+      existing.forEach(content => contentSids.set(content.friendlyName, content.sid));
+      contentSidsLoaded = true;
+    }
+
+    if (!contentSids.has(friendlyName)) {
+      const content = await client.content.v1.contents.create({
+        friendly_name: friendlyName,
+        language: 'en',
+        variables: {},
+        types
+      });
+      contentSids.set(friendlyName, content.sid);
+      console.log(`Created interactive content template ${friendlyName}: ${content.sid}`);
+    }
+
+    return contentSids.get(friendlyName);
+  };
+
+  return {
+    name: 'twilio',
+    client,
+
+    sendText: (to, body, options = {}) => client.messages.create({
+      from: sender,
+      to,
+      body,
+      ...(options.statusCallback ? { statusCallback: options.statusCallback } : {})
+    }),
+
+    sendInteractive: async (to, message) => client.messages.create({
+      from: sender,
+      to,
+      contentSid: await getContentSid(message)
+    })
+  };
+};
+
+module.exports = { createTwilioTransport };
@@ -0,0 +1,114 @@
+// Indian vehicle registration numbers, e.g. MH 14 AB 1234, and the Bharat
+// series, e.g. 22 BH 1234 AA. Numbers are stored without spaces, with the
+// RTO code padded to 2 digits and the number to 4, e.g. MH14AB1234, so the
+// same vehicle matches however it was typed.
+
+// State and union territory codes in use on registration plates
+const STATE_CODES = new Set([
+  'AN', 'AP', 'AR', 'AS', 'BR', 'CG', 'CH', 'DD', 'DL', 'DN', 'GA', 'GJ',
+  'HP', 'HR', 'JH', 'JK', 'KA', 'KL', 'LA', 'LD', 'MH', 'ML', 'MN', 'MP',
+  'MZ', 'NL', 'OD', 'OR', 'PB', 'PY', 'RJ', 'SK', 'TN', 'TR', 'TS', 'UK',
+  'UP', 'WB'
+]);
+
+// Separators people type between the parts of a number
+const SEP = '[\\s.\\-]*';
+
+// The number part may be short when typed in the vehicle number field, but
+// in a description only 4 digits are taken as a number, so that text like
+// "MH 14 for 2 hours" isn't read as a registration number
+const statePattern = (digits) => `([A-Z]{2})${SEP}(\\d{1,2})${SEP}([A-Z]{0,3})${SEP}(\\d{${digits}})`;
+const BHARAT_PATTERN = `(\\d{2})${SEP}BH${SEP}(\\d{4})${SEP}([A-Z]{1,2})`;
+
+const STATE_REGEX = new RegExp(`^${statePattern('1,4')}$`);
+const BHARAT_REGEX = new RegExp(`^${BHARAT_PATTERN}$`);
+const STATE_SEARCH = new RegExp(`(?<![A-Z0-9])${statePattern('4')}(?![A-Z0-9])`, 'g');
+const BHARAT_SEARCH = new RegExp(`(?<![A-Z0-9])${BHARAT_PATTERN}(?![A-Z0-9])`, 'g');
+
+/**
+ * Build the stored form of a state series number from its parts
+ * @param {Array<string>} parts - [state, rto, series, number]
+ * @returns {string|null} - e.g. 'MH14AB1234', or null for an unknown state
+ */
+const fromStateParts = ([state, rto, series, number]) => {
+  if (!STATE_CODES.has(state) || parseInt(rto, 10) === 0 || parseInt(number, 10) === 0) {
+    return null;
+  }
+  return `${state}${rto.padStart(2, '0')}${series}${number.padStart(4, '0')}`;
+};
+
+/**
+ * Build the stored form of a Bharat series number from its parts
+ * @param {Array<string>} parts - [year, number, letters]
+ * @returns {string|null} - e.g. '22BH1234AA'
+ */
+const fromBharatParts = ([year, number, letters]) =>
+  (parseInt(number, 10) === 0 ? null : `${year}BH${number}${letters}`);
+
+/**
+ * Validate and normalize a registration number typed by a citizen or admin
+ * @param {string} value - e.g. 'mh-14 ab 1234'
+ * @returns {string|null} - e.g. 'MH14AB1234', or null when it isn't a valid number
+ */
+const normalizeVehicleNumber = (value) => {
+  const text = (value || '').toUpperCase().trim();
+  if (!text) {
+    return null;
+  }
+
+  const bharat = text.match(BHARAT_REGEX);
+  if (bharat) {
+    return fromBharatParts(bharat.slice(1));
+  }
+
+  const state = text.match(STATE_REGEX);
+  return state ? fromStateParts(state.slice(1)) : null;
+};
+
+/**
+ * Find the registration numbers mentioned in a report description
+ * @param {string} text - Description
+ * @returns {Array<string>} - Normalized numbers in the order they appear, without duplicates
+ */
+const extractVehicleNumbers = (text) => {
+  const upper = (text || '').toUpperCase();
+  const found = [];
+
+  for (const match of upper.matchAll(BHARAT_SEARCH)) {
+    found.push({ index: match.index, number: fromBharatParts(match.slice(1)) });
+  }
+  for (const match of upper.matchAll(STATE_SEARCH)) {
+    found.push({ index: match.index, number: fromStateParts(match.slice(1)) });
+  }
+
+  const numbers = found
+    .filter(entry => entry.number)
+    .sort((a, b) => a.index - b.index)
+    .map(entry => entry.number);
+
+  return [...new Set(numbers)];
+};
+
+/**
+ * Format a stored registration number the way it is written on plates
+ * @param {string} number - e.g. 'MH14AB1234'
+ * @returns {string} - e.g. 'MH 14 AB 1234'
+ */
+const formatVehicleNumber = (number) => {
+  const bharat = (number || '').match(/^(\d{2})BH(\d{4})([A-Z]{1,2})$/);
+  if (bharat) {
+    return `${bharat[1]} BH ${bharat[2]} ${bharat[3]}`;
+  }
+
+  const state = (number || '').match(/^([A-Z]{2})(\d{2})([A-Z]{0,3})(\d{4})$/);
+  if (!state) {
+    return number || '';
+  }
+  return [state[1], state[2], state[3], state[4]].filter(Boolean).join(' ');
+};
+
+module.exports = {
+  normalizeVehicleNumber,
+  extractVehicleNumbers,
+  formatVehicleNumber
+};
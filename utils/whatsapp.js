@@ -1,25 +1,26 @@
 // utils/whatsapp.js
 require('dotenv').config();
-const twilio = require('twilio');
+const { isInteractiveMessage } = require('./interactive-messages');
+const { getTransport } = require('./transports');
+const { getReportAttachments } = require('./media');
+const { formatVehicleNumber } = require('./vehicleNumber');
+const { getResolveLink } = require('../services/reportReferences');
 
-// Twilio credentials
-const accountSid = process.env.TWILIO_SID || 'your_account_sid';
-const authToken = process.env.TWILIO_AUTH_TOKEN || 'your_auth_token';
-const client = twilio(accountSid, authToken);
-
-/**
- * Get Twilio client instance
- * @returns {Object} - Twilio client
- */
-exports.getTwilioClient = () => client;
+// How attachments are labelled in officer notifications
+const ATTACHMENT_LABELS = {
+  image: '📷 Photo',
+  audio: '🎤 Voice note',
+  video: '🎥 Video'
+};
 
 /**
- * Send a WhatsApp message using Twilio
+ * Send a WhatsApp text message through the configured transport
  * @param {string} to - Recipient's WhatsApp number in format 'whatsapp:+1234567890'
  * @param {string} body - Message body text
- * @returns {Promise} - Twilio message response
+ * @param {Object} [options] - { statusCallback } for transports that report delivery per message
+ * @returns {Promise} - Sent message, with its id as sid
  */
-exports.sendWhatsAppMessage = async (to, body) => {
+exports.sendWhatsAppMessage = async (to, body, options = {}) => {
   try {
     if (!to) {
       console.error('Invalid recipient phone number');
@@ -50,11 +51,7 @@ exports.sendWhatsAppMessage = async (to, body) => {
     
     console.log(`Sending message to: ${normalizedTo}`);
     
-    const message = await client.messages.create({
-      from: 'whatsapp:+918788649885', // Your Twilio WhatsApp number
-      to: normalizedTo,
-      body: body
-    });
+    const message = await getTransport().sendText(normalizedTo, body, options);
     
     console.log(`WhatsApp message sent with SID: ${message.sid}`);
     return message;
@@ -65,13 +62,52 @@ exports.sendWhatsAppMessage = async (to, body) => {
 };
 
 /**
- * Notify division officers about new queries
+ * Send a WhatsApp list or button message, falling back to its plain text
+ * version when interactive messages are disabled or cannot be sent
+ * @param {string} to - Recipient's WhatsApp number
+ * @param {Object} message - Message from utils/interactive-messages.js
+ * @returns {Promise} - Sent message, with its id as sid
+ */
+exports.sendInteractiveMessage = async (to, message) => {
+  if (process.env.WHATSAPP_INTERACTIVE_ENABLED === 'false') {
+    return exports.sendWhatsAppMessage(to, message.fallbackText);
+  }
+
+  try {
+    const { normalizeUserId } = require('./userHelper');
+    const sent = await getTransport().sendInteractive(normalizeUserId(to), message);
+
+    console.log(`Interactive ${message.type} message sent with SID: ${sent.sid}`);
+    return sent;
+  } catch (error) {
+    console.error('Error sending interactive message, falling back to text:', error.message);
+    return exports.sendWhatsAppMessage(to, message.fallbackText);
+  }
+};
+
+/**
+ * Send a bot reply, which is either plain text or an interactive message
+ * @param {string} to - Recipient's WhatsApp number
+ * @param {string|Object} reply - Reply text or interactive message
+ * @returns {Promise} - Sent message, with its id as sid
+ */
+exports.sendReply = async (to, reply) => {
+  if (isInteractiveMessage(reply)) {
+    return exports.sendInteractiveMessage(to, reply);
+  }
+  return exports.sendWhatsAppMessage(to, reply);
+};
+
+/**
+ * Notify division officers about new queries. The notifications are queued
+ * in the outbox, which records each officer on the query once it is sent.
  * @param {Object} query - The traffic query object
  * @param {Object} division - The division object containing officers
- * @returns {Promise<Array>} - List of notified officers
+ * @param {Object} [options] - { session } to queue in the transaction that saves the query
+ * @returns {Promise<Array>} - List of officer contacts notified
  */
 // Update the notification message to include the user's name
-exports.notifyDivisionOfficers = async (query, division) => {
+exports.notifyDivisionOfficers = async (query, division, { session } = {}) => {
   if (!division || !division.officers || division.officers.length === 0) {
     console.log('No officers to notify for division');
     return [];
@@ -87,7 +123,6 @@ exports.notifyDivisionOfficers = async (query, division) => {
     return [];
   }
   
-  const client = exports.getTwilioClient();
   const notifiedContacts = [];
   
   // Map numeric report types to text descriptions
@@ -107,75 +142,51 @@ exports.notifyDivisionOfficers = async (query, division) => {
     queryTypeText = reportTypes[query.query_type];
   }
   
-  // Get reporter name
-  const reporterName = query.user_name || 'Anonymous';
+  // Get reporter name, unless they asked to stay anonymous
+  const reporterName = query.anonymous ? 'Anonymous (identity protected)' : (query.user_name || 'Anonymous');
   
+  // Links to the photos, voice notes and videos, which open in the browser
+  const attachmentLines = getReportAttachments(query)
+    .map(attachment => `${ATTACHMENT_LABELS[attachment.kind]}: ${attachment.url}`);
+
   // Create notification message with all required details
   const notificationMessage = `🚨 New Traffic Report in ${division.name}\n\n` +
+    (query.reference ? `Ref: ${query.reference}\n` : '') +
     `Type: ${queryTypeText}\n` +
     `Location: ${query.location?.address || 'See map link'}\n` +
-    `Description: ${query.description}\n\n` +
+    `Description: ${query.description}\n` +
+    (query.vehicle_number ? `Vehicle: ${formatVehicleNumber(query.vehicle_number)}\n` : '') +
+    '\n' +
+    (attachmentLines.length > 0 ? `${attachmentLines.join('\n')}\n\n` : '') +
     `Reported by: ${reporterName}\n\n` +
-    `To resolve this issue, click: ${process.env.SERVER_URL}/resolve.html?id=${query._id}`;
+    `To resolve this issue, click: ${getResolveLink(query)}`;
   
-  // Send to each officer
+  // Required here because the outbox sends through this module
+  const { queueMessage } = require('../services/outbox');
+
+  // Queue for each officer's primary phone, and the alternate phone if it is different
   for (const officer of activeOfficers) {
-    try {
-      // Send to primary phone if available
-      if (officer.phone) {
-        const formattedPhone = formatPhoneNumber(officer.phone);
-        
-        try {
-          const message = await client.messages.create({
-            from: 'whatsapp:+918788649885',
-            to: formattedPhone,
-            body: notificationMessage,
-            statusCallback: `${process.env.SERVER_URL}/webhook/message-status`
-          });
-          
-          console.log(`Notification sent to ${officer.name} (${formattedPhone}) with SID: ${message.sid}`);
-          
-          notifiedContacts.push({
-            officer_id: officer._id || 'unknown',
-            name: officer.name || 'Unknown',
-            phone: formattedPhone,
-            notification_time: new Date(),
-            status: 'queued',
-            message_sid: message.sid
-          });
-        } catch (primaryError) {
-          console.error(`Error sending to primary number for ${officer.name}:`, primaryError);
-        }
-      }
-      
-      // Always try alternate phone if it exists and is different from primary
-      if (officer.alternate_phone && officer.alternate_phone !== officer.phone) {
-        const formattedAlternatePhone = formatPhoneNumber(officer.alternate_phone);
-        
-        try {
-          const message = await client.messages.create({
-            from: 'whatsapp:+918788649885',
-            to: formattedAlternatePhone,
-            body: notificationMessage,
-            statusCallback: `${process.env.SERVER_URL}/webhook/message-status`
-          });
-          
-          console.log(`Notification sent to alternate number for ${officer.name} (${formattedAlternatePhone}) with SID: ${message.sid}`);
-          
-          notifiedContacts.push({
-            officer_id: officer._id || 'unknown',
-            name: officer.name || 'Unknown',
-            phone: formattedAlternatePhone,
-            notification_time: new Date(),
-            status: 'queued',
-            message_sid: message.sid
-          });
-        } catch (alternateError) {
-          console.error(`Error sending to alternate number for ${officer.name}:`, alternateError);
-        }
-      }
-    } catch (officerError) {
-      console.error(`Error in notification process for officer ${officer.name}:`, officerError);
+    const phones = [officer.phone, officer.alternate_phone !== officer.phone ? officer.alternate_phone : null]
+      .filter(Boolean)
+      .map(formatPhoneNumber);
+
+    for (const phone of phones) {
+      const contact = {
+        officer_id: officer._id || 'unknown',
+        name: officer.name || 'Unknown',
+        phone
+      };
+
+      await queueMessage(phone, notificationMessage, {
+        purpose: 'officer_notification',
+        queryId: query._id,
+        metadata: contact,
+        statusCallback: `${process.env.SERVER_URL}/webhook/message-status`,
+        session
+      });
+
+      console.log(`Notification queued for ${officer.name} (${phone})`);
+      notifiedContacts.push(contact);
     }
   }
   
@@ -203,4 +214,6 @@ function formatPhoneNumber(phone) {
   }
   
   return phone;
-}
\ No newline at end of file
+}
+
+exports.formatPhoneNumber = formatPhoneNumber;